@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+// bin/rotate-keys.js
+// Manage the signing key ring from the command line:
+//   rotate-keys list [--config auth.config.js]
+//   rotate-keys rotate [--use access|refresh] [--retire-after 8d] [--algorithm ES256] [--config auth.config.js]
+//   rotate-keys retire <kid> [--config auth.config.js]
+// --config names a module exporting the options the app passes to
+// JwtAuthExpress.create(), so the storage adapter, table names, algorithm and
+// key retention are the app's. Without it, the keys are read from TiDB with
+// the same TIDB_* and JWT_* environment variables as the example app.
+require('dotenv').config();
+const path = require('path');
+const JwtAuthExpress = require('../index');
+
+const parseArgs = (argv) => {
+  const [command, ...rest] = argv;
+  const flags = {};
+  const positional = [];
+
+  for (let i = 0; i < rest.length; i++) {
+    if (rest[i].startsWith('--')) {
+      flags[rest[i].slice(2)] = rest[i + 1];
+      i++;
+    } else {
+      positional.push(rest[i]);
+    }
+  }
+
+  return { command, flags, positional };
+};
+
+const usage = () => {
+  console.log('Usage: rotate-keys <list | rotate [--use access|refresh] [--retire-after 8d] [--algorithm ES256] | retire <kid>> [--config auth.config.js]');
+};
+
+// The app's options, or TiDB and the key ring settings from the environment
+const loadOptions = (configPath) => {
+  if (configPath) {
+    return require(path.resolve(configPath));
+  }
+
+  if (!process.env.SIGNING_KEYS_ENCRYPTION_KEY && !process.env.JWT_SECRET) {
+    throw new Error('Set SIGNING_KEYS_ENCRYPTION_KEY (or JWT_SECRET) to read the stored keys');
+  }
+
+  return {
+    secret: process.env.JWT_SECRET,
+    refreshSecret: process.env.JWT_REFRESH_SECRET,
+    database: {
+      host: process.env.TIDB_HOST,
+      port: process.env.TIDB_PORT || 4000,
+      database: process.env.TIDB_DATABASE,
+      username: process.env.TIDB_USERNAME,
+      password: process.env.TIDB_PASSWORD
+    },
+    keyRotation: {
+      encryptionKey: process.env.SIGNING_KEYS_ENCRYPTION_KEY,
+      algorithm: process.env.SIGNING_ALGORITHM
+    }
+  };
+};
+
+async function main() {
+  const { command, flags, positional } = parseArgs(process.argv.slice(2));
+
+  if (!['list', 'rotate', 'retire'].includes(command) || (command === 'retire' && !positional[0])) {
+    usage();
+    process.exitCode = 1;
+    return;
+  }
+
+  const options = loadOptions(flags.config);
+  if (!options.keyRotation) {
+    throw new Error('Key rotation is not enabled in the configuration (keyRotation option)');
+  }
+
+  const rotation = options.keyRotation === true ? {} : options.keyRotation;
+  const auth = await JwtAuthExpress.create({
+    ...options,
+    enableUI: false,
+    // No timer keeps the process alive
+    keyRotation: { ...rotation, reloadInterval: 0 }
+  });
+
+  try {
+    const keyRing = auth.getKeyRing();
+
+    if (command === 'rotate') {
+      // Keep the algorithm the app signs with: the configured one, or else
+      // that of the current access key, so an ES256/EdDSA ring stays in the JWKS
+      const current = keyRing.getCurrent('access');
+      const algorithm = flags.algorithm
+        || rotation.algorithm
+        || (options.signing && options.signing.algorithm)
+        || (current && current.algorithm);
+
+      // Retention defaults to the app's (refresh token lifetime + 1 day)
+      const kids = await auth.rotateSigningKeys({ use: flags.use, retireAfter: flags['retire-after'], algorithm });
+      console.log('✅ New current keys:', kids);
+    }
+
+    if (command === 'retire') {
+      const retired = await auth.retireSigningKey(positional[0]);
+      console.log(retired ? `✅ Retired ${positional[0]}` : `⚠️ No active key ${positional[0]}`);
+    }
+
+    console.table(keyRing.list());
+  } finally {
+    await auth.close();
+  }
+}
+
+main().catch((error) => {
+  console.error('❌', error.message);
+  process.exit(1);
+});
@@ -2,11 +2,35 @@
 const JWTUtils = require('./src/utils/jwt');
 const AuthController = require('./src/controllers/authController');
 const TokenController = require('./src/controllers/tokenController');
-const { authenticateToken, optionalAuth } = require('./src/middleware/auth');
+const MfaController = require('./src/controllers/mfaController');
+const WebAuthnController = require('./src/controllers/webauthnController');
+const OAuthController = require('./src/controllers/oauthController');
+const OidcProviderController = require('./src/controllers/oidcProviderController');
+const SessionController = require('./src/controllers/sessionController');
+const RoleController = require('./src/controllers/roleController');
+const AdminController = require('./src/controllers/adminController');
+const { authenticateToken, authenticateClientToken, optionalAuth, requireRole, requirePermission, requireAdmin } = require('./src/middleware/auth');
+const { resolveRateLimits, createRateLimiters } = require('./src/middleware/rateLimit');
 const createAuthRoutes = require('./src/routes/authRoutes');
+const createOidcRoutes = require('./src/routes/oidcRoutes');
+const createAdminRoutes = require('./src/routes/adminRoutes');
 const EmailUtils = require('./src/utils/email');
 const DatabaseConfig = require('./src/config/database');
 const User = require('./src/models/User');
+const MemoryAdapter = require('./src/models/adapters/memory');
+const SqliteAdapter = require('./src/models/adapters/sqlite');
+const PostgresAdapter = require('./src/models/adapters/postgres');
+const { STORAGE_METHODS, assertStorageAdapter } = require('./src/models/adapters/contract');
+const AuditLogger = require('./src/utils/audit');
+const { OAuthProviderRegistry } = require('./src/utils/oauth');
+const KeyUtils = require('./src/utils/keys');
+const KeyRing = require('./src/utils/keyRing');
+const TokenRevocationList = require('./src/utils/revocation');
+const LoginThrottle = require('./src/utils/loginThrottle');
+const CsrfProtection = require('./src/utils/csrf');
+const SessionPolicy = require('./src/utils/sessionPolicy');
+const { toSeconds } = require('./src/utils/duration');
+const { MemoryRateLimitStore, DatabaseRateLimitStore } = require('./src/utils/rateLimitStore');
 const path = require('path');
 const fs = require('fs');
 
@@ -17,77 +41,401 @@ class JwtAuthExpress {
             secret,
             refreshSecret,
 
-            // Database options (TiDB Cloud only)
+            // Asymmetric signing for access/ID tokens:
+            // { algorithm: 'RS256' | 'ES256' | 'EdDSA', privateKey (PEM or JWK), kid }
+            // Omit (or use 'HS256') to keep signing with the shared secret
+            signing = null,
+
+            // Keep signing keys in the database and rotate them without
+            // logging anyone out: { encryptionKey, algorithm, retireAfter, reloadInterval }
+            // Pass true to use the defaults
+            keyRotation = null,
+
+            // Access token revocation (sign out, password reset, revoke-all):
+            // { syncInterval, retainFor }. Pass false to disable
+            revocation = {},
+
+            // Brute-force protection for password sign in:
+            // { maxAttempts, maxIpAttempts, window, lockoutDuration, baseDelay, maxDelay }.
+            // Pass false to disable
+            lockout = {},
+
+            // Request limits for the auth routes: { store, signin: { windowMs, max, keyBy }, ... }.
+            // store is 'memory' (per instance), 'database' (shared) or an object
+            // with hit(key, windowMs). Pass false to disable
+            rateLimit = {},
+
+            // CSRF protection for requests authenticated by the accessToken cookie:
+            // { secret, cookieName, headerName, fieldName }. Pass false to disable
+            csrf = {},
+
+            // Email users when a replayed refresh token revokes one of their sessions
+            notifyOnTokenReuse = false,
+
+            // Roles created on init with their permissions; assign them with
+            // assignRole() or the /roles admin API. '*' grants every permission
+            roles = { admin: ['*'] },
+
+            // Admin operations (token endpoints, admin user API) need a permission
+            // or this API key (X-Admin-Key): { apiKey, allowedClaims, maxTokenExpiry }.
+            // allowedClaims and maxTokenExpiry limit what /token/generate may mint
+            admin = {},
+
+            // Database options: TiDB Cloud connection settings by default.
+            // adapter: 'sqlite' ({ filename }) or 'postgres' ({ connectionString }
+            // or host, port, database, username, password) use those databases;
+            // 'memory' keeps everything in process (development and tests); an
+            // object implementing the storage contract is used as is
             database: dbConfig = {},
 
             // Email options
             emailConfig = {},
 
-            // Token expiry
+            // How sign in, sign up and refresh hand out tokens: 'cookie' (httpOnly
+            // cookies), 'body' (response fields, for mobile and SPA clients) or 'both'
+            tokenTransport = 'cookie',
+
+            // Token expiry. Also sets the cookies' maxAge and how long refresh
+            // tokens are kept in the database
             tokenExpiry = {
                 access: '15m',
                 refresh: '7d'
             },
 
+            // Auth cookie attributes: { accessTokenName, refreshTokenName, prefix
+            // ('__Host-' or '__Secure-'), domain, path, sameSite, secure, partitioned }
+            cookies = {},
+
+            // Session lifetimes: { idleTimeout, absoluteTimeout }. A session ends
+            // after idleTimeout without a refresh (defaults to tokenExpiry.refresh)
+            // or absoluteTimeout after sign in (e.g. '30d'; no limit by default)
+            session = {},
+
+            // Block sign in until the user has verified their email
+            requireEmailVerification = false,
+
+            // Two-factor authentication options: { issuer, encryptionKey,
+            // maxAttempts (codes tried per MFA token) }
+            mfa = {},
+
+            // Passkey (WebAuthn) options: { rpId, rpName, origin }
+            webauthn = null,
+
+            // OAuth/OpenID Connect sign in options:
+            // { redirectBaseUrl, providers: { google: { clientId, clientSecret }, ... } }
+            oauth = {},
+
+            // Act as an OpenID Connect provider for other apps:
+            // { issuer, accessTokenExpiry, idTokenExpiry } (issuer defaults to redirectBaseUrl + basePath).
+            // Needs asymmetric signing or keyRotation so ID tokens verify against the JWKS
+            oidcProvider = null,
+
             // Auth UI options
             viewsPath = null,
             publicPath = null,
             basePath = '/auth',
-            enableUI = true
+            enableUI = true,
+
+            // Admin console at {basePath}/admin (needs enableUI; users:manage to use it)
+            adminUI = false,
+
+            // Where browser-based flows (e.g. magic links) land after sign in
+            signInRedirect = '/'
         } = options;
 
         if (!secret || !refreshSecret) {
             throw new Error('JWT secrets are required');
         }
 
+        // Storage is TiDB Cloud unless another adapter is chosen
+        const storage = dbConfig.adapter || 'tidb';
+        if (typeof storage === 'object') {
+            assertStorageAdapter(storage);
+        } else if (!['tidb', 'sqlite', 'postgres', 'memory'].includes(storage)) {
+            throw new Error(`database.adapter must be 'tidb', 'sqlite', 'postgres', 'memory' or a storage adapter object`);
+        }
+
         // Validate TiDB Cloud configuration
-        if (!dbConfig.host || !dbConfig.database || !dbConfig.username || !dbConfig.password) {
+        if (storage === 'tidb' && (!dbConfig.host || !dbConfig.database || !dbConfig.username || !dbConfig.password)) {
             throw new Error('TiDB Cloud configuration requires host, database, username, and password');
         }
+        if (storage === 'sqlite' && !dbConfig.filename) {
+            throw new Error('SQLite configuration requires filename');
+        }
+        if (storage === 'postgres' && !dbConfig.connectionString && (!dbConfig.host || !dbConfig.database || !dbConfig.username)) {
+            throw new Error('PostgreSQL configuration requires connectionString, or host, database and username');
+        }
+        this.storage = storage;
+
+        const signingKey = signing && signing.algorithm !== 'HS256' ? KeyUtils.loadKey(signing) : null;
+        if (signingKey && !signingKey.privateKey) {
+            throw new Error('signing.privateKey is required to sign tokens');
+        }
 
-        this.jwtUtils = new JWTUtils(secret, refreshSecret);
+        // One policy drives token lifetimes, cookie attributes and stored expiry
+        this.sessionPolicy = new SessionPolicy({ tokenExpiry, cookies, session });
+
+        this.jwtUtils = new JWTUtils(secret, refreshSecret, {
+            signingKey,
+            accessTokenExpiry: this.sessionPolicy.accessTokenExpiry,
+            refreshTokenExpiry: this.sessionPolicy.refreshTokenExpiry
+        });
         this.emailUtils = new EmailUtils(emailConfig);
+        // TiDB Cloud sets up its own SSL; PostgreSQL gets database.ssl as given
         this.dbConfig = {
             ...dbConfig,
-            dialect: 'mysql2/promise', // TiDB dialect
-            ssl: {
-                rejectUnauthorized: false
+            dialect: 'mysql2/promise' // TiDB dialect
+        };
+
+        if (!['cookie', 'body', 'both'].includes(tokenTransport)) {
+            throw new Error(`tokenTransport must be 'cookie', 'body' or 'both'`);
+        }
+
+        this.tokenTransport = tokenTransport;
+        this.requireEmailVerification = requireEmailVerification;
+        this.notifyOnTokenReuse = notifyOnTokenReuse;
+        this.roles = roles;
+        this.adminOptions = {
+            apiKey: admin.apiKey || null,
+            allowedClaims: admin.allowedClaims,
+            maxTokenExpiry: admin.maxTokenExpiry || '1h'
+        };
+
+        // TOTP secrets are encrypted with a dedicated key; fall back to one
+        // derived from the JWT secret so MFA works out of the box (with a
+        // warning once MFA is used)
+        this.mfaOptions = {
+            issuer: mfa.issuer || 'Auth System',
+            encryptionKey: mfa.encryptionKey || `mfa:${secret}`,
+            derivedEncryptionKey: !mfa.encryptionKey,
+            maxAttempts: mfa.maxAttempts || 5
+        };
+
+        // Rotated keys keep verifying a day longer than the longest-lived token
+        if (keyRotation) {
+            const rotation = keyRotation === true ? {} : keyRotation;
+            if (!rotation.encryptionKey) {
+                console.warn('⚠️ keyRotation.encryptionKey not set. Deriving it from the JWT secret; changing the secret will make stored signing keys unreadable.');
             }
+            this.keyRotationOptions = {
+                algorithm: rotation.algorithm || (signing && signing.algorithm) || 'HS256',
+                encryptionKey: rotation.encryptionKey || `keys:${secret}`,
+                retireAfter: rotation.retireAfter || this.sessionPolicy.refreshTokenExpiry + 24 * 60 * 60,
+                reloadInterval: rotation.reloadInterval
+            };
+        } else {
+            this.keyRotationOptions = null;
+        }
+
+        // Revocations must be kept as long as the longest-lived access token:
+        // sessions', admin-issued and OIDC client ones
+        this.revocationOptions = revocation === false ? null : {
+            ...revocation,
+            accessTokenExpiry: Math.max(
+                this.sessionPolicy.accessTokenExpiry,
+                toSeconds(this.adminOptions.maxTokenExpiry),
+                oidcProvider ? toSeconds(oidcProvider.accessTokenExpiry || '15m') : 0
+            )
         };
+        this.lockoutOptions = lockout === false ? null : lockout;
+
+        // Rate limits are checked here so a bad config fails at startup
+        if (rateLimit && rateLimit.store && !['memory', 'database'].includes(rateLimit.store)
+            && typeof rateLimit.store.hit !== 'function') {
+            throw new Error(`rateLimit.store must be 'memory', 'database' or an object with hit(key, windowMs)`);
+        }
+        this.rateLimitOptions = rateLimit === false
+            ? null
+            : { store: rateLimit.store || 'memory', limits: resolveRateLimits(rateLimit) };
+
+        this.csrf = csrf === false ? null : new CsrfProtection(csrf.secret || `csrf:${secret}`, { ...csrf, sessionPolicy: this.sessionPolicy });
 
-        // Set token expiry
-        this.jwtUtils.accessTokenExpiry = tokenExpiry.access;
-        this.jwtUtils.refreshTokenExpiry = tokenExpiry.refresh;
+        this.webauthnOptions = webauthn;
+
+        // More providers can be added with registerOAuthProvider()
+        this.oauthRegistry = new OAuthProviderRegistry(oauth.providers || {});
+        this.oauthOptions = {
+            redirectBaseUrl: oauth.redirectBaseUrl || emailConfig.baseUrl || 'http://localhost:3000'
+        };
+
+        this.oidcProviderOptions = oidcProvider
+            ? { ...oidcProvider, issuer: oidcProvider.issuer || `${this.oauthOptions.redirectBaseUrl}${basePath}` }
+            : null;
+
+        // Relying parties verify ID tokens against the JWKS; an HS256 ID token
+        // could only be checked with the secret that also signs access tokens
+        const signsAsymmetrically = this.keyRotationOptions
+            ? KeyUtils.isAsymmetric(this.keyRotationOptions.algorithm)
+            : Boolean(signingKey);
+        if (oidcProvider && !signsAsymmetrically) {
+            throw new Error('oidcProvider requires asymmetric signing: set signing or keyRotation with RS256, ES256 or EdDSA');
+        }
 
         // UI configuration
         this.viewsPath = viewsPath;
         this.publicPath = publicPath;
         this.basePath = basePath;
         this.enableUI = enableUI;
+        this.adminUI = adminUI;
+        this.signInRedirect = signInRedirect;
 
         this.db = null;
         this.userModel = null;
+        this.auditLogger = null;
+        this.keyRing = null;
+        this.revocationList = null;
+        this.loginThrottle = null;
+        this.rateLimiters = {};
         this.authController = null;
         this.tokenController = null;
+        this.mfaController = null;
+        this.webauthnController = null;
+        this.oauthController = null;
+        this.oidcProviderController = null;
+        this.sessionController = null;
+        this.roleController = null;
+        this.adminController = null;
+    }
+
+    // Create the storage adapter chosen with database.adapter
+    async _createStorage() {
+        const modelOptions = {
+            refreshTokenExpiry: this.sessionPolicy.refreshTokenExpiry,
+            absoluteSessionTimeout: this.sessionPolicy.absoluteTimeout
+        };
+
+        if (typeof this.storage === 'object') {
+            return this.storage;
+        }
+
+        if (this.storage === 'memory') {
+            return new MemoryAdapter(modelOptions);
+        }
+
+        const tableName = this.dbConfig.tableName || 'users';
+
+        if (this.storage === 'sqlite') {
+            this.db = DatabaseConfig.createSQLiteConnection(this.dbConfig);
+            return new SqliteAdapter(this.db, { tableName, ...modelOptions });
+        }
+
+        if (this.storage === 'postgres') {
+            this.db = await DatabaseConfig.createPostgresConnection(this.dbConfig);
+            return new PostgresAdapter(this.db, { tableName, ...modelOptions });
+        }
+
+        this.db = await DatabaseConfig.createTiDBConnection(this.dbConfig);
+        return new User(this.db, {
+            dialect: 'mysql2/promise',
+            tableName,
+            ...modelOptions
+        });
     }
 
-    // Initialize TiDB Cloud connection
+    // Initialize storage (TiDB Cloud connection by default)
     async init() {
         try {
-            this.db = await DatabaseConfig.createTiDBConnection(this.dbConfig);
-            this.userModel = new User(this.db, {
-                dialect: 'mysql2/promise',
-                tableName: this.dbConfig.tableName || 'users'
-            });
+            this.userModel = await this._createStorage();
 
             // Initialize database tables
             await this.userModel.initDatabase();
 
-            this.authController = new AuthController(this.jwtUtils, this.userModel, this.emailUtils);
-            this.tokenController = new TokenController(this.jwtUtils, this.userModel);
+            if (this.keyRotationOptions) {
+                this.keyRing = new KeyRing(this.userModel, this.keyRotationOptions);
+                await this.keyRing.load();
+                this.keyRing.startAutoReload();
+                this.jwtUtils.setKeyRing(this.keyRing);
+            }
+
+            if (this.revocationOptions) {
+                this.revocationList = new TokenRevocationList(this.userModel, this.revocationOptions);
+                await this.revocationList.load();
+                this.revocationList.startAutoSync();
+                this.jwtUtils.setRevocationList(this.revocationList);
+            }
+
+            if (this.lockoutOptions) {
+                this.loginThrottle = new LoginThrottle(this.userModel, this.lockoutOptions);
+            }
+
+            if (this.rateLimitOptions) {
+                const { store, limits } = this.rateLimitOptions;
+                const rateLimitStore = {
+                    memory: () => new MemoryRateLimitStore(),
+                    database: () => new DatabaseRateLimitStore(this.userModel)
+                }[store];
+                this.rateLimiters = createRateLimiters(rateLimitStore ? rateLimitStore() : store, limits);
+            }
+
+            // Seed configured roles (existing roles and grants are kept)
+            for (const [role, permissions] of Object.entries(this.roles || {})) {
+                await this.userModel.createRole(role);
+                for (const permission of permissions) {
+                    await this.userModel.grantPermission(role, permission);
+                }
+            }
+
+            this.auditLogger = new AuditLogger(this.userModel);
+            this.mfaController = new MfaController(this.userModel, {
+                ...this.mfaOptions,
+                auditLogger: this.auditLogger
+            });
+            if (this.webauthnOptions) {
+                this.webauthnController = new WebAuthnController(this.userModel, {
+                    ...this.webauthnOptions,
+                    auditLogger: this.auditLogger
+                });
+            }
+            this.oauthController = new OAuthController(this.jwtUtils, this.userModel, this.oauthRegistry, {
+                ...this.oauthOptions,
+                basePath: this.basePath,
+                auditLogger: this.auditLogger
+            });
+            if (this.oidcProviderOptions) {
+                this.oidcProviderController = new OidcProviderController(this.jwtUtils, this.userModel, {
+                    ...this.oidcProviderOptions,
+                    basePath: this.basePath,
+                    csrf: this.csrf,
+                    auditLogger: this.auditLogger
+                });
+            }
+            this.authController = new AuthController(this.jwtUtils, this.userModel, this.emailUtils, {
+                requireEmailVerification: this.requireEmailVerification,
+                tokenTransport: this.tokenTransport,
+                sessionPolicy: this.sessionPolicy,
+                mfaController: this.mfaController,
+                webauthnController: this.webauthnController,
+                oauthController: this.oauthController,
+                revocationList: this.revocationList,
+                loginThrottle: this.loginThrottle,
+                csrf: this.csrf,
+                auditLogger: this.auditLogger,
+                notifyOnTokenReuse: this.notifyOnTokenReuse,
+                basePath: this.basePath,
+                signInRedirect: this.signInRedirect
+            });
+            this.tokenController = new TokenController(this.jwtUtils, this.userModel, {
+                revocationList: this.revocationList,
+                auditLogger: this.auditLogger,
+                allowedClaims: this.adminOptions.allowedClaims,
+                maxTokenExpiry: this.adminOptions.maxTokenExpiry
+            });
+            this.sessionController = new SessionController(this.userModel, {
+                revocationList: this.revocationList,
+                auditLogger: this.auditLogger
+            });
+            this.roleController = new RoleController(this.userModel, {
+                revocationList: this.revocationList,
+                auditLogger: this.auditLogger
+            });
+            this.adminController = new AdminController(this.userModel, this.emailUtils, {
+                revocationList: this.revocationList,
+                loginThrottle: this.loginThrottle,
+                auditLogger: this.auditLogger
+            });
             return this;
         } catch (error) {
-            throw new Error(`Failed to initialize TiDB Cloud: ${error.message}`);
+            throw new Error(`Failed to initialize storage: ${error.message}`);
         }
     }
 
@@ -97,11 +445,16 @@ class JwtAuthExpress {
         throw new Error('Authentication system not initialized. Call init() first.');
     }
 
-    // Get the auth middleware
-    const authMiddleware = this.getAuthMiddleware();
-
     // Setup API routes with proper middleware
-    app.use(`${this.basePath}`, createAuthRoutes(this.authController, validationMiddleware, authMiddleware));
+    app.use(`${this.basePath}`, this.getRoutes(validationMiddleware));
+
+    // Setup OpenID Connect provider routes if enabled
+    if (this.oidcProviderController) {
+        app.use(`${this.basePath}`, this.getOidcProviderRoutes());
+    }
+
+    // Setup admin user management API
+    app.use(`${this.basePath}/admin/api`, this.getAdminRoutes());
 
     // Setup UI routes if enabled
     if (this.enableUI) {
@@ -174,6 +527,14 @@ class JwtAuthExpress {
             console.warn('⚠️ Package public directory not found:', packagePublicPath);
         }
 
+        // Pages get the CSRF token for their forms
+        if (this.csrf) {
+            router.use((req, res, next) => {
+                res.locals.csrfToken = this.csrf.getToken(req, res);
+                next();
+            });
+        }
+
         // Auth pages routes with error handling
         router.get('/signup', (req, res) => {
             try {
@@ -196,8 +557,14 @@ class JwtAuthExpress {
                     title: 'Sign In',
                     layout: 'layouts/auth-layout',
                     basePath: this.basePath,
-                    error: null,
-                    success: null
+                    passkeysEnabled: Boolean(this.webauthnController),
+                    oauthProviders: this.oauthRegistry.list(),
+                    error: {
+                        oauth: 'Signing in with that provider failed. Please try again.',
+                        oauth_link: 'An account with this email already exists. Sign in with your password, then link the provider from your account.',
+                        unlock: 'This unlock link is invalid or has expired.'
+                    }[req.query.error] || null,
+                    success: req.query.unlocked ? 'Your account is unlocked. You can sign in again.' : null
                 });
             } catch (error) {
                 console.error('❌ Error rendering signin view:', error);
@@ -242,6 +609,126 @@ class JwtAuthExpress {
             }
         });
 
+        router.get('/verify-email', (req, res) => {
+            try {
+                const { token, userId } = req.query;
+
+                res.render('auth/verify-email', {
+                    title: 'Verify Email',
+                    layout: 'layouts/auth-layout',
+                    basePath: this.basePath,
+                    token: token || null,
+                    userId: userId || null,
+                    error: null,
+                    success: null
+                });
+            } catch (error) {
+                console.error('❌ Error rendering verify-email view:', error);
+                res.status(500).send('Error loading verify email page');
+            }
+        });
+
+        router.get('/magic-link', (req, res) => {
+            try {
+                const errors = {
+                    expired: 'This sign-in link is invalid or has expired. Request a new one.',
+                    failed: 'Something went wrong while signing you in. Please try again.'
+                };
+
+                res.render('auth/magic-link', {
+                    title: 'Email Sign-In',
+                    layout: 'layouts/auth-layout',
+                    basePath: this.basePath,
+                    error: errors[req.query.error] || null,
+                    success: null
+                });
+            } catch (error) {
+                console.error('❌ Error rendering magic-link view:', error);
+                res.status(500).send('Error loading email sign-in page');
+            }
+        });
+
+        router.get('/signin/mfa', (req, res) => {
+            try {
+                res.render('auth/mfa-challenge', {
+                    title: 'Two-Factor Authentication',
+                    layout: 'layouts/auth-layout',
+                    basePath: this.basePath,
+                    error: null,
+                    success: null
+                });
+            } catch (error) {
+                console.error('❌ Error rendering mfa-challenge view:', error);
+                res.status(500).send('Error loading two-factor authentication page');
+            }
+        });
+
+        router.get('/mfa/setup', (req, res) => {
+            try {
+                res.render('auth/mfa-setup', {
+                    title: 'Set Up Two-Factor Authentication',
+                    layout: 'layouts/auth-layout',
+                    basePath: this.basePath,
+                    error: null,
+                    success: null
+                });
+            } catch (error) {
+                console.error('❌ Error rendering mfa-setup view:', error);
+                res.status(500).send('Error loading two-factor setup page');
+            }
+        });
+
+        router.get('/devices', (req, res) => {
+            try {
+                res.render('auth/sessions', {
+                    title: 'Your Devices',
+                    layout: 'layouts/auth-layout',
+                    basePath: this.basePath,
+                    error: null,
+                    success: null
+                });
+            } catch (error) {
+                console.error('❌ Error rendering sessions view:', error);
+                res.status(500).send('Error loading devices page');
+            }
+        });
+
+        // Admin console pages; the data comes from the admin API, which does
+        // the authorization
+        if (this.adminUI) {
+            router.get('/admin', (req, res) => {
+                try {
+                    res.render('admin/dashboard', {
+                        title: 'Admin',
+                        layout: 'layouts/auth-layout',
+                        basePath: this.basePath
+                    });
+                } catch (error) {
+                    console.error('❌ Error rendering admin dashboard view:', error);
+                    res.status(500).send('Error loading admin dashboard');
+                }
+            });
+
+            // Express 5's path-to-regexp has no inline patterns, so the id is checked here
+            router.get('/admin/users/:id', (req, res, next) => {
+                if (!/^\d+$/.test(req.params.id)) {
+                    return next();
+                }
+
+                try {
+                    res.render('admin/user', {
+                        title: 'Admin · User',
+                        layout: 'layouts/auth-layout',
+                        basePath: this.basePath,
+                        userId: req.params.id
+                    });
+                } catch (error) {
+                    console.error('❌ Error rendering admin user view:', error);
+                    res.status(500).send('Error loading admin user page');
+                }
+            });
+        }
+
         // Mount the router
         app.use(this.basePath, router);
     }
@@ -256,7 +743,16 @@ class JwtAuthExpress {
         return createAuthRoutes(
             this.authController,
             validationMiddleware,
-            this.getAuthMiddleware() // Add this parameter
+            this.getAuthMiddleware(),
+            {
+                mfaController: this.mfaController,
+                webauthnController: this.webauthnController,
+                oauthController: this.oauthController,
+                tokenController: this.tokenController,
+                sessionController: this.sessionController,
+                roleController: this.roleController,
+                rateLimiters: this.rateLimiters
+            }
         );
     }
 
@@ -271,19 +767,107 @@ class JwtAuthExpress {
 
         router.post('/verify', validationMiddleware, this.tokenController.verifyToken);
         router.post('/decode', validationMiddleware, this.tokenController.decodeToken);
-        router.post('/revoke-all', this.getAuthMiddleware(), validationMiddleware, this.tokenController.revokeAllTokens);
+        router.post('/revoke-all', this.getAdminMiddleware('tokens:revoke'), validationMiddleware, this.tokenController.revokeAllTokens);
         router.get('/info', this.getAuthMiddleware(), this.tokenController.getTokenInfo);
-        router.post('/generate', this.getAuthMiddleware(), validationMiddleware, this.tokenController.generateCustomToken);
+        router.post('/generate', this.getAdminMiddleware('tokens:generate'), validationMiddleware, this.tokenController.generateCustomToken);
 
         return router;
     }
 
+    // Get admin user management routes (needs users:manage or the admin API key)
+    getAdminRoutes() {
+        if (!this.adminController) {
+            throw new Error('Authentication system not initialized. Call init() first.');
+        }
+
+        return createAdminRoutes(this.adminController, this.getAdminMiddleware('users:manage'));
+    }
+
+    // Get OpenID Connect provider routes (mount under basePath, which is the issuer path)
+    getOidcProviderRoutes() {
+        if (!this.oidcProviderController) {
+            throw new Error('OIDC provider is not enabled. Pass the oidcProvider option and call init() first.');
+        }
+
+        // userinfo takes the client applications' access tokens, which the
+        // rest of the API refuses
+        return createOidcRoutes(
+            this.oidcProviderController,
+            authenticateClientToken(this.jwtUtils, { issuer: this.oidcProviderOptions.issuer }),
+            this.getOptionalAuthMiddleware()
+        );
+    }
+
+    // Register an app that signs in through this OIDC provider.
+    // Returns { clientId, clientSecret, ... }; the secret is not stored in plaintext.
+    async registerOidcClient(client) {
+        if (!this.oidcProviderController) {
+            throw new Error('OIDC provider is not enabled. Pass the oidcProvider option and call init() first.');
+        }
+
+        return this.oidcProviderController.registerClient(client);
+    }
+
     getAuthMiddleware() {
-        return authenticateToken(this.jwtUtils);
+        return authenticateToken(this.jwtUtils, { csrf: this.csrf, cookieName: this.sessionPolicy.names.accessToken });
     }
 
     getOptionalAuthMiddleware() {
-        return optionalAuth(this.jwtUtils);
+        return optionalAuth(this.jwtUtils, { csrf: this.csrf, cookieName: this.sessionPolicy.names.accessToken });
+    }
+
+    // CSRF token for a page of your own; send it back as the X-CSRF-Token
+    // header or a _csrf form field
+    getCsrfToken(req, res) {
+        return this.csrf ? this.csrf.getToken(req, res) : null;
+    }
+
+    // Admin operations: the admin API key or a user with all of the permissions
+    getAdminMiddleware(...permissions) {
+        return requireAdmin(this.jwtUtils, permissions, {
+            apiKey: this.adminOptions.apiKey,
+            csrf: this.csrf,
+            cookieName: this.sessionPolicy.names.accessToken
+        });
+    }
+
+    // Authenticate, then allow users with any of the given roles:
+    // app.get('/admin', auth.requireRole('admin'), handler)
+    requireRole(...roles) {
+        return [this.getAuthMiddleware(), requireRole(...roles)];
+    }
+
+    // Authenticate, then allow users holding all of the given permissions:
+    // app.post('/posts', auth.requirePermission('posts:write'), handler)
+    requirePermission(...permissions) {
+        return [this.getAuthMiddleware(), requirePermission(...permissions)];
+    }
+
+    // Give a user a role. Their current access tokens are revoked so the
+    // next refresh picks up the new claims.
+    async assignRole(userId, role) {
+        const assigned = await this.userModel.assignRole(userId, role);
+        if (assigned && this.revocationList) {
+            await this.revocationList.revokeUser(userId);
+        }
+        return assigned;
+    }
+
+    async removeRole(userId, role) {
+        const removed = await this.userModel.removeRole(userId, role);
+        if (removed && this.revocationList) {
+            await this.revocationList.revokeUser(userId);
+        }
+        return removed;
+    }
+
+    // Create a role with permissions (existing grants are kept)
+    async createRole(name, permissions = [], description = null) {
+        await this.userModel.createRole(name, description);
+        for (const permission of permissions) {
+            await this.userModel.grantPermission(name, permission);
+        }
+        return this.userModel.findRole(name);
     }
 
     getJwtUtils() {
@@ -294,10 +878,61 @@ class JwtAuthExpress {
         return this.userModel;
     }
 
-    // Close TiDB connection
+    getAuditLogger() {
+        return this.auditLogger;
+    }
+
+    getKeyRing() {
+        return this.keyRing;
+    }
+
+    // Invalidate every access token issued to a user so far (refresh tokens
+    // are cleared too)
+    async revokeUserTokens(userId) {
+        await this.userModel.clearAllRefreshTokens(userId);
+        if (this.revocationList) {
+            await this.revocationList.revokeUser(userId);
+        }
+        return true;
+    }
+
+    // Make new signing keys current; previous keys keep verifying until they retire.
+    // options: { use: 'access' | 'refresh', retireAfter: '8d', algorithm: 'ES256' }
+    async rotateSigningKeys(options = {}) {
+        if (!this.keyRing) {
+            throw new Error('Key rotation is not enabled. Pass the keyRotation option and call init() first.');
+        }
+
+        return this.keyRing.rotate(options);
+    }
+
+    // Stop accepting tokens signed with a key immediately
+    async retireSigningKey(kid) {
+        if (!this.keyRing) {
+            throw new Error('Key rotation is not enabled. Pass the keyRotation option and call init() first.');
+        }
+
+        return this.keyRing.retire(kid);
+    }
+
+    // Add an OAuth/OIDC provider, e.g. registerOAuthProvider('corp', { issuer, clientId, clientSecret })
+    registerOAuthProvider(name, config) {
+        return this.oauthRegistry.register(name, config);
+    }
+
+    // Close the database connection, if there is one
     async close() {
+        if (this.keyRing) {
+            this.keyRing.stop();
+        }
+
+        if (this.revocationList) {
+            this.revocationList.stop();
+        }
+
         if (this.db) {
-            await this.db.end();
+            // better-sqlite3 closes; mysql2 and pg pools end
+            await (this.storage === 'sqlite' ? this.db.close() : this.db.end());
         }
 
         if (this.emailUtils) {
@@ -313,4 +948,16 @@ JwtAuthExpress.create = async (options) => {
     return auth;
 };
 
+// Standalone guards for routers that already run authenticateToken
+JwtAuthExpress.requireRole = requireRole;
+JwtAuthExpress.requirePermission = requirePermission;
+
+// For writing storage adapters: the methods one must implement, and the
+// in-memory adapter as an example. The SQL adapters take an existing
+// connection: new JwtAuthExpress.PostgresAdapter(pool)
+JwtAuthExpress.STORAGE_METHODS = STORAGE_METHODS;
+JwtAuthExpress.MemoryAdapter = MemoryAdapter;
+JwtAuthExpress.SqliteAdapter = SqliteAdapter;
+JwtAuthExpress.PostgresAdapter = PostgresAdapter;
+
 module.exports = JwtAuthExpress;
\ No newline at end of file
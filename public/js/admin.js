@@ -0,0 +1,279 @@
+// public/js/admin.js
+// Admin console pages. Talks to the admin API at {basePath}/admin/api with the
+// session cookie; all user data is inserted as text, never as HTML.
+class AdminUI {
+    constructor(basePath = '/auth') {
+        this.basePath = basePath;
+        this.apiPath = `${basePath}/admin/api`;
+        this.page = 1;
+        this.pages = 1;
+        this.init();
+    }
+
+    init() {
+        this.setupDashboard();
+        this.setupUserPage();
+    }
+
+    async request(path, method = 'GET') {
+        const csrf = document.querySelector('meta[name="csrf-token"]');
+        const response = await fetch(`${this.apiPath}${path}`, {
+            method,
+            headers: csrf ? { 'X-CSRF-Token': csrf.content } : {},
+            credentials: 'include'
+        });
+
+        if (response.status === 401) {
+            window.location.href = `${this.basePath}/signin?returnTo=${encodeURIComponent(window.location.pathname)}`;
+            return null;
+        }
+
+        return response.json();
+    }
+
+    notify(message, type = 'info') {
+        if (window.authUI) {
+            window.authUI.showAlert(message, type);
+        }
+    }
+
+    formatDate(value) {
+        return value ? new Date(value).toLocaleString() : '–';
+    }
+
+    // Dashboard: stats panel and the user table
+    setupDashboard() {
+        const dashboard = document.getElementById('admin-dashboard');
+        if (!dashboard) return;
+
+        const filters = document.getElementById('admin-user-filters');
+        filters.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.loadUsers(1);
+        });
+
+        document.querySelectorAll('[data-admin-page]').forEach(button => {
+            button.addEventListener('click', () => {
+                const page = button.dataset.adminPage === 'next' ? this.page + 1 : this.page - 1;
+                if (page >= 1 && page <= this.pages) {
+                    this.loadUsers(page);
+                }
+            });
+        });
+
+        this.loadStats();
+        this.loadUsers(1);
+    }
+
+    async loadStats() {
+        const result = await this.request('/stats');
+        if (!result || !result.success) return;
+
+        document.querySelectorAll('[data-stat]').forEach(element => {
+            const [group, name] = element.dataset.stat.split('.');
+            element.textContent = result.data[group][name];
+        });
+    }
+
+    async loadUsers(page) {
+        const filters = new FormData(document.getElementById('admin-user-filters'));
+        const query = new URLSearchParams({ page, limit: 20 });
+        for (const [name, value] of filters.entries()) {
+            if (value) query.set(name, value);
+        }
+
+        const tbody = document.getElementById('admin-users');
+        const result = await this.request(`/users?${query}`);
+        if (!result) return;
+
+        tbody.innerHTML = '';
+        if (!result.success) {
+            this.addEmptyRow(tbody, result.message);
+            return;
+        }
+
+        const { users, pagination } = result.data;
+        this.page = pagination.page;
+        this.pages = Math.max(pagination.pages, 1);
+        document.querySelector('[data-admin-page-info]').textContent =
+            `Page ${this.page} of ${this.pages} · ${pagination.total} users`;
+
+        if (users.length === 0) {
+            this.addEmptyRow(tbody, 'No users found');
+            return;
+        }
+
+        users.forEach(user => {
+            const row = document.createElement('tr');
+
+            const name = document.createElement('td');
+            const link = document.createElement('a');
+            link.className = 'auth-link';
+            link.href = `${this.basePath}/admin/users/${encodeURIComponent(user.id)}`;
+            link.textContent = user.name;
+            name.appendChild(link);
+            row.appendChild(name);
+
+            const status = [user.isActive ? 'Active' : 'Deactivated'];
+            if (!user.isVerified) status.push('unverified');
+
+            [user.email, status.join(', '), this.formatDate(user.createdAt)].forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+
+            tbody.appendChild(row);
+        });
+    }
+
+    addEmptyRow(tbody, message) {
+        const row = document.createElement('tr');
+        const cell = document.createElement('td');
+        cell.colSpan = 4;
+        cell.textContent = message;
+        row.appendChild(cell);
+        tbody.appendChild(row);
+    }
+
+    // User detail: profile, sessions, sign in history and actions
+    setupUserPage() {
+        const page = document.getElementById('admin-user');
+        if (!page) return;
+
+        this.userId = page.dataset.userId;
+
+        document.querySelectorAll('[data-admin-action]').forEach(button => {
+            button.addEventListener('click', () => this.runAction(button.dataset.adminAction));
+        });
+
+        this.loadUser();
+    }
+
+    async loadUser() {
+        const result = await this.request(`/users/${encodeURIComponent(this.userId)}`);
+        if (!result) return;
+
+        if (!result.success) {
+            document.querySelector('[data-user-field="name"]').textContent = result.message;
+            return;
+        }
+
+        const { user, lockedUntil, roles, sessions, logins } = result.data;
+        let status = user.isActive ? 'Active' : 'Deactivated';
+        if (lockedUntil) {
+            status += ` · locked until ${this.formatDate(lockedUntil)}`;
+        }
+
+        const fields = {
+            name: user.name,
+            email: user.email,
+            status,
+            verified: user.isVerified ? 'Verified' : 'Not verified',
+            roles: roles.length > 0 ? roles.join(', ') : 'None',
+            createdAt: this.formatDate(user.createdAt)
+        };
+        Object.entries(fields).forEach(([field, value]) => {
+            document.querySelector(`[data-user-field="${field}"]`).textContent = value;
+        });
+
+        // Only offer the actions that apply
+        const visible = {
+            deactivate: user.isActive,
+            reactivate: !user.isActive,
+            unlock: Boolean(lockedUntil),
+            'sign-out': sessions.length > 0,
+            'resend-verification': user.isActive && !user.isVerified
+        };
+        document.querySelectorAll('[data-admin-action]').forEach(button => {
+            button.style.display = visible[button.dataset.adminAction] ? '' : 'none';
+        });
+
+        this.renderList('admin-user-sessions', sessions, 'No active sessions', (session) => ({
+            label: session.deviceLabel || 'Unknown device',
+            meta: `${session.ipAddress || 'Unknown location'} · last active ${this.formatDate(session.lastUsedAt)}`,
+            action: { text: 'Sign out', run: () => this.revokeSession(session.id) }
+        }));
+
+        this.renderList('admin-user-logins', logins, 'No sign ins recorded', (login) => ({
+            label: login.deviceLabel || 'Unknown device',
+            meta: `${login.ipAddress || 'Unknown location'} · ${this.formatDate(login.createdAt)}`
+        }));
+    }
+
+    renderList(id, items, emptyText, describe) {
+        const list = document.getElementById(id);
+        list.innerHTML = '';
+
+        if (items.length === 0) {
+            const item = document.createElement('li');
+            item.className = 'session-item';
+            item.textContent = emptyText;
+            list.appendChild(item);
+            return;
+        }
+
+        items.forEach(entry => {
+            const { label, meta, action } = describe(entry);
+            const item = document.createElement('li');
+            item.className = 'session-item';
+
+            const details = document.createElement('div');
+            details.textContent = label;
+            const metaElement = document.createElement('span');
+            metaElement.className = 'session-meta';
+            metaElement.textContent = meta;
+            details.appendChild(metaElement);
+            item.appendChild(details);
+
+            if (action) {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'btn btn-outline';
+                button.textContent = action.text;
+                button.addEventListener('click', action.run);
+                item.appendChild(button);
+            }
+
+            list.appendChild(item);
+        });
+    }
+
+    async runAction(action) {
+        if (action === 'deactivate' && !window.confirm('Deactivate this user and sign them out everywhere?')) {
+            return;
+        }
+
+        try {
+            const result = await this.request(`/users/${encodeURIComponent(this.userId)}/${action}`, 'POST');
+            if (!result) return;
+
+            this.notify(result.message, result.success ? 'success' : 'error');
+            this.loadUser();
+        } catch (error) {
+            this.notify('Network error. Please try again.', 'error');
+        }
+    }
+
+    async revokeSession(sessionId) {
+        try {
+            const result = await this.request(
+                `/users/${encodeURIComponent(this.userId)}/sessions/${encodeURIComponent(sessionId)}`,
+                'DELETE'
+            );
+            if (!result) return;
+
+            this.notify(result.message, result.success ? 'success' : 'error');
+            this.loadUser();
+        } catch (error) {
+            this.notify('Network error. Please try again.', 'error');
+        }
+    }
+}
+
+document.addEventListener('DOMContentLoaded', function () {
+    const root = document.getElementById('admin-dashboard') || document.getElementById('admin-user');
+    if (root) {
+        window.adminUI = new AdminUI(root.dataset.basePath);
+    }
+});
@@ -6,8 +6,40 @@ class AuthUI {
     }
 
     init() {
+        this.captureReturnTo();
         this.setupEventListeners();
         this.checkAuthStatus();
+        this.setupMfaPage();
+        this.setupSessionsPage();
+    }
+
+    // Remember where to go after sign in (e.g. back to an OIDC authorization
+    // request). Only same-origin paths are accepted.
+    captureReturnTo() {
+        const returnTo = new URLSearchParams(window.location.search).get('returnTo');
+        if (returnTo && returnTo.startsWith('/') && !returnTo.startsWith('//') && !returnTo.startsWith('/\\')) {
+            sessionStorage.setItem('returnTo', returnTo);
+        }
+    }
+
+    // CSRF token from its cookie, which is replaced when signing in starts a
+    // new session, or else the one the server put in the page; state-changing
+    // requests send it as the X-CSRF-Token header
+    csrfToken() {
+        // The name carries the cookie prefix when one is configured
+        const cookie = document.cookie.split('; ').find(row => /^(__Host-|__Secure-)?csrfToken=/.test(row));
+        if (cookie) {
+            return decodeURIComponent(cookie.split('=')[1]);
+        }
+
+        const meta = document.querySelector('meta[name="csrf-token"]');
+        return meta && meta.content ? meta.content : '';
+    }
+
+    consumeReturnTo() {
+        const returnTo = sessionStorage.getItem('returnTo') || '/';
+        sessionStorage.removeItem('returnTo');
+        return returnTo;
     }
 
     // Custom alert system
@@ -119,6 +151,18 @@ class AuthUI {
         const form = event.target;
         const formData = new FormData(form);
         const data = Object.fromEntries(formData.entries());
+        delete data._csrf;
+
+        // Unchecked boxes are left out of the form data
+        if (formType === 'signin') {
+            data.rememberMe = formData.has('rememberMe');
+        }
+
+        // The MFA step carries the token issued by the password step; browser
+        // redirect flows (magic links, social sign in) left theirs in a cookie
+        if (formType === 'signin-mfa' && sessionStorage.getItem('mfaToken')) {
+            data.mfaToken = sessionStorage.getItem('mfaToken');
+        }
         const submitBtn = form.querySelector('button[type="submit"]');
         const originalText = submitBtn.textContent;
         
@@ -132,6 +176,7 @@ class AuthUI {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
+                    'X-CSRF-Token': this.csrfToken()
                 },
                 body: JSON.stringify(data),
                 credentials: 'include' // Important for cookies
@@ -140,12 +185,32 @@ class AuthUI {
             const result = await response.json();
             
             if (result.success) {
+                // Password accepted, but a second factor is required
+                if (result.data && result.data.mfaRequired) {
+                    sessionStorage.setItem('mfaToken', result.data.mfaToken);
+                    window.location.href = `${this.basePath}/signin/mfa`;
+                    return;
+                }
+
                 this.showAlert(result.message, 'success');
+
+                // Magic link sent: ask for the emailed code on the same page
+                if (formType === 'magic-link') {
+                    this.showMagicLinkCodeStep(data.email);
+                    return;
+                }
+
+                // Recovery codes are only shown once, so display them instead of navigating away
+                if (result.data && result.data.recoveryCodes) {
+                    this.showRecoveryCodes(result.data.recoveryCodes);
+                    return;
+                }
+
                 console.log(this.basePath);
                 // Handle redirects
                 setTimeout(() => {
                     if (formType === 'signin') {
-                        window.location.href = '/';
+                        window.location.href = this.consumeReturnTo();
                     } else if (formType === 'signup') {
                         window.location.href = `${this.basePath}/signin`;
                     } else if (formType === 'signout') {
@@ -154,6 +219,15 @@ class AuthUI {
                         window.location.href = `${this.basePath}/signin`;
                     } else if (formType === 'reset-password') {
                         window.location.href = `${this.basePath}/signin`;
+                    } else if (formType === 'verify-email') {
+                        window.location.href = `${this.basePath}/signin`;
+                    } else if (formType === 'magic-link-code') {
+                        window.location.href = this.consumeReturnTo();
+                    } else if (formType === 'signin-mfa') {
+                        sessionStorage.removeItem('mfaToken');
+                        window.location.href = this.consumeReturnTo();
+                    } else if (formType === 'mfa-disable') {
+                        window.location.reload();
                     }
                 }, 1500);
             } else {
@@ -250,6 +324,94 @@ class AuthUI {
             resetPasswordForm.addEventListener('submit', (e) => this.handleFormSubmit(e, 'reset-password', forgotPasswordForm));
         }
 
+        // Verify email form
+        const verifyEmailForm = document.getElementById('verify-email-form');
+        if (verifyEmailForm) {
+            verifyEmailForm.addEventListener('submit', (e) => this.handleFormSubmit(e, 'verify-email', verifyEmailForm));
+        }
+
+        // Resend verification form
+        const resendVerificationForm = document.getElementById('resend-verification-form');
+        if (resendVerificationForm) {
+            resendVerificationForm.addEventListener('submit', (e) => this.handleFormSubmit(e, 'resend-verification', resendVerificationForm));
+        }
+
+        // MFA sign in form
+        const signinMfaForm = document.getElementById('signin-mfa-form');
+        if (signinMfaForm) {
+            signinMfaForm.addEventListener('submit', (e) => this.handleFormSubmit(e, 'signin-mfa', signinMfaForm));
+        }
+
+        // Magic link request form
+        const magicLinkForm = document.getElementById('magic-link-form');
+        if (magicLinkForm) {
+            magicLinkForm.addEventListener('submit', (e) => this.handleFormSubmit(e, 'magic-link', magicLinkForm));
+        }
+
+        // Magic link code form
+        const magicLinkCodeForm = document.getElementById('magic-link-code-form');
+        if (magicLinkCodeForm) {
+            magicLinkCodeForm.addEventListener('submit', (e) => this.handleFormSubmit(e, 'magic-link-code', magicLinkCodeForm));
+        }
+
+        // Recovery code sign in form (same endpoint as the MFA code)
+        const signinRecoveryForm = document.getElementById('signin-recovery-form');
+        if (signinRecoveryForm) {
+            signinRecoveryForm.addEventListener('submit', (e) => this.handleFormSubmit(e, 'signin-mfa', signinRecoveryForm));
+        }
+
+        // Toggle between authenticator code and recovery code
+        const recoveryToggle = document.querySelector('[data-toggle-recovery]');
+        if (recoveryToggle && signinMfaForm && signinRecoveryForm) {
+            recoveryToggle.addEventListener('click', (e) => {
+                e.preventDefault();
+                const showRecovery = signinRecoveryForm.style.display === 'none';
+                signinRecoveryForm.style.display = showRecovery ? 'block' : 'none';
+                signinMfaForm.style.display = showRecovery ? 'none' : 'block';
+                recoveryToggle.textContent = showRecovery
+                    ? 'Use your authenticator app instead'
+                    : 'Lost your device? Use a recovery code';
+            });
+        }
+
+        // MFA confirm form
+        const mfaConfirmForm = document.getElementById('mfa-confirm-form');
+        if (mfaConfirmForm) {
+            mfaConfirmForm.addEventListener('submit', (e) => this.handleFormSubmit(e, 'mfa-confirm', mfaConfirmForm));
+        }
+
+        // MFA disable form
+        const mfaDisableForm = document.getElementById('mfa-disable-form');
+        if (mfaDisableForm) {
+            mfaDisableForm.addEventListener('submit', (e) => this.handleFormSubmit(e, 'mfa-disable', mfaDisableForm));
+        }
+
+        // Regenerate recovery codes form
+        const recoveryCodesForm = document.getElementById('mfa-recovery-codes-form');
+        if (recoveryCodesForm) {
+            recoveryCodesForm.addEventListener('submit', (e) => this.handleFormSubmit(e, 'mfa-recovery-codes', recoveryCodesForm));
+        }
+
+        // Passkey sign in button (only shown when the browser supports WebAuthn)
+        const passkeySigninButton = document.querySelector('[data-passkey-signin]');
+        if (passkeySigninButton && window.PublicKeyCredential) {
+            passkeySigninButton.style.display = 'block';
+            passkeySigninButton.addEventListener('click', (e) => {
+                e.preventDefault();
+                const emailInput = document.getElementById('email');
+                this.signInWithPasskey(emailInput ? emailInput.value : '');
+            });
+        }
+
+        // Passkey registration buttons
+        const passkeyRegisterButtons = document.querySelectorAll('[data-passkey-register]');
+        passkeyRegisterButtons.forEach(button => {
+            button.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.registerPasskey(button.dataset.passkeyRegister || 'Passkey');
+            });
+        });
+
         // Sign out buttons
         const signoutButtons = document.querySelectorAll('[data-signout]');
         signoutButtons.forEach(button => {
@@ -260,11 +422,303 @@ class AuthUI {
         });
     }
 
+    // Load MFA status and start enrollment on the setup page
+    async setupMfaPage() {
+        if (!document.getElementById('mfa-setup')) return;
+
+        const showSection = (name) => {
+            document.querySelectorAll('[data-mfa-section]').forEach(section => {
+                section.style.display = section.dataset.mfaSection === name ? 'block' : 'none';
+            });
+        };
+
+        try {
+            const statusResponse = await fetch(`${this.basePath}/mfa`, {
+                credentials: 'include'
+            });
+
+            if (!statusResponse.ok) {
+                window.location.href = `${this.basePath}/signin`;
+                return;
+            }
+
+            const status = await statusResponse.json();
+            if (status.data.enabled) {
+                showSection('enabled');
+
+                const codesResponse = await fetch(`${this.basePath}/mfa/recovery-codes`, {
+                    credentials: 'include'
+                });
+                if (codesResponse.ok) {
+                    const codes = await codesResponse.json();
+                    document.querySelector('[data-recovery-remaining]').textContent = codes.data.remaining;
+                }
+                return;
+            }
+
+            const enrollResponse = await fetch(`${this.basePath}/mfa/enroll`, {
+                method: 'POST',
+                headers: { 'X-CSRF-Token': this.csrfToken() },
+                credentials: 'include'
+            });
+            const result = await enrollResponse.json();
+
+            if (!result.success) {
+                this.showAlert(result.message || 'Could not start MFA setup', 'error');
+                return;
+            }
+
+            showSection('setup');
+            document.querySelector('[data-mfa-secret]').textContent = result.data.secret;
+            document.querySelector('[data-mfa-uri]').href = result.data.otpauthUri;
+        } catch (error) {
+            this.showAlert('Network error. Please try again.', 'error');
+            console.error('MFA setup error:', error);
+        }
+    }
+
+    // List signed-in devices on the "Your devices" page
+    async setupSessionsPage() {
+        const list = document.getElementById('sessions-list');
+        if (!list) return;
+
+        const revokeOthers = document.querySelector('[data-revoke-other-sessions]');
+        if (revokeOthers && !revokeOthers.dataset.bound) {
+            revokeOthers.dataset.bound = 'true';
+            revokeOthers.addEventListener('click', async () => {
+                const result = await this.postJSON('/sessions/revoke-others');
+                this.showAlert(result.message, result.success ? 'success' : 'error');
+                this.setupSessionsPage();
+            });
+        }
+
+        try {
+            const response = await fetch(`${this.basePath}/sessions`, {
+                credentials: 'include'
+            });
+
+            if (!response.ok) {
+                window.location.href = `${this.basePath}/signin?returnTo=${encodeURIComponent(window.location.pathname)}`;
+                return;
+            }
+
+            const { data } = await response.json();
+            list.innerHTML = '';
+
+            data.sessions.forEach(session => {
+                const item = document.createElement('li');
+                item.className = 'session-item';
+
+                const details = document.createElement('div');
+                details.textContent = session.deviceLabel || 'Unknown device';
+
+                const meta = document.createElement('span');
+                meta.className = 'session-meta';
+                meta.textContent = `${session.ipAddress || 'Unknown location'} · last active ${new Date(session.lastUsedAt).toLocaleString()}`;
+                details.appendChild(meta);
+                item.appendChild(details);
+
+                if (session.current) {
+                    const current = document.createElement('span');
+                    current.className = 'session-current';
+                    current.textContent = 'This device';
+                    item.appendChild(current);
+                } else {
+                    const button = document.createElement('button');
+                    button.type = 'button';
+                    button.className = 'btn btn-outline';
+                    button.textContent = 'Sign out';
+                    button.addEventListener('click', () => this.revokeSession(session.id));
+                    item.appendChild(button);
+                }
+
+                list.appendChild(item);
+            });
+        } catch (error) {
+            this.showAlert('Network error. Please try again.', 'error');
+            console.error('Sessions error:', error);
+        }
+    }
+
+    async revokeSession(id) {
+        try {
+            const response = await fetch(`${this.basePath}/sessions/${encodeURIComponent(id)}`, {
+                method: 'DELETE',
+                headers: { 'X-CSRF-Token': this.csrfToken() },
+                credentials: 'include'
+            });
+            const result = await response.json();
+
+            this.showAlert(result.message, result.success ? 'success' : 'error');
+            this.setupSessionsPage();
+        } catch (error) {
+            this.showAlert('Network error. Please try again.', 'error');
+        }
+    }
+
+    // Switch the magic link page to the code entry step
+    showMagicLinkCodeStep(email) {
+        const emailInput = document.querySelector('[data-magic-link-email]');
+        if (emailInput) {
+            emailInput.value = email;
+        }
+
+        document.querySelectorAll('[data-magic-link-step]').forEach(step => {
+            step.style.display = step.dataset.magicLinkStep === 'code' ? 'block' : 'none';
+        });
+    }
+
+    // Show newly generated recovery codes on the MFA setup page
+    showRecoveryCodes(codes) {
+        const list = document.querySelector('[data-recovery-codes]');
+        if (!list) return;
+
+        list.innerHTML = '';
+        codes.forEach(code => {
+            const item = document.createElement('li');
+            item.textContent = code;
+            list.appendChild(item);
+        });
+
+        document.querySelectorAll('[data-mfa-section]').forEach(section => {
+            section.style.display = section.dataset.mfaSection === 'recovery-codes' ? 'block' : 'none';
+        });
+    }
+
+    // Base64url helpers for WebAuthn binary fields
+    base64UrlToBuffer(value) {
+        const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+        const padded = base64 + '='.repeat((4 - base64.length % 4) % 4);
+        const binary = atob(padded);
+        return Uint8Array.from(binary, char => char.charCodeAt(0)).buffer;
+    }
+
+    bufferToBase64Url(buffer) {
+        const binary = String.fromCharCode(...new Uint8Array(buffer));
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    async postJSON(path, body = {}) {
+        const response = await fetch(`${this.basePath}${path}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-CSRF-Token': this.csrfToken()
+            },
+            body: JSON.stringify(body),
+            credentials: 'include'
+        });
+        return response.json();
+    }
+
+    // Sign in with a passkey (navigator.credentials.get)
+    async signInWithPasskey(email = '') {
+        try {
+            const options = await this.postJSON('/signin/passkey/options', email ? { email } : {});
+            if (!options.success) {
+                this.showAlert(options.message || 'Passkey sign in is unavailable', 'error');
+                return;
+            }
+
+            const publicKey = options.data.publicKey;
+            publicKey.challenge = this.base64UrlToBuffer(publicKey.challenge);
+            publicKey.allowCredentials = publicKey.allowCredentials.map(credential => ({
+                ...credential,
+                id: this.base64UrlToBuffer(credential.id)
+            }));
+
+            const assertion = await navigator.credentials.get({ publicKey });
+
+            const result = await this.postJSON('/signin/passkey', {
+                credential: {
+                    id: assertion.id,
+                    rawId: this.bufferToBase64Url(assertion.rawId),
+                    type: assertion.type,
+                    response: {
+                        clientDataJSON: this.bufferToBase64Url(assertion.response.clientDataJSON),
+                        authenticatorData: this.bufferToBase64Url(assertion.response.authenticatorData),
+                        signature: this.bufferToBase64Url(assertion.response.signature),
+                        userHandle: assertion.response.userHandle
+                            ? this.bufferToBase64Url(assertion.response.userHandle)
+                            : null
+                    }
+                }
+            });
+
+            if (!result.success) {
+                this.showAlert(result.message || 'Passkey sign in failed', 'error');
+                return;
+            }
+
+            if (result.data && result.data.mfaRequired) {
+                sessionStorage.setItem('mfaToken', result.data.mfaToken);
+                window.location.href = `${this.basePath}/signin/mfa`;
+                return;
+            }
+
+            this.showAlert(result.message, 'success');
+            setTimeout(() => {
+                window.location.href = this.consumeReturnTo();
+            }, 1500);
+        } catch (error) {
+            // NotAllowedError means the user dismissed the browser prompt
+            if (error.name !== 'NotAllowedError') {
+                this.showAlert('Passkey sign in failed. Please try again.', 'error');
+            }
+            console.error('Passkey sign in error:', error);
+        }
+    }
+
+    // Register a new passkey for the signed-in user (navigator.credentials.create)
+    async registerPasskey(name = 'Passkey') {
+        try {
+            const options = await this.postJSON('/passkeys/register/options');
+            if (!options.success) {
+                this.showAlert(options.message || 'Could not start passkey registration', 'error');
+                return;
+            }
+
+            const publicKey = options.data.publicKey;
+            publicKey.challenge = this.base64UrlToBuffer(publicKey.challenge);
+            publicKey.user.id = this.base64UrlToBuffer(publicKey.user.id);
+            publicKey.excludeCredentials = publicKey.excludeCredentials.map(credential => ({
+                ...credential,
+                id: this.base64UrlToBuffer(credential.id)
+            }));
+
+            const credential = await navigator.credentials.create({ publicKey });
+
+            const result = await this.postJSON('/passkeys/register', {
+                name,
+                credential: {
+                    id: credential.id,
+                    rawId: this.bufferToBase64Url(credential.rawId),
+                    type: credential.type,
+                    response: {
+                        clientDataJSON: this.bufferToBase64Url(credential.response.clientDataJSON),
+                        attestationObject: this.bufferToBase64Url(credential.response.attestationObject),
+                        transports: credential.response.getTransports
+                            ? credential.response.getTransports()
+                            : []
+                    }
+                }
+            });
+
+            this.showAlert(result.message || 'Passkey registration failed', result.success ? 'success' : 'error');
+        } catch (error) {
+            if (error.name !== 'NotAllowedError') {
+                this.showAlert('Passkey registration failed. Please try again.', 'error');
+            }
+            console.error('Passkey registration error:', error);
+        }
+    }
+
     // Handle sign out
     async handleSignOut() {
         try {
             const response = await fetch(`${this.basePath}/signout`, {
                 method: 'POST',
+                headers: { 'X-CSRF-Token': this.csrfToken() },
                 credentials: 'include'
             });
 
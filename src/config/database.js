@@ -1,4 +1,17 @@
 //src/config/database.js
+
+// The SQLite and PostgreSQL drivers are optional; load them when chosen
+const requireDriver = (name, adapter) => {
+  try {
+    return require(name);
+  } catch (error) {
+    if (error.code === 'MODULE_NOT_FOUND') {
+      throw new Error(`database.adapter '${adapter}' needs the ${name} package: npm install ${name}`);
+    }
+    throw error;
+  }
+};
+
 class DatabaseConfig {
   constructor(options = {}) {
     this.options = {
@@ -129,6 +142,50 @@ class DatabaseConfig {
       throw error;
     }
   }
+
+  // Open a SQLite database file with better-sqlite3
+  static createSQLiteConnection({ filename }) {
+    const Database = requireDriver('better-sqlite3', 'sqlite');
+    const db = new Database(filename);
+
+    // Readers don't wait for a write to finish
+    db.pragma('journal_mode = WAL');
+
+    console.log(`✅ SQLite database opened: ${filename}`);
+    return db;
+  }
+
+  // Create a PostgreSQL pool from a connectionString or host, port,
+  // database, username and password
+  static async createPostgresConnection(options) {
+    const { Pool } = requireDriver('pg', 'postgres');
+    const {
+      connectionString,
+      host,
+      port = 5432,
+      database,
+      username,
+      password,
+      ssl,
+      connectionLimit = 10
+    } = options;
+
+    const pool = new Pool(connectionString
+      ? { connectionString, ssl, max: connectionLimit }
+      : { host, port: parseInt(port), database, user: username, password, ssl, max: connectionLimit });
+
+    // Test the connection
+    try {
+      const client = await pool.connect();
+      console.log('✅ PostgreSQL database connected successfully');
+      client.release();
+      return pool;
+    } catch (error) {
+      console.error('❌ PostgreSQL connection failed:', error.message);
+      await pool.end();
+      throw error;
+    }
+  }
 }
 
 // TiDB Cloud specific configuration
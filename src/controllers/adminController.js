@@ -0,0 +1,362 @@
+// src/controllers/adminController.js
+const CryptoUtils = require('../utils/crypto');
+
+// User management for operators, mounted by getAdminRoutes(). Every error
+// response has the shape { success: false, message, code } so clients can
+// branch on code; validation errors also carry details.
+class AdminController {
+  constructor(userModel, emailUtils, options = {}) {
+    this.User = userModel;
+    this.emailUtils = emailUtils;
+    this.revocationList = options.revocationList || null;
+    this.loginThrottle = options.loginThrottle || null;
+    this.auditLogger = options.auditLogger || null;
+  }
+
+  // Helper method to send an error response
+  _error(res, status, code, message, details = undefined) {
+    return res.status(status).json({
+      success: false,
+      message,
+      code,
+      ...(details ? { details } : {})
+    });
+  }
+
+  // Helper method to audit an admin action against a user
+  async _audit(event, req, targetUserId, metadata = {}) {
+    if (this.auditLogger) {
+      const admin = req.admin || { type: 'user', userId: req.user ? req.user.userId : null };
+      await this.auditLogger.record(event, {
+        userId: admin.userId,
+        req,
+        metadata: { ...metadata, targetUserId, via: admin.type }
+      });
+    }
+  }
+
+  // Helper method to sign a user out of every session and access token
+  async _signOutEverywhere(userId) {
+    await this.User.clearAllRefreshTokens(userId);
+    if (this.revocationList) {
+      await this.revocationList.revokeUser(userId);
+    }
+  }
+
+  // Helper method to load the user named in the URL, or send a 404
+  async _findTarget(req, res) {
+    const user = await this.User.findByIdIncludingInactive(req.params.id);
+    if (!user) {
+      this._error(res, 404, 'user_not_found', 'User not found');
+    }
+    return user;
+  }
+
+  // Admins acting through a user account can't lock themselves out
+  _isSelf(req, user) {
+    return Boolean(req.admin && req.admin.userId !== null && String(req.admin.userId) === String(user.id));
+  }
+
+  _serializeUser(user) {
+    return {
+      id: user.id,
+      email: user.email,
+      name: user.name,
+      isActive: user.isActive,
+      isVerified: user.isVerified,
+      createdAt: user.createdAt,
+      updatedAt: user.updatedAt
+    };
+  }
+
+  // Sign up and sign in counts for the dashboard
+  getStats = async (req, res) => {
+    try {
+      res.json({
+        success: true,
+        data: await this.User.getUserStats()
+      });
+    } catch (error) {
+      this._error(res, 500, 'internal_error', 'Error fetching stats');
+    }
+  }
+
+  // List users: ?search=&status=active|inactive&verified=true|false&page=&limit=
+  listUsers = async (req, res) => {
+    try {
+      const page = parseInt(req.query.page, 10) || 1;
+      const limit = parseInt(req.query.limit, 10) || 20;
+      const active = req.query.status ? req.query.status === 'active' : null;
+      const verified = req.query.verified ? req.query.verified === 'true' : null;
+
+      const { users, total } = await this.User.findUsers({
+        search: req.query.search || null,
+        active,
+        verified,
+        page,
+        limit
+      });
+
+      res.json({
+        success: true,
+        data: {
+          users: users.map(user => this._serializeUser(user)),
+          pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+          }
+        }
+      });
+    } catch (error) {
+      this._error(res, 500, 'internal_error', 'Error fetching users');
+    }
+  }
+
+  // User detail with roles, sessions and recent sign ins
+  getUser = async (req, res) => {
+    try {
+      const user = await this._findTarget(req, res);
+      if (!user) return;
+
+      const access = await this.User.findUserAccess(user.id);
+      const sessions = await this.User.findSessionsByUserId(user.id);
+      const logins = await this.User.findAuditEvents(user.id, 20, ['user.signed_in']);
+      const lockedUntil = this.loginThrottle ? await this.loginThrottle.getLockout(user.email) : null;
+
+      res.json({
+        success: true,
+        data: {
+          user: this._serializeUser(user),
+          lockedUntil,
+          roles: access.roles,
+          permissions: access.permissions,
+          sessions,
+          logins: logins.map(login => ({
+            ipAddress: login.ipAddress,
+            userAgent: login.userAgent,
+            deviceLabel: login.metadata ? login.metadata.deviceLabel || null : null,
+            createdAt: login.createdAt
+          }))
+        }
+      });
+    } catch (error) {
+      this._error(res, 500, 'internal_error', 'Error fetching user');
+    }
+  }
+
+  // Deactivate a user; they are signed out and can't sign in again
+  deactivateUser = async (req, res) => {
+    try {
+      const user = await this._findTarget(req, res);
+      if (!user) return;
+
+      if (this._isSelf(req, user)) {
+        return this._error(res, 409, 'cannot_modify_self', 'You cannot deactivate your own account');
+      }
+
+      await this.User.setActive(user.id, false);
+      await this._signOutEverywhere(user.id);
+      await this._audit('admin.user_deactivated', req, user.id);
+
+      res.json({
+        success: true,
+        message: 'User deactivated successfully',
+        data: { user: { ...this._serializeUser(user), isActive: false } }
+      });
+    } catch (error) {
+      this._error(res, 500, 'internal_error', 'Error deactivating user');
+    }
+  }
+
+  // Reactivate a deactivated user
+  reactivateUser = async (req, res) => {
+    try {
+      const user = await this._findTarget(req, res);
+      if (!user) return;
+
+      await this.User.setActive(user.id, true);
+      await this._audit('admin.user_reactivated', req, user.id);
+
+      res.json({
+        success: true,
+        message: 'User reactivated successfully',
+        data: { user: { ...this._serializeUser(user), isActive: true } }
+      });
+    } catch (error) {
+      this._error(res, 500, 'internal_error', 'Error reactivating user');
+    }
+  }
+
+  // Lift a sign in lockout early
+  unlockUser = async (req, res) => {
+    try {
+      const user = await this._findTarget(req, res);
+      if (!user) return;
+
+      if (!this.loginThrottle || !(await this.loginThrottle.unlock(user.email))) {
+        return this._error(res, 409, 'not_locked', 'User is not locked out');
+      }
+
+      await this._audit('admin.user_unlocked', req, user.id);
+
+      res.json({
+        success: true,
+        message: 'User unlocked successfully'
+      });
+    } catch (error) {
+      this._error(res, 500, 'internal_error', 'Error unlocking user');
+    }
+  }
+
+  // Replace the password with a random one, sign the user out and email
+  // them a reset link, e.g. after a suspected compromise
+  forcePasswordReset = async (req, res) => {
+    try {
+      const user = await this._findTarget(req, res);
+      if (!user) return;
+
+      if (!user.isActive) {
+        return this._error(res, 409, 'user_inactive', 'Reactivate the user first');
+      }
+
+      await this.User.updatePassword(user.id, CryptoUtils.generateResetToken());
+      await this._signOutEverywhere(user.id);
+
+      const resetToken = CryptoUtils.generateResetToken();
+      await this.User.storePasswordResetToken(user.id, CryptoUtils.hashResetToken(resetToken));
+      await this.emailUtils.sendPasswordResetEmail(user.email, resetToken, user.id);
+
+      await this._audit('admin.password_reset_forced', req, user.id);
+
+      res.json({
+        success: true,
+        message: 'Password reset and reset link sent'
+      });
+    } catch (error) {
+      this._error(res, 500, 'internal_error', 'Error resetting password');
+    }
+  }
+
+  // Sign a user out of every session
+  signOutUser = async (req, res) => {
+    try {
+      const user = await this._findTarget(req, res);
+      if (!user) return;
+
+      await this._signOutEverywhere(user.id);
+      await this._audit('admin.user_signed_out', req, user.id);
+
+      res.json({
+        success: true,
+        message: 'User signed out everywhere'
+      });
+    } catch (error) {
+      this._error(res, 500, 'internal_error', 'Error signing out user');
+    }
+  }
+
+  // Sign out one of a user's sessions
+  revokeUserSession = async (req, res) => {
+    try {
+      const user = await this._findTarget(req, res);
+      if (!user) return;
+
+      const { sessionId } = req.params;
+      if (!(await this.User.revokeSession(user.id, sessionId))) {
+        return this._error(res, 404, 'session_not_found', 'Session not found');
+      }
+      if (this.revocationList) {
+        await this.revocationList.revokeSession(sessionId, user.id);
+      }
+
+      await this._audit('admin.session_revoked', req, user.id, { sessionId });
+
+      res.json({
+        success: true,
+        message: 'Session signed out successfully'
+      });
+    } catch (error) {
+      this._error(res, 500, 'internal_error', 'Error signing out session');
+    }
+  }
+
+  // Send a new verification email
+  resendVerification = async (req, res) => {
+    try {
+      const user = await this._findTarget(req, res);
+      if (!user) return;
+
+      if (user.isVerified) {
+        return this._error(res, 409, 'already_verified', 'Email is already verified');
+      }
+
+      const verificationToken = CryptoUtils.generateResetToken();
+      await this.User.storeEmailVerificationToken(user.id, CryptoUtils.hashResetToken(verificationToken));
+      await this.emailUtils.sendVerificationEmail(user.email, verificationToken, user.id);
+
+      await this._audit('admin.verification_resent', req, user.id);
+
+      res.json({
+        success: true,
+        message: 'Verification email sent'
+      });
+    } catch (error) {
+      this._error(res, 500, 'internal_error', 'Error sending verification email');
+    }
+  }
+
+  // Mark a user's email as verified
+  verifyEmail = async (req, res) => {
+    try {
+      const user = await this._findTarget(req, res);
+      if (!user) return;
+
+      if (!user.isActive) {
+        return this._error(res, 409, 'user_inactive', 'Reactivate the user first');
+      }
+
+      if (!user.isVerified) {
+        await this.User.markEmailVerified(user.id);
+        await this._audit('admin.email_verified', req, user.id);
+      }
+
+      res.json({
+        success: true,
+        message: 'Email marked as verified',
+        data: { user: { ...this._serializeUser(user), isVerified: true } }
+      });
+    } catch (error) {
+      this._error(res, 500, 'internal_error', 'Error verifying email');
+    }
+  }
+
+  // Permanently delete a user
+  deleteUser = async (req, res) => {
+    try {
+      const user = await this._findTarget(req, res);
+      if (!user) return;
+
+      if (this._isSelf(req, user)) {
+        return this._error(res, 409, 'cannot_modify_self', 'You cannot delete your own account');
+      }
+
+      // Access tokens outlive the user row; revoke them first
+      if (this.revocationList) {
+        await this.revocationList.revokeUser(user.id);
+      }
+      await this.User.deleteUser(user.id);
+      await this._audit('admin.user_deleted', req, user.id, { email: user.email });
+
+      res.json({
+        success: true,
+        message: 'User deleted successfully'
+      });
+    } catch (error) {
+      this._error(res, 500, 'internal_error', 'Error deleting user');
+    }
+  }
+}
+
+module.exports = AdminController;
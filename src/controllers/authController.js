@@ -1,36 +1,322 @@
 // src/controllers/authController.js
+const crypto = require('crypto');
 const CryptoUtils = require('../utils/crypto');
+const { describeDevice } = require('../utils/device');
+const SessionPolicy = require('../utils/sessionPolicy');
+const { getRequestToken } = require('../middleware/auth');
+
+// Browser redirect flows (magic links, social sign in) hand the pending MFA
+// token to the MFA page in this cookie, keeping it out of URLs
+const MFA_COOKIE = 'mfaToken';
+const MFA_TOKEN_LIFETIME = 5 * 60; // seconds
 
 class AuthController {
-  constructor(jwtUtils, userModel, emailUtils) {
+  constructor(jwtUtils, userModel, emailUtils, options = {}) {
     this.jwtUtils = jwtUtils;
     this.User = userModel;
     this.emailUtils = emailUtils;
+    this.options = {
+      requireEmailVerification: false,
+      // How tokens reach the client: 'cookie', 'body' or 'both'
+      tokenTransport: 'cookie',
+      ...options
+    };
+    // Cookie names and attributes, and token lifetimes
+    this.sessionPolicy = this.options.sessionPolicy || new SessionPolicy();
+  }
+
+  // Helper method to record an audit event if auditing is configured
+  async _audit(event, userId, req, metadata = {}) {
+    if (this.options.auditLogger) {
+      await this.options.auditLogger.record(event, { userId, req, metadata });
+    }
+  }
+
+  // Revoke every refresh token of the family a replayed token belongs to
+  async _handleRefreshTokenReuse(record, req) {
+    const revoked = await this.User.revokeRefreshTokenFamily(record.familyId);
+    await this._audit('refresh_token.reuse_detected', record.userId, req, {
+      familyId: record.familyId,
+      revokedTokens: revoked
+    });
+
+    if (this.options.notifyOnTokenReuse) {
+      const user = await this.User.findById(record.userId);
+      if (user) {
+        await this.emailUtils.sendTokenReuseAlertEmail(user.email, user.name);
+      }
+    }
+  }
+
+  // Helper method to check whether a cookie-authenticated request is missing
+  // its CSRF token
+  _failsCsrf(req) {
+    const { csrf } = this.options;
+    const { fromCookie } = getRequestToken(req, this.sessionPolicy.names.accessToken);
+    return Boolean(csrf && fromCookie && req.cookies && !csrf.verify(req));
+  }
+
+  // Access token sent with the request (header or cookie), if still valid
+  _verifyRequestToken(req) {
+    const { token } = getRequestToken(req, this.sessionPolicy.names.accessToken);
+
+    if (!token || this._failsCsrf(req)) {
+      return null;
+    }
+
+    try {
+      return this.jwtUtils.verifyAccessToken(token);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Helper method to generate an access/refresh token pair. Both carry the
+  // session id (sid), which is the refresh token family id; the access token
+  // also carries the user's roles and permissions. refreshExpiresIn (seconds)
+  // shortens the refresh token near the session's absolute deadline.
+  async _generateTokens(user, sessionId, { refreshExpiresIn } = {}) {
+    const { roles, permissions } = await this.User.findUserAccess(user.id);
+
+    const accessToken = this.jwtUtils.generateAccessToken({
+      userId: user.id,
+      email: user.email,
+      isVerified: user.isVerified,
+      sid: sessionId,
+      roles,
+      permissions
+    });
+
+    const refreshToken = this.jwtUtils.generateRefreshToken({
+      userId: user.id,
+      sid: sessionId
+    }, refreshExpiresIn);
+
+    return { accessToken, refreshToken };
+  }
+
+  // Helper method to describe the device a request comes from
+  _sessionDetails(req) {
+    const userAgent = (req && req.headers && req.headers['user-agent']) || null;
+    return {
+      userAgent,
+      ipAddress: (req && req.ip) || null,
+      deviceLabel: describeDevice(userAgent)
+    };
+  }
+
+  // Helper method returning a bcrypt hash to compare against for unknown emails
+  async _dummyPasswordHash() {
+    if (!this._dummyHash) {
+      this._dummyHash = await CryptoUtils.hashPassword(crypto.randomUUID());
+    }
+    return this._dummyHash;
+  }
+
+  // Helper method to refuse a sign in while an email is locked or an address
+  // is blocked. The response is the same whether or not the account exists.
+  _throttledResponse(res, { lockedUntil, retryAfter }) {
+    res.set('Retry-After', String(retryAfter));
+
+    if (lockedUntil) {
+      return res.status(423).json({
+        success: false,
+        code: 'ACCOUNT_LOCKED',
+        message: 'Too many failed sign in attempts. Try again later.',
+        retryAfter
+      });
+    }
+
+    return res.status(429).json({
+      success: false,
+      code: 'TOO_MANY_ATTEMPTS',
+      message: 'Too many failed sign in attempts from your network. Try again later.',
+      retryAfter
+    });
+  }
+
+  // Helper method to audit a lockout and email the user an unlock link
+  async _notifyLockout(user, lockedUntil, req) {
+    const { loginThrottle } = this.options;
+    const unlockToken = this.jwtUtils.generateUnlockToken(
+      { email: user.email, lockedUntil: new Date(lockedUntil).getTime() },
+      loginThrottle.lockoutDuration
+    );
+
+    await this._audit('user.locked', user.id, req, { lockedUntil });
+    await this.emailUtils.sendAccountLockedEmail(user.email, user.name, unlockToken);
+  }
+
+  // Helper method to lift the lock an unlock token was issued for. Returns
+  // false if the token is invalid or that lock has already ended.
+  async _consumeUnlockToken(token, req) {
+    const { loginThrottle } = this.options;
+    if (!loginThrottle || !token) {
+      return false;
+    }
+
+    let decoded;
+    try {
+      decoded = this.jwtUtils.verifyUnlockToken(token);
+    } catch (error) {
+      return false;
+    }
+
+    // A token only unlocks the lock it was sent for, and only once
+    const lockedUntil = await loginThrottle.getLockout(decoded.email);
+    if (!lockedUntil || new Date(lockedUntil).getTime() !== decoded.lockedUntil) {
+      return false;
+    }
+
+    await loginThrottle.unlock(decoded.email);
+
+    const user = await this.User.findByEmail(decoded.email);
+    await this._audit('user.unlocked', user ? user.id : null, req);
+    return true;
+  }
+
+  // Helper method to check whether a user must pass the MFA step
+  async _requiresMfa(user) {
+    const { mfaController } = this.options;
+    return Boolean(mfaController && await mfaController.isEnabled(user.id));
   }
 
-  // Helper method to set cookies
-  _setAuthCookies(res, accessToken, refreshToken) {
-    // Set access token cookie (short-lived)
-    res.cookie('accessToken', accessToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'strict',
-      maxAge: 15 * 60 * 1000 // 15 minutes
+  // Helper method to issue tokens and store the refresh token. Without
+  // rememberMe the cookies last only as long as the browser session.
+  async _startSession(res, user, { rememberMe = true } = {}) {
+    // Generate tokens for a new session
+    const sessionId = crypto.randomUUID();
+    const { accessToken, refreshToken } = await this._generateTokens(user, sessionId);
+
+    // Store refresh token with the device it was issued to
+    const details = this._sessionDetails(res.req);
+    await this.User.storeRefreshToken(user.id, refreshToken, {
+      ...details,
+      familyId: sessionId,
+      rememberMe
     });
 
-    // Set refresh token cookie (long-lived)
-    res.cookie('refreshToken', refreshToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'strict',
-      maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
+    // Sign in history for the admin console
+    await this._audit('user.signed_in', user.id, res.req, { sessionId, deviceLabel: details.deviceLabel });
+
+    return { accessToken, refreshToken, rememberMe };
+  }
+
+  // Helper method to hand tokens to the client as cookies and/or response
+  // fields, depending on tokenTransport. Returns the fields for the body.
+  _deliverTokens(res, { accessToken, refreshToken, rememberMe = true, refreshLifetime }) {
+    const { tokenTransport } = this.options;
+
+    if (tokenTransport !== 'body') {
+      this._setAuthCookies(res, accessToken, refreshToken, { persistent: rememberMe, refreshLifetime });
+    }
+
+    if (tokenTransport === 'cookie') {
+      return {};
+    }
+
+    const { exp } = this.jwtUtils.decodeToken(accessToken);
+    return {
+      accessToken,
+      refreshToken,
+      tokenType: 'Bearer',
+      expiresIn: Math.max(0, exp - Math.floor(Date.now() / 1000))
+    };
+  }
+
+  // Helper method to start a session and respond once the user is authenticated.
+  // Users with MFA get a short-lived MFA token instead of a session; it
+  // carries the remember me choice to the MFA step.
+  async _completeSignIn(res, user, { skipMfa = false, rememberMe = true } = {}) {
+    if (!skipMfa && await this._requiresMfa(user)) {
+      this._clearMfaCookie(res);
+      return res.json({
+        success: true,
+        message: 'MFA code required',
+        data: {
+          mfaRequired: true,
+          mfaToken: this.jwtUtils.generateMfaToken({ userId: user.id, rememberMe }, MFA_TOKEN_LIFETIME)
+        }
+      });
+    }
+
+    const tokens = this._deliverTokens(res, await this._startSession(res, user, { rememberMe }));
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user: {
+          id: user.id,
+          email: user.email,
+          name: user.name
+        },
+        ...tokens
+      }
     });
   }
 
+  // Helper method for browser-based flows: start a session and redirect,
+  // or send users with MFA to the MFA page first. A redirect can't carry
+  // tokens in a body, so these always use cookies.
+  async _redirectSignIn(res, user) {
+    const { basePath = '', signInRedirect = '/' } = this.options;
+
+    if (await this._requiresMfa(user)) {
+      const mfaToken = this.jwtUtils.generateMfaToken({ userId: user.id }, MFA_TOKEN_LIFETIME);
+      res.cookie(this._mfaCookieName(), mfaToken, this.sessionPolicy.cookieOptions(MFA_COOKIE, { lifetime: MFA_TOKEN_LIFETIME }));
+      return res.redirect(`${basePath}/signin/mfa`);
+    }
+
+    const { accessToken, refreshToken } = await this._startSession(res, user);
+    this._setAuthCookies(res, accessToken, refreshToken);
+    res.redirect(signInRedirect);
+  }
+
+  // Helper method to name the MFA token cookie like the auth cookies
+  _mfaCookieName() {
+    return `${this.sessionPolicy.prefix}${MFA_COOKIE}`;
+  }
+
+  // Helper method to drop a pending MFA token cookie, if the request has one
+  _clearMfaCookie(res) {
+    const name = this._mfaCookieName();
+    if (res.req && res.req.cookies && res.req.cookies[name]) {
+      res.clearCookie(name, this.sessionPolicy.clearOptions());
+    }
+  }
+
+  // Helper method to issue and email a verification token
+  async _sendVerification(user) {
+    const verificationToken = CryptoUtils.generateResetToken();
+    const hashedToken = CryptoUtils.hashResetToken(verificationToken);
+
+    await this.User.storeEmailVerificationToken(user.id, hashedToken);
+    return this.emailUtils.sendVerificationEmail(user.email, verificationToken, user.id);
+  }
+
+  // Helper method to set cookies; names, attributes and lifetimes come
+  // from the session policy. Non-persistent cookies end with the browser session.
+  _setAuthCookies(res, accessToken, refreshToken, { persistent = true, refreshLifetime } = {}) {
+    const { names } = this.sessionPolicy;
+    res.cookie(names.accessToken, accessToken, this.sessionPolicy.cookieOptions('accessToken', { persistent }));
+    res.cookie(names.refreshToken, refreshToken, this.sessionPolicy.cookieOptions('refreshToken', {
+      persistent,
+      lifetime: refreshLifetime
+    }));
+
+    // CSRF tokens are signed for a session, so a new one needs a new token
+    if (this.options.csrf && res.req) {
+      const { sid } = this.jwtUtils.decodeToken(accessToken) || {};
+      this.options.csrf.getToken(res.req, res, sid ? String(sid) : '');
+    }
+  }
+
   // Helper method to clear cookies
   _clearAuthCookies(res) {
-    res.clearCookie('accessToken');
-    res.clearCookie('refreshToken');
+    const { names } = this.sessionPolicy;
+    res.clearCookie(names.accessToken, this.sessionPolicy.clearOptions());
+    res.clearCookie(names.refreshToken, this.sessionPolicy.clearOptions());
   }
 
   // Sign up
@@ -54,21 +340,27 @@ class AuthController {
         name
       });
 
-      // Generate tokens
-      const accessToken = this.jwtUtils.generateAccessToken({
-        userId: user.id,
-        email: user.email
-      });
+      // Send verification email
+      await this._sendVerification(user);
 
-      const refreshToken = this.jwtUtils.generateRefreshToken({
-        userId: user.id
-      });
-
-      // Store refresh token
-      await this.User.storeRefreshToken(user.id, refreshToken);
+      // Unverified users can't sign in yet, so don't start a session
+      if (this.options.requireEmailVerification) {
+        return res.status(201).json({
+          success: true,
+          message: 'User created successfully. Please verify your email before signing in.',
+          data: {
+            user: {
+              id: user.id,
+              email: user.email,
+              name: user.name,
+              isVerified: user.isVerified
+            },
+            requiresVerification: true
+          }
+        });
+      }
 
-      // Set cookies
-      this._setAuthCookies(res, accessToken, refreshToken);
+      const tokens = this._deliverTokens(res, await this._startSession(res, user));
 
       res.status(201).json({
         success: true,
@@ -77,8 +369,10 @@ class AuthController {
           user: {
             id: user.id,
             email: user.email,
-            name: user.name
-          }
+            name: user.name,
+            isVerified: user.isVerified
+          },
+          ...tokens
         }
       });
     } catch (error) {
@@ -93,53 +387,266 @@ class AuthController {
   // Sign in
   signIn = async (req, res) => {
     try {
-      const { email, password } = req.body;
+      const { email, password, rememberMe } = req.body;
+      const { loginThrottle } = this.options;
+
+      // Locked emails and blocked addresses are refused before the password
+      // is checked, so a correct password doesn't reveal itself either
+      if (loginThrottle) {
+        const status = await loginThrottle.check(email, req.ip);
+        if (status.lockedUntil || status.ipBlocked) {
+          return this._throttledResponse(res, status);
+        }
+        if (status.delay > 0) {
+          await new Promise(resolve => setTimeout(resolve, status.delay));
+        }
+      }
 
-      // Find user
+      // Find user. Unknown emails still pay for a hash comparison so response
+      // times don't tell which accounts exist.
       const user = await this.User.findByEmail(email);
-      if (!user) {
+      const isPasswordValid = await CryptoUtils.comparePassword(
+        password,
+        user ? user.password : await this._dummyPasswordHash()
+      );
+
+      if (!user || !isPasswordValid) {
+        const lockedUntil = loginThrottle ? await loginThrottle.recordFailure(email, req.ip) : null;
+        if (lockedUntil) {
+          if (user) {
+            await this._notifyLockout(user, lockedUntil, req);
+          }
+          return this._throttledResponse(res, { lockedUntil, retryAfter: loginThrottle.lockoutDuration });
+        }
+
         return res.status(401).json({
           success: false,
           message: 'Invalid credentials'
         });
       }
 
-      // Check password
-      const isPasswordValid = await CryptoUtils.comparePassword(password, user.password);
-      if (!isPasswordValid) {
+      // With MFA the sign in only succeeds at the second step, so wrong
+      // codes keep counting towards the lockout
+      if (loginThrottle && !(await this._requiresMfa(user))) {
+        await loginThrottle.recordSuccess(email, req.ip);
+      }
+
+      // Block unverified accounts if verification is required
+      if (this.options.requireEmailVerification && !user.isVerified) {
+        return res.status(403).json({
+          success: false,
+          code: 'EMAIL_NOT_VERIFIED',
+          message: 'Please verify your email before signing in'
+        });
+      }
+
+      await this._completeSignIn(res, user, { rememberMe: rememberMe !== false });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Error during login',
+        error: error.message
+      });
+    }
+  }
+
+  // Finish sign in with the second factor
+  signInMfa = async (req, res) => {
+    try {
+      // A token from a browser redirect flow's cookie wins over a stale one
+      // the page may still hold from an earlier password sign in
+      const { code, recoveryCode } = req.body;
+      const mfaToken = (req.cookies && req.cookies[this._mfaCookieName()]) || req.body.mfaToken;
+
+      let decoded;
+      try {
+        decoded = this.jwtUtils.verifyMfaToken(mfaToken);
+      } catch (error) {
+        return res.status(401).json({
+          success: false,
+          message: 'MFA session expired, please sign in again'
+        });
+      }
+
+      const { mfaController, loginThrottle } = this.options;
+      const user = await this.User.findById(decoded.userId);
+      if (!user || !mfaController) {
         return res.status(401).json({
           success: false,
           message: 'Invalid credentials'
         });
       }
 
-      // Generate tokens
-      const accessToken = this.jwtUtils.generateAccessToken({
-        userId: user.id,
-        email: user.email
+      // Wrong codes count against the MFA token and, like wrong passwords,
+      // towards the account lockout
+      if (loginThrottle) {
+        const status = await loginThrottle.check(user.email, req.ip);
+        if (status.lockedUntil || status.ipBlocked) {
+          return this._throttledResponse(res, status);
+        }
+        if (status.delay > 0) {
+          await new Promise(resolve => setTimeout(resolve, status.delay));
+        }
+      }
+
+      if (!(await mfaController.countAttempt(mfaToken))) {
+        return res.status(401).json({
+          success: false,
+          code: 'MFA_ATTEMPTS_EXCEEDED',
+          message: 'Too many invalid codes, please sign in again'
+        });
+      }
+
+      // A one-time recovery code can stand in for a lost authenticator
+      const isValid = recoveryCode
+        ? await mfaController.verifyRecoveryCode(user.id, recoveryCode, req)
+        : await mfaController.verifyCode(user.id, code);
+      if (!isValid) {
+        const lockedUntil = loginThrottle ? await loginThrottle.recordFailure(user.email, req.ip) : null;
+        if (lockedUntil) {
+          await this._notifyLockout(user, lockedUntil, req);
+          return this._throttledResponse(res, { lockedUntil, retryAfter: loginThrottle.lockoutDuration });
+        }
+
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid MFA code'
+        });
+      }
+
+      if (loginThrottle) {
+        await loginThrottle.recordSuccess(user.email, req.ip);
+      }
+
+      this._clearMfaCookie(res);
+      await this._completeSignIn(res, user, { skipMfa: true, rememberMe: decoded.rememberMe !== false });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Error during login',
+        error: error.message
       });
+    }
+  }
 
-      const refreshToken = this.jwtUtils.generateRefreshToken({
-        userId: user.id
+  // Sign in with a passkey
+  signInPasskey = async (req, res) => {
+    try {
+      const { webauthnController } = this.options;
+      if (!webauthnController) {
+        return res.status(404).json({
+          success: false,
+          message: 'Passkey sign in is not enabled'
+        });
+      }
+
+      let result;
+      try {
+        result = await webauthnController.verifyAssertion(req.body.credential, req);
+      } catch (error) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid credentials'
+        });
+      }
+
+      const { user, userVerified } = result;
+
+      if (this.options.requireEmailVerification && !user.isVerified) {
+        return res.status(403).json({
+          success: false,
+          code: 'EMAIL_NOT_VERIFIED',
+          message: 'Please verify your email before signing in'
+        });
+      }
+
+      // A user-verified passkey already combines possession and a PIN or
+      // biometric, so it satisfies MFA on its own
+      await this._completeSignIn(res, user, { skipMfa: userVerified });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Error during login',
+        error: error.message
       });
+    }
+  }
+
+  // Request a magic sign-in link / one-time code by email
+  requestMagicLink = async (req, res) => {
+    try {
+      const { email } = req.body;
 
-      // Store refresh token
-      await this.User.storeRefreshToken(user.id, refreshToken);
+      const user = await this.User.findByEmail(email);
+      if (user) {
+        const token = CryptoUtils.generateResetToken();
+        const code = CryptoUtils.generateNumericCode();
 
-      // Set cookies
-      this._setAuthCookies(res, accessToken, refreshToken);
+        await this.User.storeMagicLink(
+          user.id,
+          CryptoUtils.hashResetToken(token),
+          CryptoUtils.hashResetToken(code)
+        );
+        await this.emailUtils.sendMagicLinkEmail(user.email, token, code, user.id);
+      }
 
+      // Don't reveal whether user exists
       res.json({
         success: true,
-        message: 'Login successful',
-        data: {
-          user: {
-            id: user.id,
-            email: user.email,
-            name: user.name
-          }
-        }
+        message: 'If the email exists, a sign-in link will be sent'
       });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Error processing request',
+        error: error.message
+      });
+    }
+  }
+
+  // Helper method to consume a magic link by token (link) or code (typed in)
+  async _consumeMagicLink({ token, userId, email, code }, req) {
+    let user = null;
+
+    if (token && userId) {
+      user = await this.User.consumeMagicLinkToken(userId, token);
+    } else if (email && code) {
+      const candidate = await this.User.findByEmail(email);
+      if (candidate) {
+        user = await this.User.consumeMagicLinkCode(candidate.id, code);
+      }
+    }
+
+    // Receiving the link proves ownership of the address. Whoever signed up
+    // with it may not be the owner, so their password and sessions stop
+    // working; the owner can set a password with "forgot password".
+    if (user && !user.isVerified) {
+      await this.User.updatePassword(user.id, crypto.randomBytes(32).toString('hex'));
+      await this.User.clearAllRefreshTokens(user.id);
+      if (this.options.revocationList) {
+        await this.options.revocationList.revokeUser(user.id);
+      }
+
+      await this.User.markEmailVerified(user.id);
+      await this._audit('user.claimed_by_magic_link', user.id, req, { passwordReset: true, sessionsRevoked: true });
+      user = { ...user, isVerified: true };
+    }
+
+    return user;
+  }
+
+  // Sign in with a magic link token or one-time code (JSON)
+  verifyMagicLink = async (req, res) => {
+    try {
+      const user = await this._consumeMagicLink(req.body, req);
+      if (!user) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid or expired sign-in link'
+        });
+      }
+
+      await this._completeSignIn(res, user);
     } catch (error) {
       res.status(500).json({
         success: false,
@@ -149,10 +656,107 @@ class AuthController {
     }
   }
 
+  // Sign in from the emailed link and redirect back into the app
+  verifyMagicLinkRedirect = async (req, res) => {
+    const { basePath = '' } = this.options;
+
+    try {
+      const user = await this._consumeMagicLink(req.query, req);
+      if (!user) {
+        return res.redirect(`${basePath}/magic-link?error=expired`);
+      }
+
+      await this._redirectSignIn(res, user);
+    } catch (error) {
+      console.error('❌ Error verifying magic link:', error);
+      res.redirect(`${basePath}/magic-link?error=failed`);
+    }
+  }
+
+  // Unlock a locked account with the emailed token
+  unlockAccount = async (req, res) => {
+    try {
+      if (!(await this._consumeUnlockToken(req.body.token, req))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid or expired unlock link'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Account unlocked. You can sign in again.'
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Error unlocking account',
+        error: error.message
+      });
+    }
+  }
+
+  // Unlock link from the email; lands on the signin page
+  unlockAccountRedirect = async (req, res) => {
+    const { basePath = '' } = this.options;
+
+    try {
+      const unlocked = await this._consumeUnlockToken(req.query.token, req);
+      res.redirect(`${basePath}/signin?${unlocked ? 'unlocked=1' : 'error=unlock'}`);
+    } catch (error) {
+      console.error('❌ Error unlocking account:', error);
+      res.redirect(`${basePath}/signin?error=unlock`);
+    }
+  }
+
+  // Finish an OAuth/OIDC sign in (or account link) from the provider callback
+  signInOAuth = async (req, res) => {
+    const { basePath = '', signInRedirect = '/', oauthController } = this.options;
+
+    try {
+      if (!oauthController) {
+        return res.redirect(`${basePath}/signin?error=oauth`);
+      }
+
+      let result;
+      try {
+        result = await oauthController.handleCallback(req, res);
+      } catch (error) {
+        console.error('❌ OAuth sign in failed:', error.message);
+        return res.redirect(`${basePath}/signin?error=oauth`);
+      }
+
+      // Linking happens for an already signed-in user
+      if (result.linkMode) {
+        return res.redirect(signInRedirect);
+      }
+
+      if (result.linkRequired) {
+        return res.redirect(`${basePath}/signin?error=oauth_link`);
+      }
+
+      await this._redirectSignIn(res, result.user);
+    } catch (error) {
+      console.error('❌ Error completing OAuth sign in:', error);
+      res.redirect(`${basePath}/signin?error=oauth`);
+    }
+  }
+
   // Refresh token
   refreshToken = async (req, res) => {
     try {
-      const { refreshToken } = req.body;
+      // Native clients send the token in the body; browsers have the cookie
+      const fromBody = req.body && req.body.refreshToken;
+      const refreshToken = fromBody || this.sessionPolicy.read(req, 'refreshToken');
+
+      // Refreshing from the cookie rotates the cookies, so it needs the CSRF token
+      if (!fromBody && refreshToken && this.options.csrf && !this.options.csrf.verify(req)) {
+        return res.status(403).json({
+          success: false,
+          code: 'CSRF_TOKEN_INVALID',
+          message: 'Invalid or missing CSRF token'
+        });
+      }
 
       if (!refreshToken) {
         return res.status(400).json({
@@ -164,6 +768,40 @@ class AuthController {
       // Verify refresh token
       const decoded = this.jwtUtils.verifyRefreshToken(refreshToken);
 
+      // Tokens issued to OIDC client apps are refreshed at the token endpoint
+      if (decoded.clientId) {
+        throw new Error('Refresh token was issued to a client application');
+      }
+
+      // A token that was already rotated is being replayed: whoever holds
+      // the newer token (attacker or user) loses the session
+      const record = await this.User.findRefreshTokenRecord(decoded.userId, refreshToken);
+      if (record && record.rotatedAt) {
+        await this._handleRefreshTokenReuse(record, req);
+        this._clearAuthCookies(res);
+        return res.status(403).json({
+          success: false,
+          message: 'Invalid refresh token'
+        });
+      }
+
+      // However active, a session ends at its absolute deadline. Each refresh
+      // otherwise slides the idle timeout forward, up to that deadline.
+      const refreshLifetime = record ? this.sessionPolicy.refreshLifetime(record.createdAt) : 0;
+      if (record && refreshLifetime <= 0) {
+        if (record.familyId) {
+          await this.User.revokeSession(decoded.userId, record.familyId);
+        } else {
+          await this.User.removeRefreshToken(decoded.userId, refreshToken);
+        }
+        this._clearAuthCookies(res);
+        return res.status(401).json({
+          success: false,
+          code: 'SESSION_EXPIRED',
+          message: 'Session expired, please sign in again'
+        });
+      }
+
       // Check if refresh token exists in database
       const user = await this.User.findByRefreshToken(decoded.userId, refreshToken);
       if (!user) {
@@ -174,25 +812,43 @@ class AuthController {
         });
       }
 
-      // Generate new tokens
-      const newAccessToken = this.jwtUtils.generateAccessToken({
-        userId: user.id,
-        email: user.email
-      });
+      // Generate new tokens for the same session. A token stored before
+      // sessions had ids gets one now.
+      const familyId = record.familyId || crypto.randomUUID();
+      const {
+        accessToken: newAccessToken,
+        refreshToken: newRefreshToken
+      } = await this._generateTokens(user, familyId, { refreshExpiresIn: refreshLifetime });
 
-      const newRefreshToken = this.jwtUtils.generateRefreshToken({
-        userId: user.id
+      // Update refresh token in database; losing the race to another request
+      // with the same token counts as reuse
+      const rotated = await this.User.updateRefreshToken(user.id, refreshToken, newRefreshToken, {
+        ...this._sessionDetails(req),
+        expiresIn: refreshLifetime,
+        familyId
       });
+      if (!rotated) {
+        // The winner gave a legacy token its family; revoke that one
+        const current = record.familyId ? record : await this.User.findRefreshTokenRecord(user.id, refreshToken);
+        await this._handleRefreshTokenReuse(current || record, req);
+        this._clearAuthCookies(res);
+        return res.status(403).json({
+          success: false,
+          message: 'Invalid refresh token'
+        });
+      }
 
-      // Update refresh token in database
-      await this.User.updateRefreshToken(user.id, refreshToken, newRefreshToken);
-
-      // Set new cookies
-      this._setAuthCookies(res, newAccessToken, newRefreshToken);
+      const tokens = this._deliverTokens(res, {
+        accessToken: newAccessToken,
+        refreshToken: newRefreshToken,
+        rememberMe: record.rememberMe !== false,
+        refreshLifetime
+      });
 
       res.json({
         success: true,
-        message: 'Token refreshed successfully'
+        message: 'Token refreshed successfully',
+        data: tokens
       });
     } catch (error) {
       res.status(403).json({
@@ -257,8 +913,11 @@ class AuthController {
       // Update password
       await this.User.updatePassword(userId, newPassword);
 
-      // Invalidate all refresh tokens (optional security measure)
+      // Invalidate all refresh tokens and access tokens issued so far
       await this.User.clearAllRefreshTokens(userId);
+      if (this.options.revocationList) {
+        await this.options.revocationList.revokeUser(userId);
+      }
 
       res.json({
         success: true,
@@ -273,14 +932,92 @@ class AuthController {
     }
   }
 
+  // Verify email
+  verifyEmail = async (req, res) => {
+    try {
+      const { token, userId } = req.body;
+
+      // Find user and validate verification token
+      const user = await this.User.findValidEmailVerificationToken(userId, token);
+      if (!user) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid or expired verification token'
+        });
+      }
+
+      await this.User.markEmailVerified(user.id);
+
+      res.json({
+        success: true,
+        message: 'Email verified successfully'
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Error verifying email',
+        error: error.message
+      });
+    }
+  }
+
+  // Resend verification email
+  resendVerification = async (req, res) => {
+    try {
+      const { email } = req.body;
+
+      const user = await this.User.findByEmail(email);
+
+      // Don't reveal whether user exists or is already verified
+      if (user && !user.isVerified) {
+        await this._sendVerification(user);
+      }
+
+      res.json({
+        success: true,
+        message: 'If the account exists and is unverified, a verification email will be sent'
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Error processing request',
+        error: error.message
+      });
+    }
+  }
+
   // Sign out
   signOut = async (req, res) => {
     try {
-      const refreshToken = req.cookies.refreshToken;
-      const userId = req.user?.userId;
+      // Otherwise another site could sign the user out
+      const { sessionPolicy } = this;
+      if (this._failsCsrf(req) && (sessionPolicy.read(req, 'accessToken') || sessionPolicy.read(req, 'refreshToken'))) {
+        return res.status(403).json({
+          success: false,
+          code: 'CSRF_TOKEN_INVALID',
+          message: 'Invalid or missing CSRF token'
+        });
+      }
+
+      const refreshToken = sessionPolicy.read(req, 'refreshToken');
+      const session = req.user || this._verifyRequestToken(req);
+      const userId = session?.userId;
+      const { revocationList } = this.options;
 
-      if (refreshToken && userId) {
-        await this.User.removeRefreshToken(userId, refreshToken);
+      if (session && session.sid) {
+        // Sign out the current session and its access tokens
+        await this.User.revokeSession(userId, session.sid);
+        if (revocationList) {
+          await revocationList.revokeSession(session.sid, userId);
+        }
+      } else {
+        // Tokens issued before sessions had ids
+        if (refreshToken && userId) {
+          await this.User.removeRefreshToken(userId, refreshToken);
+        }
+        if (revocationList && session) {
+          await revocationList.revokeToken(session);
+        }
       }
 
       // Clear cookies
@@ -324,7 +1061,8 @@ class AuthController {
           user: {
             id: user.id,
             email: user.email,
-            name: user.name
+            name: user.name,
+            isVerified: user.isVerified
           }
         }
       });
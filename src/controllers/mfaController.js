@@ -0,0 +1,304 @@
+// src/controllers/mfaController.js
+const CryptoUtils = require('../utils/crypto');
+const TOTPUtils = require('../utils/totp');
+
+// Attempts are counted per MFA token for a little longer than it lives (5m)
+const MFA_TOKEN_WINDOW_MS = 10 * 60 * 1000;
+
+class MfaController {
+  constructor(userModel, options = {}) {
+    if (!options.encryptionKey) {
+      throw new Error('MFA encryption key is required');
+    }
+
+    this.User = userModel;
+    this.auditLogger = options.auditLogger || null;
+    this.options = {
+      issuer: 'Auth System',
+      recoveryCodeCount: 10,
+      // Codes that may be tried with one MFA token before signing in again
+      maxAttempts: 5,
+      ...options
+    };
+    this.warnedDerivedKey = false;
+  }
+
+  // The TOTP secret key. A key derived from the JWT secret is only worth a
+  // warning once MFA is actually used.
+  _encryptionKey() {
+    if (this.options.derivedEncryptionKey && !this.warnedDerivedKey) {
+      this.warnedDerivedKey = true;
+      console.warn('⚠️ mfa.encryptionKey not set. Deriving it from the JWT secret; changing the secret will invalidate enrolled authenticators.');
+    }
+    return this.options.encryptionKey;
+  }
+
+  // Count a sign in attempt against its MFA token. Resolves to false once
+  // maxAttempts codes were tried with it; the user has to sign in again.
+  async countAttempt(mfaToken) {
+    const { count } = await this.User.hitRateLimit(
+      `mfa:${CryptoUtils.hashResetToken(mfaToken)}`,
+      MFA_TOKEN_WINDOW_MS
+    );
+    return count <= this.options.maxAttempts;
+  }
+
+  // Helper method to record an audit event if auditing is configured
+  async _audit(event, userId, req, metadata = {}) {
+    if (this.auditLogger) {
+      await this.auditLogger.record(event, { userId, req, metadata });
+    }
+  }
+
+  // Generate a fresh set of recovery codes, replacing any existing ones.
+  // Only hashes are stored; the plaintext codes are shown to the user once.
+  async _generateRecoveryCodes(userId) {
+    const codes = [];
+    for (let i = 0; i < this.options.recoveryCodeCount; i++) {
+      codes.push(CryptoUtils.generateRecoveryCode());
+    }
+
+    await this.User.replaceRecoveryCodes(userId, codes.map(code => CryptoUtils.hashRecoveryCode(code)));
+    return codes;
+  }
+
+  // Check whether a user has confirmed MFA
+  async isEnabled(userId) {
+    const mfa = await this.User.findMfaByUserId(userId);
+    return Boolean(mfa && mfa.isEnabled);
+  }
+
+  // Verify a TOTP code for a user, rejecting replays of an accepted code
+  async verifyCode(userId, code, { requireEnabled = true } = {}) {
+    const mfa = await this.User.findMfaByUserId(userId);
+    if (!mfa || (requireEnabled && !mfa.isEnabled)) {
+      return false;
+    }
+
+    const secret = CryptoUtils.decrypt(mfa.secret, this._encryptionKey());
+    const step = TOTPUtils.verifyCode(secret, code);
+    if (step === null) {
+      return false;
+    }
+
+    return await this.User.updateMfaLastUsedStep(userId, step);
+  }
+
+  // Consume a recovery code in place of a TOTP code
+  async verifyRecoveryCode(userId, recoveryCode, req = null) {
+    if (!(await this.isEnabled(userId))) {
+      return false;
+    }
+
+    const isValid = await this.User.useRecoveryCode(userId, CryptoUtils.hashRecoveryCode(recoveryCode));
+    if (isValid) {
+      const remaining = await this.User.countRecoveryCodes(userId);
+      await this._audit('mfa.recovery_code_used', userId, req, { remaining });
+    }
+
+    return isValid;
+  }
+
+  // Get MFA status
+  getStatus = async (req, res) => {
+    try {
+      const mfa = await this.User.findMfaByUserId(req.user.userId);
+
+      res.json({
+        success: true,
+        data: {
+          enabled: Boolean(mfa && mfa.isEnabled),
+          enabledAt: mfa && mfa.isEnabled ? mfa.enabledAt : null
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching MFA status',
+        error: error.message
+      });
+    }
+  }
+
+  // Start enrollment: create a secret the user adds to their authenticator app
+  enroll = async (req, res) => {
+    try {
+      const { userId, email } = req.user;
+
+      if (await this.isEnabled(userId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'MFA is already enabled'
+        });
+      }
+
+      const secret = TOTPUtils.generateSecret();
+      await this.User.saveMfaSecret(userId, CryptoUtils.encrypt(secret, this._encryptionKey()));
+
+      const otpauthUri = TOTPUtils.buildOtpauthUri({
+        secret,
+        accountName: email,
+        issuer: this.options.issuer
+      });
+
+      res.json({
+        success: true,
+        message: 'Scan the QR code with your authenticator app, then confirm with a code',
+        data: {
+          secret,
+          otpauthUri,
+          qrCodeData: otpauthUri
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Error starting MFA enrollment',
+        error: error.message
+      });
+    }
+  }
+
+  // Confirm enrollment with the first code from the authenticator app
+  confirm = async (req, res) => {
+    try {
+      const { code } = req.body;
+      const { userId } = req.user;
+
+      const mfa = await this.User.findMfaByUserId(userId);
+      if (!mfa) {
+        return res.status(400).json({
+          success: false,
+          message: 'MFA enrollment has not been started'
+        });
+      }
+
+      if (mfa.isEnabled) {
+        return res.status(400).json({
+          success: false,
+          message: 'MFA is already enabled'
+        });
+      }
+
+      const isValid = await this.verifyCode(userId, code, { requireEnabled: false });
+      if (!isValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid MFA code'
+        });
+      }
+
+      await this.User.enableMfa(userId);
+      const recoveryCodes = await this._generateRecoveryCodes(userId);
+      await this._audit('mfa.enabled', userId, req);
+
+      res.json({
+        success: true,
+        message: 'MFA enabled successfully. Store your recovery codes somewhere safe.',
+        data: {
+          recoveryCodes
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Error confirming MFA',
+        error: error.message
+      });
+    }
+  }
+
+  // Disable MFA (requires a current code)
+  disable = async (req, res) => {
+    try {
+      const { code } = req.body;
+      const { userId } = req.user;
+
+      const isValid = await this.verifyCode(userId, code);
+      if (!isValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid MFA code'
+        });
+      }
+
+      await this.User.disableMfa(userId);
+      await this._audit('mfa.disabled', userId, req);
+
+      res.json({
+        success: true,
+        message: 'MFA disabled successfully'
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Error disabling MFA',
+        error: error.message
+      });
+    }
+  }
+
+  // Count unused recovery codes
+  getRecoveryCodesStatus = async (req, res) => {
+    try {
+      const { userId } = req.user;
+
+      if (!(await this.isEnabled(userId))) {
+        return res.status(400).json({
+          success: false,
+          message: 'MFA is not enabled'
+        });
+      }
+
+      const remaining = await this.User.countRecoveryCodes(userId);
+
+      res.json({
+        success: true,
+        data: {
+          remaining
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching recovery codes',
+        error: error.message
+      });
+    }
+  }
+
+  // Regenerate recovery codes (requires a current code)
+  regenerateRecoveryCodes = async (req, res) => {
+    try {
+      const { code } = req.body;
+      const { userId } = req.user;
+
+      const isValid = await this.verifyCode(userId, code);
+      if (!isValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid MFA code'
+        });
+      }
+
+      const recoveryCodes = await this._generateRecoveryCodes(userId);
+      await this._audit('mfa.recovery_codes_regenerated', userId, req);
+
+      res.json({
+        success: true,
+        message: 'Recovery codes regenerated. Previous codes no longer work.',
+        data: {
+          recoveryCodes
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Error regenerating recovery codes',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = MfaController;
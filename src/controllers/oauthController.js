@@ -0,0 +1,256 @@
+// src/controllers/oauthController.js
+const crypto = require('crypto');
+const CryptoUtils = require('../utils/crypto');
+const { OAuthProvider } = require('../utils/oauth');
+
+const STATE_COOKIE = 'oauthState';
+
+class OAuthController {
+  constructor(jwtUtils, userModel, registry, options = {}) {
+    this.jwtUtils = jwtUtils;
+    this.User = userModel;
+    this.registry = registry;
+    this.auditLogger = options.auditLogger || null;
+    this.options = {
+      basePath: '',
+      redirectBaseUrl: 'http://localhost:3000',
+      ...options
+    };
+  }
+
+  // Helper method to record an audit event if auditing is configured
+  async _audit(event, userId, req, metadata = {}) {
+    if (this.auditLogger) {
+      await this.auditLogger.record(event, { userId, req, metadata });
+    }
+  }
+
+  // Helper method to build the callback URL registered with a provider
+  _redirectUri(provider) {
+    return provider.redirectUri ||
+      `${this.options.redirectBaseUrl.replace(/\/$/, '')}${this.options.basePath}/oauth/${provider.name}/callback`;
+  }
+
+  // Helper method to compare state values without leaking timing
+  _stateMatches(expected, actual) {
+    const a = Buffer.from(String(expected || ''));
+    const b = Buffer.from(String(actual || ''));
+    return a.length > 0 && a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
+
+  // Helper method to find the local user for a provider profile, creating
+  // or linking one by verified email when needed. Returns linkRequired
+  // instead of a user when the email belongs to an unverified account.
+  async _resolveUser(provider, profile, linkUserId, req) {
+    const identity = await this.User.findIdentity(provider.name, profile.subject);
+
+    if (identity) {
+      if (linkUserId && String(identity.userId) !== String(linkUserId)) {
+        throw new Error('This account is already linked to another user');
+      }
+
+      await this.User.touchIdentity(identity.id, profile.email);
+      return { user: await this.User.findById(identity.userId), linked: false };
+    }
+
+    let user;
+    if (linkUserId) {
+      user = await this.User.findById(linkUserId);
+    } else {
+      // Only a verified email is proof that the accounts belong to the same person
+      if (!profile.email || !profile.emailVerified) {
+        throw new Error('The provider did not return a verified email address');
+      }
+
+      user = await this.User.findByEmail(profile.email);
+
+      // Whoever registered an unverified account may not own the address and
+      // could still know its password, so its owner has to sign in and link
+      // the provider explicitly
+      if (user && !user.isVerified) {
+        await this._audit('oauth.link_required', user.id, req, { provider: provider.name });
+        return { user: null, linked: false, linkRequired: true };
+      }
+
+      if (!user) {
+        // A random password keeps the account usable only through the provider
+        // until the user sets one with the password reset flow
+        user = await this.User.create({
+          email: profile.email,
+          password: CryptoUtils.generateResetToken(),
+          name: profile.name || profile.email.split('@')[0]
+        });
+        await this._audit('oauth.user_created', user.id, req, { provider: provider.name });
+
+        await this.User.markEmailVerified(user.id);
+        user = { ...user, isVerified: true };
+      }
+    }
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    await this.User.linkIdentity(user.id, {
+      provider: provider.name,
+      subject: profile.subject,
+      email: profile.email
+    });
+    await this._audit('oauth.linked', user.id, req, { provider: provider.name });
+
+    return { user, linked: true };
+  }
+
+  // Complete the authorization code flow for a callback request.
+  // Used by AuthController.signInOAuth.
+  // Returns { user, linked, linkRequired, linkMode }
+  async handleCallback(req, res) {
+    const provider = this.registry.get(req.params.provider);
+    if (!provider) {
+      throw new Error('Unknown OAuth provider');
+    }
+
+    const stateToken = req.cookies ? req.cookies[STATE_COOKIE] : null;
+    res.clearCookie(STATE_COOKIE, { path: `${this.options.basePath}/oauth` });
+
+    if (req.query.error) {
+      throw new Error(`Provider returned an error: ${req.query.error}`);
+    }
+
+    if (!stateToken) {
+      throw new Error('Missing OAuth state');
+    }
+
+    const state = this.jwtUtils.verifyOAuthStateToken(stateToken);
+    if (state.provider !== provider.name || !this._stateMatches(state.state, req.query.state)) {
+      throw new Error('OAuth state mismatch');
+    }
+
+    if (!req.query.code) {
+      throw new Error('Missing authorization code');
+    }
+
+    const tokens = await provider.exchangeCode({
+      code: req.query.code,
+      redirectUri: this._redirectUri(provider),
+      codeVerifier: state.codeVerifier
+    });
+    const profile = await provider.getProfile(tokens, { nonce: state.nonce });
+
+    const result = await this._resolveUser(provider, profile, state.linkUserId, req);
+    return { ...result, linkMode: Boolean(state.linkUserId) };
+  }
+
+  // Redirect to the provider. With an authenticated user (the /link route)
+  // the provider account is linked to them instead of signing in.
+  start = async (req, res) => {
+    try {
+      const provider = this.registry.get(req.params.provider);
+      if (!provider) {
+        return res.status(404).json({
+          success: false,
+          message: 'Unknown OAuth provider'
+        });
+      }
+
+      const state = CryptoUtils.generateResetToken();
+      const nonce = CryptoUtils.generateResetToken();
+      const { codeVerifier, codeChallenge } = OAuthProvider.generatePkce();
+
+      const authorizationUrl = await provider.getAuthorizationUrl({
+        redirectUri: this._redirectUri(provider),
+        state,
+        nonce,
+        codeChallenge
+      });
+
+      // The provider redirects back cross-site, so this cookie must be "lax"
+      res.cookie(STATE_COOKIE, this.jwtUtils.generateOAuthStateToken({
+        provider: provider.name,
+        state,
+        nonce,
+        codeVerifier,
+        linkUserId: req.user ? req.user.userId : null
+      }), {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === 'production',
+        sameSite: 'lax',
+        path: `${this.options.basePath}/oauth`,
+        maxAge: 10 * 60 * 1000 // 10 minutes
+      });
+
+      res.redirect(authorizationUrl);
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Error starting OAuth sign in',
+        error: error.message
+      });
+    }
+  }
+
+  // List configured providers (for rendering sign-in buttons)
+  listProviders = (req, res) => {
+    res.json({
+      success: true,
+      data: {
+        providers: this.registry.list()
+      }
+    });
+  }
+
+  // List the current user's linked identities
+  listIdentities = async (req, res) => {
+    try {
+      const identities = await this.User.findIdentitiesByUserId(req.user.userId);
+
+      res.json({
+        success: true,
+        data: {
+          identities: identities.map(identity => ({
+            provider: identity.provider,
+            email: identity.email,
+            createdAt: identity.createdAt,
+            lastUsedAt: identity.lastUsedAt
+          }))
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching linked accounts',
+        error: error.message
+      });
+    }
+  }
+
+  // Unlink a provider from the current user
+  unlinkIdentity = async (req, res) => {
+    try {
+      const { userId } = req.user;
+      const removed = await this.User.unlinkIdentity(userId, req.params.provider);
+
+      if (!removed) {
+        return res.status(404).json({
+          success: false,
+          message: 'Linked account not found'
+        });
+      }
+
+      await this._audit('oauth.unlinked', userId, req, { provider: req.params.provider });
+
+      res.json({
+        success: true,
+        message: 'Account unlinked successfully'
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Error unlinking account',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = OAuthController;
@@ -0,0 +1,504 @@
+// src/controllers/oidcProviderController.js
+const crypto = require('crypto');
+const CryptoUtils = require('../utils/crypto');
+
+const SUPPORTED_SCOPES = ['openid', 'profile', 'email'];
+
+// Shown on the consent screen
+const SCOPE_DESCRIPTIONS = {
+  openid: 'Sign you in with your account',
+  profile: 'See your name',
+  email: 'See your email address'
+};
+
+class OidcProviderController {
+  constructor(jwtUtils, userModel, options = {}) {
+    if (!options.issuer) {
+      throw new Error('OIDC provider requires an issuer');
+    }
+
+    this.jwtUtils = jwtUtils;
+    this.User = userModel;
+    this.auditLogger = options.auditLogger || null;
+    this.options = {
+      basePath: '',
+      accessTokenExpiry: '15m',
+      idTokenExpiry: '1h',
+      codeExpiresInSeconds: 60,
+      ...options,
+      issuer: options.issuer.replace(/\/$/, '')
+    };
+  }
+
+  // Helper method to record an audit event if auditing is configured
+  async _audit(event, userId, req, metadata = {}) {
+    if (this.auditLogger) {
+      await this.auditLogger.record(event, { userId, req, metadata });
+    }
+  }
+
+  // Register a client application. The plaintext secret is only returned here.
+  async registerClient({
+    name,
+    redirectUris = [],
+    scopes = SUPPORTED_SCOPES,
+    confidential = true,
+    skipConsent = false
+  } = {}) {
+    if (!name) {
+      throw new Error('Client name is required');
+    }
+
+    if (!Array.isArray(redirectUris) || redirectUris.length === 0) {
+      throw new Error('At least one redirect URI is required');
+    }
+
+    redirectUris.forEach(uri => {
+      const url = new URL(uri);
+      if (url.hash) {
+        throw new Error('Redirect URIs must not contain a fragment');
+      }
+    });
+
+    const unsupported = scopes.filter(scope => !SUPPORTED_SCOPES.includes(scope));
+    if (unsupported.length > 0) {
+      throw new Error(`Unsupported scopes: ${unsupported.join(', ')}`);
+    }
+
+    const clientId = crypto.randomBytes(16).toString('hex');
+    const clientSecret = confidential ? CryptoUtils.generateResetToken() : null;
+
+    const client = await this.User.createOidcClient({
+      clientId,
+      clientSecret: clientSecret ? CryptoUtils.hashResetToken(clientSecret) : null,
+      name,
+      redirectUris,
+      scopes: scopes.includes('openid') ? scopes : ['openid', ...scopes],
+      skipConsent
+    });
+
+    return { ...client, clientSecret };
+  }
+
+  // Helper method to redirect an authorization error back to the client
+  _redirectError(res, redirectUri, state, error, description) {
+    const url = new URL(redirectUri);
+    url.searchParams.set('error', error);
+    if (description) {
+      url.searchParams.set('error_description', description);
+    }
+    if (state) {
+      url.searchParams.set('state', state);
+    }
+    return res.redirect(url.toString());
+  }
+
+  // Helper method for token endpoint errors (RFC 6749 §5.2)
+  _tokenError(res, status, error, description) {
+    res.set('Cache-Control', 'no-store');
+    return res.status(status).json({ error, error_description: description });
+  }
+
+  // Helper method to issue an authorization code and send the user back
+  async _issueCode(res, grant) {
+    const code = CryptoUtils.generateResetToken();
+    await this.User.storeAuthorizationCode(
+      CryptoUtils.hashResetToken(code),
+      grant,
+      this.options.codeExpiresInSeconds
+    );
+
+    const url = new URL(grant.redirectUri);
+    url.searchParams.set('code', code);
+    if (grant.state) {
+      url.searchParams.set('state', grant.state);
+    }
+    url.searchParams.set('iss', this.options.issuer);
+    res.redirect(url.toString());
+  }
+
+  // Helper method to authenticate a client with client_secret_basic or client_secret_post
+  async _authenticateClient(req) {
+    let clientId = req.body.client_id;
+    let clientSecret = req.body.client_secret;
+
+    const authHeader = req.headers.authorization;
+    if (authHeader && authHeader.startsWith('Basic ')) {
+      const decoded = Buffer.from(authHeader.slice(6), 'base64').toString('utf8');
+      const separator = decoded.indexOf(':');
+      clientId = decodeURIComponent(decoded.slice(0, separator));
+      clientSecret = decodeURIComponent(decoded.slice(separator + 1));
+    }
+
+    if (!clientId) {
+      return null;
+    }
+
+    const client = await this.User.findOidcClient(clientId);
+    if (!client) {
+      return null;
+    }
+
+    // Public clients have no secret and rely on PKCE instead
+    if (!client.isConfidential) {
+      return client;
+    }
+
+    if (!clientSecret) {
+      return null;
+    }
+
+    const expected = Buffer.from(client.clientSecret);
+    const actual = Buffer.from(CryptoUtils.hashResetToken(clientSecret));
+    return crypto.timingSafeEqual(expected, actual) ? client : null;
+  }
+
+  // Helper method to build the user claims allowed by the granted scopes
+  _userClaims(user, scopes) {
+    const claims = { sub: String(user.id) };
+
+    if (scopes.includes('profile')) {
+      claims.name = user.name;
+    }
+
+    if (scopes.includes('email')) {
+      claims.email = user.email;
+      claims.email_verified = Boolean(user.isVerified);
+    }
+
+    return claims;
+  }
+
+  // Helper method to revoke a replayed refresh token's family
+  async _revokeTokenFamily(record, client, req) {
+    const revoked = await this.User.revokeRefreshTokenFamily(record.familyId);
+    await this._audit('refresh_token.reuse_detected', record.userId, req, {
+      clientId: client.clientId,
+      familyId: record.familyId,
+      revokedTokens: revoked
+    });
+  }
+
+  // Helper method to issue access, refresh and ID tokens to a client.
+  // Refresh tokens go to the same storage as browser sessions; family links
+  // a rotated token to the one it replaces.
+  async _tokenResponse(res, client, user, scopes, nonce = null, family = {}) {
+    const scope = scopes.join(' ');
+    const sessionId = family.familyId || crypto.randomUUID();
+
+    const accessToken = this.jwtUtils.generateClientAccessToken({
+      userId: user.id,
+      clientId: client.clientId,
+      scope,
+      sid: sessionId
+    }, {
+      issuer: this.options.issuer,
+      expiresIn: this.options.accessTokenExpiry
+    });
+
+    const refreshToken = this.jwtUtils.generateRefreshToken({
+      userId: user.id,
+      clientId: client.clientId,
+      scope,
+      sid: sessionId
+    });
+    await this.User.storeRefreshToken(user.id, refreshToken, {
+      ...family,
+      familyId: sessionId,
+      userAgent: res.req ? res.req.headers['user-agent'] || null : null,
+      ipAddress: res.req ? res.req.ip : null,
+      deviceLabel: client.name
+    });
+
+    const idToken = this.jwtUtils.generateIdToken({
+      ...this._userClaims(user, scopes),
+      ...(nonce ? { nonce } : {})
+    }, {
+      issuer: this.options.issuer,
+      audience: client.clientId,
+      expiresIn: this.options.idTokenExpiry
+    });
+
+    const { exp, iat } = this.jwtUtils.decodeToken(accessToken);
+
+    res.set('Cache-Control', 'no-store');
+    res.set('Pragma', 'no-cache');
+    res.json({
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: exp - iat,
+      refresh_token: refreshToken,
+      id_token: idToken,
+      scope
+    });
+  }
+
+  // Discovery document (OpenID Connect Discovery 1.0)
+  discovery = (req, res) => {
+    const { issuer } = this.options;
+
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      userinfo_endpoint: `${issuer}/userinfo`,
+      jwks_uri: `${issuer}/.well-known/jwks.json`,
+      response_types_supported: ['code'],
+      grant_types_supported: ['authorization_code', 'refresh_token'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: [this.jwtUtils.getAccessTokenAlgorithm()],
+      scopes_supported: SUPPORTED_SCOPES,
+      claims_supported: ['sub', 'iss', 'aud', 'exp', 'iat', 'nonce', 'name', 'email', 'email_verified'],
+      token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+      code_challenge_methods_supported: ['S256']
+    });
+  }
+
+  // Authorization endpoint: sign the user in, ask for consent, issue a code
+  authorize = async (req, res) => {
+    try {
+      const {
+        client_id: clientId,
+        redirect_uri: redirectUri,
+        response_type: responseType,
+        scope = '',
+        state,
+        nonce,
+        code_challenge: codeChallenge,
+        code_challenge_method: codeChallengeMethod,
+        prompt = ''
+      } = req.query;
+
+      // Never redirect to a URI that isn't registered for the client
+      const client = clientId ? await this.User.findOidcClient(clientId) : null;
+      if (!client || !client.redirectUris.includes(redirectUri)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Unknown client or unregistered redirect URI'
+        });
+      }
+
+      if (responseType !== 'code') {
+        return this._redirectError(res, redirectUri, state, 'unsupported_response_type');
+      }
+
+      const scopes = String(scope).split(' ').filter(Boolean);
+      if (!scopes.includes('openid') || scopes.some(item => !client.scopes.includes(item))) {
+        return this._redirectError(res, redirectUri, state, 'invalid_scope');
+      }
+
+      if (codeChallenge && codeChallengeMethod !== 'S256') {
+        return this._redirectError(res, redirectUri, state, 'invalid_request', 'Only the S256 code challenge method is supported');
+      }
+
+      if (!codeChallenge && !client.isConfidential) {
+        return this._redirectError(res, redirectUri, state, 'invalid_request', 'PKCE is required for public clients');
+      }
+
+      const prompts = String(prompt).split(' ');
+
+      if (!req.user || !req.user.userId || req.user.clientId) {
+        if (prompts.includes('none')) {
+          return this._redirectError(res, redirectUri, state, 'login_required');
+        }
+
+        const returnTo = `${this.options.basePath}/authorize?${new URLSearchParams(req.query).toString()}`;
+        return res.redirect(`${this.options.basePath}/signin?returnTo=${encodeURIComponent(returnTo)}`);
+      }
+
+      const grant = {
+        userId: req.user.userId,
+        clientId: client.clientId,
+        redirectUri,
+        scope: scopes.join(' '),
+        state: state || null,
+        nonce: nonce || null,
+        codeChallenge: codeChallenge || null
+      };
+
+      const granted = await this.User.findOidcConsent(req.user.userId, client.clientId);
+      const needsConsent = prompts.includes('consent') ||
+        (!client.skipConsent && scopes.some(item => !granted.includes(item)));
+
+      if (!needsConsent) {
+        return await this._issueCode(res, grant);
+      }
+
+      if (prompts.includes('none')) {
+        return this._redirectError(res, redirectUri, state, 'consent_required');
+      }
+
+      res.render('auth/consent', {
+        title: 'Authorize Application',
+        layout: 'layouts/auth-layout',
+        basePath: this.options.basePath,
+        clientName: client.name,
+        scopes: scopes.map(item => SCOPE_DESCRIPTIONS[item]),
+        consentToken: this.jwtUtils.generateConsentToken(grant),
+        csrfToken: this.options.csrf ? this.options.csrf.getToken(req, res) : null,
+        error: null,
+        success: null
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Error processing authorization request',
+        error: error.message
+      });
+    }
+  }
+
+  // Consent screen submission
+  authorizeDecision = async (req, res) => {
+    try {
+      let grant;
+      try {
+        grant = this.jwtUtils.verifyConsentToken(req.body.consentToken);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Authorization request expired, please try again'
+        });
+      }
+
+      if (!req.user || String(req.user.userId) !== String(grant.userId)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Authorization request belongs to another user'
+        });
+      }
+
+      const client = await this.User.findOidcClient(grant.clientId);
+      if (!client || !client.redirectUris.includes(grant.redirectUri)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Unknown client or unregistered redirect URI'
+        });
+      }
+
+      if (req.body.decision !== 'allow') {
+        return this._redirectError(res, grant.redirectUri, grant.state, 'access_denied');
+      }
+
+      await this.User.saveOidcConsent(grant.userId, client.clientId, grant.scope.split(' '));
+      await this._audit('oidc.consent_granted', grant.userId, req, {
+        clientId: client.clientId,
+        scope: grant.scope
+      });
+
+      await this._issueCode(res, grant);
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Error processing authorization request',
+        error: error.message
+      });
+    }
+  }
+
+  // Token endpoint: authorization_code (with PKCE) and refresh_token grants
+  token = async (req, res) => {
+    try {
+      const client = await this._authenticateClient(req);
+      if (!client) {
+        return this._tokenError(res, 401, 'invalid_client', 'Client authentication failed');
+      }
+
+      const { grant_type: grantType } = req.body;
+
+      if (grantType === 'authorization_code') {
+        const { code, redirect_uri: redirectUri, code_verifier: codeVerifier } = req.body;
+
+        const grant = code ? await this.User.consumeAuthorizationCode(CryptoUtils.hashResetToken(code)) : null;
+        if (!grant || grant.clientId !== client.clientId || grant.redirectUri !== redirectUri) {
+          return this._tokenError(res, 400, 'invalid_grant', 'Invalid or expired authorization code');
+        }
+
+        if (grant.codeChallenge) {
+          const challenge = codeVerifier
+            ? crypto.createHash('sha256').update(codeVerifier).digest('base64url')
+            : '';
+          if (challenge !== grant.codeChallenge) {
+            return this._tokenError(res, 400, 'invalid_grant', 'PKCE verification failed');
+          }
+        }
+
+        const user = await this.User.findById(grant.userId);
+        if (!user) {
+          return this._tokenError(res, 400, 'invalid_grant', 'User not found');
+        }
+
+        return await this._tokenResponse(res, client, user, grant.scope.split(' '), grant.nonce);
+      }
+
+      if (grantType === 'refresh_token') {
+        const { refresh_token: refreshToken } = req.body;
+
+        let decoded;
+        try {
+          decoded = this.jwtUtils.verifyRefreshToken(refreshToken);
+        } catch (error) {
+          return this._tokenError(res, 400, 'invalid_grant', 'Invalid refresh token');
+        }
+
+        if (decoded.clientId !== client.clientId) {
+          return this._tokenError(res, 400, 'invalid_grant', 'Invalid refresh token');
+        }
+
+        // Rotate: the old refresh token stops working. Presenting it again
+        // revokes every token rotated from the same grant.
+        const record = await this.User.findRefreshTokenRecord(decoded.userId, refreshToken);
+        if (record && record.rotatedAt) {
+          await this._revokeTokenFamily(record, client, req);
+          return this._tokenError(res, 400, 'invalid_grant', 'Invalid refresh token');
+        }
+
+        const user = record ? await this.User.findByRefreshToken(decoded.userId, refreshToken) : null;
+        if (!user) {
+          return this._tokenError(res, 400, 'invalid_grant', 'Invalid refresh token');
+        }
+
+        if (!(await this.User.markRefreshTokenRotated(record.id))) {
+          await this._revokeTokenFamily(record, client, req);
+          return this._tokenError(res, 400, 'invalid_grant', 'Invalid refresh token');
+        }
+
+        return await this._tokenResponse(res, client, user, decoded.scope.split(' '), null, {
+          familyId: record.familyId,
+          parentId: record.id,
+          createdAt: record.createdAt
+        });
+      }
+
+      return this._tokenError(res, 400, 'unsupported_grant_type', 'Unsupported grant type');
+    } catch (error) {
+      this._tokenError(res, 500, 'server_error', error.message);
+    }
+  }
+
+  // Userinfo endpoint (requires an access token issued to a client, see
+  // authenticateClientToken)
+  userinfo = async (req, res) => {
+    try {
+      const scopes = req.user.scope ? req.user.scope.split(' ') : [];
+      if (!scopes.includes('openid')) {
+        res.set('WWW-Authenticate', 'Bearer error="insufficient_scope"');
+        return res.status(403).json({ error: 'insufficient_scope' });
+      }
+
+      const user = await this.User.findById(req.user.userId);
+      if (!user) {
+        res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+        return res.status(401).json({ error: 'invalid_token' });
+      }
+
+      res.json(this._userClaims(user, scopes));
+    } catch (error) {
+      res.status(500).json({ error: 'server_error', error_description: error.message });
+    }
+  }
+}
+
+OidcProviderController.SUPPORTED_SCOPES = SUPPORTED_SCOPES;
+
+module.exports = OidcProviderController;
@@ -0,0 +1,244 @@
+// src/controllers/roleController.js
+
+// Admin endpoints for roles, permissions and role assignments. Access tokens
+// carry roles/permissions as claims, so a user whose roles change has their
+// access tokens revoked and picks up the new claims on the next refresh.
+class RoleController {
+  constructor(userModel, options = {}) {
+    this.User = userModel;
+    this.revocationList = options.revocationList || null;
+    this.auditLogger = options.auditLogger || null;
+  }
+
+  // Helper method to record an audit event if auditing is configured
+  async _audit(event, req, metadata = {}) {
+    if (this.auditLogger) {
+      await this.auditLogger.record(event, { userId: req.user.userId, req, metadata });
+    }
+  }
+
+  // Helper method to make a user's current access tokens stale
+  async _refreshClaims(userId) {
+    if (this.revocationList) {
+      await this.revocationList.revokeUser(userId);
+    }
+  }
+
+  // List roles with their permissions
+  listRoles = async (req, res) => {
+    try {
+      const roles = await this.User.findRoles();
+
+      res.json({
+        success: true,
+        data: { roles }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching roles',
+        error: error.message
+      });
+    }
+  }
+
+  // Create a role, optionally with permissions
+  createRole = async (req, res) => {
+    try {
+      const { name, description = null, permissions = [] } = req.body;
+
+      await this.User.createRole(name, description);
+      for (const permission of permissions) {
+        await this.User.grantPermission(name, permission);
+      }
+
+      await this._audit('role.created', req, { role: name, permissions });
+
+      res.status(201).json({
+        success: true,
+        message: 'Role created successfully',
+        data: { role: await this.User.findRole(name) }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Error creating role',
+        error: error.message
+      });
+    }
+  }
+
+  // Delete a role
+  deleteRole = async (req, res) => {
+    try {
+      const deleted = await this.User.deleteRole(req.params.name);
+
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          message: 'Role not found'
+        });
+      }
+
+      await this._audit('role.deleted', req, { role: req.params.name });
+
+      res.json({
+        success: true,
+        message: 'Role deleted successfully'
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Error deleting role',
+        error: error.message
+      });
+    }
+  }
+
+  // Grant a permission to a role
+  grantPermission = async (req, res) => {
+    try {
+      const { name } = req.params;
+      const { permission } = req.body;
+
+      if (!(await this.User.findRole(name))) {
+        return res.status(404).json({
+          success: false,
+          message: 'Role not found'
+        });
+      }
+
+      await this.User.grantPermission(name, permission);
+      await this._audit('role.permission_granted', req, { role: name, permission });
+
+      res.json({
+        success: true,
+        message: 'Permission granted successfully',
+        data: { role: await this.User.findRole(name) }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Error granting permission',
+        error: error.message
+      });
+    }
+  }
+
+  // Take a permission away from a role
+  revokePermission = async (req, res) => {
+    try {
+      const { name, permission } = req.params;
+      const revoked = await this.User.revokePermission(name, permission);
+
+      if (!revoked) {
+        return res.status(404).json({
+          success: false,
+          message: 'Role does not have that permission'
+        });
+      }
+
+      await this._audit('role.permission_revoked', req, { role: name, permission });
+
+      res.json({
+        success: true,
+        message: 'Permission revoked successfully'
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Error revoking permission',
+        error: error.message
+      });
+    }
+  }
+
+  // A user's roles and effective permissions
+  getUserRoles = async (req, res) => {
+    try {
+      const user = await this.User.findById(req.params.id);
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: await this.User.findUserAccess(user.id)
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching user roles',
+        error: error.message
+      });
+    }
+  }
+
+  // Give a user a role
+  assignRole = async (req, res) => {
+    try {
+      const { role } = req.body;
+      const user = await this.User.findById(req.params.id);
+
+      if (!user || !(await this.User.findRole(role))) {
+        return res.status(404).json({
+          success: false,
+          message: user ? 'Role not found' : 'User not found'
+        });
+      }
+
+      if (await this.User.assignRole(user.id, role)) {
+        await this._refreshClaims(user.id);
+        await this._audit('role.assigned', req, { targetUserId: user.id, role });
+      }
+
+      res.json({
+        success: true,
+        message: 'Role assigned successfully',
+        data: await this.User.findUserAccess(user.id)
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Error assigning role',
+        error: error.message
+      });
+    }
+  }
+
+  // Take a role away from a user
+  removeRole = async (req, res) => {
+    try {
+      const { id, role } = req.params;
+      const removed = await this.User.removeRole(id, role);
+
+      if (!removed) {
+        return res.status(404).json({
+          success: false,
+          message: 'User does not have that role'
+        });
+      }
+
+      await this._refreshClaims(id);
+      await this._audit('role.removed', req, { targetUserId: id, role });
+
+      res.json({
+        success: true,
+        message: 'Role removed successfully',
+        data: await this.User.findUserAccess(id)
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Error removing role',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = RoleController;
@@ -0,0 +1,114 @@
+// src/controllers/sessionController.js
+
+// Lists and signs out the devices a user is signed in on. A session is a
+// refresh token family; access tokens name it in their sid claim.
+class SessionController {
+  constructor(userModel, options = {}) {
+    this.User = userModel;
+    this.revocationList = options.revocationList || null;
+    this.auditLogger = options.auditLogger || null;
+  }
+
+  // Helper method to record an audit event if auditing is configured
+  async _audit(event, userId, req, metadata = {}) {
+    if (this.auditLogger) {
+      await this.auditLogger.record(event, { userId, req, metadata });
+    }
+  }
+
+  // Helper method to sign a session out, including its access tokens
+  async _revoke(userId, sessionId) {
+    const revoked = await this.User.revokeSession(userId, sessionId);
+    if (revoked && this.revocationList) {
+      await this.revocationList.revokeSession(sessionId, userId);
+    }
+    return revoked;
+  }
+
+  // List the current user's sessions
+  listSessions = async (req, res) => {
+    try {
+      const sessions = await this.User.findSessionsByUserId(req.user.userId);
+
+      res.json({
+        success: true,
+        data: {
+          sessions: sessions.map(session => ({
+            id: session.id,
+            deviceLabel: session.deviceLabel,
+            userAgent: session.userAgent,
+            ipAddress: session.ipAddress,
+            createdAt: session.createdAt,
+            lastUsedAt: session.lastUsedAt,
+            current: session.id === req.user.sid
+          }))
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching sessions',
+        error: error.message
+      });
+    }
+  }
+
+  // Sign out one session
+  revokeSession = async (req, res) => {
+    try {
+      const { userId } = req.user;
+      const revoked = await this._revoke(userId, req.params.id);
+
+      if (!revoked) {
+        return res.status(404).json({
+          success: false,
+          message: 'Session not found'
+        });
+      }
+
+      await this._audit('session.revoked', userId, req, { sessionId: req.params.id });
+
+      res.json({
+        success: true,
+        message: 'Session signed out successfully'
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Error signing out session',
+        error: error.message
+      });
+    }
+  }
+
+  // Sign out every session except the one making the request
+  revokeOtherSessions = async (req, res) => {
+    try {
+      const { userId, sid } = req.user;
+      const sessions = await this.User.findSessionsByUserId(userId);
+      const others = sessions.filter(session => session.id !== sid);
+
+      for (const session of others) {
+        await this._revoke(userId, session.id);
+      }
+
+      await this._audit('session.revoked_others', userId, req, { count: others.length });
+
+      res.json({
+        success: true,
+        message: 'Other sessions signed out successfully',
+        data: {
+          revoked: others.length
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Error signing out other sessions',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = SessionController;
@@ -1,10 +1,31 @@
 // src/controllers/tokenController.js
 const CryptoUtils = require('../utils/crypto');
+const { toSeconds } = require('../utils/duration');
+
+// Claims generateCustomToken may set unless allowedClaims says otherwise.
+// Roles, permissions, sid and the registered JWT claims are never minted.
+const DEFAULT_ALLOWED_CLAIMS = ['userId', 'email', 'name'];
 
 class TokenController {
-  constructor(jwtUtils, userModel) {
+  constructor(jwtUtils, userModel, options = {}) {
     this.jwtUtils = jwtUtils;
     this.User = userModel;
+    this.options = options;
+    this.auditLogger = options.auditLogger || null;
+    this.allowedClaims = options.allowedClaims || DEFAULT_ALLOWED_CLAIMS;
+    this.maxTokenExpiry = toSeconds(options.maxTokenExpiry || '1h');
+  }
+
+  // Helper method to audit an admin action, made by a user or with the API key
+  async _audit(event, req, metadata = {}) {
+    if (this.auditLogger) {
+      const admin = req.admin || { type: 'user', userId: req.user ? req.user.userId : null };
+      await this.auditLogger.record(event, {
+        userId: admin.userId,
+        req,
+        metadata: { ...metadata, via: admin.type }
+      });
+    }
   }
 
   // Verify access token
@@ -104,6 +125,11 @@ class TokenController {
       }
 
       await this.User.clearAllRefreshTokens(userId);
+      if (this.options.revocationList) {
+        await this.options.revocationList.revokeUser(userId);
+      }
+
+      await this._audit('admin.tokens_revoked', req, { targetUserId: userId });
 
       res.json({
         success: true,
@@ -131,18 +157,20 @@ class TokenController {
         });
       }
 
-      const decoded = this.jwtUtils.decodeToken(token);
+      const complete = this.jwtUtils.decodeToken(token, { complete: true });
       
-      if (!decoded) {
+      if (!complete) {
         return res.status(400).json({
           success: false,
           message: 'Invalid token'
         });
       }
 
+      const decoded = complete.payload;
       const tokenInfo = {
         type: 'JWT',
-        algorithm: decoded.alg || 'HS256',
+        algorithm: complete.header.alg || 'HS256',
+        keyId: complete.header.kid || 'N/A',
         issuedAt: decoded.iat ? new Date(decoded.iat * 1000).toISOString() : 'N/A',
         expiresAt: decoded.exp ? new Date(decoded.exp * 1000).toISOString() : 'N/A',
         subject: decoded.sub || 'N/A',
@@ -171,25 +199,55 @@ class TokenController {
     }
   }
 
+  // Public signing keys (JWK Set) for services that verify our access tokens
+  getJwks = (req, res) => {
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json(this.jwtUtils.getJwks());
+  }
+
   // Generate custom token (for admin purposes)
   generateCustomToken = async (req, res) => {
     try {
       const { payload, expiresIn = '1h' } = req.body;
 
-      if (!payload) {
+      if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
         return res.status(400).json({
           success: false,
           message: 'Payload is required'
         });
       }
 
-      const token = this.jwtUtils.generateAccessToken(payload, expiresIn);
+      const forbidden = Object.keys(payload).filter(claim => !this.allowedClaims.includes(claim));
+      if (forbidden.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Claims not allowed: ${forbidden.join(', ')}`
+        });
+      }
+
+      let lifetime;
+      try {
+        lifetime = toSeconds(expiresIn);
+      } catch (error) {
+        lifetime = null;
+      }
+      if (!lifetime || lifetime > this.maxTokenExpiry) {
+        return res.status(400).json({
+          success: false,
+          message: `expiresIn must be between 1 second and ${this.maxTokenExpiry} seconds`
+        });
+      }
+
+      const token = this.jwtUtils.generateAccessToken(payload, lifetime);
+      const { jti } = this.jwtUtils.decodeToken(token);
+
+      await this._audit('admin.token_generated', req, { jti, claims: Object.keys(payload), expiresIn: lifetime });
 
       res.json({
         success: true,
         data: {
           token,
-          expiresIn,
+          expiresIn: lifetime,
           payload
         }
       });
@@ -0,0 +1,302 @@
+// src/controllers/webauthnController.js
+const CryptoUtils = require('../utils/crypto');
+const WebAuthnUtils = require('../utils/webauthn');
+
+class WebAuthnController {
+  constructor(userModel, options = {}) {
+    if (!options.rpId || !options.origin) {
+      throw new Error('WebAuthn requires rpId and origin');
+    }
+
+    this.User = userModel;
+    this.auditLogger = options.auditLogger || null;
+    this.options = {
+      rpName: 'Auth System',
+      timeout: 60000,
+      userVerification: 'preferred',
+      ...options
+    };
+  }
+
+  // Helper method to record an audit event if auditing is configured
+  async _audit(event, userId, req, metadata = {}) {
+    if (this.auditLogger) {
+      await this.auditLogger.record(event, { userId, req, metadata });
+    }
+  }
+
+  // Helper method to create and store a challenge for a ceremony
+  async _createChallenge(userId, type) {
+    const challenge = WebAuthnUtils.generateChallenge();
+    await this.User.storeWebAuthnChallenge(userId, CryptoUtils.hashResetToken(challenge), type);
+    return challenge;
+  }
+
+  // Helper method to consume the challenge a ceremony response was signed over
+  async _consumeChallenge(credential, type) {
+    const challenge = WebAuthnUtils.getChallenge(credential);
+    const stored = await this.User.consumeWebAuthnChallenge(CryptoUtils.hashResetToken(String(challenge)), type);
+    if (!stored) {
+      throw new Error('Unknown or expired challenge');
+    }
+
+    return { challenge, userId: stored.userId };
+  }
+
+  // Verify a passkey assertion and return the user it belongs to.
+  // Used by AuthController.signInPasskey.
+  async verifyAssertion(credential, req = null) {
+    const { challenge } = await this._consumeChallenge(credential, 'authentication');
+
+    const stored = await this.User.findWebAuthnCredential(credential.id);
+    if (!stored) {
+      throw new Error('Unknown credential');
+    }
+
+    let result;
+    try {
+      result = WebAuthnUtils.verifyAuthentication({
+        credential,
+        expectedChallenge: challenge,
+        expectedOrigin: this.options.origin,
+        expectedRpId: this.options.rpId,
+        publicKey: stored.publicKey,
+        storedSignCount: stored.signCount,
+        requireUserVerification: this.options.userVerification === 'required'
+      });
+    } catch (error) {
+      if (error.message === 'Signature counter did not increase') {
+        await this._audit('webauthn.counter_mismatch', stored.userId, req, {
+          credentialId: stored.id,
+          storedSignCount: stored.signCount
+        });
+      }
+      throw error;
+    }
+
+    await this.User.updateWebAuthnSignCount(stored.credentialId, result.signCount);
+
+    const user = await this.User.findById(stored.userId);
+    if (!user) {
+      throw new Error('Unknown credential');
+    }
+
+    return { user, userVerified: result.userVerified };
+  }
+
+  // Registration options (navigator.credentials.create)
+  registrationOptions = async (req, res) => {
+    try {
+      const { userId, email } = req.user;
+      const user = await this.User.findById(userId);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      const existing = await this.User.findWebAuthnCredentialsByUserId(userId);
+      const challenge = await this._createChallenge(userId, 'registration');
+
+      res.json({
+        success: true,
+        data: {
+          publicKey: {
+            challenge,
+            rp: {
+              id: this.options.rpId,
+              name: this.options.rpName
+            },
+            user: {
+              id: WebAuthnUtils.toBase64Url(Buffer.from(String(userId))),
+              name: email,
+              displayName: user.name
+            },
+            pubKeyCredParams: [
+              { type: 'public-key', alg: WebAuthnUtils.COSE_ALGORITHMS.ES256 },
+              { type: 'public-key', alg: WebAuthnUtils.COSE_ALGORITHMS.EdDSA },
+              { type: 'public-key', alg: WebAuthnUtils.COSE_ALGORITHMS.RS256 }
+            ],
+            timeout: this.options.timeout,
+            attestation: 'none',
+            excludeCredentials: existing.map(credential => ({
+              type: 'public-key',
+              id: credential.credentialId,
+              transports: credential.transports
+            })),
+            authenticatorSelection: {
+              residentKey: 'preferred',
+              userVerification: this.options.userVerification
+            }
+          }
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Error creating passkey registration options',
+        error: error.message
+      });
+    }
+  }
+
+  // Verify and store a new passkey
+  verifyRegistration = async (req, res) => {
+    try {
+      const { credential, name } = req.body;
+      const { userId } = req.user;
+
+      let registration;
+      try {
+        const { challenge, userId: challengeUserId } = await this._consumeChallenge(credential, 'registration');
+        if (String(challengeUserId) !== String(userId)) {
+          throw new Error('Challenge was issued to another user');
+        }
+
+        registration = WebAuthnUtils.verifyRegistration({
+          credential,
+          expectedChallenge: challenge,
+          expectedOrigin: this.options.origin,
+          expectedRpId: this.options.rpId,
+          requireUserVerification: this.options.userVerification === 'required'
+        });
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Passkey registration failed',
+          error: error.message
+        });
+      }
+
+      if (await this.User.findWebAuthnCredential(registration.credentialId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Passkey is already registered'
+        });
+      }
+
+      const id = await this.User.storeWebAuthnCredential(userId, {
+        ...registration,
+        transports: Array.isArray(credential.response.transports) ? credential.response.transports : null,
+        name: name ? String(name).substring(0, 100) : 'Passkey'
+      });
+      await this._audit('webauthn.registered', userId, req, { credentialId: id });
+
+      res.status(201).json({
+        success: true,
+        message: 'Passkey registered successfully',
+        data: {
+          credential: {
+            id,
+            name: name || 'Passkey'
+          }
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Error registering passkey',
+        error: error.message
+      });
+    }
+  }
+
+  // Authentication options (navigator.credentials.get)
+  authenticationOptions = async (req, res) => {
+    try {
+      const { email } = req.body;
+      let allowCredentials = [];
+
+      // With an email we can list the user's passkeys; without one the
+      // browser offers discoverable credentials
+      if (email) {
+        const user = await this.User.findByEmail(email);
+        if (user) {
+          const credentials = await this.User.findWebAuthnCredentialsByUserId(user.id);
+          allowCredentials = credentials.map(credential => ({
+            type: 'public-key',
+            id: credential.credentialId,
+            transports: credential.transports
+          }));
+        }
+      }
+
+      const challenge = await this._createChallenge(null, 'authentication');
+
+      res.json({
+        success: true,
+        data: {
+          publicKey: {
+            challenge,
+            rpId: this.options.rpId,
+            timeout: this.options.timeout,
+            userVerification: this.options.userVerification,
+            allowCredentials
+          }
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Error creating passkey sign in options',
+        error: error.message
+      });
+    }
+  }
+
+  // List the current user's passkeys
+  listCredentials = async (req, res) => {
+    try {
+      const credentials = await this.User.findWebAuthnCredentialsByUserId(req.user.userId);
+
+      res.json({
+        success: true,
+        data: {
+          credentials: credentials.map(credential => ({
+            id: credential.id,
+            name: credential.name,
+            createdAt: credential.createdAt,
+            lastUsedAt: credential.lastUsedAt
+          }))
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching passkeys',
+        error: error.message
+      });
+    }
+  }
+
+  // Remove one of the current user's passkeys
+  removeCredential = async (req, res) => {
+    try {
+      const { userId } = req.user;
+      const removed = await this.User.removeWebAuthnCredential(userId, req.params.id);
+
+      if (!removed) {
+        return res.status(404).json({
+          success: false,
+          message: 'Passkey not found'
+        });
+      }
+
+      await this._audit('webauthn.removed', userId, req, { credentialId: req.params.id });
+
+      res.json({
+        success: true,
+        message: 'Passkey removed successfully'
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Error removing passkey',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = WebAuthnController;
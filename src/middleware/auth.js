@@ -1,15 +1,34 @@
 //src/middleware/auth.js
+const crypto = require('crypto');
 
-const authenticateToken = (jwtUtils) => {
-  return (req, res, next) => {
-    // Try to get token from Authorization header first
-    const authHeader = req.headers['authorization'];
-    let token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+// Access token from the Authorization header, or else the access token cookie
+const getRequestToken = (req, cookieName = 'accessToken') => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
 
-    // If no token in header, try to get from cookie
-    if (!token && req.cookies) {
-      token = req.cookies.accessToken;
-    }
+  if (token) {
+    return { token, fromCookie: false };
+  }
+
+  return { token: (req.cookies && req.cookies[cookieName]) || null, fromCookie: true };
+};
+
+// Browsers send cookies on cross-site requests, so a cookie-authenticated
+// state-changing request must also carry the CSRF token
+const failsCsrf = (req, fromCookie, csrf) => {
+  return Boolean(fromCookie && csrf && !csrf.verify(req));
+};
+
+// Tokens issued to OIDC client applications (access and ID tokens) carry an
+// audience. They belong to the provider's userinfo endpoint, not this API.
+const isClientToken = (jwtUtils, token) => {
+  const decoded = jwtUtils.decodeToken(token);
+  return Boolean(decoded && decoded.aud !== undefined);
+};
+
+const authenticateToken = (jwtUtils, { csrf = null, cookieName } = {}) => {
+  return (req, res, next) => {
+    const { token, fromCookie } = getRequestToken(req, cookieName);
 
     if (!token) {
       return res.status(401).json({ 
@@ -18,6 +37,22 @@ const authenticateToken = (jwtUtils) => {
       });
     }
 
+    if (isClientToken(jwtUtils, token)) {
+      return res.status(401).json({
+        success: false,
+        code: 'CLIENT_TOKEN_NOT_ACCEPTED',
+        message: 'Tokens issued to client applications are not accepted here'
+      });
+    }
+
+    if (failsCsrf(req, fromCookie, csrf)) {
+      return res.status(403).json({
+        success: false,
+        code: 'CSRF_TOKEN_INVALID',
+        message: 'Invalid or missing CSRF token'
+      });
+    }
+
     try {
       const user = jwtUtils.verifyAccessToken(token);
       req.user = user;
@@ -31,18 +66,34 @@ const authenticateToken = (jwtUtils) => {
   };
 };
 
-const optionalAuth = (jwtUtils) => {
+// OpenID Connect provider endpoints: a Bearer access token issued to a
+// client application by this issuer (RFC 6750 errors)
+const authenticateClientToken = (jwtUtils, { issuer }) => {
   return (req, res, next) => {
-    // Try to get token from Authorization header first
     const authHeader = req.headers['authorization'];
-    let token = authHeader && authHeader.split(' ')[1];
+    const token = authHeader && authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null;
 
-    // If no token in header, try to get from cookie
-    if (!token && req.cookies) {
-      token = req.cookies.accessToken;
+    if (!token) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({ error: 'invalid_token' });
+    }
+
+    try {
+      req.user = jwtUtils.verifyClientAccessToken(token, { issuer });
+      next();
+    } catch (error) {
+      res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+      return res.status(401).json({ error: 'invalid_token' });
     }
+  };
+};
 
-    if (token) {
+const optionalAuth = (jwtUtils, { csrf = null, cookieName } = {}) => {
+  return (req, res, next) => {
+    const { token, fromCookie } = getRequestToken(req, cookieName);
+
+    // A cookie without the CSRF token counts as signed out
+    if (token && !failsCsrf(req, fromCookie, csrf)) {
       try {
         const user = jwtUtils.verifyAccessToken(token);
         req.user = user;
@@ -54,4 +105,104 @@ const optionalAuth = (jwtUtils) => {
   };
 };
 
-module.exports = { authenticateToken, optionalAuth };
\ No newline at end of file
+// Whether granted permissions cover a required one. '*' grants everything
+// and 'posts:*' grants every 'posts:...' permission.
+const hasPermission = (granted = [], required) => {
+  return granted.some(permission => (
+    permission === '*' ||
+    permission === required ||
+    (permission.endsWith(':*') && required.startsWith(permission.slice(0, -1)))
+  ));
+};
+
+// Allow users with any of the given roles (use after authenticateToken)
+const requireRole = (...roles) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Access token required'
+      });
+    }
+
+    const userRoles = req.user.roles || [];
+    if (!roles.some(role => userRoles.includes(role))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Insufficient role'
+      });
+    }
+
+    next();
+  };
+};
+
+// Allow users holding all of the given permissions (use after authenticateToken)
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Access token required'
+      });
+    }
+
+    if (!permissions.every(permission => hasPermission(req.user.permissions, permission))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Insufficient permissions'
+      });
+    }
+
+    next();
+  };
+};
+
+// Compare API keys by digest so the comparison takes constant time
+const apiKeyMatches = (expected, actual) => {
+  if (!expected || typeof actual !== 'string' || !actual) {
+    return false;
+  }
+
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(expected), digest(actual));
+};
+
+// Admin operations: an X-Admin-Key header matching apiKey, or a signed-in
+// user holding all of the given permissions. Sets req.admin to the caller.
+const requireAdmin = (jwtUtils, permissions = [], { apiKey = null, csrf = null, cookieName } = {}) => {
+  const authenticate = authenticateToken(jwtUtils, { csrf, cookieName });
+  const authorize = requirePermission(...permissions);
+
+  return (req, res, next) => {
+    const key = req.headers['x-admin-key'];
+
+    if (key !== undefined) {
+      if (!apiKeyMatches(apiKey, key)) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid admin API key'
+        });
+      }
+
+      req.admin = { type: 'api_key', userId: null };
+      return next();
+    }
+
+    authenticate(req, res, () => authorize(req, res, () => {
+      req.admin = { type: 'user', userId: req.user.userId };
+      next();
+    }));
+  };
+};
+
+module.exports = {
+  authenticateToken,
+  authenticateClientToken,
+  optionalAuth,
+  requireRole,
+  requirePermission,
+  requireAdmin,
+  hasPermission,
+  getRequestToken
+};
\ No newline at end of file
@@ -0,0 +1,134 @@
+// src/middleware/rateLimit.js
+const { validateRateLimitConfig } = require('./validation');
+
+// Limits applied to the auth routes unless configured otherwise
+const DEFAULT_RATE_LIMITS = {
+  signup: { windowMs: 60 * 60 * 1000, max: 10, keyBy: ['ip'] },
+  signin: { windowMs: 15 * 60 * 1000, max: 20, keyBy: ['ip', 'email'] },
+  'signin/mfa': { windowMs: 15 * 60 * 1000, max: 20, keyBy: ['ip'] },
+  'magic-link/verify': { windowMs: 15 * 60 * 1000, max: 20, keyBy: ['ip', 'email'] },
+  // Code-checking MFA routes of a signed-in user (confirm, disable, new recovery codes)
+  mfa: { windowMs: 15 * 60 * 1000, max: 10, keyBy: ['ip', 'user'] },
+  'forgot-password': { windowMs: 60 * 60 * 1000, max: 5, keyBy: ['ip', 'email'] },
+  'refresh-token': { windowMs: 15 * 60 * 1000, max: 100, keyBy: ['ip'] }
+};
+
+// Routes that take a limit; only the defaults above have one out of the box
+const RATE_LIMITED_ROUTES = [
+  ...Object.keys(DEFAULT_RATE_LIMITS),
+  'reset-password',
+  'verify-email',
+  'resend-verification',
+  'magic-link',
+  'unlock'
+];
+
+// What a request can be counted by; user needs the limiter after authentication
+const KEY_SOURCES = {
+  ip: (req) => req.ip || null,
+  user: (req) => (req.user && req.user.userId ? String(req.user.userId) : null),
+  email: (req) => (req.body && typeof req.body.email === 'string'
+    ? req.body.email.trim().toLowerCase() || null
+    : null)
+};
+
+// Merge the rateLimit option with the defaults and validate it. Returns the
+// limits by route name; a route set to false has none.
+const resolveRateLimits = (config = {}) => {
+  const limits = {};
+
+  for (const name of RATE_LIMITED_ROUTES) {
+    const limit = config[name] === undefined ? DEFAULT_RATE_LIMITS[name] : config[name];
+    if (!limit) continue;
+
+    const options = { ...(DEFAULT_RATE_LIMITS[name] || { keyBy: ['ip'] }), ...limit };
+    options.keyBy = [].concat(options.keyBy);
+
+    const errors = validateRateLimitConfig(options);
+    if (!options.windowMs || !options.max) {
+      errors.push('windowMs and max are required');
+    }
+    options.keyBy.filter(source => !KEY_SOURCES[source]).forEach(source => {
+      errors.push(`keyBy "${source}" must be one of ${Object.keys(KEY_SOURCES).join(', ')}`);
+    });
+    if (errors.length > 0) {
+      throw new Error(`Invalid rateLimit.${name}: ${errors.join(', ')}`);
+    }
+
+    limits[name] = options;
+  }
+
+  Object.keys(config)
+    .filter(name => name !== 'store' && !RATE_LIMITED_ROUTES.includes(name))
+    .forEach(name => {
+      throw new Error(`Unknown rateLimit route "${name}"`);
+    });
+
+  return limits;
+};
+
+// Rate limiting middleware for one route. Each keyBy source has its own
+// counter and a request is refused once any of them is over max. Sends the
+// RateLimit-* headers for the counter closest to its limit.
+const createRateLimiter = (store, name, { windowMs, max, keyBy }) => {
+  const policy = `${max};w=${Math.ceil(windowMs / 1000)}`;
+
+  return async (req, res, next) => {
+    try {
+      const keys = keyBy
+        .map(source => [source, KEY_SOURCES[source](req)])
+        .filter(([, value]) => value);
+
+      if (keys.length === 0) {
+        return next();
+      }
+
+      const counters = await Promise.all(
+        keys.map(([source, value]) => store.hit(`${name}:${source}:${value}`, windowMs))
+      );
+
+      const blocked = counters.filter(counter => counter.count > max);
+      const reported = blocked.length > 0
+        ? blocked.reduce((latest, counter) => (counter.resetAt > latest.resetAt ? counter : latest))
+        : counters.reduce((highest, counter) => (counter.count > highest.count ? counter : highest));
+      const reset = Math.max(0, Math.ceil((reported.resetAt - Date.now()) / 1000));
+
+      res.set({
+        'RateLimit-Policy': policy,
+        'RateLimit-Limit': String(max),
+        'RateLimit-Remaining': String(Math.max(0, max - reported.count)),
+        'RateLimit-Reset': String(reset)
+      });
+
+      if (blocked.length > 0) {
+        res.set('Retry-After', String(reset));
+        return res.status(429).json({
+          success: false,
+          code: 'RATE_LIMITED',
+          message: 'Too many requests. Please try again later.',
+          retryAfter: reset
+        });
+      }
+
+      next();
+    } catch (error) {
+      // Fail open so a store outage doesn't take sign in down with it
+      console.error('❌ Rate limit store error:', error.message);
+      next();
+    }
+  };
+};
+
+// Middleware for every configured route, by route name
+const createRateLimiters = (store, limits) => {
+  return Object.fromEntries(
+    Object.entries(limits).map(([name, options]) => [name, createRateLimiter(store, name, options)])
+  );
+};
+
+module.exports = {
+  DEFAULT_RATE_LIMITS,
+  resolveRateLimits,
+  createRateLimiter,
+  createRateLimiters
+};
@@ -1,10 +1,15 @@
 // src/models/User.js
+const crypto = require('crypto');
 const CryptoUtils = require('../utils/crypto');
+const dialects = require('./adapters/dialects');
 
 class User {
   constructor(database, options = {}) {
+    // Subclasses for other databases swap the dialect (see adapters/)
+    this.sql = this.constructor.dialect;
+
     if (!database) {
-      throw new Error('TiDB Cloud database connection is required');
+      throw new Error(`${this.sql.name} database connection is required`);
     }
     
     this.db = database;
@@ -12,10 +17,35 @@ class User {
       tableName: options.tableName || 'users',
       refreshTokensTable: options.refreshTokensTable || 'refresh_tokens',
       passwordResetTable: options.passwordResetTable || 'password_resets',
+      emailVerificationTable: options.emailVerificationTable || 'email_verifications',
+      mfaTable: options.mfaTable || 'user_mfa',
+      recoveryCodesTable: options.recoveryCodesTable || 'mfa_recovery_codes',
+      auditLogTable: options.auditLogTable || 'auth_audit_log',
+      webauthnCredentialsTable: options.webauthnCredentialsTable || 'webauthn_credentials',
+      webauthnChallengesTable: options.webauthnChallengesTable || 'webauthn_challenges',
+      magicLinksTable: options.magicLinksTable || 'magic_links',
+      identitiesTable: options.identitiesTable || 'user_identities',
+      oidcClientsTable: options.oidcClientsTable || 'oidc_clients',
+      oidcCodesTable: options.oidcCodesTable || 'oidc_authorization_codes',
+      oidcConsentsTable: options.oidcConsentsTable || 'oidc_consents',
+      signingKeysTable: options.signingKeysTable || 'signing_keys',
+      tokenRevocationsTable: options.tokenRevocationsTable || 'token_revocations',
+      rolesTable: options.rolesTable || 'roles',
+      permissionsTable: options.permissionsTable || 'permissions',
+      rolePermissionsTable: options.rolePermissionsTable || 'role_permissions',
+      userRolesTable: options.userRolesTable || 'user_roles',
+      loginAttemptsTable: options.loginAttemptsTable || 'login_attempts',
+      accountLockoutsTable: options.accountLockoutsTable || 'account_lockouts',
+      rateLimitsTable: options.rateLimitsTable || 'rate_limits',
+      // Seconds a stored refresh token stays valid; match the JWT's lifetime
+      refreshTokenExpiry: options.refreshTokenExpiry || 7 * 24 * 60 * 60,
+      // Seconds after sign in that a session's refresh tokens stop working
+      // however recently they were issued; null for no limit
+      absoluteSessionTimeout: options.absoluteSessionTimeout || null,
       ...options
     };
 
-    console.log('📊 User model initialized for TiDB Cloud');
+    console.log(`📊 User model initialized for ${this.sql.name}`);
   }
 
   // Helper method to execute queries
@@ -42,7 +72,8 @@ class User {
   async findByEmail(email) {
     try {
       const rows = await this._executeQuery(
-        `SELECT * FROM ${this.options.tableName} WHERE email = ? AND is_active = 1 LIMIT 1`,
+        `SELECT * FROM ${this.options.tableName} 
+         WHERE ${this.sql.foldCase('email')} = ${this.sql.foldCase('?')} AND is_active = 1 LIMIT 1`,
         [email]
       );
       
@@ -85,43 +116,61 @@ class User {
       // Hash password
       const hashedPassword = await CryptoUtils.hashPassword(password);
 
-      // Start transaction
-      await this._beginTransaction();
-
-      try {
+      const userId = await this._transaction(async () => {
         const result = await this._executeQuery(
           `INSERT INTO ${this.options.tableName} 
            (email, password, name, is_active, is_verified, created_at, updated_at) 
-           VALUES (?, ?, ?, 1, 0, NOW(), NOW())`,
+           VALUES (?, ?, ?, 1, 0, ${this.sql.now()}, ${this.sql.now()}) ${this.sql.returning('id')}`,
           [email, hashedPassword, name]
         );
 
-        const userId = result.insertId;
-
-        // Commit transaction
-        await this._commitTransaction();
+        return result.insertId;
+      });
 
-        // Return created user
-        return await this.findById(userId);
-
-      } catch (error) {
-        await this._rollbackTransaction();
-        throw error;
-      }
+      // Return created user
+      return await this.findById(userId);
 
     } catch (error) {
       throw new Error(`Error creating user: ${error.message}`);
     }
   }
 
-  // Store refresh token
-  async storeRefreshToken(userId, refreshToken) {
+  // Store refresh token (as a SHA-256 digest, so a database leak does not
+  // expose live sessions). Tokens rotated from one another share a family,
+  // which is the session: a new sign in starts a new family.
+  // session: { familyId, parentId, userAgent, ipAddress, deviceLabel, createdAt,
+  // expiresIn, rememberMe }. expiresIn is in seconds and defaults to the
+  // refreshTokenExpiry option; rememberMe records whether the cookies persist.
+  async storeRefreshToken(userId, refreshToken, session = {}) {
     try {
+      const {
+        familyId = null,
+        parentId = null,
+        userAgent = null,
+        ipAddress = null,
+        deviceLabel = null,
+        createdAt = null,
+        expiresIn = this.options.refreshTokenExpiry,
+        rememberMe = true
+      } = session;
+
       await this._executeQuery(
         `INSERT INTO ${this.options.refreshTokensTable} 
-         (user_id, token, created_at, expires_at) 
-         VALUES (?, ?, NOW(), DATE_ADD(NOW(), INTERVAL 7 DAY))`,
-        [userId, refreshToken]
+         (user_id, token_hash, family_id, parent_id, user_agent, ip_address, device_label, 
+          remember_me, created_at, last_used_at, expires_at) 
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, ${this.sql.now()}), ${this.sql.now()}, ${this.sql.later('?')})`,
+        [
+          userId,
+          CryptoUtils.hashResetToken(refreshToken),
+          familyId || crypto.randomUUID(),
+          parentId,
+          userAgent ? String(userAgent).slice(0, 512) : null,
+          ipAddress,
+          deviceLabel ? String(deviceLabel).slice(0, 100) : null,
+          rememberMe ? 1 : 0,
+          createdAt,
+          expiresIn
+        ]
       );
       return true;
     } catch (error) {
@@ -129,15 +178,23 @@ class User {
     }
   }
 
-  // Find user by refresh token
+  // Find user by refresh token (rotated tokens, and sessions older than
+  // the absolute timeout, no longer count)
   async findByRefreshToken(userId, refreshToken) {
     try {
+      const { absoluteSessionTimeout } = this.options;
+      const params = [CryptoUtils.hashResetToken(refreshToken), userId];
+      if (absoluteSessionTimeout) {
+        params.push(absoluteSessionTimeout);
+      }
+
       const rows = await this._executeQuery(
         `SELECT u.* FROM ${this.options.refreshTokensTable} rt 
          INNER JOIN ${this.options.tableName} u ON rt.user_id = u.id 
-         WHERE rt.user_id = ? AND rt.token = ? AND rt.expires_at > NOW() 
-         AND u.is_active = 1 LIMIT 1`,
-        [userId, refreshToken]
+         WHERE rt.token_hash = ? AND rt.user_id = ? AND rt.rotated_at IS NULL 
+         AND rt.expires_at > ${this.sql.now()} AND u.is_active = 1 
+         ${absoluteSessionTimeout ? `AND rt.created_at > ${this.sql.earlier('?')}` : ''} LIMIT 1`,
+        params
       );
       
       return rows && rows.length > 0 ? this._formatUser(rows[0]) : null;
@@ -146,42 +203,137 @@ class User {
     }
   }
 
-  // Update refresh token (rotation)
-  async updateRefreshToken(userId, oldToken, newToken) {
+  // Find a stored refresh token, including ones that were already rotated
+  async findRefreshTokenRecord(userId, refreshToken) {
     try {
-      await this._beginTransaction();
+      const rows = await this._executeQuery(
+        `SELECT * FROM ${this.options.refreshTokensTable} 
+         WHERE token_hash = ? AND user_id = ? AND expires_at > ${this.sql.now()} LIMIT 1`,
+        [CryptoUtils.hashResetToken(refreshToken), userId]
+      );
 
-      try {
-        // Delete old token
-        await this._executeQuery(
-          `DELETE FROM ${this.options.refreshTokensTable} 
-           WHERE user_id = ? AND token = ?`,
-          [userId, oldToken]
+      return rows && rows.length > 0 ? this._formatRefreshToken(rows[0]) : null;
+    } catch (error) {
+      throw new Error(`Error finding refresh token: ${error.message}`);
+    }
+  }
+
+  // Mark a refresh token as used. Returns false if it was already rotated,
+  // e.g. by a concurrent request replaying the same token.
+  async markRefreshTokenRotated(id) {
+    try {
+      const result = await this._executeQuery(
+        `UPDATE ${this.options.refreshTokensTable} 
+         SET rotated_at = ${this.sql.now()} 
+         WHERE id = ? AND rotated_at IS NULL`,
+        [id]
+      );
+
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw new Error(`Error rotating refresh token: ${error.message}`);
+    }
+  }
+
+  // Update refresh token (rotation). The old token is kept, marked as
+  // rotated, so presenting it again can be detected as reuse.
+  // session carries the user agent/IP of the refreshing request.
+  // Returns false if the old token was not active.
+  async updateRefreshToken(userId, oldToken, newToken, session = {}) {
+    try {
+      return await this._transaction(async () => {
+        const rows = await this._executeQuery(
+          `SELECT * FROM ${this.options.refreshTokensTable} 
+           WHERE token_hash = ? AND user_id = ? LIMIT 1`,
+          [CryptoUtils.hashResetToken(oldToken), userId]
         );
+        const parent = rows && rows.length > 0 ? this._formatRefreshToken(rows[0]) : null;
+
+        if (!parent || !(await this.markRefreshTokenRotated(parent.id))) {
+          return false;
+        }
+
+        // A token stored before families existed starts one (session.familyId
+        // if given), so replaying it still revokes the tokens rotated from it
+        const familyId = parent.familyId || session.familyId || crypto.randomUUID();
+        if (!parent.familyId) {
+          await this._executeQuery(
+            `UPDATE ${this.options.refreshTokensTable} SET family_id = ? WHERE id = ?`,
+            [familyId, parent.id]
+          );
+        }
+
+        // Store new token in the same family; the session keeps its start
+        // time and remember me choice
+        await this.storeRefreshToken(userId, newToken, {
+          deviceLabel: parent.deviceLabel,
+          rememberMe: parent.rememberMe,
+          ...session,
+          familyId,
+          parentId: parent.id,
+          createdAt: parent.createdAt
+        });
         
-        // Store new token
-        await this.storeRefreshToken(userId, newToken);
-        
-        await this._commitTransaction();
         return true;
-
-      } catch (error) {
-        await this._rollbackTransaction();
-        throw error;
-      }
+      });
 
     } catch (error) {
       throw new Error(`Error updating refresh token: ${error.message}`);
     }
   }
 
+  // Revoke every token descended from the same sign in
+  async revokeRefreshTokenFamily(familyId) {
+    try {
+      const result = await this._executeQuery(
+        `DELETE FROM ${this.options.refreshTokensTable} WHERE family_id = ?`,
+        [familyId]
+      );
+
+      return result.affectedRows;
+    } catch (error) {
+      throw new Error(`Error revoking refresh token family: ${error.message}`);
+    }
+  }
+
+  // Signed-in sessions (the active token of each family), newest first
+  async findSessionsByUserId(userId) {
+    try {
+      const rows = await this._executeQuery(
+        `SELECT * FROM ${this.options.refreshTokensTable} 
+         WHERE user_id = ? AND rotated_at IS NULL AND expires_at > ${this.sql.now()} 
+         ORDER BY last_used_at DESC`,
+        [userId]
+      );
+
+      return (rows || []).map(row => this._formatSession(row));
+    } catch (error) {
+      throw new Error(`Error finding sessions: ${error.message}`);
+    }
+  }
+
+  // Sign a session out (all of its refresh tokens)
+  async revokeSession(userId, sessionId) {
+    try {
+      const result = await this._executeQuery(
+        `DELETE FROM ${this.options.refreshTokensTable} 
+         WHERE user_id = ? AND family_id = ?`,
+        [userId, sessionId]
+      );
+
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw new Error(`Error revoking session: ${error.message}`);
+    }
+  }
+
   // Remove specific refresh token
   async removeRefreshToken(userId, refreshToken) {
     try {
       const result = await this._executeQuery(
         `DELETE FROM ${this.options.refreshTokensTable} 
-         WHERE user_id = ? AND token = ?`,
-        [userId, refreshToken]
+         WHERE token_hash = ? AND user_id = ?`,
+        [CryptoUtils.hashResetToken(refreshToken), userId]
       );
       
       return result.affectedRows > 0;
@@ -193,9 +345,7 @@ class User {
   // Store password reset token
   async storePasswordResetToken(userId, hashedToken) {
     try {
-      await this._beginTransaction();
-
-      try {
+      return await this._transaction(async () => {
         // Invalidate any existing tokens
         await this._executeQuery(
           `UPDATE ${this.options.passwordResetTable} 
@@ -207,17 +357,12 @@ class User {
         await this._executeQuery(
           `INSERT INTO ${this.options.passwordResetTable} 
            (user_id, token, is_valid, created_at, expires_at) 
-           VALUES (?, ?, 1, NOW(), DATE_ADD(NOW(), INTERVAL 1 HOUR))`,
+           VALUES (?, ?, 1, ${this.sql.now()}, ${this.sql.later(1, 'HOUR')})`,
           [userId, hashedToken]
         );
         
-        await this._commitTransaction();
         return true;
-
-      } catch (error) {
-        await this._rollbackTransaction();
-        throw error;
-      }
+      });
 
     } catch (error) {
       throw new Error(`Error storing password reset token: ${error.message}`);
@@ -233,7 +378,7 @@ class User {
         `SELECT u.* FROM ${this.options.passwordResetTable} prt 
          INNER JOIN ${this.options.tableName} u ON prt.user_id = u.id 
          WHERE prt.user_id = ? AND prt.token = ? AND prt.is_valid = 1 
-         AND prt.expires_at > NOW() AND u.is_active = 1 LIMIT 1`,
+         AND prt.expires_at > ${this.sql.now()} AND u.is_active = 1 LIMIT 1`,
         [userId, hashedToken]
       );
       
@@ -243,172 +388,1967 @@ class User {
     }
   }
 
-  // Update user password
-  async updatePassword(userId, newPassword) {
+  // Store email verification token
+  async storeEmailVerificationToken(userId, hashedToken) {
     try {
-      const hashedPassword = await CryptoUtils.hashPassword(newPassword);
-      
-      await this._beginTransaction();
+      return await this._transaction(async () => {
+        // Invalidate any earlier verification tokens
+        await this._executeQuery(
+          `UPDATE ${this.options.emailVerificationTable} 
+           SET is_valid = 0 WHERE user_id = ?`,
+          [userId]
+        );
 
-      try {
-        // Update password
+        // Insert new token
+        await this._executeQuery(
+          `INSERT INTO ${this.options.emailVerificationTable} 
+           (user_id, token, is_valid, created_at, expires_at) 
+           VALUES (?, ?, 1, ${this.sql.now()}, ${this.sql.later(24, 'HOUR')})`,
+          [userId, hashedToken]
+        );
+
+        return true;
+      });
+
+    } catch (error) {
+      throw new Error(`Error storing email verification token: ${error.message}`);
+    }
+  }
+
+  // Find valid email verification token
+  async findValidEmailVerificationToken(userId, token) {
+    try {
+      const hashedToken = CryptoUtils.hashResetToken(token);
+
+      const rows = await this._executeQuery(
+        `SELECT u.* FROM ${this.options.emailVerificationTable} ev 
+         INNER JOIN ${this.options.tableName} u ON ev.user_id = u.id 
+         WHERE ev.user_id = ? AND ev.token = ? AND ev.is_valid = 1 
+         AND ev.expires_at > ${this.sql.now()} AND u.is_active = 1 LIMIT 1`,
+        [userId, hashedToken]
+      );
+
+      return rows && rows.length > 0 ? this._formatUser(rows[0]) : null;
+    } catch (error) {
+      throw new Error(`Error finding valid email verification token: ${error.message}`);
+    }
+  }
+
+  // Mark user email as verified
+  async markEmailVerified(userId) {
+    try {
+      return await this._transaction(async () => {
         const result = await this._executeQuery(
           `UPDATE ${this.options.tableName} 
-           SET password = ?, updated_at = NOW() 
+           SET is_verified = 1, updated_at = ${this.sql.now()} 
            WHERE id = ? AND is_active = 1`,
-          [hashedPassword, userId]
+          [userId]
         );
 
         if (result.affectedRows === 0) {
           throw new Error('User not found or not active');
         }
 
-        // Clear all refresh tokens for security
-        await this.clearAllRefreshTokens(userId);
-
-        // Invalidate all password reset tokens
+        // Verification tokens are single-use
         await this._executeQuery(
-          `UPDATE ${this.options.passwordResetTable} 
+          `UPDATE ${this.options.emailVerificationTable} 
            SET is_valid = 0 WHERE user_id = ?`,
           [userId]
         );
 
-        await this._commitTransaction();
         return true;
+      });
 
-      } catch (error) {
-        await this._rollbackTransaction();
-        throw error;
+    } catch (error) {
+      throw new Error(`Error marking email as verified: ${error.message}`);
+    }
+  }
+
+  // Store a (pending) TOTP secret, replacing any unconfirmed one
+  async saveMfaSecret(userId, encryptedSecret) {
+    try {
+      await this._executeQuery(
+        this.sql.upsert(
+          `INSERT INTO ${this.options.mfaTable} 
+           (user_id, secret, is_enabled, last_used_step, created_at, enabled_at) 
+           VALUES (?, ?, 0, NULL, ${this.sql.now()}, NULL)`,
+          ['user_id'],
+          `secret = ${this.sql.excluded('secret')}, is_enabled = 0, 
+           last_used_step = NULL, created_at = ${this.sql.now()}, enabled_at = NULL`
+        ),
+        [userId, encryptedSecret]
+      );
+      return true;
+    } catch (error) {
+      throw new Error(`Error saving MFA secret: ${error.message}`);
+    }
+  }
+
+  // Find MFA settings for a user
+  async findMfaByUserId(userId) {
+    try {
+      const rows = await this._executeQuery(
+        `SELECT * FROM ${this.options.mfaTable} WHERE user_id = ? LIMIT 1`,
+        [userId]
+      );
+
+      if (!rows || rows.length === 0) {
+        return null;
       }
 
+      return {
+        userId: rows[0].user_id,
+        secret: rows[0].secret,
+        isEnabled: rows[0].is_enabled === 1,
+        lastUsedStep: rows[0].last_used_step !== null ? Number(rows[0].last_used_step) : null,
+        createdAt: rows[0].created_at,
+        enabledAt: rows[0].enabled_at
+      };
     } catch (error) {
-      throw new Error(`Error updating password: ${error.message}`);
+      throw new Error(`Error finding MFA settings: ${error.message}`);
     }
   }
 
-  // Clear all refresh tokens for a user
-  async clearAllRefreshTokens(userId) {
+  // Enable MFA after the first code has been confirmed
+  async enableMfa(userId) {
     try {
       const result = await this._executeQuery(
-        `DELETE FROM ${this.options.refreshTokensTable} WHERE user_id = ?`,
+        `UPDATE ${this.options.mfaTable} 
+         SET is_enabled = 1, enabled_at = ${this.sql.now()} WHERE user_id = ?`,
         [userId]
       );
-      
-      return result.affectedRows;
+
+      return result.affectedRows > 0;
     } catch (error) {
-      throw new Error(`Error clearing refresh tokens: ${error.message}`);
+      throw new Error(`Error enabling MFA: ${error.message}`);
     }
   }
 
-  // Update user profile
-  async updateProfile(userId, updateData) {
+  // Record the last accepted time step so a code can't be replayed.
+  // Only succeeds if the step is newer than the stored one.
+  async updateMfaLastUsedStep(userId, step) {
     try {
-      const { password, ...safeUpdateData } = updateData;
-      
-      if (Object.keys(safeUpdateData).length === 0) {
-        throw new Error('No valid fields to update');
-      }
-
-      const setClause = Object.keys(safeUpdateData)
-        .map(key => `${key} = ?`)
-        .join(', ');
-      
-      const values = [...Object.values(safeUpdateData), userId];
-      
       const result = await this._executeQuery(
-        `UPDATE ${this.options.tableName} 
-         SET ${setClause}, updated_at = NOW() 
-         WHERE id = ? AND is_active = 1`,
-        values
+        `UPDATE ${this.options.mfaTable} 
+         SET last_used_step = ? 
+         WHERE user_id = ? AND (last_used_step IS NULL OR last_used_step < ?)`,
+        [step, userId, step]
       );
 
-      if (result.affectedRows === 0) {
-        throw new Error('User not found or not active');
-      }
-
-      return await this.findById(userId);
+      return result.affectedRows > 0;
     } catch (error) {
-      throw new Error(`Error updating profile: ${error.message}`);
+      throw new Error(`Error updating MFA usage: ${error.message}`);
     }
   }
 
-  // Database initialization (create tables for TiDB)
-  async initDatabase() {
+  // Remove MFA settings and recovery codes for a user
+  async disableMfa(userId) {
     try {
-      console.log('🔄 Initializing TiDB Cloud database tables...');
+      return await this._transaction(async () => {
+        const result = await this._executeQuery(
+          `DELETE FROM ${this.options.mfaTable} WHERE user_id = ?`,
+          [userId]
+        );
 
-      // Create users table
-      const createUsersTable = `
-        CREATE TABLE IF NOT EXISTS ${this.options.tableName} (
-          id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
-          email VARCHAR(255) UNIQUE NOT NULL,
-          password VARCHAR(255) NOT NULL,
-          name VARCHAR(100) NOT NULL,
-          is_active TINYINT(1) DEFAULT 1,
-          is_verified TINYINT(1) DEFAULT 0,
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-          INDEX idx_email (email),
-          INDEX idx_active (is_active)
-        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
-      `;
+        await this._executeQuery(
+          `DELETE FROM ${this.options.recoveryCodesTable} WHERE user_id = ?`,
+          [userId]
+        );
 
-      // Create refresh tokens table
-      const createRefreshTokensTable = `
-        CREATE TABLE IF NOT EXISTS ${this.options.refreshTokensTable} (
-          id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
-          user_id BIGINT UNSIGNED NOT NULL,
-          token TEXT NOT NULL,
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-          expires_at TIMESTAMP NOT NULL,
-          INDEX idx_user_id (user_id),
-          INDEX idx_expires (expires_at),
-          FOREIGN KEY (user_id) REFERENCES ${this.options.tableName}(id) ON DELETE CASCADE
-        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
-      `;
+        return result.affectedRows > 0;
+      });
 
-      // Create password reset table
-      const createPasswordResetTable = `
-        CREATE TABLE IF NOT EXISTS ${this.options.passwordResetTable} (
-          id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
-          user_id BIGINT UNSIGNED NOT NULL,
-          token VARCHAR(255) NOT NULL,
-          is_valid TINYINT(1) DEFAULT 1,
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-          expires_at TIMESTAMP NOT NULL,
-          INDEX idx_user_token (user_id, token),
-          INDEX idx_valid_expires (is_valid, expires_at),
-          FOREIGN KEY (user_id) REFERENCES ${this.options.tableName}(id) ON DELETE CASCADE
-        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
-      `;
+    } catch (error) {
+      throw new Error(`Error disabling MFA: ${error.message}`);
+    }
+  }
 
-      await this._executeQuery(createUsersTable);
-      await this._executeQuery(createRefreshTokensTable);
-      await this._executeQuery(createPasswordResetTable);
+  // Replace all recovery codes for a user with a new set of hashed codes
+  async replaceRecoveryCodes(userId, hashedCodes) {
+    try {
+      return await this._transaction(async () => {
+        await this._executeQuery(
+          `DELETE FROM ${this.options.recoveryCodesTable} WHERE user_id = ?`,
+          [userId]
+        );
+
+        for (const hashedCode of hashedCodes) {
+          await this._executeQuery(
+            `INSERT INTO ${this.options.recoveryCodesTable} 
+             (user_id, code_hash, created_at) 
+             VALUES (?, ?, ${this.sql.now()})`,
+            [userId, hashedCode]
+          );
+        }
+
+        return true;
+      });
 
-      console.log('✅ TiDB Cloud database tables initialized successfully');
-      
     } catch (error) {
-      throw new Error(`Failed to initialize TiDB Cloud database: ${error.message}`);
+      throw new Error(`Error storing recovery codes: ${error.message}`);
     }
   }
 
-  // Transaction helpers for TiDB
-  async _beginTransaction() {
-    await this.db.execute('START TRANSACTION');
-  }
+  // Mark a recovery code as used. Returns false if it doesn't exist or was already used.
+  async useRecoveryCode(userId, hashedCode) {
+    try {
+      const result = await this._executeQuery(
+        `UPDATE ${this.options.recoveryCodesTable} 
+         SET used_at = ${this.sql.now()} 
+         WHERE user_id = ? AND code_hash = ? AND used_at IS NULL`,
+        [userId, hashedCode]
+      );
 
-  async _commitTransaction() {
-    await this.db.execute('COMMIT');
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw new Error(`Error using recovery code: ${error.message}`);
+    }
   }
 
-  async _rollbackTransaction() {
-    await this.db.execute('ROLLBACK');
+  // Count unused recovery codes
+  async countRecoveryCodes(userId) {
+    try {
+      const rows = await this._executeQuery(
+        `SELECT COUNT(*) AS remaining FROM ${this.options.recoveryCodesTable} 
+         WHERE user_id = ? AND used_at IS NULL`,
+        [userId]
+      );
+
+      return rows && rows.length > 0 ? Number(rows[0].remaining) : 0;
+    } catch (error) {
+      throw new Error(`Error counting recovery codes: ${error.message}`);
+    }
   }
 
-  // Format user data
-  _formatUser(userData) {
-    return {
+  // Store a WebAuthn challenge (hashed) for a registration or authentication ceremony
+  async storeWebAuthnChallenge(userId, hashedChallenge, type) {
+    try {
+      await this._executeQuery(
+        `INSERT INTO ${this.options.webauthnChallengesTable} 
+         (user_id, challenge, type, created_at, expires_at) 
+         VALUES (?, ?, ?, ${this.sql.now()}, ${this.sql.later(5, 'MINUTE')})`,
+        [userId, hashedChallenge, type]
+      );
+      return true;
+    } catch (error) {
+      throw new Error(`Error storing WebAuthn challenge: ${error.message}`);
+    }
+  }
+
+  // Consume a WebAuthn challenge. Returns { userId } once, or null if unknown/expired.
+  async consumeWebAuthnChallenge(hashedChallenge, type) {
+    try {
+      const rows = await this._executeQuery(
+        `SELECT id, user_id FROM ${this.options.webauthnChallengesTable} 
+         WHERE challenge = ? AND type = ? AND expires_at > ${this.sql.now()} LIMIT 1`,
+        [hashedChallenge, type]
+      );
+
+      if (!rows || rows.length === 0) {
+        return null;
+      }
+
+      // Deleting guards against two requests racing for the same challenge
+      const result = await this._executeQuery(
+        `DELETE FROM ${this.options.webauthnChallengesTable} WHERE id = ?`,
+        [rows[0].id]
+      );
+
+      return result.affectedRows > 0 ? { userId: rows[0].user_id } : null;
+    } catch (error) {
+      throw new Error(`Error consuming WebAuthn challenge: ${error.message}`);
+    }
+  }
+
+  // Store a registered WebAuthn credential
+  async storeWebAuthnCredential(userId, credential) {
+    try {
+      const result = await this._executeQuery(
+        `INSERT INTO ${this.options.webauthnCredentialsTable} 
+         (user_id, credential_id, public_key, sign_count, transports, aaguid, name, created_at) 
+         VALUES (?, ?, ?, ?, ?, ?, ?, ${this.sql.now()}) ${this.sql.returning('id')}`,
+        [
+          userId,
+          credential.credentialId,
+          credential.publicKey,
+          credential.signCount || 0,
+          credential.transports ? credential.transports.join(',') : null,
+          credential.aaguid || null,
+          credential.name || 'Passkey'
+        ]
+      );
+
+      return result.insertId;
+    } catch (error) {
+      throw new Error(`Error storing WebAuthn credential: ${error.message}`);
+    }
+  }
+
+  // Find a WebAuthn credential by its credential ID
+  async findWebAuthnCredential(credentialId) {
+    try {
+      const rows = await this._executeQuery(
+        `SELECT * FROM ${this.options.webauthnCredentialsTable} WHERE credential_id = ? LIMIT 1`,
+        [credentialId]
+      );
+
+      return rows && rows.length > 0 ? this._formatWebAuthnCredential(rows[0]) : null;
+    } catch (error) {
+      throw new Error(`Error finding WebAuthn credential: ${error.message}`);
+    }
+  }
+
+  // Find all WebAuthn credentials of a user
+  async findWebAuthnCredentialsByUserId(userId) {
+    try {
+      const rows = await this._executeQuery(
+        `SELECT * FROM ${this.options.webauthnCredentialsTable} 
+         WHERE user_id = ? ORDER BY created_at ASC`,
+        [userId]
+      );
+
+      return (rows || []).map(row => this._formatWebAuthnCredential(row));
+    } catch (error) {
+      throw new Error(`Error finding WebAuthn credentials: ${error.message}`);
+    }
+  }
+
+  // Update the signature counter after a successful assertion
+  async updateWebAuthnSignCount(credentialId, signCount) {
+    try {
+      await this._executeQuery(
+        `UPDATE ${this.options.webauthnCredentialsTable} 
+         SET sign_count = ?, last_used_at = ${this.sql.now()} WHERE credential_id = ?`,
+        [signCount, credentialId]
+      );
+      return true;
+    } catch (error) {
+      throw new Error(`Error updating WebAuthn credential: ${error.message}`);
+    }
+  }
+
+  // Remove a WebAuthn credential owned by a user
+  async removeWebAuthnCredential(userId, id) {
+    try {
+      const result = await this._executeQuery(
+        `DELETE FROM ${this.options.webauthnCredentialsTable} WHERE user_id = ? AND id = ?`,
+        [userId, id]
+      );
+
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw new Error(`Error removing WebAuthn credential: ${error.message}`);
+    }
+  }
+
+  // Record an audit log entry
+  async recordAuditEvent(entry) {
+    try {
+      await this._executeQuery(
+        `INSERT INTO ${this.options.auditLogTable} 
+         (user_id, event, ip_address, user_agent, metadata, created_at) 
+         VALUES (?, ?, ?, ?, ?, ${this.sql.now()})`,
+        [
+          entry.userId || null,
+          entry.event,
+          entry.ipAddress || null,
+          entry.userAgent ? entry.userAgent.substring(0, 512) : null,
+          JSON.stringify(entry.metadata || {})
+        ]
+      );
+      return true;
+    } catch (error) {
+      throw new Error(`Error recording audit event: ${error.message}`);
+    }
+  }
+
+  // Find recent audit log entries for a user, optionally only some events
+  async findAuditEvents(userId, limit = 50, events = null) {
+    try {
+      const eventFilter = events && events.length > 0
+        ? `AND event IN (${events.map(() => '?').join(', ')})`
+        : '';
+      const rows = await this._executeQuery(
+        `SELECT * FROM ${this.options.auditLogTable} 
+         WHERE user_id = ? ${eventFilter} ORDER BY created_at DESC, id DESC LIMIT ${parseInt(limit, 10)}`,
+        [userId, ...(events || [])]
+      );
+
+      return (rows || []).map(row => this._formatAuditEvent(row));
+    } catch (error) {
+      throw new Error(`Error finding audit events: ${error.message}`);
+    }
+  }
+
+  // Store a magic sign-in link (hashed token and one-time code)
+  async storeMagicLink(userId, hashedToken, hashedCode, expiresInMinutes = 15) {
+    try {
+      return await this._transaction(async () => {
+        // Only the latest link is usable
+        await this._executeQuery(
+          `UPDATE ${this.options.magicLinksTable} 
+           SET is_valid = 0 WHERE user_id = ?`,
+          [userId]
+        );
+
+        await this._executeQuery(
+          `INSERT INTO ${this.options.magicLinksTable} 
+           (user_id, token, code, attempts, is_valid, created_at, expires_at) 
+           VALUES (?, ?, ?, 0, 1, ${this.sql.now()}, ${this.sql.later('?', 'MINUTE')})`,
+          [userId, hashedToken, hashedCode, expiresInMinutes]
+        );
+
+        return true;
+      });
+
+    } catch (error) {
+      throw new Error(`Error storing magic link: ${error.message}`);
+    }
+  }
+
+  // Consume a magic link token. Returns the user once, or null.
+  async consumeMagicLinkToken(userId, token) {
+    try {
+      const hashedToken = CryptoUtils.hashResetToken(token);
+
+      const result = await this._executeQuery(
+        `UPDATE ${this.options.magicLinksTable} 
+         SET is_valid = 0 
+         WHERE user_id = ? AND token = ? AND is_valid = 1 AND expires_at > ${this.sql.now()}`,
+        [userId, hashedToken]
+      );
+
+      return result.affectedRows > 0 ? await this.findById(userId) : null;
+    } catch (error) {
+      throw new Error(`Error consuming magic link: ${error.message}`);
+    }
+  }
+
+  // Consume a magic link one-time code. Wrong guesses count against the
+  // link, which is invalidated after maxAttempts.
+  async consumeMagicLinkCode(userId, code, maxAttempts = 5) {
+    try {
+      const hashedCode = CryptoUtils.hashResetToken(String(code));
+
+      const result = await this._executeQuery(
+        `UPDATE ${this.options.magicLinksTable} 
+         SET is_valid = 0 
+         WHERE user_id = ? AND code = ? AND is_valid = 1 
+         AND attempts < ? AND expires_at > ${this.sql.now()}`,
+        [userId, hashedCode, maxAttempts]
+      );
+
+      if (result.affectedRows > 0) {
+        return await this.findById(userId);
+      }
+
+      await this._executeQuery(
+        `UPDATE ${this.options.magicLinksTable} 
+         SET is_valid = CASE WHEN attempts + 1 >= ? THEN 0 ELSE is_valid END, 
+         attempts = attempts + 1 
+         WHERE user_id = ? AND is_valid = 1`,
+        [maxAttempts, userId]
+      );
+
+      return null;
+    } catch (error) {
+      throw new Error(`Error consuming magic link code: ${error.message}`);
+    }
+  }
+
+  // Find an external (OAuth/OIDC) identity by provider and subject
+  async findIdentity(provider, subject) {
+    try {
+      const rows = await this._executeQuery(
+        `SELECT * FROM ${this.options.identitiesTable} WHERE provider = ? AND subject = ? LIMIT 1`,
+        [provider, subject]
+      );
+
+      return rows && rows.length > 0 ? this._formatIdentity(rows[0]) : null;
+    } catch (error) {
+      throw new Error(`Error finding identity: ${error.message}`);
+    }
+  }
+
+  // Find all external identities linked to a user
+  async findIdentitiesByUserId(userId) {
+    try {
+      const rows = await this._executeQuery(
+        `SELECT * FROM ${this.options.identitiesTable} 
+         WHERE user_id = ? ORDER BY created_at ASC`,
+        [userId]
+      );
+
+      return (rows || []).map(row => this._formatIdentity(row));
+    } catch (error) {
+      throw new Error(`Error finding identities: ${error.message}`);
+    }
+  }
+
+  // Link an external identity to a user
+  async linkIdentity(userId, { provider, subject, email = null }) {
+    try {
+      const result = await this._executeQuery(
+        `INSERT INTO ${this.options.identitiesTable} 
+         (user_id, provider, subject, email, created_at, last_used_at) 
+         VALUES (?, ?, ?, ?, ${this.sql.now()}, ${this.sql.now()}) ${this.sql.returning('id')}`,
+        [userId, provider, subject, email]
+      );
+
+      return result.insertId;
+    } catch (error) {
+      throw new Error(`Error linking identity: ${error.message}`);
+    }
+  }
+
+  // Record that an identity was just used to sign in
+  async touchIdentity(id, email = null) {
+    try {
+      await this._executeQuery(
+        `UPDATE ${this.options.identitiesTable} 
+         SET last_used_at = ${this.sql.now()}, email = COALESCE(?, email) WHERE id = ?`,
+        [email, id]
+      );
+      return true;
+    } catch (error) {
+      throw new Error(`Error updating identity: ${error.message}`);
+    }
+  }
+
+  // Unlink one of a user's external identities
+  async unlinkIdentity(userId, provider) {
+    try {
+      const result = await this._executeQuery(
+        `DELETE FROM ${this.options.identitiesTable} WHERE user_id = ? AND provider = ?`,
+        [userId, provider]
+      );
+
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw new Error(`Error unlinking identity: ${error.message}`);
+    }
+  }
+
+  // Register an OIDC client application
+  async createOidcClient(client) {
+    try {
+      await this._executeQuery(
+        `INSERT INTO ${this.options.oidcClientsTable} 
+         (client_id, client_secret, name, redirect_uris, scopes, skip_consent, created_at) 
+         VALUES (?, ?, ?, ?, ?, ?, ${this.sql.now()})`,
+        [
+          client.clientId,
+          client.clientSecret || null,
+          client.name,
+          JSON.stringify(client.redirectUris),
+          client.scopes.join(' '),
+          client.skipConsent ? 1 : 0
+        ]
+      );
+
+      return await this.findOidcClient(client.clientId);
+    } catch (error) {
+      throw new Error(`Error creating OIDC client: ${error.message}`);
+    }
+  }
+
+  // Find an OIDC client by client ID
+  async findOidcClient(clientId) {
+    try {
+      const rows = await this._executeQuery(
+        `SELECT * FROM ${this.options.oidcClientsTable} WHERE client_id = ? AND is_active = 1 LIMIT 1`,
+        [clientId]
+      );
+
+      return rows && rows.length > 0 ? this._formatOidcClient(rows[0]) : null;
+    } catch (error) {
+      throw new Error(`Error finding OIDC client: ${error.message}`);
+    }
+  }
+
+  // Store a hashed authorization code
+  async storeAuthorizationCode(hashedCode, grant, expiresInSeconds = 60) {
+    try {
+      await this._executeQuery(
+        `INSERT INTO ${this.options.oidcCodesTable} 
+         (code, client_id, user_id, redirect_uri, scope, nonce, code_challenge, 
+          is_valid, created_at, expires_at) 
+         VALUES (?, ?, ?, ?, ?, ?, ?, 1, ${this.sql.now()}, ${this.sql.later('?')})`,
+        [
+          hashedCode,
+          grant.clientId,
+          grant.userId,
+          grant.redirectUri,
+          grant.scope,
+          grant.nonce || null,
+          grant.codeChallenge || null,
+          expiresInSeconds
+        ]
+      );
+      return true;
+    } catch (error) {
+      throw new Error(`Error storing authorization code: ${error.message}`);
+    }
+  }
+
+  // Consume an authorization code. Returns the grant once, or null.
+  async consumeAuthorizationCode(hashedCode) {
+    try {
+      const rows = await this._executeQuery(
+        `SELECT * FROM ${this.options.oidcCodesTable} 
+         WHERE code = ? AND is_valid = 1 AND expires_at > ${this.sql.now()} LIMIT 1`,
+        [hashedCode]
+      );
+
+      if (!rows || rows.length === 0) {
+        return null;
+      }
+
+      // Only one concurrent redemption can win
+      const result = await this._executeQuery(
+        `UPDATE ${this.options.oidcCodesTable} SET is_valid = 0 WHERE id = ? AND is_valid = 1`,
+        [rows[0].id]
+      );
+
+      if (result.affectedRows === 0) {
+        return null;
+      }
+
+      const row = rows[0];
+      return {
+        clientId: row.client_id,
+        userId: row.user_id,
+        redirectUri: row.redirect_uri,
+        scope: row.scope,
+        nonce: row.nonce,
+        codeChallenge: row.code_challenge,
+        createdAt: row.created_at
+      };
+    } catch (error) {
+      throw new Error(`Error consuming authorization code: ${error.message}`);
+    }
+  }
+
+  // Find the scopes a user has already granted to a client
+  async findOidcConsent(userId, clientId) {
+    try {
+      const rows = await this._executeQuery(
+        `SELECT scope FROM ${this.options.oidcConsentsTable} 
+         WHERE user_id = ? AND client_id = ? LIMIT 1`,
+        [userId, clientId]
+      );
+
+      return rows && rows.length > 0 ? rows[0].scope.split(' ') : [];
+    } catch (error) {
+      throw new Error(`Error finding OIDC consent: ${error.message}`);
+    }
+  }
+
+  // Remember the scopes a user granted to a client
+  async saveOidcConsent(userId, clientId, scopes) {
+    try {
+      await this._executeQuery(
+        this.sql.upsert(
+          `INSERT INTO ${this.options.oidcConsentsTable} 
+           (user_id, client_id, scope, created_at, updated_at) 
+           VALUES (?, ?, ?, ${this.sql.now()}, ${this.sql.now()})`,
+          ['user_id', 'client_id'],
+          `scope = ${this.sql.excluded('scope')}, updated_at = ${this.sql.now()}`
+        ),
+        [userId, clientId, scopes.join(' ')]
+      );
+      return true;
+    } catch (error) {
+      throw new Error(`Error saving OIDC consent: ${error.message}`);
+    }
+  }
+
+  // Find signing keys that have not been retired yet
+  async findSigningKeys() {
+    try {
+      const rows = await this._executeQuery(
+        `SELECT * FROM ${this.options.signingKeysTable} 
+         WHERE status IN ('current', 'active') AND (retire_at IS NULL OR retire_at > ${this.sql.now()}) 
+         ORDER BY created_at DESC`
+      );
+
+      return (rows || []).map(row => this._formatSigningKey(row));
+    } catch (error) {
+      throw new Error(`Error finding signing keys: ${error.message}`);
+    }
+  }
+
+  // Make a new key current. The previous current key keeps verifying
+  // tokens until retireAfterSeconds have passed.
+  async rotateSigningKey(key, retireAfterSeconds) {
+    try {
+      return await this._transaction(async () => {
+        await this._executeQuery(
+          `UPDATE ${this.options.signingKeysTable} 
+           SET status = 'active', retire_at = ${this.sql.later('?')} 
+           WHERE key_use = ? AND status = 'current'`,
+          [retireAfterSeconds, key.use]
+        );
+
+        await this._executeQuery(
+          `INSERT INTO ${this.options.signingKeysTable} 
+           (kid, key_use, algorithm, secret, public_jwk, status, created_at) 
+           VALUES (?, ?, ?, ?, ?, 'current', ${this.sql.now()})`,
+          [
+            key.kid,
+            key.use,
+            key.algorithm,
+            key.secret,
+            key.publicJwk ? JSON.stringify(key.publicJwk) : null
+          ]
+        );
+
+        return true;
+      });
+    } catch (error) {
+      throw new Error(`Error rotating signing key: ${error.message}`);
+    }
+  }
+
+  // Retire a key immediately (e.g. after a compromise)
+  async retireSigningKey(kid) {
+    try {
+      const result = await this._executeQuery(
+        `UPDATE ${this.options.signingKeysTable} 
+         SET status = 'retired', retire_at = ${this.sql.now()} 
+         WHERE kid = ? AND status IN ('current', 'active')`,
+        [kid]
+      );
+
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw new Error(`Error retiring signing key: ${error.message}`);
+    }
+  }
+
+  // Record a revoked access token (jti), session (sessionId) or a per-user
+  // watermark (notBefore, unix seconds). Rows are only needed until
+  // expiresAt (unix seconds).
+  async addTokenRevocation({ jti = null, sessionId = null, userId = null, notBefore = null, expiresAt }) {
+    try {
+      await this._executeQuery(
+        `INSERT INTO ${this.options.tokenRevocationsTable} 
+         (jti, session_id, user_id, not_before, expires_at, created_at) 
+         VALUES (?, ?, ?, ?, ${this.sql.fromUnixTime('?')}, ${this.sql.now(true)})`,
+        [jti, sessionId, userId, notBefore, expiresAt]
+      );
+
+      return true;
+    } catch (error) {
+      throw new Error(`Error revoking token: ${error.message}`);
+    }
+  }
+
+  // Find unexpired revocations recorded since a unix time in milliseconds
+  async findTokenRevocations(sinceMs = 0) {
+    try {
+      const rows = await this._executeQuery(
+        `SELECT jti, session_id, user_id, not_before, 
+                ${this.sql.unixTime('expires_at')} AS expires_at, 
+                ${this.sql.unixTime('created_at')} AS created_at 
+         FROM ${this.options.tokenRevocationsTable} 
+         WHERE created_at >= ${this.sql.fromUnixTime('?')} AND expires_at > ${this.sql.now()}`,
+        [sinceMs / 1000]
+      );
+
+      return (rows || []).map(row => this._formatTokenRevocation(row));
+    } catch (error) {
+      throw new Error(`Error finding token revocations: ${error.message}`);
+    }
+  }
+
+  // Create a role if it does not exist yet
+  async createRole(name, description = null) {
+    try {
+      await this._executeQuery(
+        this.sql.upsert(
+          `INSERT INTO ${this.options.rolesTable} (name, description, created_at) VALUES (?, ?, ${this.sql.now()})`,
+          ['name'],
+          `description = COALESCE(${this.sql.excluded('description')}, ${this.options.rolesTable}.description)`
+        ),
+        [name, description]
+      );
+
+      return this.findRole(name);
+    } catch (error) {
+      throw new Error(`Error creating role: ${error.message}`);
+    }
+  }
+
+  // Find a role with its permissions
+  async findRole(name) {
+    try {
+      const roles = await this.findRoles([name]);
+      return roles[0] || null;
+    } catch (error) {
+      throw new Error(`Error finding role: ${error.message}`);
+    }
+  }
+
+  // Find roles (all, or the given names) with their permissions
+  async findRoles(names = null) {
+    try {
+      if (names && names.length === 0) {
+        return [];
+      }
+
+      const where = names ? `WHERE r.name IN (${names.map(() => '?').join(', ')})` : '';
+      const rows = await this._executeQuery(
+        `SELECT r.id, r.name, r.description, r.created_at, p.name AS permission 
+         FROM ${this.options.rolesTable} r 
+         LEFT JOIN ${this.options.rolePermissionsTable} rp ON rp.role_id = r.id 
+         LEFT JOIN ${this.options.permissionsTable} p ON p.id = rp.permission_id 
+         ${where} 
+         ORDER BY r.name, p.name`,
+        names || []
+      );
+
+      const roles = new Map();
+      for (const row of rows || []) {
+        if (!roles.has(row.name)) {
+          roles.set(row.name, this._formatRole(row));
+        }
+        if (row.permission) {
+          roles.get(row.name).permissions.push(row.permission);
+        }
+      }
+
+      return [...roles.values()];
+    } catch (error) {
+      throw new Error(`Error finding roles: ${error.message}`);
+    }
+  }
+
+  // Delete a role; users lose it and its permissions
+  async deleteRole(name) {
+    try {
+      const result = await this._executeQuery(
+        `DELETE FROM ${this.options.rolesTable} WHERE name = ?`,
+        [name]
+      );
+
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw new Error(`Error deleting role: ${error.message}`);
+    }
+  }
+
+  // Grant a permission to a role, creating the permission if needed
+  async grantPermission(roleName, permission) {
+    try {
+      await this._executeQuery(
+        this.sql.insertIgnore(`INTO ${this.options.permissionsTable} (name, created_at) VALUES (?, ${this.sql.now()})`),
+        [permission]
+      );
+
+      const result = await this._executeQuery(
+        this.sql.insertIgnore(
+          `INTO ${this.options.rolePermissionsTable} (role_id, permission_id) 
+           SELECT r.id, p.id FROM ${this.options.rolesTable} r, ${this.options.permissionsTable} p 
+           WHERE r.name = ? AND p.name = ?`
+        ),
+        [roleName, permission]
+      );
+
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw new Error(`Error granting permission: ${error.message}`);
+    }
+  }
+
+  // Take a permission away from a role
+  async revokePermission(roleName, permission) {
+    try {
+      const result = await this._executeQuery(
+        `DELETE FROM ${this.options.rolePermissionsTable} 
+         WHERE role_id IN (SELECT id FROM ${this.options.rolesTable} WHERE name = ?) 
+         AND permission_id IN (SELECT id FROM ${this.options.permissionsTable} WHERE name = ?)`,
+        [roleName, permission]
+      );
+
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw new Error(`Error revoking permission: ${error.message}`);
+    }
+  }
+
+  // Give a user a role. Returns false if the user or role does not exist
+  // or the user already has it.
+  async assignRole(userId, roleName) {
+    try {
+      const result = await this._executeQuery(
+        this.sql.insertIgnore(
+          `INTO ${this.options.userRolesTable} (user_id, role_id, created_at) 
+           SELECT u.id, r.id, ${this.sql.now()} FROM ${this.options.tableName} u, ${this.options.rolesTable} r 
+           WHERE u.id = ? AND r.name = ?`
+        ),
+        [userId, roleName]
+      );
+
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw new Error(`Error assigning role: ${error.message}`);
+    }
+  }
+
+  // Take a role away from a user
+  async removeRole(userId, roleName) {
+    try {
+      const result = await this._executeQuery(
+        `DELETE FROM ${this.options.userRolesTable} 
+         WHERE user_id = ? AND role_id IN (SELECT id FROM ${this.options.rolesTable} WHERE name = ?)`,
+        [userId, roleName]
+      );
+
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw new Error(`Error removing role: ${error.message}`);
+    }
+  }
+
+  // A user's role names and the permissions those roles grant
+  async findUserAccess(userId) {
+    try {
+      const rows = await this._executeQuery(
+        `SELECT r.name AS role, p.name AS permission 
+         FROM ${this.options.userRolesTable} ur 
+         INNER JOIN ${this.options.rolesTable} r ON r.id = ur.role_id 
+         LEFT JOIN ${this.options.rolePermissionsTable} rp ON rp.role_id = r.id 
+         LEFT JOIN ${this.options.permissionsTable} p ON p.id = rp.permission_id 
+         WHERE ur.user_id = ?`,
+        [userId]
+      );
+
+      const roles = new Set();
+      const permissions = new Set();
+      for (const row of rows || []) {
+        roles.add(row.role);
+        if (row.permission) {
+          permissions.add(row.permission);
+        }
+      }
+
+      return { roles: [...roles].sort(), permissions: [...permissions].sort() };
+    } catch (error) {
+      throw new Error(`Error finding user roles: ${error.message}`);
+    }
+  }
+
+  // Record a password sign in attempt. Attempts are keyed by the email that
+  // was tried, so unknown addresses are throttled like real accounts.
+  async recordLoginAttempt(email, ipAddress, succeeded) {
+    try {
+      await this._executeQuery(
+        `INSERT INTO ${this.options.loginAttemptsTable} 
+         (email, ip_address, succeeded, created_at) VALUES (?, ?, ?, ${this.sql.now(true)})`,
+        [email, ipAddress || null, succeeded ? 1 : 0]
+      );
+      return true;
+    } catch (error) {
+      throw new Error(`Error recording login attempt: ${error.message}`);
+    }
+  }
+
+  // Failed attempts within the window: for the email since it was last reset
+  // (successful sign in, unlock or lockout), and for the IP address overall
+  async countFailedLoginAttempts(email, ipAddress, windowSeconds) {
+    try {
+      const accounts = await this._executeQuery(
+        `SELECT COUNT(*) AS count FROM ${this.options.loginAttemptsTable} attempts 
+         LEFT JOIN ${this.options.accountLockoutsTable} lockouts ON lockouts.email = attempts.email 
+         WHERE attempts.email = ? AND attempts.succeeded = 0 
+         AND attempts.created_at > ${this.sql.earlier('?', 'SECOND', true)} 
+         AND (lockouts.reset_at IS NULL OR attempts.created_at > lockouts.reset_at)`,
+        [email, windowSeconds]
+      );
+      const addresses = ipAddress
+        ? await this._executeQuery(
+          `SELECT COUNT(*) AS count FROM ${this.options.loginAttemptsTable} 
+           WHERE ip_address = ? AND succeeded = 0 
+           AND created_at > ${this.sql.earlier('?', 'SECOND', true)}`,
+          [ipAddress, windowSeconds]
+        )
+        : [{ count: 0 }];
+
+      return {
+        account: Number(accounts[0].count),
+        ip: Number(addresses[0].count)
+      };
+    } catch (error) {
+      throw new Error(`Error counting login attempts: ${error.message}`);
+    }
+  }
+
+  // When the email is locked until, or null if it isn't locked
+  async findAccountLockout(email) {
+    try {
+      const rows = await this._executeQuery(
+        `SELECT locked_until FROM ${this.options.accountLockoutsTable} 
+         WHERE email = ? AND locked_until > ${this.sql.now(true)} LIMIT 1`,
+        [email]
+      );
+
+      return rows && rows.length > 0 ? rows[0].locked_until : null;
+    } catch (error) {
+      throw new Error(`Error finding account lockout: ${error.message}`);
+    }
+  }
+
+  // Lock an email for a number of seconds and start counting failures afresh
+  async lockAccount(email, seconds) {
+    try {
+      await this._executeQuery(
+        this.sql.upsert(
+          `INSERT INTO ${this.options.accountLockoutsTable} (email, locked_until, reset_at) 
+           VALUES (?, ${this.sql.later('?', 'SECOND', true)}, ${this.sql.now(true)})`,
+          ['email'],
+          `locked_until = ${this.sql.excluded('locked_until')}, reset_at = ${this.sql.excluded('reset_at')}`
+        ),
+        [email, seconds]
+      );
+
+      return await this.findAccountLockout(email);
+    } catch (error) {
+      throw new Error(`Error locking account: ${error.message}`);
+    }
+  }
+
+  // Clear a lock and the failure count, after a successful sign in or an
+  // unlock. Returns whether the email was locked.
+  async resetLoginAttempts(email) {
+    try {
+      const locked = await this.findAccountLockout(email);
+
+      await this._executeQuery(
+        this.sql.upsert(
+          `INSERT INTO ${this.options.accountLockoutsTable} (email, locked_until, reset_at) 
+           VALUES (?, NULL, ${this.sql.now(true)})`,
+          ['email'],
+          `locked_until = NULL, reset_at = ${this.sql.excluded('reset_at')}`
+        ),
+        [email]
+      );
+
+      return Boolean(locked);
+    } catch (error) {
+      throw new Error(`Error resetting login attempts: ${error.message}`);
+    }
+  }
+
+  // Count a request against a rate limit key. The window starts with the
+  // first hit and the count starts over once it has passed.
+  // Returns { count, resetAt } with resetAt in milliseconds.
+  async hitRateLimit(key, windowMs) {
+    try {
+      // hits is assigned before reset_at, so both see the old reset_at
+      const table = this.options.rateLimitsTable;
+      await this._executeQuery(
+        this.sql.upsert(
+          `INSERT INTO ${table} (rate_key, hits, reset_at) 
+           VALUES (?, 1, ${this.sql.later('?', 'MICROSECOND', true)})`,
+          ['rate_key'],
+          `hits = CASE WHEN ${table}.reset_at <= ${this.sql.now(true)} THEN 1 ELSE ${table}.hits + 1 END, 
+           reset_at = CASE WHEN ${table}.reset_at <= ${this.sql.now(true)} THEN ${this.sql.excluded('reset_at')} ELSE ${table}.reset_at END`
+        ),
+        [key, Math.round(windowMs * 1000)]
+      );
+
+      const rows = await this._executeQuery(
+        `SELECT hits, reset_at FROM ${table} WHERE rate_key = ?`,
+        [key]
+      );
+
+      return {
+        count: Number(rows[0].hits),
+        resetAt: new Date(rows[0].reset_at).getTime()
+      };
+    } catch (error) {
+      throw new Error(`Error updating rate limit: ${error.message}`);
+    }
+  }
+
+  // Update user password
+  async updatePassword(userId, newPassword) {
+    try {
+      const hashedPassword = await CryptoUtils.hashPassword(newPassword);
+      
+      return await this._transaction(async () => {
+        // Update password
+        const result = await this._executeQuery(
+          `UPDATE ${this.options.tableName} 
+           SET password = ?, updated_at = ${this.sql.now()} 
+           WHERE id = ? AND is_active = 1`,
+          [hashedPassword, userId]
+        );
+
+        if (result.affectedRows === 0) {
+          throw new Error('User not found or not active');
+        }
+
+        // Clear all refresh tokens for security
+        await this.clearAllRefreshTokens(userId);
+
+        // Invalidate all password reset tokens
+        await this._executeQuery(
+          `UPDATE ${this.options.passwordResetTable} 
+           SET is_valid = 0 WHERE user_id = ?`,
+          [userId]
+        );
+
+        return true;
+      });
+
+    } catch (error) {
+      throw new Error(`Error updating password: ${error.message}`);
+    }
+  }
+
+  // Clear all refresh tokens for a user
+  async clearAllRefreshTokens(userId) {
+    try {
+      const result = await this._executeQuery(
+        `DELETE FROM ${this.options.refreshTokensTable} WHERE user_id = ?`,
+        [userId]
+      );
+      
+      return result.affectedRows;
+    } catch (error) {
+      throw new Error(`Error clearing refresh tokens: ${error.message}`);
+    }
+  }
+
+  // Update user profile
+  async updateProfile(userId, updateData) {
+    try {
+      const { password, ...safeUpdateData } = updateData;
+      
+      if (Object.keys(safeUpdateData).length === 0) {
+        throw new Error('No valid fields to update');
+      }
+
+      const setClause = Object.keys(safeUpdateData)
+        .map(key => `${key} = ?`)
+        .join(', ');
+      
+      const values = [...Object.values(safeUpdateData), userId];
+      
+      const result = await this._executeQuery(
+        `UPDATE ${this.options.tableName} 
+         SET ${setClause}, updated_at = ${this.sql.now()} 
+         WHERE id = ? AND is_active = 1`,
+        values
+      );
+
+      if (result.affectedRows === 0) {
+        throw new Error('User not found or not active');
+      }
+
+      return await this.findById(userId);
+    } catch (error) {
+      throw new Error(`Error updating profile: ${error.message}`);
+    }
+  }
+
+  // Find a user by ID, including deactivated users (admin views)
+  async findByIdIncludingInactive(userId) {
+    try {
+      const rows = await this._executeQuery(
+        `SELECT * FROM ${this.options.tableName} WHERE id = ? LIMIT 1`,
+        [userId]
+      );
+
+      return rows && rows.length > 0 ? this._formatUser(rows[0]) : null;
+    } catch (error) {
+      throw new Error(`Error finding user by ID: ${error.message}`);
+    }
+  }
+
+  // List users, newest first. search matches email or name; active and
+  // verified are true/false to filter by status, null for everyone.
+  async findUsers({ search = null, active = null, verified = null, page = 1, limit = 20 } = {}) {
+    try {
+      const conditions = [];
+      const params = [];
+
+      if (search) {
+        conditions.push(`(email ${this.sql.like} ? ESCAPE '!' OR name ${this.sql.like} ? ESCAPE '!')`);
+        const pattern = `%${search.replace(/[!%_]/g, '!$&')}%`;
+        params.push(pattern, pattern);
+      }
+      if (active !== null) {
+        conditions.push('is_active = ?');
+        params.push(active ? 1 : 0);
+      }
+      if (verified !== null) {
+        conditions.push('is_verified = ?');
+        params.push(verified ? 1 : 0);
+      }
+
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+      const pageSize = parseInt(limit, 10);
+      const offset = (parseInt(page, 10) - 1) * pageSize;
+
+      const rows = await this._executeQuery(
+        `SELECT * FROM ${this.options.tableName} ${where} 
+         ORDER BY created_at DESC, id DESC LIMIT ${pageSize} OFFSET ${offset}`,
+        params
+      );
+      const counts = await this._executeQuery(
+        `SELECT COUNT(*) AS total FROM ${this.options.tableName} ${where}`,
+        params
+      );
+
+      return {
+        users: (rows || []).map(row => this._formatUser(row)),
+        total: Number(counts[0].total)
+      };
+    } catch (error) {
+      throw new Error(`Error finding users: ${error.message}`);
+    }
+  }
+
+  // User totals plus sign ups and sign ins over the last day, week and month.
+  // Sign ins are counted from the audit log.
+  async getUserStats() {
+    try {
+      const periods = { day: 1, week: 7, month: 30 };
+      const window = (column) => Object.entries(periods)
+        .map(([name, days]) => `SUM(CASE WHEN ${column} >= ${this.sql.earlier(days, 'DAY')} THEN 1 ELSE 0 END) AS ${name}`)
+        .join(', ');
+
+      const users = await this._executeQuery(
+        `SELECT COUNT(*) AS total, SUM(CASE WHEN is_active = 1 THEN 1 ELSE 0 END) AS active, 
+         SUM(CASE WHEN is_verified = 1 THEN 1 ELSE 0 END) AS verified, 
+         ${window('created_at')} FROM ${this.options.tableName}`
+      );
+      const signIns = await this._executeQuery(
+        `SELECT ${window('created_at')} FROM ${this.options.auditLogTable} 
+         WHERE event = 'user.signed_in' AND created_at >= ${this.sql.earlier(periods.month, 'DAY')}`
+      );
+
+      const counts = (row) => Object.fromEntries(
+        Object.keys(periods).map(name => [name, Number(row[name]) || 0])
+      );
+
+      return {
+        users: {
+          total: Number(users[0].total) || 0,
+          active: Number(users[0].active) || 0,
+          verified: Number(users[0].verified) || 0
+        },
+        signUps: counts(users[0]),
+        signIns: counts(signIns[0])
+      };
+    } catch (error) {
+      throw new Error(`Error fetching user stats: ${error.message}`);
+    }
+  }
+
+  // Deactivate or reactivate a user. Returns false if the user doesn't exist.
+  async setActive(userId, isActive) {
+    try {
+      const result = await this._executeQuery(
+        `UPDATE ${this.options.tableName} 
+         SET is_active = ?, updated_at = ${this.sql.now()} WHERE id = ?`,
+        [isActive ? 1 : 0, userId]
+      );
+
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw new Error(`Error updating user status: ${error.message}`);
+    }
+  }
+
+  // Permanently delete a user and everything tied to them. The audit log
+  // is kept. Child rows are deleted explicitly in case foreign keys are not
+  // enforced by the cluster.
+  async deleteUser(userId) {
+    try {
+      return await this._transaction(async () => {
+        const tables = [
+          this.options.refreshTokensTable,
+          this.options.passwordResetTable,
+          this.options.emailVerificationTable,
+          this.options.recoveryCodesTable,
+          this.options.mfaTable,
+          this.options.webauthnCredentialsTable,
+          this.options.webauthnChallengesTable,
+          this.options.magicLinksTable,
+          this.options.identitiesTable,
+          this.options.oidcCodesTable,
+          this.options.oidcConsentsTable,
+          this.options.userRolesTable
+        ];
+
+        for (const table of tables) {
+          await this._executeQuery(`DELETE FROM ${table} WHERE user_id = ?`, [userId]);
+        }
+
+        const result = await this._executeQuery(
+          `DELETE FROM ${this.options.tableName} WHERE id = ?`,
+          [userId]
+        );
+
+        return result.affectedRows > 0;
+      });
+    } catch (error) {
+      throw new Error(`Error deleting user: ${error.message}`);
+    }
+  }
+
+  // Rows TiDB's TTL would have removed, for databases without it. Adapters
+  // run this when they start.
+  async _deleteExpiredRows() {
+    await this._executeQuery(
+      `DELETE FROM ${this.options.loginAttemptsTable} WHERE created_at < ${this.sql.earlier(1, 'DAY')}`
+    );
+    await this._executeQuery(
+      `DELETE FROM ${this.options.rateLimitsTable} WHERE reset_at < ${this.sql.earlier(1, 'DAY')}`
+    );
+    await this._executeQuery(
+      `DELETE FROM ${this.options.tokenRevocationsTable} WHERE expires_at < ${this.sql.earlier(1, 'HOUR')}`
+    );
+  }
+
+  async _hasColumn(table, column) {
+    const rows = await this._executeQuery(
+      `SELECT COUNT(*) AS count FROM information_schema.COLUMNS 
+       WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+      [table, column]
+    );
+
+    return Number(rows[0].count) > 0;
+  }
+
+  // Add a column to an existing table if it is missing
+  async _ensureColumn(table, column, definition) {
+    if (!(await this._hasColumn(table, column))) {
+      await this._executeQuery(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+  }
+
+  // Older releases stored refresh tokens as plaintext JWTs in a token
+  // column. Hash the live ones, drop expired ones, then drop the column so
+  // no raw token is left in the database.
+  async _migrateRefreshTokenHashes() {
+    const table = this.options.refreshTokensTable;
+    if (!(await this._hasColumn(table, 'token'))) {
+      return;
+    }
+
+    console.log('🔄 Migrating refresh tokens to hashed storage...');
+
+    await this._ensureColumn(table, 'token_hash', 'CHAR(64) NULL');
+    await this._executeQuery(`DELETE FROM ${table} WHERE expires_at <= ${this.sql.now()} AND token_hash IS NULL`);
+
+    let rows;
+    do {
+      rows = await this._executeQuery(
+        `SELECT id, token FROM ${table} WHERE token_hash IS NULL LIMIT 500`
+      );
+
+      for (const row of rows) {
+        await this._executeQuery(
+          `UPDATE ${table} SET token_hash = ? WHERE id = ?`,
+          [CryptoUtils.hashResetToken(row.token), row.id]
+        );
+      }
+    } while (rows.length > 0);
+
+    // Two sign ins in the same second could store the same JWT twice
+    await this._executeQuery(
+      `DELETE duplicate FROM ${table} duplicate 
+       INNER JOIN ${table} original 
+       ON duplicate.token_hash = original.token_hash AND duplicate.id > original.id`
+    );
+
+    await this._executeQuery(`ALTER TABLE ${table} MODIFY token_hash CHAR(64) NOT NULL`);
+
+    const indexes = await this._executeQuery(
+      `SELECT COUNT(*) AS count FROM information_schema.STATISTICS 
+       WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = 'idx_token_hash'`,
+      [table]
+    );
+    if (Number(indexes[0].count) === 0) {
+      await this._executeQuery(`CREATE UNIQUE INDEX idx_token_hash ON ${table} (token_hash)`);
+    }
+
+    // Last step, so an interrupted migration runs again on the next start
+    await this._executeQuery(`ALTER TABLE ${table} DROP COLUMN token`);
+
+    console.log('✅ Refresh tokens migrated');
+  }
+
+  // Database initialization (create tables for TiDB)
+  async initDatabase() {
+    try {
+      console.log('🔄 Initializing TiDB Cloud database tables...');
+
+      // Create users table
+      const createUsersTable = `
+        CREATE TABLE IF NOT EXISTS ${this.options.tableName} (
+          id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+          email VARCHAR(255) UNIQUE NOT NULL,
+          password VARCHAR(255) NOT NULL,
+          name VARCHAR(100) NOT NULL,
+          is_active TINYINT(1) DEFAULT 1,
+          is_verified TINYINT(1) DEFAULT 0,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          INDEX idx_email (email),
+          INDEX idx_active (is_active)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `;
+
+      // Create refresh tokens table
+      const createRefreshTokensTable = `
+        CREATE TABLE IF NOT EXISTS ${this.options.refreshTokensTable} (
+          id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+          user_id BIGINT UNSIGNED NOT NULL,
+          token_hash CHAR(64) NOT NULL,
+          family_id VARCHAR(64) NULL,
+          parent_id BIGINT UNSIGNED NULL,
+          user_agent VARCHAR(512) NULL,
+          ip_address VARCHAR(45) NULL,
+          device_label VARCHAR(100) NULL,
+          remember_me TINYINT(1) NOT NULL DEFAULT 1,
+          rotated_at TIMESTAMP NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          last_used_at TIMESTAMP NULL,
+          expires_at TIMESTAMP NOT NULL,
+          UNIQUE INDEX idx_token_hash (token_hash),
+          INDEX idx_user_id (user_id),
+          INDEX idx_family_id (family_id),
+          INDEX idx_expires (expires_at),
+          FOREIGN KEY (user_id) REFERENCES ${this.options.tableName}(id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `;
+
+      // Create password reset table
+      const createPasswordResetTable = `
+        CREATE TABLE IF NOT EXISTS ${this.options.passwordResetTable} (
+          id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+          user_id BIGINT UNSIGNED NOT NULL,
+          token VARCHAR(255) NOT NULL,
+          is_valid TINYINT(1) DEFAULT 1,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          expires_at TIMESTAMP NOT NULL,
+          INDEX idx_user_token (user_id, token),
+          INDEX idx_valid_expires (is_valid, expires_at),
+          FOREIGN KEY (user_id) REFERENCES ${this.options.tableName}(id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `;
+
+      // Create email verification table
+      const createEmailVerificationTable = `
+        CREATE TABLE IF NOT EXISTS ${this.options.emailVerificationTable} (
+          id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+          user_id BIGINT UNSIGNED NOT NULL,
+          token VARCHAR(255) NOT NULL,
+          is_valid TINYINT(1) DEFAULT 1,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          expires_at TIMESTAMP NOT NULL,
+          INDEX idx_user_token (user_id, token),
+          INDEX idx_valid_expires (is_valid, expires_at),
+          FOREIGN KEY (user_id) REFERENCES ${this.options.tableName}(id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `;
+
+      // Create MFA table (TOTP secrets are stored encrypted)
+      const createMfaTable = `
+        CREATE TABLE IF NOT EXISTS ${this.options.mfaTable} (
+          id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+          user_id BIGINT UNSIGNED NOT NULL UNIQUE,
+          secret TEXT NOT NULL,
+          is_enabled TINYINT(1) DEFAULT 0,
+          last_used_step BIGINT UNSIGNED NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          enabled_at TIMESTAMP NULL,
+          FOREIGN KEY (user_id) REFERENCES ${this.options.tableName}(id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `;
+
+      // Create MFA recovery codes table
+      const createRecoveryCodesTable = `
+        CREATE TABLE IF NOT EXISTS ${this.options.recoveryCodesTable} (
+          id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+          user_id BIGINT UNSIGNED NOT NULL,
+          code_hash CHAR(64) NOT NULL,
+          used_at TIMESTAMP NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          INDEX idx_user_code (user_id, code_hash),
+          FOREIGN KEY (user_id) REFERENCES ${this.options.tableName}(id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `;
+
+      // Create audit log table (entries outlive deleted users)
+      const createAuditLogTable = `
+        CREATE TABLE IF NOT EXISTS ${this.options.auditLogTable} (
+          id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+          user_id BIGINT UNSIGNED NULL,
+          event VARCHAR(100) NOT NULL,
+          ip_address VARCHAR(45) NULL,
+          user_agent VARCHAR(512) NULL,
+          metadata JSON NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          INDEX idx_user_created (user_id, created_at),
+          INDEX idx_event_created (event, created_at)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `;
+
+      // Create WebAuthn credentials table (public keys are COSE-encoded)
+      const createWebAuthnCredentialsTable = `
+        CREATE TABLE IF NOT EXISTS ${this.options.webauthnCredentialsTable} (
+          id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+          user_id BIGINT UNSIGNED NOT NULL,
+          credential_id VARCHAR(512) NOT NULL UNIQUE,
+          public_key TEXT NOT NULL,
+          sign_count BIGINT UNSIGNED DEFAULT 0,
+          transports VARCHAR(255) NULL,
+          aaguid CHAR(32) NULL,
+          name VARCHAR(100) NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          last_used_at TIMESTAMP NULL,
+          INDEX idx_user_id (user_id),
+          FOREIGN KEY (user_id) REFERENCES ${this.options.tableName}(id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `;
+
+      // Create WebAuthn challenges table
+      const createWebAuthnChallengesTable = `
+        CREATE TABLE IF NOT EXISTS ${this.options.webauthnChallengesTable} (
+          id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+          user_id BIGINT UNSIGNED NULL,
+          challenge CHAR(64) NOT NULL,
+          type VARCHAR(20) NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          expires_at TIMESTAMP NOT NULL,
+          INDEX idx_challenge (challenge),
+          INDEX idx_expires (expires_at),
+          FOREIGN KEY (user_id) REFERENCES ${this.options.tableName}(id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `;
+
+      // Create magic links table (passwordless sign in)
+      const createMagicLinksTable = `
+        CREATE TABLE IF NOT EXISTS ${this.options.magicLinksTable} (
+          id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+          user_id BIGINT UNSIGNED NOT NULL,
+          token CHAR(64) NOT NULL,
+          code CHAR(64) NOT NULL,
+          attempts INT UNSIGNED DEFAULT 0,
+          is_valid TINYINT(1) DEFAULT 1,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          expires_at TIMESTAMP NOT NULL,
+          INDEX idx_user_token (user_id, token),
+          INDEX idx_valid_expires (is_valid, expires_at),
+          FOREIGN KEY (user_id) REFERENCES ${this.options.tableName}(id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `;
+
+      // Create external identities table (OAuth/OIDC sign in)
+      const createIdentitiesTable = `
+        CREATE TABLE IF NOT EXISTS ${this.options.identitiesTable} (
+          id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+          user_id BIGINT UNSIGNED NOT NULL,
+          provider VARCHAR(50) NOT NULL,
+          subject VARCHAR(255) NOT NULL,
+          email VARCHAR(255) NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          last_used_at TIMESTAMP NULL,
+          UNIQUE KEY uniq_provider_subject (provider, subject),
+          UNIQUE KEY uniq_user_provider (user_id, provider),
+          FOREIGN KEY (user_id) REFERENCES ${this.options.tableName}(id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `;
+
+      // Create OIDC client applications table (secrets are stored hashed)
+      const createOidcClientsTable = `
+        CREATE TABLE IF NOT EXISTS ${this.options.oidcClientsTable} (
+          id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+          client_id VARCHAR(100) NOT NULL UNIQUE,
+          client_secret CHAR(64) NULL,
+          name VARCHAR(100) NOT NULL,
+          redirect_uris TEXT NOT NULL,
+          scopes VARCHAR(255) NOT NULL,
+          skip_consent TINYINT(1) DEFAULT 0,
+          is_active TINYINT(1) DEFAULT 1,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `;
+
+      // Create OIDC authorization codes table
+      const createOidcCodesTable = `
+        CREATE TABLE IF NOT EXISTS ${this.options.oidcCodesTable} (
+          id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+          code CHAR(64) NOT NULL,
+          client_id VARCHAR(100) NOT NULL,
+          user_id BIGINT UNSIGNED NOT NULL,
+          redirect_uri TEXT NOT NULL,
+          scope VARCHAR(255) NOT NULL,
+          nonce VARCHAR(255) NULL,
+          code_challenge VARCHAR(128) NULL,
+          is_valid TINYINT(1) DEFAULT 1,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          expires_at TIMESTAMP NOT NULL,
+          INDEX idx_code (code),
+          INDEX idx_valid_expires (is_valid, expires_at),
+          FOREIGN KEY (user_id) REFERENCES ${this.options.tableName}(id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `;
+
+      // Create OIDC consents table
+      const createOidcConsentsTable = `
+        CREATE TABLE IF NOT EXISTS ${this.options.oidcConsentsTable} (
+          id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+          user_id BIGINT UNSIGNED NOT NULL,
+          client_id VARCHAR(100) NOT NULL,
+          scope VARCHAR(255) NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE KEY uniq_user_client (user_id, client_id),
+          FOREIGN KEY (user_id) REFERENCES ${this.options.tableName}(id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `;
+
+      // Create roles and permissions tables
+      const createRolesTable = `
+        CREATE TABLE IF NOT EXISTS ${this.options.rolesTable} (
+          id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+          name VARCHAR(100) NOT NULL UNIQUE,
+          description VARCHAR(255) NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `;
+
+      const createPermissionsTable = `
+        CREATE TABLE IF NOT EXISTS ${this.options.permissionsTable} (
+          id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+          name VARCHAR(100) NOT NULL UNIQUE,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `;
+
+      const createRolePermissionsTable = `
+        CREATE TABLE IF NOT EXISTS ${this.options.rolePermissionsTable} (
+          role_id BIGINT UNSIGNED NOT NULL,
+          permission_id BIGINT UNSIGNED NOT NULL,
+          PRIMARY KEY (role_id, permission_id),
+          FOREIGN KEY (role_id) REFERENCES ${this.options.rolesTable}(id) ON DELETE CASCADE,
+          FOREIGN KEY (permission_id) REFERENCES ${this.options.permissionsTable}(id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `;
+
+      const createUserRolesTable = `
+        CREATE TABLE IF NOT EXISTS ${this.options.userRolesTable} (
+          user_id BIGINT UNSIGNED NOT NULL,
+          role_id BIGINT UNSIGNED NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (user_id, role_id),
+          FOREIGN KEY (user_id) REFERENCES ${this.options.tableName}(id) ON DELETE CASCADE,
+          FOREIGN KEY (role_id) REFERENCES ${this.options.rolesTable}(id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `;
+
+      // Create signing keys table (secrets and private keys are stored encrypted)
+      const createSigningKeysTable = `
+        CREATE TABLE IF NOT EXISTS ${this.options.signingKeysTable} (
+          id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+          kid VARCHAR(64) NOT NULL UNIQUE,
+          key_use VARCHAR(10) NOT NULL,
+          algorithm VARCHAR(10) NOT NULL,
+          secret TEXT NOT NULL,
+          public_jwk TEXT NULL,
+          status VARCHAR(10) NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          retire_at TIMESTAMP NULL,
+          INDEX idx_use_status (key_use, status)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `;
+
+      // Password sign in attempts, kept for a day
+      const createLoginAttemptsTable = `
+        CREATE TABLE IF NOT EXISTS ${this.options.loginAttemptsTable} (
+          id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+          email VARCHAR(255) NOT NULL,
+          ip_address VARCHAR(45) NULL,
+          succeeded TINYINT(1) NOT NULL DEFAULT 0,
+          created_at TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3),
+          INDEX idx_email_created (email, created_at),
+          INDEX idx_ip_created (ip_address, created_at)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        TTL = created_at + INTERVAL 1 DAY
+      `;
+
+      // Temporary locks by email (unknown emails can be locked too)
+      const createAccountLockoutsTable = `
+        CREATE TABLE IF NOT EXISTS ${this.options.accountLockoutsTable} (
+          email VARCHAR(255) PRIMARY KEY,
+          locked_until TIMESTAMP(3) NULL,
+          reset_at TIMESTAMP(3) NULL,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `;
+
+      // Rate limit counters, one row per key and window
+      const createRateLimitsTable = `
+        CREATE TABLE IF NOT EXISTS ${this.options.rateLimitsTable} (
+          rate_key VARCHAR(512) PRIMARY KEY,
+          hits INT UNSIGNED NOT NULL DEFAULT 0,
+          reset_at TIMESTAMP(3) NOT NULL
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        TTL = reset_at + INTERVAL 1 DAY
+      `;
+
+      // Create token revocations table. TiDB's TTL removes rows once the
+      // tokens they revoke have expired.
+      const createTokenRevocationsTable = `
+        CREATE TABLE IF NOT EXISTS ${this.options.tokenRevocationsTable} (
+          id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+          jti VARCHAR(64) NULL,
+          session_id VARCHAR(64) NULL,
+          user_id BIGINT UNSIGNED NULL,
+          not_before BIGINT NULL,
+          expires_at TIMESTAMP NOT NULL,
+          created_at TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3),
+          INDEX idx_created_at (created_at)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        TTL = expires_at + INTERVAL 1 HOUR
+      `;
+
+      await this._executeQuery(createUsersTable);
+      await this._executeQuery(createRefreshTokensTable);
+      await this._executeQuery(createPasswordResetTable);
+      await this._executeQuery(createEmailVerificationTable);
+      await this._executeQuery(createMfaTable);
+      await this._executeQuery(createRecoveryCodesTable);
+      await this._executeQuery(createAuditLogTable);
+      await this._executeQuery(createWebAuthnCredentialsTable);
+      await this._executeQuery(createWebAuthnChallengesTable);
+      await this._executeQuery(createMagicLinksTable);
+      await this._executeQuery(createIdentitiesTable);
+      await this._executeQuery(createOidcClientsTable);
+      await this._executeQuery(createOidcCodesTable);
+      await this._executeQuery(createOidcConsentsTable);
+      await this._executeQuery(createSigningKeysTable);
+      await this._executeQuery(createTokenRevocationsTable);
+      await this._executeQuery(createLoginAttemptsTable);
+      await this._executeQuery(createAccountLockoutsTable);
+      await this._executeQuery(createRateLimitsTable);
+      await this._executeQuery(createRolesTable);
+      await this._executeQuery(createPermissionsTable);
+      await this._executeQuery(createRolePermissionsTable);
+      await this._executeQuery(createUserRolesTable);
+
+      // Columns added after the first release; CREATE TABLE IF NOT EXISTS
+      // leaves existing tables untouched
+      await this._ensureColumn(this.options.refreshTokensTable, 'family_id', 'VARCHAR(64) NULL');
+      // Tokens stored before families existed each become a session of their own
+      await this._executeQuery(
+        `UPDATE ${this.options.refreshTokensTable} SET family_id = UUID() WHERE family_id IS NULL`
+      );
+      await this._ensureColumn(this.options.refreshTokensTable, 'parent_id', 'BIGINT UNSIGNED NULL');
+      await this._ensureColumn(this.options.refreshTokensTable, 'rotated_at', 'TIMESTAMP NULL');
+      await this._ensureColumn(this.options.refreshTokensTable, 'user_agent', 'VARCHAR(512) NULL');
+      await this._ensureColumn(this.options.refreshTokensTable, 'ip_address', 'VARCHAR(45) NULL');
+      await this._ensureColumn(this.options.refreshTokensTable, 'device_label', 'VARCHAR(100) NULL');
+      await this._ensureColumn(this.options.refreshTokensTable, 'last_used_at', 'TIMESTAMP NULL');
+      await this._ensureColumn(this.options.refreshTokensTable, 'remember_me', 'TINYINT(1) NOT NULL DEFAULT 1');
+      await this._migrateRefreshTokenHashes();
+      await this._ensureColumn(this.options.tokenRevocationsTable, 'session_id', 'VARCHAR(64) NULL');
+
+      console.log('✅ TiDB Cloud database tables initialized successfully');
+      
+    } catch (error) {
+      throw new Error(`Failed to initialize TiDB Cloud database: ${error.message}`);
+    }
+  }
+
+  // Transaction helpers for TiDB
+  // Run work in a transaction: committed once it resolves, rolled back if it
+  // throws. Adapters override this to keep other requests' queries out.
+  async _transaction(work) {
+    await this._beginTransaction();
+
+    try {
+      const result = await work();
+      await this._commitTransaction();
+      return result;
+    } catch (error) {
+      await this._rollbackTransaction();
+      throw error;
+    }
+  }
+
+  async _beginTransaction() {
+    await this.db.execute('START TRANSACTION');
+  }
+
+  async _commitTransaction() {
+    await this.db.execute('COMMIT');
+  }
+
+  async _rollbackTransaction() {
+    await this.db.execute('ROLLBACK');
+  }
+
+  // Format WebAuthn credential
+  _formatWebAuthnCredential(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      credentialId: row.credential_id,
+      publicKey: row.public_key,
+      signCount: Number(row.sign_count),
+      transports: row.transports ? row.transports.split(',') : [],
+      aaguid: row.aaguid,
+      name: row.name,
+      createdAt: row.created_at,
+      lastUsedAt: row.last_used_at
+    };
+  }
+
+  // Format external identity
+  _formatIdentity(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      provider: row.provider,
+      subject: row.subject,
+      email: row.email,
+      createdAt: row.created_at,
+      lastUsedAt: row.last_used_at
+    };
+  }
+
+  // Format OIDC client
+  _formatOidcClient(row) {
+    let redirectUris = row.redirect_uris;
+    if (typeof redirectUris === 'string') {
+      try {
+        redirectUris = JSON.parse(redirectUris);
+      } catch (error) {
+        redirectUris = [];
+      }
+    }
+
+    return {
+      id: row.id,
+      clientId: row.client_id,
+      clientSecret: row.client_secret,
+      name: row.name,
+      redirectUris: redirectUris || [],
+      scopes: row.scopes ? row.scopes.split(' ') : [],
+      skipConsent: row.skip_consent === 1,
+      isConfidential: Boolean(row.client_secret),
+      createdAt: row.created_at
+    };
+  }
+
+  // Format signing key (secret stays encrypted)
+  _formatSigningKey(row) {
+    let publicJwk = row.public_jwk;
+    if (typeof publicJwk === 'string') {
+      try {
+        publicJwk = JSON.parse(publicJwk);
+      } catch (error) {
+        publicJwk = null;
+      }
+    }
+
+    return {
+      kid: row.kid,
+      use: row.key_use,
+      algorithm: row.algorithm,
+      secret: row.secret,
+      publicJwk: publicJwk || null,
+      status: row.status,
+      createdAt: row.created_at,
+      retireAt: row.retire_at
+    };
+  }
+
+  // Format refresh token record (the token itself is not returned)
+  _formatRefreshToken(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      familyId: row.family_id,
+      parentId: row.parent_id,
+      deviceLabel: row.device_label,
+      rememberMe: Boolean(row.remember_me),
+      rotatedAt: row.rotated_at,
+      createdAt: row.created_at,
+      expiresAt: row.expires_at
+    };
+  }
+
+  // Format role (permissions are filled in by findRoles)
+  _formatRole(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      description: row.description,
+      createdAt: row.created_at,
+      permissions: []
+    };
+  }
+
+  // Format session (a refresh token family's active row)
+  _formatSession(row) {
+    return {
+      id: row.family_id,
+      deviceLabel: row.device_label,
+      userAgent: row.user_agent,
+      ipAddress: row.ip_address,
+      createdAt: row.created_at,
+      lastUsedAt: row.last_used_at || row.created_at,
+      expiresAt: row.expires_at
+    };
+  }
+
+  // Format token revocation (times as unix seconds)
+  _formatTokenRevocation(row) {
+    return {
+      jti: row.jti || null,
+      sessionId: row.session_id || null,
+      userId: row.user_id !== null && row.user_id !== undefined ? Number(row.user_id) : null,
+      notBefore: row.not_before !== null && row.not_before !== undefined ? Number(row.not_before) : null,
+      expiresAt: Number(row.expires_at),
+      createdAt: Number(row.created_at)
+    };
+  }
+
+  // Format audit log entry
+  _formatAuditEvent(row) {
+    let metadata = row.metadata;
+    if (typeof metadata === 'string') {
+      try {
+        metadata = JSON.parse(metadata);
+      } catch (error) {
+        metadata = {};
+      }
+    }
+
+    return {
+      id: row.id,
+      userId: row.user_id,
+      event: row.event,
+      ipAddress: row.ip_address,
+      userAgent: row.user_agent,
+      metadata: metadata || {},
+      createdAt: row.created_at
+    };
+  }
+
+  // Format user data
+  _formatUser(userData) {
+    return {
       id: userData.id,
       email: userData.email,
       name: userData.name,
@@ -421,4 +2361,6 @@ class User {
   }
 }
 
+User.dialect = dialects.mysql;
+
 module.exports = User;
\ No newline at end of file
@@ -0,0 +1,63 @@
+// src/models/adapters/contract.js
+
+// What the rest of the library needs from storage. The TiDB/MySQL User model
+// is the reference implementation: adapters return the same camelCase
+// records it does, hash refresh tokens the same way (CryptoUtils.hashResetToken)
+// and resolve to null/false rather than throwing when a row isn't found.
+const STORAGE_METHODS = {
+  setup: ['initDatabase'],
+  users: [
+    'findByEmail', 'findById', 'findByIdIncludingInactive', 'create', 'updatePassword',
+    'updateProfile', 'markEmailVerified', 'findUsers', 'getUserStats', 'setActive', 'deleteUser'
+  ],
+  refreshTokens: [
+    'storeRefreshToken', 'findByRefreshToken', 'findRefreshTokenRecord', 'markRefreshTokenRotated',
+    'updateRefreshToken', 'revokeRefreshTokenFamily', 'findSessionsByUserId', 'revokeSession',
+    'removeRefreshToken', 'clearAllRefreshTokens'
+  ],
+  resetTokens: [
+    'storePasswordResetToken', 'findValidPasswordResetToken',
+    'storeEmailVerificationToken', 'findValidEmailVerificationToken',
+    'storeMagicLink', 'consumeMagicLinkToken', 'consumeMagicLinkCode'
+  ],
+  mfa: [
+    'saveMfaSecret', 'findMfaByUserId', 'enableMfa', 'updateMfaLastUsedStep', 'disableMfa',
+    'replaceRecoveryCodes', 'useRecoveryCode', 'countRecoveryCodes'
+  ],
+  webauthn: [
+    'storeWebAuthnChallenge', 'consumeWebAuthnChallenge', 'storeWebAuthnCredential',
+    'findWebAuthnCredential', 'findWebAuthnCredentialsByUserId', 'updateWebAuthnSignCount',
+    'removeWebAuthnCredential'
+  ],
+  audit: ['recordAuditEvent', 'findAuditEvents'],
+  identities: ['findIdentity', 'findIdentitiesByUserId', 'linkIdentity', 'touchIdentity', 'unlinkIdentity'],
+  oidc: [
+    'createOidcClient', 'findOidcClient', 'storeAuthorizationCode', 'consumeAuthorizationCode',
+    'findOidcConsent', 'saveOidcConsent'
+  ],
+  signingKeys: ['findSigningKeys', 'rotateSigningKey', 'retireSigningKey'],
+  revocations: ['addTokenRevocation', 'findTokenRevocations'],
+  roles: [
+    'createRole', 'findRole', 'findRoles', 'deleteRole', 'grantPermission', 'revokePermission',
+    'assignRole', 'removeRole', 'findUserAccess'
+  ],
+  throttling: [
+    'recordLoginAttempt', 'countFailedLoginAttempts', 'findAccountLockout', 'lockAccount',
+    'resetLoginAttempts', 'hitRateLimit'
+  ]
+};
+
+// Throw if an adapter is missing any of the methods above
+const assertStorageAdapter = (adapter) => {
+  const missing = Object.values(STORAGE_METHODS)
+    .flat()
+    .filter(method => !adapter || typeof adapter[method] !== 'function');
+
+  if (missing.length > 0) {
+    throw new Error(`Storage adapter is missing ${missing.join(', ')}`);
+  }
+
+  return adapter;
+};
+
+module.exports = { STORAGE_METHODS, assertStorageAdapter };
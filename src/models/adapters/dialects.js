@@ -0,0 +1,70 @@
+// src/models/adapters/dialects.js
+
+// The SQL that differs between the databases the User model runs on. The
+// model's queries are written against these helpers; amount, value and
+// column arguments are SQL (a ? placeholder, a literal or a column name).
+
+const UNIT_SECONDS = { MICROSECOND: 0.000001, SECOND: 1, MINUTE: 60, HOUR: 3600, DAY: 86400 };
+
+// SQLite has no date type: times are stored as ISO 8601 text in UTC, which
+// sorts and compares like the time itself and parses back with new Date()
+const SQLITE_TIME_FORMAT = '%Y-%m-%dT%H:%M:%fZ';
+
+// TiDB Cloud and MySQL
+const mysql = {
+  name: 'TiDB Cloud',
+  now: (precise = false) => (precise ? 'NOW(3)' : 'NOW()'),
+  later: (amount, unit = 'SECOND', precise = false) => `DATE_ADD(${mysql.now(precise)}, INTERVAL ${amount} ${unit})`,
+  earlier: (amount, unit = 'SECOND', precise = false) => `DATE_SUB(${mysql.now(precise)}, INTERVAL ${amount} ${unit})`,
+  fromUnixTime: (value) => `FROM_UNIXTIME(${value})`,
+  unixTime: (column) => `UNIX_TIMESTAMP(${column})`,
+  // Emails compare case-insensitively through the table's collation
+  foldCase: (value) => value,
+  like: 'LIKE',
+  // insert is everything after INSERT; existing rows are left alone
+  insertIgnore: (insert) => `INSERT IGNORE ${insert}`,
+  // updates may reference the proposed row with excluded(column)
+  upsert: (insert, keys, updates) => `${insert} ON DUPLICATE KEY UPDATE ${updates}`,
+  excluded: (column) => `VALUES(${column})`,
+  // mysql2 reports the new id as insertId
+  returning: () => ''
+};
+
+const sqlite = {
+  name: 'SQLite',
+  now: () => `strftime('${SQLITE_TIME_FORMAT}', 'now')`,
+  later: (amount, unit = 'SECOND') => (
+    `strftime('${SQLITE_TIME_FORMAT}', 'now', ROUND((${amount}) * ${UNIT_SECONDS[unit]}, 3) || ' seconds')`
+  ),
+  earlier: (amount, unit = 'SECOND') => (
+    `strftime('${SQLITE_TIME_FORMAT}', 'now', -ROUND((${amount}) * ${UNIT_SECONDS[unit]}, 3) || ' seconds')`
+  ),
+  fromUnixTime: (value) => `strftime('${SQLITE_TIME_FORMAT}', ${value}, 'unixepoch')`,
+  unixTime: (column) => `ROUND((julianday(${column}) - 2440587.5) * 86400.0, 3)`,
+  // Emails are declared COLLATE NOCASE, and LIKE ignores ASCII case
+  foldCase: (value) => value,
+  like: 'LIKE',
+  insertIgnore: (insert) => `INSERT ${insert} ON CONFLICT DO NOTHING`,
+  upsert: (insert, keys, updates) => `${insert} ON CONFLICT (${keys.join(', ')}) DO UPDATE SET ${updates}`,
+  excluded: (column) => `excluded.${column}`,
+  // better-sqlite3 reports the new id as lastInsertRowid
+  returning: () => ''
+};
+
+const postgres = {
+  name: 'PostgreSQL',
+  now: () => 'NOW()',
+  later: (amount, unit = 'SECOND') => `(NOW() + CAST(${amount} AS DOUBLE PRECISION) * INTERVAL '1 ${unit.toLowerCase()}')`,
+  earlier: (amount, unit = 'SECOND') => `(NOW() - CAST(${amount} AS DOUBLE PRECISION) * INTERVAL '1 ${unit.toLowerCase()}')`,
+  fromUnixTime: (value) => `TO_TIMESTAMP(CAST(${value} AS DOUBLE PRECISION))`,
+  unixTime: (column) => `EXTRACT(EPOCH FROM ${column})`,
+  // = is case-sensitive; the users table has a unique index on LOWER(email)
+  foldCase: (value) => `LOWER(${value})`,
+  like: 'ILIKE',
+  insertIgnore: (insert) => `INSERT ${insert} ON CONFLICT DO NOTHING`,
+  upsert: (insert, keys, updates) => `${insert} ON CONFLICT (${keys.join(', ')}) DO UPDATE SET ${updates}`,
+  excluded: (column) => `excluded.${column}`,
+  returning: (column) => `RETURNING ${column}`
+};
+
+module.exports = { mysql, sqlite, postgres, SQLITE_TIME_FORMAT };
@@ -0,0 +1,1038 @@
+// src/models/adapters/memory.js
+const crypto = require('crypto');
+const CryptoUtils = require('../../utils/crypto');
+const { MemoryRateLimitStore } = require('../../utils/rateLimitStore');
+
+// Ids may arrive as numbers (token claims) or strings (route params)
+const sameId = (a, b) => a !== null && a !== undefined && b !== null && b !== undefined && String(a) === String(b);
+
+const secondsFromNow = (seconds) => new Date(Date.now() + seconds * 1000);
+
+const isFuture = (date) => new Date(date).getTime() > Date.now();
+
+// Storage in process memory, for local development and tests: selected with
+// database: { adapter: 'memory' }. Data is lost on restart and is not shared
+// between processes. Behaves like the TiDB User model, including expiry,
+// single-use tokens and what deleting a user removes.
+class MemoryAdapter {
+  constructor(options = {}) {
+    this.options = {
+      // Seconds a stored refresh token stays valid; match the JWT's lifetime
+      refreshTokenExpiry: options.refreshTokenExpiry || 7 * 24 * 60 * 60,
+      // Seconds after sign in that a session's refresh tokens stop working
+      absoluteSessionTimeout: options.absoluteSessionTimeout || null,
+      ...options
+    };
+
+    this.nextIds = {};
+    this.users = [];
+    this.refreshTokens = [];
+    this.passwordResets = [];
+    this.emailVerifications = [];
+    this.mfa = new Map();
+    this.recoveryCodes = [];
+    this.auditLog = [];
+    this.webauthnCredentials = [];
+    this.webauthnChallenges = [];
+    this.magicLinks = [];
+    this.identities = [];
+    this.oidcClients = [];
+    this.oidcCodes = [];
+    this.oidcConsents = [];
+    this.signingKeys = [];
+    this.tokenRevocations = [];
+    this.roles = new Map();
+    this.userRoles = [];
+    this.loginAttempts = [];
+    this.accountLockouts = new Map();
+    this.rateLimits = new MemoryRateLimitStore();
+
+    console.log('📊 User model initialized in memory');
+  }
+
+  _nextId(table) {
+    this.nextIds[table] = (this.nextIds[table] || 0) + 1;
+    return this.nextIds[table];
+  }
+
+  _activeUser(userId) {
+    return this.users.find(user => sameId(user.id, userId) && user.isActive) || null;
+  }
+
+  // Nothing to create; kept so every adapter starts the same way
+  async initDatabase() {
+    console.log('✅ In-memory storage ready (data is lost on restart)');
+  }
+
+  // Find user by email
+  async findByEmail(email) {
+    const wanted = String(email).toLowerCase();
+    const user = this.users.find(candidate => candidate.isActive && candidate.email.toLowerCase() === wanted);
+    return user ? this._formatUser(user) : null;
+  }
+
+  // Find user by ID
+  async findById(userId) {
+    const user = this._activeUser(userId);
+    return user ? this._formatUser(user) : null;
+  }
+
+  // Create new user
+  async create(userData) {
+    const { email, password, name } = userData;
+
+    if (!email || !password || !name) {
+      throw new Error('Error creating user: Email, password, and name are required');
+    }
+
+    const wanted = String(email).toLowerCase();
+    if (this.users.some(user => user.email.toLowerCase() === wanted)) {
+      throw new Error('Error creating user: User already exists with this email');
+    }
+
+    const now = new Date();
+    const user = {
+      id: this._nextId('users'),
+      email,
+      password: await CryptoUtils.hashPassword(password),
+      name,
+      isActive: true,
+      isVerified: false,
+      createdAt: now,
+      updatedAt: now
+    };
+    this.users.push(user);
+
+    return this._formatUser(user);
+  }
+
+  // Store refresh token (hashed, like the database). session: { familyId,
+  // parentId, userAgent, ipAddress, deviceLabel, createdAt, expiresIn, rememberMe }
+  async storeRefreshToken(userId, refreshToken, session = {}) {
+    const {
+      familyId = null,
+      parentId = null,
+      userAgent = null,
+      ipAddress = null,
+      deviceLabel = null,
+      createdAt = null,
+      expiresIn = this.options.refreshTokenExpiry,
+      rememberMe = true
+    } = session;
+
+    const tokenHash = CryptoUtils.hashResetToken(refreshToken);
+    if (this.refreshTokens.some(token => token.tokenHash === tokenHash)) {
+      throw new Error('Error storing refresh token: token already stored');
+    }
+
+    const now = new Date();
+    this.refreshTokens.push({
+      id: this._nextId('refreshTokens'),
+      userId,
+      tokenHash,
+      familyId: familyId || crypto.randomUUID(),
+      parentId,
+      userAgent: userAgent ? String(userAgent).slice(0, 512) : null,
+      ipAddress,
+      deviceLabel: deviceLabel ? String(deviceLabel).slice(0, 100) : null,
+      rememberMe: Boolean(rememberMe),
+      rotatedAt: null,
+      createdAt: createdAt ? new Date(createdAt) : now,
+      lastUsedAt: now,
+      expiresAt: secondsFromNow(expiresIn)
+    });
+    return true;
+  }
+
+  _findRefreshToken(userId, refreshToken) {
+    const tokenHash = CryptoUtils.hashResetToken(refreshToken);
+    return this.refreshTokens.find(token => token.tokenHash === tokenHash && sameId(token.userId, userId)) || null;
+  }
+
+  // Find user by refresh token (rotated tokens, and sessions older than
+  // the absolute timeout, no longer count)
+  async findByRefreshToken(userId, refreshToken) {
+    const token = this._findRefreshToken(userId, refreshToken);
+    const { absoluteSessionTimeout } = this.options;
+
+    if (!token || token.rotatedAt || !isFuture(token.expiresAt)) {
+      return null;
+    }
+    if (absoluteSessionTimeout && token.createdAt.getTime() <= Date.now() - absoluteSessionTimeout * 1000) {
+      return null;
+    }
+
+    return this.findById(token.userId);
+  }
+
+  // Find a stored refresh token, including ones that were already rotated
+  async findRefreshTokenRecord(userId, refreshToken) {
+    const token = this._findRefreshToken(userId, refreshToken);
+    return token && isFuture(token.expiresAt) ? this._formatRefreshToken(token) : null;
+  }
+
+  // Mark a refresh token as used. Returns false if it was already rotated.
+  async markRefreshTokenRotated(id) {
+    const token = this.refreshTokens.find(candidate => sameId(candidate.id, id) && !candidate.rotatedAt);
+    if (!token) {
+      return false;
+    }
+
+    token.rotatedAt = new Date();
+    return true;
+  }
+
+  // Update refresh token (rotation); the old token is kept, marked as rotated.
+  // Returns false if the old token was not active.
+  async updateRefreshToken(userId, oldToken, newToken, session = {}) {
+    const parent = this._findRefreshToken(userId, oldToken);
+    if (!parent || !(await this.markRefreshTokenRotated(parent.id))) {
+      return false;
+    }
+
+    // A token from before families existed starts one
+    parent.familyId = parent.familyId || session.familyId || crypto.randomUUID();
+
+    // Same family; the session keeps its start time and remember me choice
+    await this.storeRefreshToken(userId, newToken, {
+      deviceLabel: parent.deviceLabel,
+      rememberMe: parent.rememberMe,
+      ...session,
+      familyId: parent.familyId,
+      parentId: parent.id,
+      createdAt: parent.createdAt
+    });
+    return true;
+  }
+
+  // Remove matching rows from one of the tables; returns how many went
+  _remove(table, matches) {
+    const before = this[table].length;
+    this[table] = this[table].filter(row => !matches(row));
+    return before - this[table].length;
+  }
+
+  // Revoke every token descended from the same sign in
+  async revokeRefreshTokenFamily(familyId) {
+    return this._remove('refreshTokens', token => token.familyId === familyId);
+  }
+
+  // Signed-in sessions (the active token of each family), newest first
+  async findSessionsByUserId(userId) {
+    return this.refreshTokens
+      .filter(token => sameId(token.userId, userId) && !token.rotatedAt && isFuture(token.expiresAt))
+      .sort((a, b) => b.lastUsedAt - a.lastUsedAt)
+      .map(token => this._formatSession(token));
+  }
+
+  // Sign a session out (all of its refresh tokens)
+  async revokeSession(userId, sessionId) {
+    return this._remove('refreshTokens', token => sameId(token.userId, userId) && token.familyId === sessionId) > 0;
+  }
+
+  // Remove specific refresh token
+  async removeRefreshToken(userId, refreshToken) {
+    const tokenHash = CryptoUtils.hashResetToken(refreshToken);
+    return this._remove('refreshTokens', token => token.tokenHash === tokenHash && sameId(token.userId, userId)) > 0;
+  }
+
+  // Clear all refresh tokens for a user
+  async clearAllRefreshTokens(userId) {
+    return this._remove('refreshTokens', token => sameId(token.userId, userId));
+  }
+
+  // Store a single-use token (already hashed), invalidating the user's earlier ones
+  _storeUserToken(table, userId, hashedToken, seconds) {
+    this[table].filter(row => sameId(row.userId, userId)).forEach(row => { row.isValid = false; });
+    this[table].push({
+      id: this._nextId(table),
+      userId,
+      token: hashedToken,
+      isValid: true,
+      createdAt: new Date(),
+      expiresAt: secondsFromNow(seconds)
+    });
+    return true;
+  }
+
+  // The user a valid, unexpired token belongs to
+  _findUserToken(table, userId, token) {
+    const hashedToken = CryptoUtils.hashResetToken(token);
+    const row = this[table].find(candidate => (
+      sameId(candidate.userId, userId) && candidate.token === hashedToken
+      && candidate.isValid && isFuture(candidate.expiresAt)
+    ));
+    return row ? this.findById(userId) : null;
+  }
+
+  // Store password reset token (valid for an hour)
+  async storePasswordResetToken(userId, hashedToken) {
+    return this._storeUserToken('passwordResets', userId, hashedToken, 60 * 60);
+  }
+
+  // Find valid password reset token
+  async findValidPasswordResetToken(userId, token) {
+    return this._findUserToken('passwordResets', userId, token);
+  }
+
+  // Store email verification token (valid for a day)
+  async storeEmailVerificationToken(userId, hashedToken) {
+    return this._storeUserToken('emailVerifications', userId, hashedToken, 24 * 60 * 60);
+  }
+
+  // Find valid email verification token
+  async findValidEmailVerificationToken(userId, token) {
+    return this._findUserToken('emailVerifications', userId, token);
+  }
+
+  // Mark user email as verified; verification tokens are single-use
+  async markEmailVerified(userId) {
+    const user = this._activeUser(userId);
+    if (!user) {
+      throw new Error('Error marking email as verified: User not found or not active');
+    }
+
+    user.isVerified = true;
+    user.updatedAt = new Date();
+    this.emailVerifications.filter(row => sameId(row.userId, userId)).forEach(row => { row.isValid = false; });
+    return true;
+  }
+
+  // Store a (pending) TOTP secret, replacing any unconfirmed one
+  async saveMfaSecret(userId, encryptedSecret) {
+    this.mfa.set(String(userId), {
+      userId,
+      secret: encryptedSecret,
+      isEnabled: false,
+      lastUsedStep: null,
+      createdAt: new Date(),
+      enabledAt: null
+    });
+    return true;
+  }
+
+  // Find MFA settings for a user
+  async findMfaByUserId(userId) {
+    const settings = this.mfa.get(String(userId));
+    return settings ? { ...settings } : null;
+  }
+
+  // Enable MFA after the first code has been confirmed
+  async enableMfa(userId) {
+    const settings = this.mfa.get(String(userId));
+    if (!settings) {
+      return false;
+    }
+
+    settings.isEnabled = true;
+    settings.enabledAt = new Date();
+    return true;
+  }
+
+  // Record the last accepted time step; only succeeds for a newer step
+  async updateMfaLastUsedStep(userId, step) {
+    const settings = this.mfa.get(String(userId));
+    if (!settings || (settings.lastUsedStep !== null && settings.lastUsedStep >= step)) {
+      return false;
+    }
+
+    settings.lastUsedStep = Number(step);
+    return true;
+  }
+
+  // Remove MFA settings and recovery codes for a user
+  async disableMfa(userId) {
+    this._remove('recoveryCodes', code => sameId(code.userId, userId));
+    return this.mfa.delete(String(userId));
+  }
+
+  // Replace all recovery codes for a user with a new set of hashed codes
+  async replaceRecoveryCodes(userId, hashedCodes) {
+    this._remove('recoveryCodes', code => sameId(code.userId, userId));
+    for (const codeHash of hashedCodes) {
+      this.recoveryCodes.push({ id: this._nextId('recoveryCodes'), userId, codeHash, usedAt: null, createdAt: new Date() });
+    }
+    return true;
+  }
+
+  // Mark a recovery code as used. Returns false if it doesn't exist or was already used.
+  async useRecoveryCode(userId, hashedCode) {
+    const code = this.recoveryCodes.find(candidate => (
+      sameId(candidate.userId, userId) && candidate.codeHash === hashedCode && !candidate.usedAt
+    ));
+    if (!code) {
+      return false;
+    }
+
+    code.usedAt = new Date();
+    return true;
+  }
+
+  // Count unused recovery codes
+  async countRecoveryCodes(userId) {
+    return this.recoveryCodes.filter(code => sameId(code.userId, userId) && !code.usedAt).length;
+  }
+
+  // Store a WebAuthn challenge (hashed), valid for five minutes
+  async storeWebAuthnChallenge(userId, hashedChallenge, type) {
+    this.webauthnChallenges.push({
+      id: this._nextId('webauthnChallenges'),
+      userId,
+      challenge: hashedChallenge,
+      type,
+      createdAt: new Date(),
+      expiresAt: secondsFromNow(5 * 60)
+    });
+    return true;
+  }
+
+  // Consume a WebAuthn challenge. Returns { userId } once, or null if unknown/expired.
+  async consumeWebAuthnChallenge(hashedChallenge, type) {
+    const challenge = this.webauthnChallenges.find(candidate => (
+      candidate.challenge === hashedChallenge && candidate.type === type && isFuture(candidate.expiresAt)
+    ));
+    if (!challenge) {
+      return null;
+    }
+
+    this._remove('webauthnChallenges', candidate => candidate.id === challenge.id);
+    return { userId: challenge.userId };
+  }
+
+  // Store a registered WebAuthn credential
+  async storeWebAuthnCredential(userId, credential) {
+    if (this.webauthnCredentials.some(stored => stored.credentialId === credential.credentialId)) {
+      throw new Error('Error storing WebAuthn credential: credential already registered');
+    }
+
+    const id = this._nextId('webauthnCredentials');
+    this.webauthnCredentials.push({
+      id,
+      userId,
+      credentialId: credential.credentialId,
+      publicKey: credential.publicKey,
+      signCount: credential.signCount || 0,
+      transports: credential.transports ? [...credential.transports] : [],
+      aaguid: credential.aaguid || null,
+      name: credential.name || 'Passkey',
+      createdAt: new Date(),
+      lastUsedAt: null
+    });
+    return id;
+  }
+
+  // Find a WebAuthn credential by its credential ID
+  async findWebAuthnCredential(credentialId) {
+    const credential = this.webauthnCredentials.find(stored => stored.credentialId === credentialId);
+    return credential ? this._formatWebAuthnCredential(credential) : null;
+  }
+
+  // Find all WebAuthn credentials of a user
+  async findWebAuthnCredentialsByUserId(userId) {
+    return this.webauthnCredentials
+      .filter(credential => sameId(credential.userId, userId))
+      .map(credential => this._formatWebAuthnCredential(credential));
+  }
+
+  // Update the signature counter after a successful assertion
+  async updateWebAuthnSignCount(credentialId, signCount) {
+    const credential = this.webauthnCredentials.find(stored => stored.credentialId === credentialId);
+    if (credential) {
+      credential.signCount = Number(signCount);
+      credential.lastUsedAt = new Date();
+    }
+    return true;
+  }
+
+  // Remove a WebAuthn credential owned by a user
+  async removeWebAuthnCredential(userId, id) {
+    return this._remove('webauthnCredentials', credential => sameId(credential.userId, userId) && sameId(credential.id, id)) > 0;
+  }
+
+  // Record an audit log entry
+  async recordAuditEvent(entry) {
+    this.auditLog.push({
+      id: this._nextId('auditLog'),
+      userId: entry.userId || null,
+      event: entry.event,
+      ipAddress: entry.ipAddress || null,
+      userAgent: entry.userAgent ? entry.userAgent.substring(0, 512) : null,
+      // Stored as JSON in the database; copy so later changes don't leak in
+      metadata: JSON.parse(JSON.stringify(entry.metadata || {})),
+      createdAt: new Date()
+    });
+    return true;
+  }
+
+  // Find recent audit log entries for a user, optionally only some events
+  async findAuditEvents(userId, limit = 50, events = null) {
+    return this.auditLog
+      .filter(entry => sameId(entry.userId, userId) && (!events || events.length === 0 || events.includes(entry.event)))
+      .sort((a, b) => b.createdAt - a.createdAt || b.id - a.id)
+      .slice(0, parseInt(limit, 10))
+      .map(entry => this._formatAuditEvent(entry));
+  }
+
+  // Store a magic sign-in link (hashed token and one-time code); only the
+  // latest link is usable
+  async storeMagicLink(userId, hashedToken, hashedCode, expiresInMinutes = 15) {
+    this.magicLinks.filter(link => sameId(link.userId, userId)).forEach(link => { link.isValid = false; });
+    this.magicLinks.push({
+      id: this._nextId('magicLinks'),
+      userId,
+      token: hashedToken,
+      code: hashedCode,
+      attempts: 0,
+      isValid: true,
+      createdAt: new Date(),
+      expiresAt: secondsFromNow(expiresInMinutes * 60)
+    });
+    return true;
+  }
+
+  // Consume a magic link token. Returns the user once, or null.
+  async consumeMagicLinkToken(userId, token) {
+    const hashedToken = CryptoUtils.hashResetToken(token);
+    const link = this.magicLinks.find(candidate => (
+      sameId(candidate.userId, userId) && candidate.token === hashedToken
+      && candidate.isValid && isFuture(candidate.expiresAt)
+    ));
+    if (!link) {
+      return null;
+    }
+
+    link.isValid = false;
+    return this.findById(userId);
+  }
+
+  // Consume a magic link one-time code. Wrong guesses count against the
+  // link, which is invalidated after maxAttempts.
+  async consumeMagicLinkCode(userId, code, maxAttempts = 5) {
+    const hashedCode = CryptoUtils.hashResetToken(String(code));
+    const links = this.magicLinks.filter(link => sameId(link.userId, userId) && link.isValid);
+    const link = links.find(candidate => (
+      candidate.code === hashedCode && candidate.attempts < maxAttempts && isFuture(candidate.expiresAt)
+    ));
+
+    if (link) {
+      link.isValid = false;
+      return this.findById(userId);
+    }
+
+    for (const candidate of links) {
+      if (candidate.attempts + 1 >= maxAttempts) {
+        candidate.isValid = false;
+      }
+      candidate.attempts += 1;
+    }
+    return null;
+  }
+
+  // Find an external (OAuth/OIDC) identity by provider and subject
+  async findIdentity(provider, subject) {
+    const identity = this.identities.find(stored => stored.provider === provider && stored.subject === subject);
+    return identity ? { ...identity } : null;
+  }
+
+  // Find all external identities linked to a user
+  async findIdentitiesByUserId(userId) {
+    return this.identities
+      .filter(identity => sameId(identity.userId, userId))
+      .map(identity => ({ ...identity }));
+  }
+
+  // Link an external identity to a user; a subject, and a provider per
+  // user, can only be linked once
+  async linkIdentity(userId, { provider, subject, email = null }) {
+    if (this.identities.some(stored => (
+      (stored.provider === provider && stored.subject === subject)
+      || (sameId(stored.userId, userId) && stored.provider === provider)
+    ))) {
+      throw new Error('Error linking identity: identity already linked');
+    }
+
+    const now = new Date();
+    const id = this._nextId('identities');
+    this.identities.push({ id, userId, provider, subject, email, createdAt: now, lastUsedAt: now });
+    return id;
+  }
+
+  // Record that an identity was just used to sign in
+  async touchIdentity(id, email = null) {
+    const identity = this.identities.find(stored => sameId(stored.id, id));
+    if (identity) {
+      identity.lastUsedAt = new Date();
+      identity.email = email !== null ? email : identity.email;
+    }
+    return true;
+  }
+
+  // Unlink one of a user's external identities
+  async unlinkIdentity(userId, provider) {
+    return this._remove('identities', identity => sameId(identity.userId, userId) && identity.provider === provider) > 0;
+  }
+
+  // Register an OIDC client application
+  async createOidcClient(client) {
+    if (this.oidcClients.some(stored => stored.clientId === client.clientId)) {
+      throw new Error('Error creating OIDC client: client ID already registered');
+    }
+
+    this.oidcClients.push({
+      id: this._nextId('oidcClients'),
+      clientId: client.clientId,
+      clientSecret: client.clientSecret || null,
+      name: client.name,
+      redirectUris: [...client.redirectUris],
+      scopes: [...client.scopes],
+      skipConsent: Boolean(client.skipConsent),
+      isActive: true,
+      createdAt: new Date()
+    });
+    return this.findOidcClient(client.clientId);
+  }
+
+  // Find an OIDC client by client ID
+  async findOidcClient(clientId) {
+    const client = this.oidcClients.find(stored => stored.clientId === clientId && stored.isActive);
+    return client ? this._formatOidcClient(client) : null;
+  }
+
+  // Store a hashed authorization code
+  async storeAuthorizationCode(hashedCode, grant, expiresInSeconds = 60) {
+    this.oidcCodes.push({
+      id: this._nextId('oidcCodes'),
+      code: hashedCode,
+      clientId: grant.clientId,
+      userId: grant.userId,
+      redirectUri: grant.redirectUri,
+      scope: grant.scope,
+      nonce: grant.nonce || null,
+      codeChallenge: grant.codeChallenge || null,
+      isValid: true,
+      createdAt: new Date(),
+      expiresAt: secondsFromNow(expiresInSeconds)
+    });
+    return true;
+  }
+
+  // Consume an authorization code. Returns the grant once, or null.
+  async consumeAuthorizationCode(hashedCode) {
+    const row = this.oidcCodes.find(stored => stored.code === hashedCode && stored.isValid && isFuture(stored.expiresAt));
+    if (!row) {
+      return null;
+    }
+
+    row.isValid = false;
+    return {
+      clientId: row.clientId,
+      userId: row.userId,
+      redirectUri: row.redirectUri,
+      scope: row.scope,
+      nonce: row.nonce,
+      codeChallenge: row.codeChallenge,
+      createdAt: row.createdAt
+    };
+  }
+
+  // Find the scopes a user has already granted to a client
+  async findOidcConsent(userId, clientId) {
+    const consent = this.oidcConsents.find(stored => sameId(stored.userId, userId) && stored.clientId === clientId);
+    return consent ? [...consent.scopes] : [];
+  }
+
+  // Remember the scopes a user granted to a client
+  async saveOidcConsent(userId, clientId, scopes) {
+    const now = new Date();
+    const consent = this.oidcConsents.find(stored => sameId(stored.userId, userId) && stored.clientId === clientId);
+
+    if (consent) {
+      consent.scopes = [...scopes];
+      consent.updatedAt = now;
+    } else {
+      this.oidcConsents.push({ userId, clientId, scopes: [...scopes], createdAt: now, updatedAt: now });
+    }
+    return true;
+  }
+
+  // Find signing keys that have not been retired yet, newest first
+  async findSigningKeys() {
+    return this.signingKeys
+      .filter(key => ['current', 'active'].includes(key.status) && (!key.retireAt || isFuture(key.retireAt)))
+      .sort((a, b) => b.createdAt - a.createdAt || b.id - a.id)
+      .map(key => this._formatSigningKey(key));
+  }
+
+  // Make a new key current. The previous current key keeps verifying
+  // tokens until retireAfterSeconds have passed.
+  async rotateSigningKey(key, retireAfterSeconds) {
+    if (this.signingKeys.some(stored => stored.kid === key.kid)) {
+      throw new Error('Error rotating signing key: kid already exists');
+    }
+
+    for (const stored of this.signingKeys) {
+      if (stored.use === key.use && stored.status === 'current') {
+        stored.status = 'active';
+        stored.retireAt = secondsFromNow(retireAfterSeconds);
+      }
+    }
+
+    this.signingKeys.push({
+      id: this._nextId('signingKeys'),
+      kid: key.kid,
+      use: key.use,
+      algorithm: key.algorithm,
+      secret: key.secret,
+      publicJwk: key.publicJwk || null,
+      status: 'current',
+      createdAt: new Date(),
+      retireAt: null
+    });
+    return true;
+  }
+
+  // Retire a key immediately (e.g. after a compromise)
+  async retireSigningKey(kid) {
+    const key = this.signingKeys.find(stored => stored.kid === kid && ['current', 'active'].includes(stored.status));
+    if (!key) {
+      return false;
+    }
+
+    key.status = 'retired';
+    key.retireAt = new Date();
+    return true;
+  }
+
+  // Record a revoked access token (jti), session (sessionId) or a per-user
+  // watermark (notBefore, unix seconds). Kept until expiresAt (unix seconds).
+  async addTokenRevocation({ jti = null, sessionId = null, userId = null, notBefore = null, expiresAt }) {
+    const now = Date.now();
+    this._remove('tokenRevocations', entry => entry.expiresAt * 1000 <= now);
+    this.tokenRevocations.push({
+      jti,
+      sessionId,
+      userId: userId !== null ? Number(userId) : null,
+      notBefore: notBefore !== null ? Number(notBefore) : null,
+      expiresAt: Number(expiresAt),
+      createdAt: now / 1000
+    });
+    return true;
+  }
+
+  // Find unexpired revocations recorded since a unix time in milliseconds
+  async findTokenRevocations(sinceMs = 0) {
+    const now = Date.now();
+    return this.tokenRevocations
+      .filter(entry => entry.createdAt * 1000 >= sinceMs && entry.expiresAt * 1000 > now)
+      .map(entry => ({ ...entry }));
+  }
+
+  // Create a role if it does not exist yet
+  async createRole(name, description = null) {
+    const role = this.roles.get(name);
+    if (role) {
+      role.description = description !== null ? description : role.description;
+    } else {
+      this.roles.set(name, {
+        id: this._nextId('roles'),
+        name,
+        description,
+        createdAt: new Date(),
+        permissions: new Set()
+      });
+    }
+    return this.findRole(name);
+  }
+
+  // Find a role with its permissions
+  async findRole(name) {
+    const roles = await this.findRoles([name]);
+    return roles[0] || null;
+  }
+
+  // Find roles (all, or the given names) with their permissions
+  async findRoles(names = null) {
+    return [...this.roles.values()]
+      .filter(role => !names || names.includes(role.name))
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(role => this._formatRole(role));
+  }
+
+  // Delete a role; users lose it and its permissions
+  async deleteRole(name) {
+    this._remove('userRoles', assignment => assignment.roleName === name);
+    return this.roles.delete(name);
+  }
+
+  // Grant a permission to a role
+  async grantPermission(roleName, permission) {
+    const role = this.roles.get(roleName);
+    if (!role || role.permissions.has(permission)) {
+      return false;
+    }
+
+    role.permissions.add(permission);
+    return true;
+  }
+
+  // Take a permission away from a role
+  async revokePermission(roleName, permission) {
+    const role = this.roles.get(roleName);
+    return Boolean(role) && role.permissions.delete(permission);
+  }
+
+  // Give a user a role. Returns false if the role or user does not exist
+  // or the user already has it.
+  async assignRole(userId, roleName) {
+    const exists = this.roles.has(roleName) && this.users.some(user => sameId(user.id, userId));
+    const assigned = this.userRoles.some(assignment => sameId(assignment.userId, userId) && assignment.roleName === roleName);
+    if (!exists || assigned) {
+      return false;
+    }
+
+    this.userRoles.push({ userId, roleName, createdAt: new Date() });
+    return true;
+  }
+
+  // Take a role away from a user
+  async removeRole(userId, roleName) {
+    return this._remove('userRoles', assignment => sameId(assignment.userId, userId) && assignment.roleName === roleName) > 0;
+  }
+
+  // A user's role names and the permissions those roles grant
+  async findUserAccess(userId) {
+    const roles = new Set();
+    const permissions = new Set();
+
+    for (const assignment of this.userRoles.filter(candidate => sameId(candidate.userId, userId))) {
+      roles.add(assignment.roleName);
+      this.roles.get(assignment.roleName).permissions.forEach(permission => permissions.add(permission));
+    }
+
+    return { roles: [...roles].sort(), permissions: [...permissions].sort() };
+  }
+
+  // Record a password sign in attempt; attempts are kept for a day
+  async recordLoginAttempt(email, ipAddress, succeeded) {
+    const now = Date.now();
+    this._remove('loginAttempts', attempt => attempt.createdAt <= now - 24 * 60 * 60 * 1000);
+    this.loginAttempts.push({ email, ipAddress: ipAddress || null, succeeded: Boolean(succeeded), createdAt: now });
+    return true;
+  }
+
+  // Failed attempts within the window: for the email since it was last reset
+  // (successful sign in, unlock or lockout), and for the IP address overall
+  async countFailedLoginAttempts(email, ipAddress, windowSeconds) {
+    const since = Date.now() - windowSeconds * 1000;
+    const lockout = this.accountLockouts.get(email);
+    const resetAt = lockout && lockout.resetAt ? lockout.resetAt.getTime() : null;
+    const failures = this.loginAttempts.filter(attempt => !attempt.succeeded && attempt.createdAt > since);
+
+    return {
+      account: failures.filter(attempt => attempt.email === email && (resetAt === null || attempt.createdAt > resetAt)).length,
+      ip: ipAddress ? failures.filter(attempt => attempt.ipAddress === ipAddress).length : 0
+    };
+  }
+
+  // When the email is locked until, or null if it isn't locked
+  async findAccountLockout(email) {
+    const lockout = this.accountLockouts.get(email);
+    return lockout && lockout.lockedUntil && isFuture(lockout.lockedUntil) ? lockout.lockedUntil : null;
+  }
+
+  // Lock an email for a number of seconds and start counting failures afresh
+  async lockAccount(email, seconds) {
+    this.accountLockouts.set(email, { lockedUntil: secondsFromNow(seconds), resetAt: new Date() });
+    return this.findAccountLockout(email);
+  }
+
+  // Clear a lock and the failure count. Returns whether the email was locked.
+  async resetLoginAttempts(email) {
+    const locked = await this.findAccountLockout(email);
+    this.accountLockouts.set(email, { lockedUntil: null, resetAt: new Date() });
+    return Boolean(locked);
+  }
+
+  // Count a request against a rate limit key: { count, resetAt }
+  async hitRateLimit(key, windowMs) {
+    return this.rateLimits.hit(key, windowMs);
+  }
+
+  // Update user password; sessions and reset tokens are cleared
+  async updatePassword(userId, newPassword) {
+    const user = this._activeUser(userId);
+    if (!user) {
+      throw new Error('Error updating password: User not found or not active');
+    }
+
+    user.password = await CryptoUtils.hashPassword(newPassword);
+    user.updatedAt = new Date();
+    await this.clearAllRefreshTokens(userId);
+    this.passwordResets.filter(row => sameId(row.userId, userId)).forEach(row => { row.isValid = false; });
+    return true;
+  }
+
+  // Update user profile. Fields use the database column names, like the
+  // SQL models; the password can't be changed here.
+  async updateProfile(userId, updateData) {
+    const columns = { email: 'email', name: 'name', is_active: 'isActive', is_verified: 'isVerified' };
+    const { password, ...safeUpdateData } = updateData;
+
+    if (Object.keys(safeUpdateData).length === 0) {
+      throw new Error('Error updating profile: No valid fields to update');
+    }
+
+    const unknown = Object.keys(safeUpdateData).filter(key => !columns[key]);
+    if (unknown.length > 0) {
+      throw new Error(`Error updating profile: Unknown column ${unknown.join(', ')}`);
+    }
+
+    const user = this._activeUser(userId);
+    if (!user) {
+      throw new Error('Error updating profile: User not found or not active');
+    }
+
+    for (const [key, value] of Object.entries(safeUpdateData)) {
+      user[columns[key]] = key.startsWith('is_') ? Boolean(Number(value)) : value;
+    }
+    user.updatedAt = new Date();
+    return this.findById(userId);
+  }
+
+  // Find a user by ID, including deactivated users (admin views)
+  async findByIdIncludingInactive(userId) {
+    const user = this.users.find(candidate => sameId(candidate.id, userId));
+    return user ? this._formatUser(user) : null;
+  }
+
+  // List users, newest first. search matches email or name; active and
+  // verified are true/false to filter by status, null for everyone.
+  async findUsers({ search = null, active = null, verified = null, page = 1, limit = 20 } = {}) {
+    const term = search ? search.toLowerCase() : null;
+    const matches = this.users
+      .filter(user => !term || user.email.toLowerCase().includes(term) || user.name.toLowerCase().includes(term))
+      .filter(user => active === null || user.isActive === Boolean(active))
+      .filter(user => verified === null || user.isVerified === Boolean(verified))
+      .sort((a, b) => b.createdAt - a.createdAt || b.id - a.id);
+
+    const pageSize = parseInt(limit, 10);
+    const offset = (parseInt(page, 10) - 1) * pageSize;
+
+    return {
+      users: matches.slice(offset, offset + pageSize).map(user => this._formatUser(user)),
+      total: matches.length
+    };
+  }
+
+  // User totals plus sign ups and sign ins over the last day, week and month
+  async getUserStats() {
+    const periods = { day: 1, week: 7, month: 30 };
+    const counts = (rows) => Object.fromEntries(Object.entries(periods).map(([name, days]) => {
+      const since = Date.now() - days * 24 * 60 * 60 * 1000;
+      return [name, rows.filter(row => row.createdAt.getTime() >= since).length];
+    }));
+
+    return {
+      users: {
+        total: this.users.length,
+        active: this.users.filter(user => user.isActive).length,
+        verified: this.users.filter(user => user.isVerified).length
+      },
+      signUps: counts(this.users),
+      signIns: counts(this.auditLog.filter(entry => entry.event === 'user.signed_in'))
+    };
+  }
+
+  // Deactivate or reactivate a user. Returns false if the user doesn't exist.
+  async setActive(userId, isActive) {
+    const user = this.users.find(candidate => sameId(candidate.id, userId));
+    if (!user) {
+      return false;
+    }
+
+    user.isActive = Boolean(isActive);
+    user.updatedAt = new Date();
+    return true;
+  }
+
+  // Permanently delete a user and everything tied to them. The audit log is kept.
+  async deleteUser(userId) {
+    const tables = [
+      'refreshTokens', 'passwordResets', 'emailVerifications', 'recoveryCodes', 'webauthnCredentials',
+      'webauthnChallenges', 'magicLinks', 'identities', 'oidcCodes', 'oidcConsents', 'userRoles'
+    ];
+
+    for (const table of tables) {
+      this._remove(table, row => sameId(row.userId, userId));
+    }
+    this.mfa.delete(String(userId));
+
+    return this._remove('users', user => sameId(user.id, userId)) > 0;
+  }
+
+  // Records are copied out so callers can't change what is stored
+  _formatWebAuthnCredential(row) {
+    return { ...row, transports: [...row.transports] };
+  }
+
+  _formatOidcClient(row) {
+    const { isActive, ...client } = row;
+    return {
+      ...client,
+      redirectUris: [...row.redirectUris],
+      scopes: [...row.scopes],
+      isConfidential: Boolean(row.clientSecret)
+    };
+  }
+
+  _formatSigningKey(row) {
+    const { id, ...key } = row;
+    return key;
+  }
+
+  _formatRefreshToken(row) {
+    return {
+      id: row.id,
+      userId: row.userId,
+      familyId: row.familyId,
+      parentId: row.parentId,
+      deviceLabel: row.deviceLabel,
+      rememberMe: row.rememberMe,
+      rotatedAt: row.rotatedAt,
+      createdAt: row.createdAt,
+      expiresAt: row.expiresAt
+    };
+  }
+
+  _formatRole(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      description: row.description,
+      createdAt: row.createdAt,
+      permissions: [...row.permissions].sort()
+    };
+  }
+
+  _formatSession(row) {
+    return {
+      id: row.familyId,
+      deviceLabel: row.deviceLabel,
+      userAgent: row.userAgent,
+      ipAddress: row.ipAddress,
+      createdAt: row.createdAt,
+      lastUsedAt: row.lastUsedAt || row.createdAt,
+      expiresAt: row.expiresAt
+    };
+  }
+
+  _formatAuditEvent(row) {
+    return { ...row, metadata: JSON.parse(JSON.stringify(row.metadata)) };
+  }
+
+  _formatUser(row) {
+    return { ...row };
+  }
+}
+
+module.exports = MemoryAdapter;
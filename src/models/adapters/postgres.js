@@ -0,0 +1,328 @@
+// src/models/adapters/postgres.js
+const { AsyncLocalStorage } = require('async_hooks');
+const User = require('../User');
+const dialects = require('./dialects');
+
+// The User model on PostgreSQL, through a pg Pool. Queries are shared with
+// the TiDB model; only running them and the schema differ.
+class PostgresAdapter extends User {
+  constructor(database, options = {}) {
+    super(database, options);
+    this.transactions = new AsyncLocalStorage();
+  }
+
+  async _executeQuery(query, params = []) {
+    try {
+      console.log(`🔍 Executing PostgreSQL query: ${query.substring(0, 100)}...`);
+
+      // pg numbers its placeholders
+      let position = 0;
+      const text = query.replace(/\?/g, () => `$${++position}`);
+
+      const transaction = this.transactions.getStore();
+      const connection = transaction ? transaction.client : this.db;
+      const result = await connection.query(text, params);
+
+      // Match mysql2: rows for reads, a result header for writes (with the
+      // id from RETURNING id as insertId)
+      if (result.command === 'SELECT') {
+        return result.rows;
+      }
+
+      return {
+        affectedRows: result.rowCount,
+        insertId: result.rows && result.rows.length > 0 ? result.rows[0].id : undefined
+      };
+    } catch (error) {
+      console.error('❌ PostgreSQL query error:', error.message);
+      console.error('Query:', query.substring(0, 200));
+      throw error;
+    }
+  }
+
+  // A transaction gets a client of its own from the pool. The queries run by
+  // its work (in that async context only) use the client; everyone else
+  // keeps using the pool.
+  async _transaction(work) {
+    const client = await this.db.connect();
+    try {
+      await client.query('BEGIN');
+      try {
+        const result = await this.transactions.run({ client }, work);
+        await client.query('COMMIT');
+        return result;
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      }
+    } finally {
+      client.release();
+    }
+  }
+
+  // Create tables. Ids are SERIAL and flags SMALLINT so pg returns numbers,
+  // as mysql2 does.
+  async initDatabase() {
+    try {
+      console.log('🔄 Initializing PostgreSQL database tables...');
+      const o = this.options;
+
+      const statements = [
+        `CREATE TABLE IF NOT EXISTS ${o.tableName} (
+          id SERIAL PRIMARY KEY,
+          email VARCHAR(255) NOT NULL UNIQUE,
+          password VARCHAR(255) NOT NULL,
+          name VARCHAR(100) NOT NULL,
+          is_active SMALLINT DEFAULT 1,
+          is_verified SMALLINT DEFAULT 0,
+          created_at TIMESTAMPTZ DEFAULT NOW(),
+          updated_at TIMESTAMPTZ DEFAULT NOW()
+        )`,
+        // Emails are looked up case-insensitively
+        `CREATE UNIQUE INDEX IF NOT EXISTS ${o.tableName}_email_lower_idx ON ${o.tableName} (LOWER(email))`,
+        `CREATE INDEX IF NOT EXISTS ${o.tableName}_active_idx ON ${o.tableName} (is_active)`,
+
+        `CREATE TABLE IF NOT EXISTS ${o.refreshTokensTable} (
+          id SERIAL PRIMARY KEY,
+          user_id INTEGER NOT NULL REFERENCES ${o.tableName}(id) ON DELETE CASCADE,
+          token_hash CHAR(64) NOT NULL UNIQUE,
+          family_id VARCHAR(64) NULL,
+          parent_id INTEGER NULL,
+          user_agent VARCHAR(512) NULL,
+          ip_address VARCHAR(45) NULL,
+          device_label VARCHAR(100) NULL,
+          remember_me SMALLINT NOT NULL DEFAULT 1,
+          rotated_at TIMESTAMPTZ NULL,
+          created_at TIMESTAMPTZ DEFAULT NOW(),
+          last_used_at TIMESTAMPTZ NULL,
+          expires_at TIMESTAMPTZ NOT NULL
+        )`,
+        `CREATE INDEX IF NOT EXISTS ${o.refreshTokensTable}_user_idx ON ${o.refreshTokensTable} (user_id)`,
+        `CREATE INDEX IF NOT EXISTS ${o.refreshTokensTable}_family_idx ON ${o.refreshTokensTable} (family_id)`,
+
+        `CREATE TABLE IF NOT EXISTS ${o.passwordResetTable} (
+          id SERIAL PRIMARY KEY,
+          user_id INTEGER NOT NULL REFERENCES ${o.tableName}(id) ON DELETE CASCADE,
+          token VARCHAR(255) NOT NULL,
+          is_valid SMALLINT DEFAULT 1,
+          created_at TIMESTAMPTZ DEFAULT NOW(),
+          expires_at TIMESTAMPTZ NOT NULL
+        )`,
+        `CREATE INDEX IF NOT EXISTS ${o.passwordResetTable}_user_token_idx ON ${o.passwordResetTable} (user_id, token)`,
+
+        `CREATE TABLE IF NOT EXISTS ${o.emailVerificationTable} (
+          id SERIAL PRIMARY KEY,
+          user_id INTEGER NOT NULL REFERENCES ${o.tableName}(id) ON DELETE CASCADE,
+          token VARCHAR(255) NOT NULL,
+          is_valid SMALLINT DEFAULT 1,
+          created_at TIMESTAMPTZ DEFAULT NOW(),
+          expires_at TIMESTAMPTZ NOT NULL
+        )`,
+        `CREATE INDEX IF NOT EXISTS ${o.emailVerificationTable}_user_token_idx ON ${o.emailVerificationTable} (user_id, token)`,
+
+        `CREATE TABLE IF NOT EXISTS ${o.mfaTable} (
+          id SERIAL PRIMARY KEY,
+          user_id INTEGER NOT NULL UNIQUE REFERENCES ${o.tableName}(id) ON DELETE CASCADE,
+          secret TEXT NOT NULL,
+          is_enabled SMALLINT DEFAULT 0,
+          last_used_step BIGINT NULL,
+          created_at TIMESTAMPTZ DEFAULT NOW(),
+          enabled_at TIMESTAMPTZ NULL
+        )`,
+
+        `CREATE TABLE IF NOT EXISTS ${o.recoveryCodesTable} (
+          id SERIAL PRIMARY KEY,
+          user_id INTEGER NOT NULL REFERENCES ${o.tableName}(id) ON DELETE CASCADE,
+          code_hash CHAR(64) NOT NULL,
+          used_at TIMESTAMPTZ NULL,
+          created_at TIMESTAMPTZ DEFAULT NOW()
+        )`,
+        `CREATE INDEX IF NOT EXISTS ${o.recoveryCodesTable}_user_code_idx ON ${o.recoveryCodesTable} (user_id, code_hash)`,
+
+        // Audit entries outlive deleted users
+        `CREATE TABLE IF NOT EXISTS ${o.auditLogTable} (
+          id SERIAL PRIMARY KEY,
+          user_id INTEGER NULL,
+          event VARCHAR(100) NOT NULL,
+          ip_address VARCHAR(45) NULL,
+          user_agent VARCHAR(512) NULL,
+          metadata JSONB NULL,
+          created_at TIMESTAMPTZ DEFAULT NOW()
+        )`,
+        `CREATE INDEX IF NOT EXISTS ${o.auditLogTable}_user_created_idx ON ${o.auditLogTable} (user_id, created_at)`,
+        `CREATE INDEX IF NOT EXISTS ${o.auditLogTable}_event_created_idx ON ${o.auditLogTable} (event, created_at)`,
+
+        `CREATE TABLE IF NOT EXISTS ${o.webauthnCredentialsTable} (
+          id SERIAL PRIMARY KEY,
+          user_id INTEGER NOT NULL REFERENCES ${o.tableName}(id) ON DELETE CASCADE,
+          credential_id VARCHAR(512) NOT NULL UNIQUE,
+          public_key TEXT NOT NULL,
+          sign_count BIGINT DEFAULT 0,
+          transports VARCHAR(255) NULL,
+          aaguid CHAR(32) NULL,
+          name VARCHAR(100) NOT NULL,
+          created_at TIMESTAMPTZ DEFAULT NOW(),
+          last_used_at TIMESTAMPTZ NULL
+        )`,
+        `CREATE INDEX IF NOT EXISTS ${o.webauthnCredentialsTable}_user_idx ON ${o.webauthnCredentialsTable} (user_id)`,
+
+        `CREATE TABLE IF NOT EXISTS ${o.webauthnChallengesTable} (
+          id SERIAL PRIMARY KEY,
+          user_id INTEGER NULL REFERENCES ${o.tableName}(id) ON DELETE CASCADE,
+          challenge CHAR(64) NOT NULL,
+          type VARCHAR(20) NOT NULL,
+          created_at TIMESTAMPTZ DEFAULT NOW(),
+          expires_at TIMESTAMPTZ NOT NULL
+        )`,
+        `CREATE INDEX IF NOT EXISTS ${o.webauthnChallengesTable}_challenge_idx ON ${o.webauthnChallengesTable} (challenge)`,
+
+        `CREATE TABLE IF NOT EXISTS ${o.magicLinksTable} (
+          id SERIAL PRIMARY KEY,
+          user_id INTEGER NOT NULL REFERENCES ${o.tableName}(id) ON DELETE CASCADE,
+          token CHAR(64) NOT NULL,
+          code CHAR(64) NOT NULL,
+          attempts INTEGER DEFAULT 0,
+          is_valid SMALLINT DEFAULT 1,
+          created_at TIMESTAMPTZ DEFAULT NOW(),
+          expires_at TIMESTAMPTZ NOT NULL
+        )`,
+        `CREATE INDEX IF NOT EXISTS ${o.magicLinksTable}_user_token_idx ON ${o.magicLinksTable} (user_id, token)`,
+
+        `CREATE TABLE IF NOT EXISTS ${o.identitiesTable} (
+          id SERIAL PRIMARY KEY,
+          user_id INTEGER NOT NULL REFERENCES ${o.tableName}(id) ON DELETE CASCADE,
+          provider VARCHAR(50) NOT NULL,
+          subject VARCHAR(255) NOT NULL,
+          email VARCHAR(255) NULL,
+          created_at TIMESTAMPTZ DEFAULT NOW(),
+          last_used_at TIMESTAMPTZ NULL,
+          UNIQUE (provider, subject),
+          UNIQUE (user_id, provider)
+        )`,
+
+        `CREATE TABLE IF NOT EXISTS ${o.oidcClientsTable} (
+          id SERIAL PRIMARY KEY,
+          client_id VARCHAR(100) NOT NULL UNIQUE,
+          client_secret CHAR(64) NULL,
+          name VARCHAR(100) NOT NULL,
+          redirect_uris TEXT NOT NULL,
+          scopes VARCHAR(255) NOT NULL,
+          skip_consent SMALLINT DEFAULT 0,
+          is_active SMALLINT DEFAULT 1,
+          created_at TIMESTAMPTZ DEFAULT NOW()
+        )`,
+
+        `CREATE TABLE IF NOT EXISTS ${o.oidcCodesTable} (
+          id SERIAL PRIMARY KEY,
+          code CHAR(64) NOT NULL,
+          client_id VARCHAR(100) NOT NULL,
+          user_id INTEGER NOT NULL REFERENCES ${o.tableName}(id) ON DELETE CASCADE,
+          redirect_uri TEXT NOT NULL,
+          scope VARCHAR(255) NOT NULL,
+          nonce VARCHAR(255) NULL,
+          code_challenge VARCHAR(128) NULL,
+          is_valid SMALLINT DEFAULT 1,
+          created_at TIMESTAMPTZ DEFAULT NOW(),
+          expires_at TIMESTAMPTZ NOT NULL
+        )`,
+        `CREATE INDEX IF NOT EXISTS ${o.oidcCodesTable}_code_idx ON ${o.oidcCodesTable} (code)`,
+
+        `CREATE TABLE IF NOT EXISTS ${o.oidcConsentsTable} (
+          id SERIAL PRIMARY KEY,
+          user_id INTEGER NOT NULL REFERENCES ${o.tableName}(id) ON DELETE CASCADE,
+          client_id VARCHAR(100) NOT NULL,
+          scope VARCHAR(255) NOT NULL,
+          created_at TIMESTAMPTZ DEFAULT NOW(),
+          updated_at TIMESTAMPTZ DEFAULT NOW(),
+          UNIQUE (user_id, client_id)
+        )`,
+
+        `CREATE TABLE IF NOT EXISTS ${o.signingKeysTable} (
+          id SERIAL PRIMARY KEY,
+          kid VARCHAR(64) NOT NULL UNIQUE,
+          key_use VARCHAR(10) NOT NULL,
+          algorithm VARCHAR(10) NOT NULL,
+          secret TEXT NOT NULL,
+          public_jwk TEXT NULL,
+          status VARCHAR(10) NOT NULL,
+          created_at TIMESTAMPTZ DEFAULT NOW(),
+          retire_at TIMESTAMPTZ NULL
+        )`,
+
+        `CREATE TABLE IF NOT EXISTS ${o.tokenRevocationsTable} (
+          id SERIAL PRIMARY KEY,
+          jti VARCHAR(64) NULL,
+          session_id VARCHAR(64) NULL,
+          user_id INTEGER NULL,
+          not_before BIGINT NULL,
+          expires_at TIMESTAMPTZ NOT NULL,
+          created_at TIMESTAMPTZ DEFAULT NOW()
+        )`,
+        `CREATE INDEX IF NOT EXISTS ${o.tokenRevocationsTable}_created_idx ON ${o.tokenRevocationsTable} (created_at)`,
+
+        `CREATE TABLE IF NOT EXISTS ${o.loginAttemptsTable} (
+          id SERIAL PRIMARY KEY,
+          email VARCHAR(255) NOT NULL,
+          ip_address VARCHAR(45) NULL,
+          succeeded SMALLINT NOT NULL DEFAULT 0,
+          created_at TIMESTAMPTZ DEFAULT NOW()
+        )`,
+        `CREATE INDEX IF NOT EXISTS ${o.loginAttemptsTable}_email_created_idx ON ${o.loginAttemptsTable} (email, created_at)`,
+        `CREATE INDEX IF NOT EXISTS ${o.loginAttemptsTable}_ip_created_idx ON ${o.loginAttemptsTable} (ip_address, created_at)`,
+
+        `CREATE TABLE IF NOT EXISTS ${o.accountLockoutsTable} (
+          email VARCHAR(255) PRIMARY KEY,
+          locked_until TIMESTAMPTZ NULL,
+          reset_at TIMESTAMPTZ NULL,
+          updated_at TIMESTAMPTZ DEFAULT NOW()
+        )`,
+
+        `CREATE TABLE IF NOT EXISTS ${o.rateLimitsTable} (
+          rate_key VARCHAR(512) PRIMARY KEY,
+          hits INTEGER NOT NULL DEFAULT 0,
+          reset_at TIMESTAMPTZ NOT NULL
+        )`,
+
+        `CREATE TABLE IF NOT EXISTS ${o.rolesTable} (
+          id SERIAL PRIMARY KEY,
+          name VARCHAR(100) NOT NULL UNIQUE,
+          description VARCHAR(255) NULL,
+          created_at TIMESTAMPTZ DEFAULT NOW()
+        )`,
+
+        `CREATE TABLE IF NOT EXISTS ${o.permissionsTable} (
+          id SERIAL PRIMARY KEY,
+          name VARCHAR(100) NOT NULL UNIQUE,
+          created_at TIMESTAMPTZ DEFAULT NOW()
+        )`,
+
+        `CREATE TABLE IF NOT EXISTS ${o.rolePermissionsTable} (
+          role_id INTEGER NOT NULL REFERENCES ${o.rolesTable}(id) ON DELETE CASCADE,
+          permission_id INTEGER NOT NULL REFERENCES ${o.permissionsTable}(id) ON DELETE CASCADE,
+          PRIMARY KEY (role_id, permission_id)
+        )`,
+
+        `CREATE TABLE IF NOT EXISTS ${o.userRolesTable} (
+          user_id INTEGER NOT NULL REFERENCES ${o.tableName}(id) ON DELETE CASCADE,
+          role_id INTEGER NOT NULL REFERENCES ${o.rolesTable}(id) ON DELETE CASCADE,
+          created_at TIMESTAMPTZ DEFAULT NOW(),
+          PRIMARY KEY (user_id, role_id)
+        )`
+      ];
+
+      for (const statement of statements) {
+        await this._executeQuery(statement);
+      }
+
+      await this._deleteExpiredRows();
+
+      console.log('✅ PostgreSQL database tables initialized successfully');
+    } catch (error) {
+      throw new Error(`Failed to initialize PostgreSQL database: ${error.message}`);
+    }
+  }
+}
+
+PostgresAdapter.dialect = dialects.postgres;
+
+module.exports = PostgresAdapter;
@@ -0,0 +1,365 @@
+// src/models/adapters/sqlite.js
+const { AsyncLocalStorage } = require('async_hooks');
+const User = require('../User');
+const dialects = require('./dialects');
+
+const NOW = `(strftime('${dialects.SQLITE_TIME_FORMAT}', 'now'))`;
+
+// better-sqlite3 only binds numbers, strings, buffers and null
+const toParameter = (value) => {
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value === 'boolean') {
+    return value ? 1 : 0;
+  }
+  return value === undefined ? null : value;
+};
+
+// Times come back as text; hand them out as Dates like mysql2 does
+const toRow = (row) => {
+  for (const [column, value] of Object.entries(row)) {
+    if (typeof value === 'string' && (column.endsWith('_at') || column === 'locked_until')) {
+      row[column] = new Date(value);
+    }
+  }
+  return row;
+};
+
+// The User model on SQLite, through a better-sqlite3 Database. Queries are
+// shared with the TiDB model; only running them and the schema differ.
+class SqliteAdapter extends User {
+  constructor(database, options = {}) {
+    super(database, options);
+    this.transactions = new AsyncLocalStorage();
+    // The open transaction; done resolves when it ends
+    this.transaction = null;
+  }
+
+  async _executeQuery(query, params = []) {
+    await this._waitForTransaction();
+
+    try {
+      console.log(`🔍 Executing SQLite query: ${query.substring(0, 100)}...`);
+
+      const statement = this.db.prepare(query);
+      const values = params.map(toParameter);
+
+      // Match mysql2: rows for reads, a result header for writes
+      if (statement.reader) {
+        return statement.all(values).map(toRow);
+      }
+
+      const { changes, lastInsertRowid } = statement.run(values);
+      return { affectedRows: changes, insertId: Number(lastInsertRowid) };
+    } catch (error) {
+      console.error('❌ SQLite query error:', error.message);
+      console.error('Query:', query.substring(0, 200));
+      throw error;
+    }
+  }
+
+  // There is one connection, so a transaction holds it until it ends: other
+  // requests' statements and transactions wait rather than run inside it.
+  // The transaction's own statements are told apart by their async context.
+  async _transaction(work) {
+    if (this.transaction && this.transactions.getStore() === this.transaction) {
+      return work();
+    }
+    while (this.transaction) {
+      await this.transaction.done;
+    }
+
+    let end;
+    const transaction = { done: new Promise(resolve => { end = resolve; }) };
+    this.transaction = transaction;
+
+    try {
+      this.db.exec('BEGIN');
+      const result = await this.transactions.run(transaction, work);
+      this.db.exec('COMMIT');
+      return result;
+    } catch (error) {
+      if (this.db.inTransaction) {
+        this.db.exec('ROLLBACK');
+      }
+      throw error;
+    } finally {
+      this.transaction = null;
+      end();
+    }
+  }
+
+  // Statements from outside the open transaction run once it has ended
+  async _waitForTransaction() {
+    while (this.transaction && this.transactions.getStore() !== this.transaction) {
+      await this.transaction.done;
+    }
+  }
+
+  // Create tables (times are ISO 8601 text, flags are 0/1 integers)
+  async initDatabase() {
+    try {
+      console.log('🔄 Initializing SQLite database tables...');
+      const o = this.options;
+
+      // deleteRole relies on ON DELETE CASCADE
+      await this._executeQuery('PRAGMA foreign_keys = ON');
+
+      const statements = [
+        `CREATE TABLE IF NOT EXISTS ${o.tableName} (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          email TEXT NOT NULL COLLATE NOCASE UNIQUE,
+          password TEXT NOT NULL,
+          name TEXT NOT NULL,
+          is_active INTEGER DEFAULT 1,
+          is_verified INTEGER DEFAULT 0,
+          created_at TEXT DEFAULT ${NOW},
+          updated_at TEXT DEFAULT ${NOW}
+        )`,
+        `CREATE INDEX IF NOT EXISTS ${o.tableName}_active_idx ON ${o.tableName} (is_active)`,
+
+        `CREATE TABLE IF NOT EXISTS ${o.refreshTokensTable} (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER NOT NULL REFERENCES ${o.tableName}(id) ON DELETE CASCADE,
+          token_hash TEXT NOT NULL UNIQUE,
+          family_id TEXT NULL,
+          parent_id INTEGER NULL,
+          user_agent TEXT NULL,
+          ip_address TEXT NULL,
+          device_label TEXT NULL,
+          remember_me INTEGER NOT NULL DEFAULT 1,
+          rotated_at TEXT NULL,
+          created_at TEXT DEFAULT ${NOW},
+          last_used_at TEXT NULL,
+          expires_at TEXT NOT NULL
+        )`,
+        `CREATE INDEX IF NOT EXISTS ${o.refreshTokensTable}_user_idx ON ${o.refreshTokensTable} (user_id)`,
+        `CREATE INDEX IF NOT EXISTS ${o.refreshTokensTable}_family_idx ON ${o.refreshTokensTable} (family_id)`,
+
+        `CREATE TABLE IF NOT EXISTS ${o.passwordResetTable} (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER NOT NULL REFERENCES ${o.tableName}(id) ON DELETE CASCADE,
+          token TEXT NOT NULL,
+          is_valid INTEGER DEFAULT 1,
+          created_at TEXT DEFAULT ${NOW},
+          expires_at TEXT NOT NULL
+        )`,
+        `CREATE INDEX IF NOT EXISTS ${o.passwordResetTable}_user_token_idx ON ${o.passwordResetTable} (user_id, token)`,
+
+        `CREATE TABLE IF NOT EXISTS ${o.emailVerificationTable} (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER NOT NULL REFERENCES ${o.tableName}(id) ON DELETE CASCADE,
+          token TEXT NOT NULL,
+          is_valid INTEGER DEFAULT 1,
+          created_at TEXT DEFAULT ${NOW},
+          expires_at TEXT NOT NULL
+        )`,
+        `CREATE INDEX IF NOT EXISTS ${o.emailVerificationTable}_user_token_idx ON ${o.emailVerificationTable} (user_id, token)`,
+
+        `CREATE TABLE IF NOT EXISTS ${o.mfaTable} (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER NOT NULL UNIQUE REFERENCES ${o.tableName}(id) ON DELETE CASCADE,
+          secret TEXT NOT NULL,
+          is_enabled INTEGER DEFAULT 0,
+          last_used_step INTEGER NULL,
+          created_at TEXT DEFAULT ${NOW},
+          enabled_at TEXT NULL
+        )`,
+
+        `CREATE TABLE IF NOT EXISTS ${o.recoveryCodesTable} (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER NOT NULL REFERENCES ${o.tableName}(id) ON DELETE CASCADE,
+          code_hash TEXT NOT NULL,
+          used_at TEXT NULL,
+          created_at TEXT DEFAULT ${NOW}
+        )`,
+        `CREATE INDEX IF NOT EXISTS ${o.recoveryCodesTable}_user_code_idx ON ${o.recoveryCodesTable} (user_id, code_hash)`,
+
+        // Audit entries outlive deleted users
+        `CREATE TABLE IF NOT EXISTS ${o.auditLogTable} (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER NULL,
+          event TEXT NOT NULL,
+          ip_address TEXT NULL,
+          user_agent TEXT NULL,
+          metadata TEXT NULL,
+          created_at TEXT DEFAULT ${NOW}
+        )`,
+        `CREATE INDEX IF NOT EXISTS ${o.auditLogTable}_user_created_idx ON ${o.auditLogTable} (user_id, created_at)`,
+        `CREATE INDEX IF NOT EXISTS ${o.auditLogTable}_event_created_idx ON ${o.auditLogTable} (event, created_at)`,
+
+        `CREATE TABLE IF NOT EXISTS ${o.webauthnCredentialsTable} (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER NOT NULL REFERENCES ${o.tableName}(id) ON DELETE CASCADE,
+          credential_id TEXT NOT NULL UNIQUE,
+          public_key TEXT NOT NULL,
+          sign_count INTEGER DEFAULT 0,
+          transports TEXT NULL,
+          aaguid TEXT NULL,
+          name TEXT NOT NULL,
+          created_at TEXT DEFAULT ${NOW},
+          last_used_at TEXT NULL
+        )`,
+        `CREATE INDEX IF NOT EXISTS ${o.webauthnCredentialsTable}_user_idx ON ${o.webauthnCredentialsTable} (user_id)`,
+
+        `CREATE TABLE IF NOT EXISTS ${o.webauthnChallengesTable} (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER NULL REFERENCES ${o.tableName}(id) ON DELETE CASCADE,
+          challenge TEXT NOT NULL,
+          type TEXT NOT NULL,
+          created_at TEXT DEFAULT ${NOW},
+          expires_at TEXT NOT NULL
+        )`,
+        `CREATE INDEX IF NOT EXISTS ${o.webauthnChallengesTable}_challenge_idx ON ${o.webauthnChallengesTable} (challenge)`,
+
+        `CREATE TABLE IF NOT EXISTS ${o.magicLinksTable} (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER NOT NULL REFERENCES ${o.tableName}(id) ON DELETE CASCADE,
+          token TEXT NOT NULL,
+          code TEXT NOT NULL,
+          attempts INTEGER DEFAULT 0,
+          is_valid INTEGER DEFAULT 1,
+          created_at TEXT DEFAULT ${NOW},
+          expires_at TEXT NOT NULL
+        )`,
+        `CREATE INDEX IF NOT EXISTS ${o.magicLinksTable}_user_token_idx ON ${o.magicLinksTable} (user_id, token)`,
+
+        `CREATE TABLE IF NOT EXISTS ${o.identitiesTable} (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER NOT NULL REFERENCES ${o.tableName}(id) ON DELETE CASCADE,
+          provider TEXT NOT NULL,
+          subject TEXT NOT NULL,
+          email TEXT NULL,
+          created_at TEXT DEFAULT ${NOW},
+          last_used_at TEXT NULL,
+          UNIQUE (provider, subject),
+          UNIQUE (user_id, provider)
+        )`,
+
+        `CREATE TABLE IF NOT EXISTS ${o.oidcClientsTable} (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          client_id TEXT NOT NULL UNIQUE,
+          client_secret TEXT NULL,
+          name TEXT NOT NULL,
+          redirect_uris TEXT NOT NULL,
+          scopes TEXT NOT NULL,
+          skip_consent INTEGER DEFAULT 0,
+          is_active INTEGER DEFAULT 1,
+          created_at TEXT DEFAULT ${NOW}
+        )`,
+
+        `CREATE TABLE IF NOT EXISTS ${o.oidcCodesTable} (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          code TEXT NOT NULL,
+          client_id TEXT NOT NULL,
+          user_id INTEGER NOT NULL REFERENCES ${o.tableName}(id) ON DELETE CASCADE,
+          redirect_uri TEXT NOT NULL,
+          scope TEXT NOT NULL,
+          nonce TEXT NULL,
+          code_challenge TEXT NULL,
+          is_valid INTEGER DEFAULT 1,
+          created_at TEXT DEFAULT ${NOW},
+          expires_at TEXT NOT NULL
+        )`,
+        `CREATE INDEX IF NOT EXISTS ${o.oidcCodesTable}_code_idx ON ${o.oidcCodesTable} (code)`,
+
+        `CREATE TABLE IF NOT EXISTS ${o.oidcConsentsTable} (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER NOT NULL REFERENCES ${o.tableName}(id) ON DELETE CASCADE,
+          client_id TEXT NOT NULL,
+          scope TEXT NOT NULL,
+          created_at TEXT DEFAULT ${NOW},
+          updated_at TEXT DEFAULT ${NOW},
+          UNIQUE (user_id, client_id)
+        )`,
+
+        `CREATE TABLE IF NOT EXISTS ${o.signingKeysTable} (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          kid TEXT NOT NULL UNIQUE,
+          key_use TEXT NOT NULL,
+          algorithm TEXT NOT NULL,
+          secret TEXT NOT NULL,
+          public_jwk TEXT NULL,
+          status TEXT NOT NULL,
+          created_at TEXT DEFAULT ${NOW},
+          retire_at TEXT NULL
+        )`,
+
+        `CREATE TABLE IF NOT EXISTS ${o.tokenRevocationsTable} (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          jti TEXT NULL,
+          session_id TEXT NULL,
+          user_id INTEGER NULL,
+          not_before INTEGER NULL,
+          expires_at TEXT NOT NULL,
+          created_at TEXT DEFAULT ${NOW}
+        )`,
+        `CREATE INDEX IF NOT EXISTS ${o.tokenRevocationsTable}_created_idx ON ${o.tokenRevocationsTable} (created_at)`,
+
+        `CREATE TABLE IF NOT EXISTS ${o.loginAttemptsTable} (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          email TEXT NOT NULL,
+          ip_address TEXT NULL,
+          succeeded INTEGER NOT NULL DEFAULT 0,
+          created_at TEXT DEFAULT ${NOW}
+        )`,
+        `CREATE INDEX IF NOT EXISTS ${o.loginAttemptsTable}_email_created_idx ON ${o.loginAttemptsTable} (email, created_at)`,
+        `CREATE INDEX IF NOT EXISTS ${o.loginAttemptsTable}_ip_created_idx ON ${o.loginAttemptsTable} (ip_address, created_at)`,
+
+        `CREATE TABLE IF NOT EXISTS ${o.accountLockoutsTable} (
+          email TEXT PRIMARY KEY,
+          locked_until TEXT NULL,
+          reset_at TEXT NULL,
+          updated_at TEXT DEFAULT ${NOW}
+        )`,
+
+        `CREATE TABLE IF NOT EXISTS ${o.rateLimitsTable} (
+          rate_key TEXT PRIMARY KEY,
+          hits INTEGER NOT NULL DEFAULT 0,
+          reset_at TEXT NOT NULL
+        )`,
+
+        `CREATE TABLE IF NOT EXISTS ${o.rolesTable} (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL UNIQUE,
+          description TEXT NULL,
+          created_at TEXT DEFAULT ${NOW}
+        )`,
+
+        `CREATE TABLE IF NOT EXISTS ${o.permissionsTable} (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL UNIQUE,
+          created_at TEXT DEFAULT ${NOW}
+        )`,
+
+        `CREATE TABLE IF NOT EXISTS ${o.rolePermissionsTable} (
+          role_id INTEGER NOT NULL REFERENCES ${o.rolesTable}(id) ON DELETE CASCADE,
+          permission_id INTEGER NOT NULL REFERENCES ${o.permissionsTable}(id) ON DELETE CASCADE,
+          PRIMARY KEY (role_id, permission_id)
+        )`,
+
+        `CREATE TABLE IF NOT EXISTS ${o.userRolesTable} (
+          user_id INTEGER NOT NULL REFERENCES ${o.tableName}(id) ON DELETE CASCADE,
+          role_id INTEGER NOT NULL REFERENCES ${o.rolesTable}(id) ON DELETE CASCADE,
+          created_at TEXT DEFAULT ${NOW},
+          PRIMARY KEY (user_id, role_id)
+        )`
+      ];
+
+      for (const statement of statements) {
+        await this._executeQuery(statement);
+      }
+
+      await this._deleteExpiredRows();
+
+      console.log('✅ SQLite database tables initialized successfully');
+    } catch (error) {
+      throw new Error(`Failed to initialize SQLite database: ${error.message}`);
+    }
+  }
+}
+
+SqliteAdapter.dialect = dialects.sqlite;
+
+module.exports = SqliteAdapter;
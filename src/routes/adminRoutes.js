@@ -0,0 +1,55 @@
+// src/routes/adminRoutes.js
+const express = require('express');
+const { param, query, validationResult } = require('express-validator');
+
+// Admin user management API. adminMiddleware authorizes every route;
+// errors use the { success: false, message, code } shape of AdminController.
+const createAdminRoutes = (adminController, adminMiddleware) => {
+  const router = express.Router();
+
+  const validate = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return adminController._error(res, 400, 'validation_failed', 'Invalid request', errors.array());
+    }
+    next();
+  };
+
+  const listValidation = [
+    query('search').optional().isString().trim().isLength({ max: 255 }),
+    query('status').optional().isIn(['active', 'inactive']),
+    query('verified').optional().isIn(['true', 'false']),
+    query('page').optional().isInt({ min: 1 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+    validate
+  ];
+
+  const userValidation = [
+    param('id').isInt({ min: 1 }),
+    validate
+  ];
+
+  router.use(adminMiddleware);
+
+  router.get('/stats', adminController.getStats);
+  router.get('/users', listValidation, adminController.listUsers);
+  router.get('/users/:id', userValidation, adminController.getUser);
+  router.post('/users/:id/deactivate', userValidation, adminController.deactivateUser);
+  router.post('/users/:id/reactivate', userValidation, adminController.reactivateUser);
+  router.post('/users/:id/unlock', userValidation, adminController.unlockUser);
+  router.post('/users/:id/password-reset', userValidation, adminController.forcePasswordReset);
+  router.post('/users/:id/sign-out', userValidation, adminController.signOutUser);
+  router.delete('/users/:id/sessions/:sessionId', userValidation, adminController.revokeUserSession);
+  router.post('/users/:id/verify-email', userValidation, adminController.verifyEmail);
+  router.post('/users/:id/resend-verification', userValidation, adminController.resendVerification);
+  router.delete('/users/:id', userValidation, adminController.deleteUser);
+
+  // Unknown admin routes answer in the same format
+  router.use((req, res) => {
+    adminController._error(res, 404, 'not_found', 'Route not found');
+  });
+
+  return router;
+};
+
+module.exports = createAdminRoutes;
@@ -1,9 +1,22 @@
 // src/routes/authRoutes.js
 const express = require('express');
 const { body } = require('express-validator');
+const { requirePermission } = require('../middleware/auth');
 
-const createAuthRoutes = (authController, validationMiddleware, authMiddleware) => {
+const createAuthRoutes = (authController, validationMiddleware, authMiddleware, controllers = {}) => {
   const router = express.Router();
+  const {
+    mfaController,
+    webauthnController,
+    oauthController,
+    tokenController,
+    sessionController,
+    roleController,
+    rateLimiters = {}
+  } = controllers;
+
+  // Rate limiting middleware for a route, if it has a limit
+  const limit = (name) => rateLimiters[name] || [];
 
   // Validation rules
   const signUpValidation = [
@@ -14,11 +27,13 @@ const createAuthRoutes = (authController, validationMiddleware, authMiddleware)
 
   const signInValidation = [
     body('email').isEmail().normalizeEmail(),
-    body('password').notEmpty()
+    body('password').notEmpty(),
+    body('rememberMe').optional().isBoolean().toBoolean()
   ];
 
+  // The refresh token may come from the cookie instead
   const refreshTokenValidation = [
-    body('refreshToken').notEmpty()
+    body('refreshToken').optional().isString().notEmpty()
   ];
 
   const forgotPasswordValidation = [
@@ -31,13 +46,134 @@ const createAuthRoutes = (authController, validationMiddleware, authMiddleware)
     body('newPassword').isLength({ min: 6 })
   ];
 
+  const verifyEmailValidation = [
+    body('token').notEmpty(),
+    body('userId').notEmpty()
+  ];
+
+  const resendVerificationValidation = [
+    body('email').isEmail().normalizeEmail()
+  ];
+
+  const signInMfaValidation = [
+    // Browser redirect flows send it as a cookie instead
+    body('mfaToken').optional().notEmpty(),
+    body('code').if(body('recoveryCode').not().exists()).notEmpty(),
+    body('recoveryCode').optional().isString().notEmpty()
+  ];
+
+  const passkeyValidation = [
+    body('credential').isObject(),
+    body('credential.id').isString().notEmpty(),
+    body('credential.response').isObject()
+  ];
+
+  const magicLinkValidation = [
+    body('email').isEmail().normalizeEmail()
+  ];
+
+  const verifyMagicLinkValidation = [
+    body('token').if(body('code').not().exists()).notEmpty(),
+    body('userId').if(body('token').exists()).notEmpty(),
+    body('email').if(body('code').exists()).isEmail().normalizeEmail(),
+    body('code').optional().isLength({ min: 6, max: 6 }).isNumeric()
+  ];
+
+  const unlockValidation = [
+    body('token').notEmpty()
+  ];
+
+  const roleValidation = [
+    body('name').isString().trim().matches(/^[\w.-]{1,100}$/),
+    body('description').optional().isString().isLength({ max: 255 }),
+    body('permissions').optional().isArray(),
+    body('permissions.*').isString().matches(/^[\w.:*-]{1,100}$/)
+  ];
+
+  const permissionValidation = [
+    body('permission').isString().matches(/^[\w.:*-]{1,100}$/)
+  ];
+
+  const assignRoleValidation = [
+    body('role').isString().notEmpty()
+  ];
+
+  const mfaCodeValidation = [
+    body('code').isLength({ min: 6, max: 6 }).isNumeric()
+  ];
+
   // Routes
-  router.post('/signup', signUpValidation, validationMiddleware, authController.signUp);
-  router.post('/signin', signInValidation, validationMiddleware, authController.signIn);
-  router.post('/refresh-token', refreshTokenValidation, validationMiddleware, authController.refreshToken);
-  router.post('/forgot-password', forgotPasswordValidation, validationMiddleware, authController.forgotPassword);
-  router.post('/reset-password', resetPasswordValidation, validationMiddleware, authController.resetPassword);
+  router.post('/signup', limit('signup'), signUpValidation, validationMiddleware, authController.signUp);
+  router.post('/signin', limit('signin'), signInValidation, validationMiddleware, authController.signIn);
+  router.post('/refresh-token', limit('refresh-token'), refreshTokenValidation, validationMiddleware, authController.refreshToken);
+  router.post('/forgot-password', limit('forgot-password'), forgotPasswordValidation, validationMiddleware, authController.forgotPassword);
+  router.post('/reset-password', limit('reset-password'), resetPasswordValidation, validationMiddleware, authController.resetPassword);
+  router.post('/verify-email', limit('verify-email'), verifyEmailValidation, validationMiddleware, authController.verifyEmail);
+  router.post('/resend-verification', limit('resend-verification'), resendVerificationValidation, validationMiddleware, authController.resendVerification);
+  router.post('/signin/mfa', limit('signin/mfa'), signInMfaValidation, validationMiddleware, authController.signInMfa);
+  router.post('/magic-link', limit('magic-link'), magicLinkValidation, validationMiddleware, authController.requestMagicLink);
+  router.get('/magic-link/verify', limit('magic-link/verify'), authController.verifyMagicLinkRedirect);
+  router.post('/magic-link/verify', limit('magic-link/verify'), verifyMagicLinkValidation, validationMiddleware, authController.verifyMagicLink);
+  router.get('/unlock', authController.unlockAccountRedirect);
+  router.post('/unlock', limit('unlock'), unlockValidation, validationMiddleware, authController.unlockAccount);
+
+  // Public keys for verifying access tokens
+  if (tokenController) {
+    router.get('/.well-known/jwks.json', tokenController.getJwks);
+  }
+
+  // Passkey (WebAuthn) sign in and registration
+  if (webauthnController) {
+    router.post('/signin/passkey/options', webauthnController.authenticationOptions);
+    router.post('/signin/passkey', passkeyValidation, validationMiddleware, authController.signInPasskey);
+    router.get('/passkeys', authMiddleware, webauthnController.listCredentials);
+    router.post('/passkeys/register/options', authMiddleware, webauthnController.registrationOptions);
+    router.post('/passkeys/register', authMiddleware, passkeyValidation, validationMiddleware, webauthnController.verifyRegistration);
+    router.delete('/passkeys/:id', authMiddleware, webauthnController.removeCredential);
+  }
+
+  // OAuth/OpenID Connect sign in and account linking
+  if (oauthController) {
+    router.get('/oauth/providers', oauthController.listProviders);
+    router.get('/oauth/:provider', oauthController.start);
+    router.get('/oauth/:provider/link', authMiddleware, oauthController.start);
+    router.get('/oauth/:provider/callback', authController.signInOAuth);
+    router.get('/identities', authMiddleware, oauthController.listIdentities);
+    router.delete('/identities/:provider', authMiddleware, oauthController.unlinkIdentity);
+  }
+
   router.post('/signout', authController.signOut);
+
+  // Signed-in devices
+  if (sessionController) {
+    router.get('/sessions', authMiddleware, sessionController.listSessions);
+    router.post('/sessions/revoke-others', authMiddleware, sessionController.revokeOtherSessions);
+    router.delete('/sessions/:id', authMiddleware, sessionController.revokeSession);
+  }
+
+  // Role and permission administration
+  if (roleController) {
+    const canManageRoles = [authMiddleware, requirePermission('roles:manage')];
+
+    router.get('/roles', canManageRoles, roleController.listRoles);
+    router.post('/roles', canManageRoles, roleValidation, validationMiddleware, roleController.createRole);
+    router.delete('/roles/:name', canManageRoles, roleController.deleteRole);
+    router.post('/roles/:name/permissions', canManageRoles, permissionValidation, validationMiddleware, roleController.grantPermission);
+    router.delete('/roles/:name/permissions/:permission', canManageRoles, roleController.revokePermission);
+    router.get('/users/:id/roles', canManageRoles, roleController.getUserRoles);
+    router.post('/users/:id/roles', canManageRoles, assignRoleValidation, validationMiddleware, roleController.assignRole);
+    router.delete('/users/:id/roles/:role', canManageRoles, roleController.removeRole);
+  }
+
+  // Two-factor authentication management
+  if (mfaController) {
+    router.get('/mfa', authMiddleware, mfaController.getStatus);
+    router.post('/mfa/enroll', authMiddleware, mfaController.enroll);
+    router.post('/mfa/confirm', authMiddleware, limit('mfa'), mfaCodeValidation, validationMiddleware, mfaController.confirm);
+    router.post('/mfa/disable', authMiddleware, limit('mfa'), mfaCodeValidation, validationMiddleware, mfaController.disable);
+    router.get('/mfa/recovery-codes', authMiddleware, mfaController.getRecoveryCodesStatus);
+    router.post('/mfa/recovery-codes', authMiddleware, limit('mfa'), mfaCodeValidation, validationMiddleware, mfaController.regenerateRecoveryCodes);
+  }
   
   // FIXED: Use the provided authMiddleware for protected routes
   router.get('/me', authMiddleware, authController.getCurrentUser);
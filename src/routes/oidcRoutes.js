@@ -0,0 +1,19 @@
+// src/routes/oidcRoutes.js
+const express = require('express');
+
+// OpenID Connect provider endpoints, mounted under basePath (the issuer)
+const createOidcRoutes = (oidcController, clientAuthMiddleware, optionalAuthMiddleware) => {
+  const router = express.Router();
+  const formParser = express.urlencoded({ extended: false });
+
+  router.get('/.well-known/openid-configuration', oidcController.discovery);
+  router.get('/authorize', optionalAuthMiddleware, oidcController.authorize);
+  router.post('/authorize', formParser, optionalAuthMiddleware, oidcController.authorizeDecision);
+  router.post('/token', formParser, oidcController.token);
+  router.get('/userinfo', clientAuthMiddleware, oidcController.userinfo);
+  router.post('/userinfo', clientAuthMiddleware, oidcController.userinfo);
+
+  return router;
+};
+
+module.exports = createOidcRoutes;
@@ -0,0 +1,36 @@
+// src/utils/audit.js
+const EventEmitter = require('events');
+
+// Records security-relevant events to the audit log table and re-emits them,
+// so applications can forward them with auditLogger.on('event', handler)
+class AuditLogger extends EventEmitter {
+  constructor(userModel) {
+    super();
+    this.User = userModel;
+  }
+
+  async record(event, { userId = null, req = null, metadata = {} } = {}) {
+    const entry = {
+      event,
+      userId,
+      ipAddress: req ? req.ip : null,
+      userAgent: req && req.headers ? req.headers['user-agent'] || null : null,
+      metadata,
+      createdAt: new Date()
+    };
+
+    this.emit('event', entry);
+    this.emit(event, entry);
+
+    // Auditing must never break the request that triggered it
+    try {
+      await this.User.recordAuditEvent(entry);
+    } catch (error) {
+      console.warn('⚠️ Failed to record audit event:', error.message);
+    }
+
+    return entry;
+  }
+}
+
+module.exports = AuditLogger;
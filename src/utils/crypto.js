@@ -19,6 +19,56 @@ class CryptoUtils {
   static hashResetToken(token) {
     return crypto.createHash('sha256').update(token).digest('hex');
   }
+
+  // Numeric one-time code, e.g. for email sign in
+  static generateNumericCode(digits = 6) {
+    return String(crypto.randomInt(0, 10 ** digits)).padStart(digits, '0');
+  }
+
+  // Human-friendly single-use code, e.g. "k7m2q-x9d4t"
+  static generateRecoveryCode() {
+    const alphabet = 'abcdefghjkmnpqrstuvwxyz23456789';
+    let chars = '';
+    for (let i = 0; i < 10; i++) {
+      chars += alphabet[crypto.randomInt(alphabet.length)];
+    }
+
+    return `${chars.slice(0, 5)}-${chars.slice(5)}`;
+  }
+
+  static hashRecoveryCode(code) {
+    const normalized = String(code).toLowerCase().replace(/[\s-]/g, '');
+    return CryptoUtils.hashResetToken(normalized);
+  }
+
+  // AES-256-GCM encryption for secrets stored at rest
+  static encrypt(plaintext, key) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', CryptoUtils._deriveKey(key), iv);
+    const encrypted = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+    const tag = cipher.getAuthTag();
+
+    return ['v1', iv.toString('base64'), tag.toString('base64'), encrypted.toString('base64')].join(':');
+  }
+
+  static decrypt(payload, key) {
+    const [version, iv, tag, encrypted] = String(payload).split(':');
+    if (version !== 'v1' || !iv || !tag || !encrypted) {
+      throw new Error('Unsupported encrypted payload');
+    }
+
+    const decipher = crypto.createDecipheriv('aes-256-gcm', CryptoUtils._deriveKey(key), Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+    return Buffer.concat([
+      decipher.update(Buffer.from(encrypted, 'base64')),
+      decipher.final()
+    ]).toString('utf8');
+  }
+
+  static _deriveKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest();
+  }
 }
 
 module.exports = CryptoUtils;
\ No newline at end of file
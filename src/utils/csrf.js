@@ -0,0 +1,102 @@
+// src/utils/csrf.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// CSRF protection for cookie-authenticated requests (signed double submit).
+// The token lives in a cookie scripts can read, and state-changing requests
+// must echo it in the X-CSRF-Token header or a _csrf form field. Tokens are
+// signed together with the session id (sid) of the auth cookies, so a token
+// fetched by another visitor, or planted by a sibling subdomain, is not
+// accepted for this user's session.
+// Given a sessionPolicy, the cookie takes the auth cookies' prefix, domain,
+// path and SameSite, so it is sent wherever they are.
+class CsrfProtection {
+  constructor(secret, options = {}) {
+    const policy = options.sessionPolicy;
+
+    this.secret = secret;
+    this.cookieName = `${policy ? policy.prefix : ''}${options.cookieName || 'csrfToken'}`;
+    this.headerName = (options.headerName || 'x-csrf-token').toLowerCase();
+    this.fieldName = options.fieldName || '_csrf';
+    this.sessionCookies = policy
+      ? [policy.names.accessToken, policy.names.refreshToken]
+      : ['accessToken', 'refreshToken'];
+    // Scripts have to read the token, so unlike the auth cookies it isn't httpOnly
+    this.cookieOptions = policy
+      ? { ...policy.attributes, httpOnly: false }
+      : { httpOnly: false, secure: process.env.NODE_ENV === 'production', sameSite: 'strict', path: '/' };
+  }
+
+  _sign(nonce, sessionId) {
+    return crypto.createHmac('sha256', this.secret).update(`${nonce}.${sessionId}`).digest('base64url');
+  }
+
+  // Session the request's auth cookies belong to: '' when signed out, null
+  // when the access and refresh token cookies name different sessions
+  _sessionId(req) {
+    const sessions = this.sessionCookies
+      .map(name => req.cookies && req.cookies[name])
+      .filter(Boolean)
+      .map(token => {
+        const decoded = jwt.decode(token);
+        return decoded && decoded.sid ? String(decoded.sid) : '';
+      });
+
+    if (new Set(sessions).size > 1) {
+      return null;
+    }
+    return sessions[0] || '';
+  }
+
+  _equal(a, b) {
+    const digest = (value) => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(a), digest(b));
+  }
+
+  generateToken(sessionId = '') {
+    const nonce = crypto.randomBytes(18).toString('base64url');
+    return `${nonce}.${this._sign(nonce, sessionId)}`;
+  }
+
+  isValid(token, sessionId = '') {
+    if (typeof token !== 'string' || sessionId === null) {
+      return false;
+    }
+
+    const [nonce, signature] = token.split('.');
+    return Boolean(nonce && signature) && this._equal(this._sign(nonce, sessionId), signature);
+  }
+
+  // The request's token, issuing a cookie for it if there isn't one valid
+  // for the session. Call it when rendering pages to put the token in forms,
+  // and with the new sessionId when signing in.
+  getToken(req, res, sessionId = this._sessionId(req) || '') {
+    const existing = req.csrfToken || (req.cookies && req.cookies[this.cookieName]);
+    if (this.isValid(existing, sessionId)) {
+      req.csrfToken = existing;
+      return existing;
+    }
+
+    const token = this.generateToken(sessionId);
+    res.cookie(this.cookieName, token, this.cookieOptions);
+    req.csrfToken = token;
+    return token;
+  }
+
+  // Whether the request may go ahead: safe methods always may, others must
+  // send back the token from the cookie, signed for the session they act in
+  verify(req) {
+    if (SAFE_METHODS.includes(req.method)) {
+      return true;
+    }
+
+    const expected = req.cookies && req.cookies[this.cookieName];
+    const submitted = req.headers[this.headerName] || (req.body && req.body[this.fieldName]);
+
+    return this.isValid(expected, this._sessionId(req)) && typeof submitted === 'string' && this._equal(expected, submitted);
+  }
+}
+
+module.exports = CsrfProtection;
@@ -0,0 +1,44 @@
+// src/utils/device.js
+
+// Checked in order; the first match wins (Edge and Opera also say Chrome)
+const BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\/|Opera/],
+  ['Firefox', /Firefox\/|FxiOS\//],
+  ['Chrome', /Chrome\/|CriOS\//],
+  ['Safari', /Version\/[\d.]+.*Safari\//]
+];
+
+const PLATFORMS = [
+  ['iPhone', /iPhone/],
+  ['iPad', /iPad/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['ChromeOS', /CrOS/],
+  ['Linux', /Linux/]
+];
+
+const match = (list, userAgent) => {
+  const found = list.find(([, pattern]) => pattern.test(userAgent));
+  return found ? found[0] : null;
+};
+
+// Short human-readable label for a user agent, e.g. "Chrome on macOS"
+const describeDevice = (userAgent) => {
+  if (!userAgent) {
+    return 'Unknown device';
+  }
+
+  const browser = match(BROWSERS, userAgent);
+  const platform = match(PLATFORMS, userAgent);
+
+  if (browser && platform) {
+    return `${browser} on ${platform}`;
+  }
+
+  // API clients (curl, SDKs) usually send "name/version"
+  return browser || platform || userAgent.split(/[\s/]/)[0].slice(0, 50) || 'Unknown device';
+};
+
+module.exports = { describeDevice };
@@ -0,0 +1,25 @@
+// src/utils/duration.js
+const ms = require('ms');
+
+// Convert a duration like 900, '15m', '7 days', '1.5h' or '1y' to seconds.
+// Units are read by ms, as jsonwebtoken reads expiresIn; numbers and
+// strings without a unit are taken as seconds.
+const toSeconds = (value) => {
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return value;
+  }
+
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    return Math.floor(Number(text));
+  }
+
+  const milliseconds = text ? ms(text) : undefined;
+  if (typeof milliseconds !== 'number' || !(milliseconds >= 0)) {
+    throw new Error(`Invalid duration "${value}"`);
+  }
+
+  return Math.floor(milliseconds / 1000);
+};
+
+module.exports = { toSeconds };
@@ -91,7 +91,7 @@ class EmailUtils {
     // Send email verification
     async sendVerificationEmail(email, verificationToken, userId) {
         if (!this.isConfigured) {
-            console.log(`📧 [MOCK] Password reset for ${email}: ${resetToken}`);
+            console.log(`📧 [MOCK] Email verification for ${email}: ${verificationToken}`);
             return {
                 success: true,
                 mock: true,
@@ -116,8 +116,47 @@ class EmailUtils {
                 response: info.response
             };
         } catch (error) {
-            console.warn('⚠️ Failed to send password reset email:', error.message);
-            console.log(`📧 [FALLBACK] Password reset for ${email}: ${resetToken}`);
+            console.warn('⚠️ Failed to send verification email:', error.message);
+            console.log(`📧 [FALLBACK] Email verification for ${email}: ${verificationToken}`);
+            return {
+                success: true,
+                mock: true,
+                error: error.message,
+                message: 'Email failed - token logged to console'
+            };
+        }
+    }
+
+    // Send magic sign-in link with a one-time code
+    async sendMagicLinkEmail(email, token, code, userId) {
+        if (!this.isConfigured) {
+            console.log(`📧 [MOCK] Magic link for ${email}: token ${token}, code ${code}`);
+            return {
+                success: true,
+                mock: true,
+                message: 'Email service not configured - token logged to console'
+            };
+        }
+
+        const magicLink = `${this.config.baseUrl || 'http://localhost:3000'}/magic-link/verify?token=${token}&userId=${userId}`;
+
+        const mailOptions = {
+            from: this.config.from || `"Auth System" <${this.config.auth.user}>`,
+            to: email,
+            subject: 'Your Sign-In Link',
+            html: this._getMagicLinkTemplate(magicLink, code)
+        };
+
+        try {
+            const info = await this.transporter.sendMail(mailOptions);
+            return {
+                success: true,
+                messageId: info.messageId,
+                response: info.response
+            };
+        } catch (error) {
+            console.warn('⚠️ Failed to send magic link email:', error.message);
+            console.log(`📧 [FALLBACK] Magic link for ${email}: token ${token}, code ${code}`);
             return {
                 success: true,
                 mock: true,
@@ -164,6 +203,82 @@ class EmailUtils {
         }
     }
 
+    // Tell a user that one of their sessions was revoked after a refresh
+    // token was used twice
+    async sendTokenReuseAlertEmail(email, name) {
+        if (!this.isConfigured) {
+            console.log(`📧 [MOCK] Token reuse alert for ${email}`);
+            return {
+                success: true,
+                mock: true,
+                message: 'Email service not configured - alert logged to console'
+            };
+        }
+
+        const mailOptions = {
+            from: this.config.from || `"Auth System" <${this.config.auth.user}>`,
+            to: email,
+            subject: 'Security alert: a session was signed out',
+            html: this._getTokenReuseAlertTemplate(name)
+        };
+
+        try {
+            const info = await this.transporter.sendMail(mailOptions);
+            return {
+                success: true,
+                messageId: info.messageId,
+                response: info.response
+            };
+        } catch (error) {
+            console.warn('⚠️ Failed to send token reuse alert:', error.message);
+            return {
+                success: false,
+                error: error.message,
+                message: 'Email failed'
+            };
+        }
+    }
+
+    // Tell a user their account was locked after failed sign ins, with a
+    // link to unlock it early
+    async sendAccountLockedEmail(email, name, unlockToken) {
+        if (!this.isConfigured) {
+            console.log(`📧 [MOCK] Account locked for ${email}: unlock token ${unlockToken}`);
+            return {
+                success: true,
+                mock: true,
+                message: 'Email service not configured - token logged to console'
+            };
+        }
+
+        const unlockLink = `${this.config.baseUrl || 'http://localhost:3000'}/unlock?token=${unlockToken}`;
+
+        const mailOptions = {
+            from: this.config.from || `"Auth System" <${this.config.auth.user}>`,
+            to: email,
+            subject: 'Security alert: your account was locked',
+            html: this._getAccountLockedTemplate(name, unlockLink)
+        };
+
+        try {
+            const info = await this.transporter.sendMail(mailOptions);
+            return {
+                success: true,
+                messageId: info.messageId,
+                response: info.response
+            };
+        } catch (error) {
+            console.warn('⚠️ Failed to send account locked email:', error.message);
+            console.log(`📧 [FALLBACK] Account locked for ${email}: unlock token ${unlockToken}`);
+            return {
+                success: true,
+                mock: true,
+                error: error.message,
+                message: 'Email failed - token logged to console'
+            };
+        }
+    }
+
     // Email templates
     _getPasswordResetTemplate(resetLink, resetToken) {
         return `
@@ -211,6 +326,7 @@ class EmailUtils {
           <h2>Verify Your Email Address</h2>
           <p>Thank you for signing up! Please verify your email address by clicking the button below:</p>
           <p><a href="${verificationLink}" class="button">Verify Email</a></p>
+          <p>This link will expire in 24 hours.</p>
           <p>If you didn't create an account, please ignore this email.</p>
         </div>
       </body>
@@ -218,6 +334,35 @@ class EmailUtils {
     `;
     }
 
+    _getMagicLinkTemplate(magicLink, code) {
+        return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .button { display: inline-block; padding: 12px 24px; background-color: #007bff; 
+                   color: white; text-decoration: none; border-radius: 4px; }
+          .code { background-color: #f8f9fa; padding: 10px; border-radius: 4px; 
+                 font-family: monospace; font-size: 24px; letter-spacing: 4px; text-align: center; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <h2>Sign In</h2>
+          <p>Click the button below to sign in:</p>
+          <p><a href="${magicLink}" class="button">Sign In</a></p>
+          <p>Or enter this code on the sign-in page:</p>
+          <div class="code">${code}</div>
+          <p>This link and code will expire in 15 minutes and can only be used once.</p>
+          <p>If you didn't request this, please ignore this email.</p>
+        </div>
+      </body>
+      </html>
+    `;
+    }
+
     _getWelcomeTemplate(name) {
         return `
       <!DOCTYPE html>
@@ -241,6 +386,55 @@ class EmailUtils {
     `;
     }
 
+    _getTokenReuseAlertTemplate(name) {
+        return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <h2>We signed out one of your sessions</h2>
+          <p>Hi ${name || 'there'},</p>
+          <p>A sign-in token for your account was used more than once, which can mean it was copied from one of your devices. To be safe we signed that session out.</p>
+          <p>If you were not expecting this, change your password and review your signed-in devices.</p>
+          <p>Best regards,<br>The Team</p>
+        </div>
+      </body>
+      </html>
+    `;
+    }
+
+    _getAccountLockedTemplate(name, unlockLink) {
+        return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .button { display: inline-block; padding: 12px 24px; background-color: #007bff;
+                   color: white; text-decoration: none; border-radius: 4px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <h2>Your account was locked</h2>
+          <p>Hi ${name || 'there'},</p>
+          <p>There were too many failed attempts to sign in to your account, so we locked it for a while. It unlocks by itself, or you can unlock it now:</p>
+          <p><a href="${unlockLink}" class="button">Unlock Account</a></p>
+          <p>If these attempts weren't you, someone may be guessing your password. Consider changing it once you're signed in.</p>
+          <p>Best regards,<br>The Team</p>
+        </div>
+      </body>
+      </html>
+    `;
+    }
+
     // Get email configuration status
     getStatus() {
         return {
@@ -0,0 +1,52 @@
+// src/utils/http.js
+const http = require('http');
+const https = require('https');
+
+// Small JSON-over-HTTP helper for talking to OAuth/OIDC providers
+const requestJson = (url, { method = 'GET', headers = {}, body = null, timeout = 10000 } = {}) => {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const transport = target.protocol === 'http:' ? http : https;
+    const payload = body === null ? null : Buffer.from(typeof body === 'string' ? body : JSON.stringify(body));
+
+    const req = transport.request(target, {
+      method,
+      headers: {
+        Accept: 'application/json',
+        'User-Agent': 'jwt-auth-express-tidb-cloud',
+        ...(payload ? { 'Content-Length': payload.length } : {}),
+        ...headers
+      },
+      timeout
+    }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => {
+        const text = Buffer.concat(chunks).toString('utf8');
+        let data;
+        try {
+          data = text ? JSON.parse(text) : {};
+        } catch (error) {
+          return reject(new Error(`Invalid JSON response from ${target.host}`));
+        }
+
+        if (res.statusCode >= 400) {
+          const reason = data.error_description || data.error || `HTTP ${res.statusCode}`;
+          return reject(new Error(`Request to ${target.host} failed: ${reason}`));
+        }
+
+        resolve(data);
+      });
+    });
+
+    req.on('timeout', () => req.destroy(new Error(`Request to ${target.host} timed out`)));
+    req.on('error', reject);
+
+    if (payload) {
+      req.write(payload);
+    }
+    req.end();
+  });
+};
+
+module.exports = { requestJson };
@@ -1,38 +1,267 @@
 // src/utils/jwt.js
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 
+// Header of an unsigned token; jsonwebtoken validates its claims for EdDSA
+// tokens, which it can't sign or verify itself
+const UNSIGNED_HEADER = Buffer.from(JSON.stringify({ alg: 'none', typ: 'JWT' })).toString('base64url');
+
 class JWTUtils {
-  constructor(secret, refreshSecret) {
+  // options.signingKey: a key loaded with KeyUtils.loadKey. Access and ID
+  // tokens are then signed with it instead of the HS256 secret.
+  // options.keyRing: a loaded KeyRing; its current keys sign and all of its
+  // unretired keys verify, picked by the kid header.
+  // options.revocationList: a TokenRevocationList checked by verifyAccessToken.
+  constructor(secret, refreshSecret, options = {}) {
     this.accessTokenSecret = secret;
     this.refreshTokenSecret = refreshSecret;
+    this.signingKey = options.signingKey || null;
+    this.keyRing = options.keyRing || null;
+    this.revocationList = options.revocationList || null;
+    // Default lifetimes (seconds or a duration string)
+    this.accessTokenExpiry = options.accessTokenExpiry || '15m';
+    this.refreshTokenExpiry = options.refreshTokenExpiry || '7d';
+  }
+
+  setKeyRing(keyRing) {
+    this.keyRing = keyRing;
+  }
+
+  setRevocationList(revocationList) {
+    this.revocationList = revocationList;
+  }
+
+  // Key that signs new tokens of a use ('access' or 'refresh').
+  // null means the configured secret.
+  _currentKey(use) {
+    const key = this.keyRing ? this.keyRing.getCurrent(use) : null;
+    if (key) {
+      return key;
+    }
+
+    return use === 'access' ? this.signingKey : null;
   }
 
-  generateAccessToken(payload, expiresIn = '15m') {
-    return jwt.sign(payload, this.accessTokenSecret, { expiresIn });
+  // Algorithm used for access and ID tokens
+  getAccessTokenAlgorithm() {
+    const key = this._currentKey('access');
+    return key ? key.algorithm : 'HS256';
   }
 
-  generateRefreshToken(payload, expiresIn = '7d') {
-    return jwt.sign(payload, this.refreshTokenSecret, { expiresIn });
+  // Keys that tokens of a use may be signed with. A static signing key keeps
+  // verifying after a key ring takes over.
+  getVerificationKeys(use = 'access') {
+    const keys = this.keyRing ? [...this.keyRing.getKeys(use)] : [];
+
+    if (use === 'access' && this.signingKey) {
+      keys.push(this.signingKey);
+    }
+
+    return keys;
   }
 
+  // Public keys as a JWK Set. HMAC keys and secrets are never published.
+  getJwks() {
+    return {
+      keys: this.getVerificationKeys('access')
+        .filter(key => key.publicJwk)
+        .map(key => key.publicJwk)
+    };
+  }
+
+  // Sign with the current key for the use, or the configured secret
+  _sign(payload, options, use) {
+    const key = this._currentKey(use);
+    if (!key) {
+      const secret = use === 'access' ? this.accessTokenSecret : this.refreshTokenSecret;
+      return jwt.sign(payload, secret, options);
+    }
+
+    if (key.secret) {
+      return jwt.sign(payload, key.secret, { ...options, algorithm: 'HS256', keyid: key.kid });
+    }
+
+    const { kid, algorithm, privateKey } = key;
+    if (algorithm !== 'EdDSA') {
+      return jwt.sign(payload, privateKey, { ...options, algorithm, keyid: kid });
+    }
+
+    // Let jsonwebtoken build the claims, then sign with Ed25519
+    const [, body] = jwt.sign(payload, null, { ...options, algorithm: 'none' }).split('.');
+    const header = Buffer.from(JSON.stringify({ alg: 'EdDSA', typ: 'JWT', kid })).toString('base64url');
+    const signature = crypto.sign(null, Buffer.from(`${header}.${body}`), privateKey).toString('base64url');
+    return `${header}.${body}.${signature}`;
+  }
+
+  // Verify a token signed by _sign. Tokens without a kid were signed with the
+  // configured secret and stay valid, so enabling keys never logs anyone out.
+  _verify(token, use, options = {}) {
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded || !decoded.header) {
+      throw new Error('Malformed token');
+    }
+
+    const { alg, kid } = decoded.header;
+    if (!kid) {
+      const secret = use === 'access' ? this.accessTokenSecret : this.refreshTokenSecret;
+      return jwt.verify(token, secret, { ...options, algorithms: ['HS256'] });
+    }
+
+    const key = this.getVerificationKeys(use).find(candidate => candidate.kid === kid);
+    if (!key || key.algorithm !== alg) {
+      throw new Error('Unknown signing key');
+    }
+
+    if (key.secret) {
+      return jwt.verify(token, key.secret, { ...options, algorithms: ['HS256'] });
+    }
+
+    if (alg !== 'EdDSA') {
+      return jwt.verify(token, key.publicKey, { ...options, algorithms: [alg] });
+    }
+
+    const [header, body, signature] = token.split('.');
+    if (!signature || !crypto.verify(null, Buffer.from(`${header}.${body}`), key.publicKey, Buffer.from(signature, 'base64url'))) {
+      throw new Error('invalid signature');
+    }
+
+    return jwt.verify(`${UNSIGNED_HEADER}.${body}.`, undefined, { ...options, algorithms: ['none'] });
+  }
+
+  // Every access token gets a jti so it can be revoked on its own
+  generateAccessToken(payload, expiresIn = this.accessTokenExpiry) {
+    const options = payload.jti ? { expiresIn } : { expiresIn, jwtid: crypto.randomUUID() };
+    return this._sign(payload, options, 'access');
+  }
+
+  // The jti also keeps two tokens rotated within the same second distinct
+  generateRefreshToken(payload, expiresIn = this.refreshTokenExpiry) {
+    return this._sign(payload, { expiresIn, jwtid: crypto.randomUUID() }, 'refresh');
+  }
+
+  // First-party access tokens have no audience. Tokens issued to OIDC client
+  // applications (access and ID tokens) do, and are never accepted here.
   verifyAccessToken(token) {
+    let decoded;
+    try {
+      decoded = this._verify(token, 'access');
+    } catch (error) {
+      throw new Error('Invalid access token');
+    }
+
+    if (decoded.aud !== undefined) {
+      throw new Error('Invalid access token');
+    }
+
+    return this._checkRevoked(decoded);
+  }
+
+  // Access token for an OIDC client application. Its audience is the issuer,
+  // so it only works on the provider's own endpoints (userinfo).
+  generateClientAccessToken(payload, { issuer, expiresIn = this.accessTokenExpiry }) {
+    return this._sign(payload, { issuer, audience: issuer, expiresIn, jwtid: crypto.randomUUID() }, 'access');
+  }
+
+  verifyClientAccessToken(token, { issuer }) {
+    let decoded;
     try {
-      return jwt.verify(token, this.accessTokenSecret);
+      decoded = this._verify(token, 'access', { issuer, audience: issuer });
     } catch (error) {
       throw new Error('Invalid access token');
     }
+
+    if (!decoded.clientId) {
+      throw new Error('Invalid access token');
+    }
+
+    return this._checkRevoked(decoded);
+  }
+
+  _checkRevoked(decoded) {
+    if (this.revocationList && this.revocationList.isRevoked(decoded)) {
+      throw new Error('Access token has been revoked');
+    }
+
+    return decoded;
   }
 
   verifyRefreshToken(token) {
+    let decoded;
     try {
-      return jwt.verify(token, this.refreshTokenSecret);
+      decoded = this._verify(token, 'refresh');
     } catch (error) {
       throw new Error('Invalid refresh token');
     }
+
+    // Other token types share the refresh keys but are not refresh tokens
+    if (decoded.type) {
+      throw new Error('Invalid refresh token');
+    }
+
+    return decoded;
+  }
+
+  // Short-lived token proving the password step of an MFA sign-in. The jti
+  // keeps each sign in's attempt count separate.
+  generateMfaToken(payload, expiresIn = '5m') {
+    return this._sign({ ...payload, type: 'mfa_pending' }, { expiresIn, jwtid: crypto.randomUUID() }, 'refresh');
+  }
+
+  verifyMfaToken(token) {
+    return this._verifyTypedToken(token, 'mfa_pending', 'Invalid MFA token');
+  }
+
+  // Short-lived token carrying OAuth state, nonce and PKCE verifier
+  // between the redirect to a provider and its callback
+  generateOAuthStateToken(payload, expiresIn = '10m') {
+    return this._sign({ ...payload, type: 'oauth_state' }, { expiresIn }, 'refresh');
+  }
+
+  verifyOAuthStateToken(token) {
+    return this._verifyTypedToken(token, 'oauth_state', 'Invalid OAuth state');
+  }
+
+  // OpenID Connect ID token for a client application
+  generateIdToken(claims, { issuer, audience, expiresIn = '1h' }) {
+    return this._sign(claims, { issuer, audience, expiresIn }, 'access');
+  }
+
+  // Binds a consent screen to the authorization request it was shown for
+  generateConsentToken(payload, expiresIn = '10m') {
+    return this._sign({ ...payload, type: 'oidc_consent' }, { expiresIn }, 'refresh');
+  }
+
+  verifyConsentToken(token) {
+    return this._verifyTypedToken(token, 'oidc_consent', 'Invalid consent token');
+  }
+
+  // Emailed to a locked out user; bound to one lock by its lockedUntil time
+  generateUnlockToken(payload, expiresIn = '15m') {
+    return this._sign({ ...payload, type: 'account_unlock' }, { expiresIn }, 'refresh');
+  }
+
+  verifyUnlockToken(token) {
+    return this._verifyTypedToken(token, 'account_unlock', 'Invalid unlock token');
+  }
+
+  // Verify a token signed with a refresh key and check its type claim
+  _verifyTypedToken(token, type, errorMessage) {
+    let decoded;
+    try {
+      decoded = this._verify(token, 'refresh');
+    } catch (error) {
+      throw new Error(errorMessage);
+    }
+
+    if (decoded.type !== type) {
+      throw new Error(errorMessage);
+    }
+
+    return decoded;
   }
 
-  decodeToken(token) {
-    return jwt.decode(token);
+  decodeToken(token, options = {}) {
+    return jwt.decode(token, options);
   }
 }
 
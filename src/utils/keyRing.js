@@ -0,0 +1,178 @@
+// src/utils/keyRing.js
+const crypto = require('crypto');
+const CryptoUtils = require('./crypto');
+const KeyUtils = require('./keys');
+const { toSeconds } = require('./duration');
+
+const USES = ['access', 'refresh'];
+
+// Signing keys stored in the database. Each use ('access' for access and ID
+// tokens, 'refresh' for refresh and other internal tokens) has one current
+// key that signs and any number of older keys that still verify until their
+// retire_at passes. Tokens name their key in the kid header.
+class KeyRing {
+  constructor(userModel, options = {}) {
+    if (!options.encryptionKey) {
+      throw new Error('KeyRing requires an encryptionKey');
+    }
+
+    this.User = userModel;
+    this.encryptionKey = options.encryptionKey;
+    this.algorithms = {
+      access: options.algorithm || 'HS256',
+      // Refresh tokens are only ever verified by us
+      refresh: 'HS256'
+    };
+    this.retireAfter = toSeconds(options.retireAfter || '8d');
+    this.reloadInterval = toSeconds(options.reloadInterval !== undefined ? options.reloadInterval : '1m');
+    this.keys = [];
+    this.seenAt = new Map();
+    this.timer = null;
+
+    this._checkAlgorithm(this.algorithms.access);
+  }
+
+  _checkAlgorithm(algorithm) {
+    if (algorithm !== 'HS256' && !KeyUtils.isAsymmetric(algorithm)) {
+      throw new Error(`Unsupported signing algorithm "${algorithm}"`);
+    }
+  }
+
+  // Generate a key for a use; the secret/private key is encrypted for storage
+  _createKey(use, algorithm = this.algorithms[use]) {
+    const kid = crypto.randomBytes(12).toString('base64url');
+
+    if (algorithm === 'HS256') {
+      const secret = crypto.randomBytes(64).toString('base64url');
+      return { kid, use, algorithm, secret: CryptoUtils.encrypt(secret, this.encryptionKey), publicJwk: null };
+    }
+
+    const { privateKey } = KeyUtils.generateKeyPair(algorithm);
+    const { publicJwk } = KeyUtils.loadKey({ algorithm, privateKey, kid });
+
+    return { kid, use, algorithm, secret: CryptoUtils.encrypt(privateKey, this.encryptionKey), publicJwk };
+  }
+
+  // Turn a stored row into a key JWTUtils can sign and verify with
+  _loadKey(stored) {
+    const secret = CryptoUtils.decrypt(stored.secret, this.encryptionKey);
+    const retireAt = stored.retireAt ? new Date(stored.retireAt) : null;
+
+    if (stored.algorithm === 'HS256') {
+      return { kid: stored.kid, use: stored.use, algorithm: 'HS256', secret, publicJwk: null, status: stored.status, retireAt };
+    }
+
+    const key = KeyUtils.loadKey({ algorithm: stored.algorithm, privateKey: secret, kid: stored.kid });
+    return { ...key, use: stored.use, status: stored.status, retireAt };
+  }
+
+  // Read keys from the database, creating a first key for any use without one
+  async load() {
+    let stored = await this.User.findSigningKeys();
+
+    const missing = USES.filter(use => !stored.some(key => key.use === use && key.status === 'current'));
+    if (missing.length > 0) {
+      for (const use of missing) {
+        await this.User.rotateSigningKey(this._createKey(use), this.retireAfter);
+      }
+      stored = await this.User.findSigningKeys();
+    }
+
+    const keys = [];
+    for (const key of stored) {
+      try {
+        keys.push(this._loadKey(key));
+      } catch (error) {
+        console.error(`❌ Could not load signing key ${key.kid}:`, error.message);
+      }
+    }
+
+    // Keys present at startup are established; keys that show up later only
+    // sign once every instance has had a reload interval to load them
+    const initial = this.seenAt.size === 0;
+    for (const key of keys) {
+      if (!this.seenAt.has(key.kid)) {
+        this.seenAt.set(key.kid, initial ? 0 : Date.now());
+      }
+    }
+
+    this.keys = keys;
+    return this;
+  }
+
+  // Key that signs new tokens: the newest key every instance can verify
+  getCurrent(use) {
+    const keys = this.getKeys(use);
+    const publishedBefore = Date.now() - this.reloadInterval * 1000;
+
+    return keys.find(key => this.seenAt.get(key.kid) <= publishedBefore) || keys[0] || null;
+  }
+
+  // Keys that may verify tokens, newest first
+  getKeys(use) {
+    const now = Date.now();
+    return this.keys.filter(key => key.use === use && (!key.retireAt || key.retireAt.getTime() > now));
+  }
+
+  // Make fresh keys current. Old keys keep verifying for retireAfter, which
+  // should outlive the longest token they signed, and keep signing for one
+  // more reload interval. options.algorithm picks the new access key's
+  // algorithm; refresh keys are always HS256.
+  async rotate(options = {}) {
+    const uses = options.use ? [options.use] : USES;
+    const retireAfter = options.retireAfter ? toSeconds(options.retireAfter) : this.retireAfter;
+    const kids = {};
+
+    if (options.algorithm) {
+      this._checkAlgorithm(options.algorithm);
+    }
+
+    for (const use of uses) {
+      if (!USES.includes(use)) {
+        throw new Error(`Unknown key use "${use}"`);
+      }
+
+      const key = this._createKey(use, use === 'access' && options.algorithm ? options.algorithm : this.algorithms[use]);
+      await this.User.rotateSigningKey(key, retireAfter);
+      kids[use] = key.kid;
+    }
+
+    await this.load();
+    return kids;
+  }
+
+  // Stop accepting tokens signed with a key right away
+  async retire(kid) {
+    const retired = await this.User.retireSigningKey(kid);
+    await this.load();
+    return retired;
+  }
+
+  // Key metadata without secrets
+  list() {
+    return this.keys.map(({ kid, use, algorithm, status, retireAt }) => ({ kid, use, algorithm, status, retireAt }));
+  }
+
+  // Pick up keys rotated by other instances
+  startAutoReload() {
+    if (this.timer || this.reloadInterval <= 0) {
+      return this;
+    }
+
+    this.timer = setInterval(() => {
+      this.load().catch(error => console.error('❌ Error reloading signing keys:', error.message));
+    }, this.reloadInterval * 1000);
+    this.timer.unref();
+
+    return this;
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = KeyRing;
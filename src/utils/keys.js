@@ -0,0 +1,105 @@
+// src/utils/keys.js
+const crypto = require('crypto');
+
+// Asymmetric JWT algorithms and the key types they need
+const ALGORITHMS = {
+  RS256: { keyType: 'rsa' },
+  ES256: { keyType: 'ec', namedCurve: 'prime256v1' },
+  EdDSA: { keyType: 'ed25519' }
+};
+
+class KeyUtils {
+  static isAsymmetric(algorithm) {
+    return Object.prototype.hasOwnProperty.call(ALGORITHMS, algorithm);
+  }
+
+  // Accept a PEM string, a JWK object or a KeyObject
+  static _toKeyObject(key, type) {
+    if (key instanceof crypto.KeyObject) {
+      return key;
+    }
+
+    const input = typeof key === 'string' ? key : { key, format: 'jwk' };
+    return type === 'private' ? crypto.createPrivateKey(input) : crypto.createPublicKey(input);
+  }
+
+  // RFC 7638 JWK thumbprint, used as the default key ID
+  static thumbprint(jwk) {
+    const members = {
+      RSA: ['e', 'kty', 'n'],
+      EC: ['crv', 'kty', 'x', 'y'],
+      OKP: ['crv', 'kty', 'x']
+    }[jwk.kty];
+
+    if (!members) {
+      throw new Error(`Unsupported key type ${jwk.kty}`);
+    }
+
+    const canonical = JSON.stringify(Object.fromEntries(members.map(name => [name, jwk[name]])));
+    return crypto.createHash('sha256').update(canonical).digest('base64url');
+  }
+
+  // Load a key from config: { algorithm, privateKey, publicKey, kid }.
+  // Keys with only a publicKey can verify but not sign.
+  static loadKey({ algorithm, privateKey = null, publicKey = null, kid = null }) {
+    const spec = ALGORITHMS[algorithm];
+    if (!spec) {
+      throw new Error(`Unsupported signing algorithm "${algorithm}". Use one of ${Object.keys(ALGORITHMS).join(', ')}`);
+    }
+
+    if (!privateKey && !publicKey) {
+      throw new Error(`A privateKey or publicKey is required for ${algorithm}`);
+    }
+
+    const privateKeyObject = privateKey ? KeyUtils._toKeyObject(privateKey, 'private') : null;
+    const publicKeyObject = publicKey
+      ? KeyUtils._toKeyObject(publicKey, 'public')
+      : crypto.createPublicKey(privateKeyObject);
+
+    if (publicKeyObject.asymmetricKeyType !== spec.keyType) {
+      throw new Error(`${algorithm} requires a ${spec.keyType.toUpperCase()} key`);
+    }
+
+    if (spec.namedCurve && publicKeyObject.asymmetricKeyDetails.namedCurve !== spec.namedCurve) {
+      throw new Error(`${algorithm} requires a P-256 key`);
+    }
+
+    const jwk = publicKeyObject.export({ format: 'jwk' });
+    const keyId = kid || KeyUtils.thumbprint(jwk);
+
+    return {
+      kid: keyId,
+      algorithm,
+      privateKey: privateKeyObject,
+      publicKey: publicKeyObject,
+      publicJwk: { ...jwk, kid: keyId, alg: algorithm, use: 'sig' }
+    };
+  }
+
+  // Generate a new key pair as PEM strings
+  static generateKeyPair(algorithm) {
+    const spec = ALGORITHMS[algorithm];
+    if (!spec) {
+      throw new Error(`Unsupported signing algorithm "${algorithm}"`);
+    }
+
+    const options = {
+      publicKeyEncoding: { type: 'spki', format: 'pem' },
+      privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+    };
+
+    if (spec.keyType === 'rsa') {
+      options.modulusLength = 2048;
+    }
+
+    if (spec.namedCurve) {
+      options.namedCurve = spec.namedCurve;
+    }
+
+    return crypto.generateKeyPairSync(spec.keyType, options);
+  }
+}
+
+KeyUtils.ALGORITHMS = ALGORITHMS;
+
+module.exports = KeyUtils;
@@ -0,0 +1,87 @@
+// src/utils/loginThrottle.js
+const { toSeconds } = require('./duration');
+
+// Brute-force protection for password sign in. Failed attempts are counted
+// per email and per IP address within a sliding window:
+// - each failure for an email slows its next attempt (doubling delays)
+// - maxAttempts failures lock the email for lockoutDuration
+// - maxIpAttempts failures from one address block that address for the window
+// Emails are tracked whether or not an account exists, so a lockout says
+// nothing about which addresses are registered.
+class LoginThrottle {
+  constructor(userModel, options = {}) {
+    this.User = userModel;
+    this.maxAttempts = options.maxAttempts || 5;
+    this.maxIpAttempts = options.maxIpAttempts || 50;
+    this.window = toSeconds(options.window || '15m');
+    this.lockoutDuration = toSeconds(options.lockoutDuration || '15m');
+    // Delays in milliseconds
+    this.baseDelay = options.baseDelay !== undefined ? options.baseDelay : 250;
+    this.maxDelay = options.maxDelay !== undefined ? options.maxDelay : 5000;
+  }
+
+  _normalize(email) {
+    return String(email || '').trim().toLowerCase();
+  }
+
+  _secondsUntil(date) {
+    return Math.max(1, Math.ceil((new Date(date).getTime() - Date.now()) / 1000));
+  }
+
+  // Delay before checking the password after this many recent failures
+  delayFor(failures) {
+    if (failures < 1 || this.baseDelay === 0) {
+      return 0;
+    }
+    return Math.min(this.baseDelay * 2 ** (failures - 1), this.maxDelay);
+  }
+
+  // Whether an attempt may go ahead: { lockedUntil, ipBlocked, retryAfter, delay }
+  async check(email, ipAddress) {
+    const normalized = this._normalize(email);
+
+    const lockedUntil = await this.User.findAccountLockout(normalized);
+    if (lockedUntil) {
+      return { lockedUntil, ipBlocked: false, retryAfter: this._secondsUntil(lockedUntil), delay: 0 };
+    }
+
+    const failures = await this.User.countFailedLoginAttempts(normalized, ipAddress, this.window);
+    if (failures.ip >= this.maxIpAttempts) {
+      return { lockedUntil: null, ipBlocked: true, retryAfter: this.window, delay: 0 };
+    }
+
+    return { lockedUntil: null, ipBlocked: false, retryAfter: 0, delay: this.delayFor(failures.account) };
+  }
+
+  // Record a failed attempt. Returns when the email is now locked until,
+  // or null if it is still below the threshold.
+  async recordFailure(email, ipAddress) {
+    const normalized = this._normalize(email);
+    await this.User.recordLoginAttempt(normalized, ipAddress, false);
+
+    const failures = await this.User.countFailedLoginAttempts(normalized, ipAddress, this.window);
+    if (failures.account < this.maxAttempts) {
+      return null;
+    }
+
+    return this.User.lockAccount(normalized, this.lockoutDuration);
+  }
+
+  async recordSuccess(email, ipAddress) {
+    const normalized = this._normalize(email);
+    await this.User.recordLoginAttempt(normalized, ipAddress, true);
+    await this.User.resetLoginAttempts(normalized);
+  }
+
+  // When the email is locked until, or null
+  async getLockout(email) {
+    return this.User.findAccountLockout(this._normalize(email));
+  }
+
+  // Lift a lock early (unlock link or admin). Returns whether it was locked.
+  async unlock(email) {
+    return this.User.resetLoginAttempts(this._normalize(email));
+  }
+}
+
+module.exports = LoginThrottle;
@@ -0,0 +1,279 @@
+// src/utils/oauth.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { requestJson } = require('./http');
+
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+// GitHub is plain OAuth2: the profile and verified emails come from its API
+const fetchGitHubProfile = async (tokens) => {
+  const headers = { Authorization: `Bearer ${tokens.access_token}` };
+  const profile = await requestJson('https://api.github.com/user', { headers });
+  const emails = await requestJson('https://api.github.com/user/emails', { headers });
+  const primary = Array.isArray(emails) ? emails.find(entry => entry.primary) : null;
+
+  return {
+    subject: String(profile.id),
+    email: primary ? primary.email : profile.email,
+    emailVerified: Boolean(primary && primary.verified),
+    name: profile.name || profile.login
+  };
+};
+
+// Built-in provider presets, selected by provider name or `preset`
+const PROVIDER_PRESETS = {
+  google: {
+    type: 'oidc',
+    displayName: 'Google',
+    issuer: 'https://accounts.google.com'
+  },
+  github: {
+    type: 'oauth2',
+    displayName: 'GitHub',
+    authorizationEndpoint: 'https://github.com/login/oauth/authorize',
+    tokenEndpoint: 'https://github.com/login/oauth/access_token',
+    scopes: ['read:user', 'user:email'],
+    fetchProfile: fetchGitHubProfile
+  }
+};
+
+class OAuthProvider {
+  constructor(name, config = {}) {
+    const preset = PROVIDER_PRESETS[config.preset || name] || {};
+    const settings = { ...preset, ...config };
+
+    if (!settings.clientId) {
+      throw new Error(`OAuth provider "${name}" requires a clientId`);
+    }
+
+    this.name = name;
+    this.type = settings.type || (settings.issuer ? 'oidc' : 'oauth2');
+
+    if (this.type === 'oidc' && !settings.issuer) {
+      throw new Error(`OIDC provider "${name}" requires an issuer`);
+    }
+
+    if (this.type === 'oauth2' && (!settings.authorizationEndpoint || !settings.tokenEndpoint || !settings.fetchProfile)) {
+      throw new Error(`OAuth2 provider "${name}" requires authorizationEndpoint, tokenEndpoint and fetchProfile`);
+    }
+
+    this.displayName = settings.displayName || name;
+    this.issuer = settings.issuer ? settings.issuer.replace(/\/$/, '') : null;
+    this.clientId = settings.clientId;
+    this.clientSecret = settings.clientSecret || null;
+    this.scopes = settings.scopes || ['openid', 'email', 'profile'];
+    this.redirectUri = settings.redirectUri || null;
+    this.authorizationParams = settings.authorizationParams || {};
+    this.fetchProfile = settings.fetchProfile || null;
+    this.clockTolerance = settings.clockTolerance || 60;
+
+    // Explicit endpoints skip discovery
+    this.metadata = settings.authorizationEndpoint && settings.tokenEndpoint
+      ? {
+        issuer: this.issuer,
+        authorization_endpoint: settings.authorizationEndpoint,
+        token_endpoint: settings.tokenEndpoint,
+        userinfo_endpoint: settings.userinfoEndpoint || null,
+        jwks_uri: settings.jwksUri || null
+      }
+      : null;
+    this.jwks = null;
+  }
+
+  // Generate a PKCE verifier and its S256 challenge (RFC 7636)
+  static generatePkce() {
+    const codeVerifier = crypto.randomBytes(32).toString('base64url');
+    const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+    return { codeVerifier, codeChallenge };
+  }
+
+  // Fetch and cache the issuer's discovery document
+  async discover() {
+    if (this.metadata) {
+      return this.metadata;
+    }
+
+    const metadata = await requestJson(`${this.issuer}/.well-known/openid-configuration`);
+    if (metadata.issuer !== this.issuer) {
+      throw new Error('Discovery document issuer does not match the configured issuer');
+    }
+
+    if (!metadata.authorization_endpoint || !metadata.token_endpoint) {
+      throw new Error('Discovery document is missing required endpoints');
+    }
+
+    this.metadata = metadata;
+    return metadata;
+  }
+
+  // Build the URL the browser is sent to
+  async getAuthorizationUrl({ redirectUri, state, nonce, codeChallenge }) {
+    const metadata = await this.discover();
+    const url = new URL(metadata.authorization_endpoint);
+
+    const params = {
+      ...this.authorizationParams,
+      response_type: 'code',
+      client_id: this.clientId,
+      redirect_uri: redirectUri,
+      scope: this.scopes.join(' '),
+      state,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256'
+    };
+
+    if (this.type === 'oidc') {
+      params.nonce = nonce;
+    }
+
+    Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+    return url.toString();
+  }
+
+  // Exchange an authorization code for tokens
+  async exchangeCode({ code, redirectUri, codeVerifier }) {
+    const metadata = await this.discover();
+    const form = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: redirectUri,
+      client_id: this.clientId,
+      code_verifier: codeVerifier
+    });
+
+    if (this.clientSecret) {
+      form.set('client_secret', this.clientSecret);
+    }
+
+    const tokens = await requestJson(metadata.token_endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: form.toString()
+    });
+
+    if (!tokens.access_token) {
+      throw new Error(tokens.error_description || tokens.error || 'Token response did not include an access token');
+    }
+
+    return tokens;
+  }
+
+  // Find the signing key for an ID token, refetching the JWKS once on an unknown kid
+  async _getSigningKey(kid) {
+    const metadata = await this.discover();
+    if (!metadata.jwks_uri) {
+      throw new Error('Provider does not publish a JWKS');
+    }
+
+    const findKey = () => (this.jwks || []).find(key => !kid || key.kid === kid);
+
+    let jwk = findKey();
+    if (!jwk) {
+      const { keys } = await requestJson(metadata.jwks_uri);
+      this.jwks = Array.isArray(keys) ? keys : [];
+      jwk = findKey();
+    }
+
+    if (!jwk) {
+      throw new Error('No matching signing key for ID token');
+    }
+
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  }
+
+  // Verify an ID token's signature, issuer, audience, expiry and nonce
+  async verifyIdToken(idToken, nonce) {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded || !decoded.header) {
+      throw new Error('Malformed ID token');
+    }
+
+    const key = await this._getSigningKey(decoded.header.kid);
+    const claims = jwt.verify(idToken, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: this.issuer,
+      audience: this.clientId,
+      clockTolerance: this.clockTolerance
+    });
+
+    if (!claims.nonce || claims.nonce !== nonce) {
+      throw new Error('ID token nonce mismatch');
+    }
+
+    return claims;
+  }
+
+  // Resolve the signed-in user's profile:
+  // { subject, email, emailVerified, name }
+  async getProfile(tokens, { nonce }) {
+    if (this.type === 'oauth2') {
+      return await this.fetchProfile(tokens, this);
+    }
+
+    if (!tokens.id_token) {
+      throw new Error('Token response did not include an ID token');
+    }
+
+    let claims = await this.verifyIdToken(tokens.id_token, nonce);
+
+    // Some providers only put the email in the userinfo response
+    if (!claims.email && this.metadata.userinfo_endpoint) {
+      const userinfo = await requestJson(this.metadata.userinfo_endpoint, {
+        headers: { Authorization: `Bearer ${tokens.access_token}` }
+      });
+
+      if (userinfo.sub !== claims.sub) {
+        throw new Error('Userinfo subject does not match the ID token');
+      }
+
+      claims = { ...userinfo, ...claims, email: userinfo.email, email_verified: userinfo.email_verified };
+    }
+
+    return {
+      subject: String(claims.sub),
+      email: claims.email || null,
+      emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+      name: claims.name || claims.preferred_username || null
+    };
+  }
+}
+
+// Registry of configured providers, keyed by name
+class OAuthProviderRegistry {
+  constructor(providers = {}) {
+    this.providers = new Map();
+
+    Object.entries(providers).forEach(([name, config]) => this.register(name, config));
+  }
+
+  register(name, config) {
+    if (!/^[a-z0-9_-]+$/i.test(name)) {
+      throw new Error(`Invalid OAuth provider name "${name}"`);
+    }
+
+    const provider = config instanceof OAuthProvider ? config : new OAuthProvider(name, config);
+    this.providers.set(name, provider);
+    return provider;
+  }
+
+  get(name) {
+    return this.providers.get(name) || null;
+  }
+
+  list() {
+    return Array.from(this.providers.values()).map(provider => ({
+      name: provider.name,
+      displayName: provider.displayName
+    }));
+  }
+
+  get size() {
+    return this.providers.size;
+  }
+}
+
+module.exports = {
+  OAuthProvider,
+  OAuthProviderRegistry,
+  PROVIDER_PRESETS
+};
@@ -0,0 +1,51 @@
+// src/utils/rateLimitStore.js
+
+// Rate limit counters. A store implements hit(key, windowMs), counting one
+// request and resolving to { count, resetAt } (resetAt in milliseconds), so
+// custom stores (e.g. Redis) can be passed as rateLimit.store.
+
+// Counters in process memory; limits are per instance
+class MemoryRateLimitStore {
+  constructor(options = {}) {
+    // Expired counters are swept once this many keys are held
+    this.sweepAt = options.sweepAt || 10000;
+    this.hits = new Map();
+  }
+
+  _sweep(now) {
+    for (const [key, entry] of this.hits) {
+      if (entry.resetAt <= now) {
+        this.hits.delete(key);
+      }
+    }
+  }
+
+  async hit(key, windowMs) {
+    const now = Date.now();
+    let entry = this.hits.get(key);
+
+    if (!entry || entry.resetAt <= now) {
+      if (this.hits.size >= this.sweepAt) {
+        this._sweep(now);
+      }
+      entry = { count: 0, resetAt: now + windowMs };
+      this.hits.set(key, entry);
+    }
+
+    entry.count += 1;
+    return { count: entry.count, resetAt: entry.resetAt };
+  }
+}
+
+// Counters in the rate_limits table, shared by every instance
+class DatabaseRateLimitStore {
+  constructor(userModel) {
+    this.User = userModel;
+  }
+
+  async hit(key, windowMs) {
+    return this.User.hitRateLimit(key, windowMs);
+  }
+}
+
+module.exports = { MemoryRateLimitStore, DatabaseRateLimitStore };
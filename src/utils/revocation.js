@@ -0,0 +1,199 @@
+// src/utils/revocation.js
+const { toSeconds } = require('./duration');
+
+// Revoked access tokens, checked on every authenticated request.
+// Three kinds of entries are kept in memory and in the token_revocations table:
+// - a jti denylist for single tokens
+// - revoked sessions (the sid claim, e.g. sign out or "sign out this device")
+// - a per-user watermark: tokens issued before it are invalid (e.g. password reset)
+// Lookups never touch the database, so entries are only dropped once the
+// tokens they cover have expired; other instances' revocations are picked
+// up every syncInterval.
+class TokenRevocationList {
+  constructor(userModel, options = {}) {
+    this.User = userModel;
+    this.syncInterval = toSeconds(options.syncInterval !== undefined ? options.syncInterval : '10s');
+    // How long watermarks and session revocations are kept. They must
+    // outlive the longest access token (accessTokenExpiry, in seconds), or a
+    // revoked token would work again once its revocation is dropped.
+    const accessTokenExpiry = options.accessTokenExpiry || 0;
+    this.retainFor = options.retainFor
+      ? toSeconds(options.retainFor)
+      : Math.max(toSeconds('1d'), accessTokenExpiry);
+    if (this.retainFor < accessTokenExpiry) {
+      throw new Error(`revocation.retainFor must be at least the access token lifetime (${accessTokenExpiry} seconds)`);
+    }
+    this.tokens = new Map();
+    this.sessions = new Map();
+    this.watermarks = new Map();
+    this.syncedUntil = 0;
+    this.prunedAt = 0;
+    this.timer = null;
+  }
+
+  _remember(entry) {
+    const now = Math.floor(Date.now() / 1000);
+    if (entry.expiresAt <= now) {
+      return;
+    }
+
+    if (entry.jti) {
+      this.tokens.set(entry.jti, entry.expiresAt);
+    }
+
+    if (entry.sessionId) {
+      this.sessions.set(entry.sessionId, entry.expiresAt);
+    }
+
+    if (entry.userId !== null && entry.notBefore !== null) {
+      const key = String(entry.userId);
+      const current = this.watermarks.get(key);
+      if (!current || current.notBefore < entry.notBefore) {
+        this.watermarks.set(key, { notBefore: entry.notBefore, expiresAt: entry.expiresAt });
+      }
+    }
+
+    // At most once a minute, so memory follows the revocations still in force
+    if (now - this.prunedAt >= 60) {
+      this._prune(now);
+    }
+  }
+
+  // Drop the entries whose tokens have expired
+  _prune(now) {
+    for (const [key, expiresAt] of this.tokens) {
+      if (expiresAt <= now) {
+        this.tokens.delete(key);
+      }
+    }
+
+    for (const [key, expiresAt] of this.sessions) {
+      if (expiresAt <= now) {
+        this.sessions.delete(key);
+      }
+    }
+
+    for (const [key, watermark] of this.watermarks) {
+      if (watermark.expiresAt <= now) {
+        this.watermarks.delete(key);
+      }
+    }
+
+    this.prunedAt = now;
+  }
+
+  _has(map, key, now) {
+    if (!key || !map.has(key)) {
+      return false;
+    }
+
+    if (map.get(key) > now) {
+      return true;
+    }
+
+    map.delete(key);
+    return false;
+  }
+
+  // Check a verified access token payload
+  isRevoked(payload) {
+    const now = Math.floor(Date.now() / 1000);
+
+    if (this._has(this.tokens, payload.jti, now) || this._has(this.sessions, payload.sid, now)) {
+      return true;
+    }
+
+    const watermark = payload.userId !== undefined ? this.watermarks.get(String(payload.userId)) : null;
+    if (watermark && watermark.expiresAt > now) {
+      // Tokens issued in the same second as the watermark stay valid, so
+      // signing in right after a password reset works
+      return !payload.iat || payload.iat < watermark.notBefore;
+    }
+
+    return false;
+  }
+
+  // Revoke a single access token until it expires
+  async revokeToken(payload) {
+    if (!payload || !payload.jti || !payload.exp) {
+      return false;
+    }
+
+    const entry = {
+      jti: payload.jti,
+      sessionId: null,
+      userId: payload.userId !== undefined ? payload.userId : null,
+      notBefore: null,
+      expiresAt: payload.exp
+    };
+
+    this._remember(entry);
+    await this.User.addTokenRevocation(entry);
+    return true;
+  }
+
+  // Revoke the access tokens of a session (tokens carrying its sid)
+  async revokeSession(sessionId, userId = null) {
+    if (!sessionId) {
+      return false;
+    }
+
+    const entry = {
+      jti: null,
+      sessionId,
+      userId,
+      notBefore: null,
+      expiresAt: Math.floor(Date.now() / 1000) + this.retainFor
+    };
+
+    this._remember(entry);
+    await this.User.addTokenRevocation(entry);
+    return true;
+  }
+
+  // Revoke every access token issued to a user so far
+  async revokeUser(userId) {
+    const notBefore = Math.floor(Date.now() / 1000);
+    const entry = { jti: null, sessionId: null, userId, notBefore, expiresAt: notBefore + this.retainFor };
+
+    this._remember(entry);
+    await this.User.addTokenRevocation(entry);
+    return true;
+  }
+
+  // Load revocations recorded since the last sync. The window overlaps the
+  // previous one so rows committed late are not missed.
+  async load() {
+    const since = Math.max(0, this.syncedUntil - this.syncInterval);
+    const entries = await this.User.findTokenRevocations(since * 1000);
+
+    for (const entry of entries) {
+      this._remember(entry);
+      this.syncedUntil = Math.max(this.syncedUntil, entry.createdAt);
+    }
+
+    return this;
+  }
+
+  startAutoSync() {
+    if (this.timer || this.syncInterval <= 0) {
+      return this;
+    }
+
+    this.timer = setInterval(() => {
+      this.load().catch(error => console.error('❌ Error syncing token revocations:', error.message));
+    }, this.syncInterval * 1000);
+    this.timer.unref();
+
+    return this;
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = TokenRevocationList;
@@ -0,0 +1,95 @@
+// src/utils/sessionPolicy.js
+const { toSeconds } = require('./duration');
+
+const PREFIXES = ['__Host-', '__Secure-'];
+
+// How long sessions last and what their cookies look like. The token
+// lifetimes drive the JWT expiresIn, the stored refresh token's expires_at
+// and the cookies' maxAge together, so they can't drift apart.
+// session: { idleTimeout, absoluteTimeout }. A session ends when it goes
+// unused for idleTimeout (the refresh token lifetime, renewed on every
+// refresh) or absoluteTimeout after sign in, whichever comes first.
+// cookies: { accessTokenName, refreshTokenName, prefix, domain, path,
+// sameSite, secure, partitioned }
+class SessionPolicy {
+  constructor({ tokenExpiry = {}, cookies = {}, session = {} } = {}) {
+    this.accessTokenExpiry = toSeconds(tokenExpiry.access || '15m');
+    this.refreshTokenExpiry = toSeconds(session.idleTimeout || tokenExpiry.refresh || '7d');
+    // Unset (or null/false) lets active sessions last indefinitely
+    this.absoluteTimeout = session.absoluteTimeout ? toSeconds(session.absoluteTimeout) : null;
+
+    const prefix = cookies.prefix || '';
+    const path = cookies.path || '/';
+    const sameSite = cookies.sameSite || 'strict';
+
+    if (prefix && !PREFIXES.includes(prefix)) {
+      throw new Error(`cookies.prefix must be one of ${PREFIXES.join(', ')}`);
+    }
+
+    // Browsers drop __Host- cookies that name a domain or a narrower path
+    if (prefix === '__Host-' && (cookies.domain || path !== '/')) {
+      throw new Error('__Host- cookies can\'t set a domain and must use path /');
+    }
+
+    // Prefixed, partitioned and SameSite=None cookies are only kept when Secure
+    const secureRequired = Boolean(prefix || cookies.partitioned) || String(sameSite).toLowerCase() === 'none';
+    if (secureRequired && cookies.secure === false) {
+      throw new Error('cookies.secure must be true with a prefix, partitioned or sameSite \'none\'');
+    }
+
+    this.prefix = prefix;
+    this.names = {
+      accessToken: `${prefix}${cookies.accessTokenName || 'accessToken'}`,
+      refreshToken: `${prefix}${cookies.refreshTokenName || 'refreshToken'}`
+    };
+
+    this.attributes = {
+      httpOnly: true,
+      secure: cookies.secure !== undefined
+        ? cookies.secure
+        : secureRequired || process.env.NODE_ENV === 'production',
+      sameSite,
+      path,
+      domain: cookies.domain || undefined,
+      partitioned: Boolean(cookies.partitioned)
+    };
+  }
+
+  // Seconds a refresh token issued now may live: the idle timeout, cut
+  // short by the absolute deadline of a session started at startedAt.
+  // 0 once the session is past it.
+  refreshLifetime(startedAt = new Date()) {
+    if (this.absoluteTimeout === null) {
+      return this.refreshTokenExpiry;
+    }
+
+    const deadline = new Date(startedAt).getTime() + this.absoluteTimeout * 1000;
+    const remaining = Math.floor((deadline - Date.now()) / 1000);
+    return Math.max(0, Math.min(this.refreshTokenExpiry, remaining));
+  }
+
+  // Options for setting the 'accessToken' or 'refreshToken' cookie, or another
+  // short-lived cookie given its lifetime.
+  // persistent: false makes a browser-session cookie ("remember me" unchecked);
+  // lifetime overrides the token's default, in seconds.
+  cookieOptions(kind, { persistent = true, lifetime } = {}) {
+    if (!persistent) {
+      return { ...this.attributes };
+    }
+
+    const defaultLifetime = kind === 'refreshToken' ? this.refreshTokenExpiry : this.accessTokenExpiry;
+    return { ...this.attributes, maxAge: (lifetime || defaultLifetime) * 1000 };
+  }
+
+  // Browsers only clear a cookie when domain and path match the ones it was set with
+  clearOptions() {
+    return { ...this.attributes };
+  }
+
+  // Value of the 'accessToken' or 'refreshToken' cookie sent with a request
+  read(req, kind) {
+    return (req.cookies && req.cookies[this.names[kind]]) || null;
+  }
+}
+
+module.exports = SessionPolicy;
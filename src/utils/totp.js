@@ -0,0 +1,118 @@
+// src/utils/totp.js
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// RFC 6238 time-based one-time passwords (HMAC-SHA1, 6 digits, 30s steps)
+class TOTPUtils {
+  static generateSecret(bytes = 20) {
+    return TOTPUtils.base32Encode(crypto.randomBytes(bytes));
+  }
+
+  static base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+  }
+
+  static base32Decode(input) {
+    const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let value = 0;
+    const output = [];
+
+    for (const char of cleaned) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error('Invalid base32 character');
+      }
+
+      value = (value << 5) | index;
+      bits += 5;
+
+      if (bits >= 8) {
+        output.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+
+    return Buffer.from(output);
+  }
+
+  static getTimeStep(time = Date.now(), period = 30) {
+    return Math.floor(time / 1000 / period);
+  }
+
+  // RFC 4226 HOTP value for a given counter
+  static generateHOTP(secret, counter, digits = 6) {
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto
+      .createHmac('sha1', TOTPUtils.base32Decode(secret))
+      .update(counterBuffer)
+      .digest();
+
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = ((hmac[offset] & 0x7f) << 24) |
+      (hmac[offset + 1] << 16) |
+      (hmac[offset + 2] << 8) |
+      hmac[offset + 3];
+
+    return String(binary % 10 ** digits).padStart(digits, '0');
+  }
+
+  static generateCode(secret, time = Date.now()) {
+    return TOTPUtils.generateHOTP(secret, TOTPUtils.getTimeStep(time));
+  }
+
+  // Returns the matching time step, or null. Steps up to `window` either
+  // side of now are accepted to tolerate clock drift.
+  static verifyCode(secret, code, { window = 1, time = Date.now() } = {}) {
+    if (!/^\d{6}$/.test(String(code || ''))) {
+      return null;
+    }
+
+    const currentStep = TOTPUtils.getTimeStep(time);
+
+    for (let step = currentStep - window; step <= currentStep + window; step++) {
+      const expected = Buffer.from(TOTPUtils.generateHOTP(secret, step));
+      if (crypto.timingSafeEqual(expected, Buffer.from(String(code)))) {
+        return step;
+      }
+    }
+
+    return null;
+  }
+
+  static buildOtpauthUri({ secret, accountName, issuer }) {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer,
+      algorithm: 'SHA1',
+      digits: '6',
+      period: '30'
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+}
+
+module.exports = TOTPUtils;
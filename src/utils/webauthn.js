@@ -0,0 +1,325 @@
+// src/utils/webauthn.js
+const crypto = require('crypto');
+
+// COSE algorithm identifiers we can verify
+const COSE_ALGORITHMS = {
+  ES256: -7,
+  EdDSA: -8,
+  RS256: -257
+};
+
+// Minimal CBOR decoder covering what authenticators send (RFC 8949 major types 0-5 and 7)
+const decodeCborItem = (buffer, offset) => {
+  const initial = buffer[offset];
+  const majorType = initial >> 5;
+  const additional = initial & 0x1f;
+  let position = offset + 1;
+
+  const readLength = () => {
+    if (additional < 24) return additional;
+    if (additional === 24) return buffer.readUInt8(position++);
+    if (additional === 25) {
+      const value = buffer.readUInt16BE(position);
+      position += 2;
+      return value;
+    }
+    if (additional === 26) {
+      const value = buffer.readUInt32BE(position);
+      position += 4;
+      return value;
+    }
+    if (additional === 27) {
+      const value = Number(buffer.readBigUInt64BE(position));
+      position += 8;
+      return value;
+    }
+    throw new Error('Unsupported CBOR length encoding');
+  };
+
+  switch (majorType) {
+    case 0:
+      return { value: readLength(), offset: position };
+    case 1:
+      return { value: -1 - readLength(), offset: position };
+    case 2: {
+      const length = readLength();
+      return { value: buffer.subarray(position, position + length), offset: position + length };
+    }
+    case 3: {
+      const length = readLength();
+      return { value: buffer.toString('utf8', position, position + length), offset: position + length };
+    }
+    case 4: {
+      const length = readLength();
+      const items = [];
+      for (let i = 0; i < length; i++) {
+        const item = decodeCborItem(buffer, position);
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    case 5: {
+      const length = readLength();
+      const map = new Map();
+      for (let i = 0; i < length; i++) {
+        const key = decodeCborItem(buffer, position);
+        const value = decodeCborItem(buffer, key.offset);
+        map.set(key.value, value.value);
+        position = value.offset;
+      }
+      return { value: map, offset: position };
+    }
+    case 7:
+      if (additional === 20) return { value: false, offset: position };
+      if (additional === 21) return { value: true, offset: position };
+      if (additional === 22) return { value: null, offset: position };
+      throw new Error('Unsupported CBOR simple value');
+    default:
+      throw new Error('Unsupported CBOR major type');
+  }
+};
+
+class WebAuthnUtils {
+  static toBase64Url(buffer) {
+    return Buffer.from(buffer).toString('base64url');
+  }
+
+  static fromBase64Url(value) {
+    return Buffer.from(String(value), 'base64url');
+  }
+
+  static generateChallenge() {
+    return WebAuthnUtils.toBase64Url(crypto.randomBytes(32));
+  }
+
+  // Decode a CBOR buffer. Returns the value and how many bytes it used.
+  static decodeCbor(buffer) {
+    const { value, offset } = decodeCborItem(Buffer.from(buffer), 0);
+    return { value, length: offset };
+  }
+
+  // Parse authenticator data (WebAuthn §6.1)
+  static parseAuthenticatorData(authData) {
+    const buffer = Buffer.from(authData);
+    if (buffer.length < 37) {
+      throw new Error('Authenticator data is too short');
+    }
+
+    const flagsByte = buffer[32];
+    const parsed = {
+      rpIdHash: buffer.subarray(0, 32),
+      flags: {
+        userPresent: Boolean(flagsByte & 0x01),
+        userVerified: Boolean(flagsByte & 0x04),
+        attestedCredentialData: Boolean(flagsByte & 0x40),
+        extensionData: Boolean(flagsByte & 0x80)
+      },
+      signCount: buffer.readUInt32BE(33),
+      attestedCredentialData: null
+    };
+
+    if (parsed.flags.attestedCredentialData) {
+      const aaguid = buffer.subarray(37, 53);
+      const credentialIdLength = buffer.readUInt16BE(53);
+      const credentialId = buffer.subarray(55, 55 + credentialIdLength);
+      const publicKeyStart = 55 + credentialIdLength;
+      const { length } = WebAuthnUtils.decodeCbor(buffer.subarray(publicKeyStart));
+
+      parsed.attestedCredentialData = {
+        aaguid: aaguid.toString('hex'),
+        credentialId,
+        credentialPublicKey: buffer.subarray(publicKeyStart, publicKeyStart + length)
+      };
+    }
+
+    return parsed;
+  }
+
+  // Convert a COSE_Key (RFC 8152) into a Node.js public key
+  static coseToPublicKey(coseKey) {
+    const { value: cose } = WebAuthnUtils.decodeCbor(coseKey);
+    const kty = cose.get(1);
+    const alg = cose.get(3);
+    let jwk;
+
+    if (kty === 2 && alg === COSE_ALGORITHMS.ES256 && cose.get(-1) === 1) {
+      jwk = {
+        kty: 'EC',
+        crv: 'P-256',
+        x: WebAuthnUtils.toBase64Url(cose.get(-2)),
+        y: WebAuthnUtils.toBase64Url(cose.get(-3))
+      };
+    } else if (kty === 1 && alg === COSE_ALGORITHMS.EdDSA && cose.get(-1) === 6) {
+      jwk = {
+        kty: 'OKP',
+        crv: 'Ed25519',
+        x: WebAuthnUtils.toBase64Url(cose.get(-2))
+      };
+    } else if (kty === 3 && alg === COSE_ALGORITHMS.RS256) {
+      jwk = {
+        kty: 'RSA',
+        n: WebAuthnUtils.toBase64Url(cose.get(-1)),
+        e: WebAuthnUtils.toBase64Url(cose.get(-2))
+      };
+    } else {
+      throw new Error('Unsupported credential public key algorithm');
+    }
+
+    return {
+      algorithm: alg,
+      key: crypto.createPublicKey({ key: jwk, format: 'jwk' })
+    };
+  }
+
+  static _parseClientData(clientDataJSON, { type, expectedOrigin }) {
+    const clientData = JSON.parse(WebAuthnUtils.fromBase64Url(clientDataJSON).toString('utf8'));
+    const origins = Array.isArray(expectedOrigin) ? expectedOrigin : [expectedOrigin];
+
+    if (clientData.type !== type) {
+      throw new Error('Unexpected client data type');
+    }
+
+    if (!origins.includes(clientData.origin)) {
+      throw new Error('Unexpected origin');
+    }
+
+    return clientData;
+  }
+
+  static _checkAuthenticatorData(authData, { expectedRpId, requireUserVerification }) {
+    const expectedRpIdHash = crypto.createHash('sha256').update(expectedRpId).digest();
+    if (!crypto.timingSafeEqual(authData.rpIdHash, expectedRpIdHash)) {
+      throw new Error('Unexpected relying party ID');
+    }
+
+    if (!authData.flags.userPresent) {
+      throw new Error('User presence is required');
+    }
+
+    if (requireUserVerification && !authData.flags.userVerified) {
+      throw new Error('User verification is required');
+    }
+  }
+
+  // Read the challenge from client data so the stored copy can be looked up
+  static getChallenge(credential) {
+    const clientData = JSON.parse(
+      WebAuthnUtils.fromBase64Url(credential.response.clientDataJSON).toString('utf8')
+    );
+    return clientData.challenge;
+  }
+
+  // Verify a registration ceremony response (attestation "none" only)
+  static verifyRegistration({
+    credential,
+    expectedChallenge,
+    expectedOrigin,
+    expectedRpId,
+    requireUserVerification = false
+  }) {
+    if (!credential || credential.type !== 'public-key' || !credential.response) {
+      throw new Error('Invalid credential');
+    }
+
+    const clientData = WebAuthnUtils._parseClientData(credential.response.clientDataJSON, {
+      type: 'webauthn.create',
+      expectedOrigin
+    });
+
+    if (clientData.challenge !== expectedChallenge) {
+      throw new Error('Challenge mismatch');
+    }
+
+    const { value: attestation } = WebAuthnUtils.decodeCbor(
+      WebAuthnUtils.fromBase64Url(credential.response.attestationObject)
+    );
+
+    if (attestation.get('fmt') !== 'none') {
+      throw new Error('Unsupported attestation format');
+    }
+
+    const attStmt = attestation.get('attStmt');
+    if (!(attStmt instanceof Map) || attStmt.size !== 0) {
+      throw new Error('Attestation statement must be empty for "none" attestation');
+    }
+
+    const authData = WebAuthnUtils.parseAuthenticatorData(attestation.get('authData'));
+    WebAuthnUtils._checkAuthenticatorData(authData, { expectedRpId, requireUserVerification });
+
+    if (!authData.attestedCredentialData) {
+      throw new Error('No attested credential data');
+    }
+
+    const { credentialId, credentialPublicKey, aaguid } = authData.attestedCredentialData;
+
+    // Fails for algorithms we can't verify later
+    const { algorithm } = WebAuthnUtils.coseToPublicKey(credentialPublicKey);
+
+    return {
+      credentialId: WebAuthnUtils.toBase64Url(credentialId),
+      publicKey: WebAuthnUtils.toBase64Url(credentialPublicKey),
+      algorithm,
+      signCount: authData.signCount,
+      aaguid,
+      userVerified: authData.flags.userVerified
+    };
+  }
+
+  // Verify an authentication ceremony response (assertion)
+  static verifyAuthentication({
+    credential,
+    expectedChallenge,
+    expectedOrigin,
+    expectedRpId,
+    publicKey,
+    storedSignCount = 0,
+    requireUserVerification = false
+  }) {
+    if (!credential || credential.type !== 'public-key' || !credential.response) {
+      throw new Error('Invalid credential');
+    }
+
+    const clientData = WebAuthnUtils._parseClientData(credential.response.clientDataJSON, {
+      type: 'webauthn.get',
+      expectedOrigin
+    });
+
+    if (clientData.challenge !== expectedChallenge) {
+      throw new Error('Challenge mismatch');
+    }
+
+    const authDataBuffer = WebAuthnUtils.fromBase64Url(credential.response.authenticatorData);
+    const authData = WebAuthnUtils.parseAuthenticatorData(authDataBuffer);
+    WebAuthnUtils._checkAuthenticatorData(authData, { expectedRpId, requireUserVerification });
+
+    const clientDataHash = crypto
+      .createHash('sha256')
+      .update(WebAuthnUtils.fromBase64Url(credential.response.clientDataJSON))
+      .digest();
+    const signedData = Buffer.concat([authDataBuffer, clientDataHash]);
+    const signature = WebAuthnUtils.fromBase64Url(credential.response.signature);
+
+    const { algorithm, key } = WebAuthnUtils.coseToPublicKey(WebAuthnUtils.fromBase64Url(publicKey));
+    const digest = algorithm === COSE_ALGORITHMS.EdDSA ? null : 'sha256';
+
+    if (!crypto.verify(digest, signedData, key, signature)) {
+      throw new Error('Invalid signature');
+    }
+
+    // A counter that doesn't increase suggests a cloned authenticator.
+    // Authenticators that don't implement counters always report 0.
+    if ((authData.signCount > 0 || storedSignCount > 0) && authData.signCount <= storedSignCount) {
+      throw new Error('Signature counter did not increase');
+    }
+
+    return {
+      signCount: authData.signCount,
+      userVerified: authData.flags.userVerified
+    };
+  }
+}
+
+WebAuthnUtils.COSE_ALGORITHMS = COSE_ALGORITHMS;
+
+module.exports = WebAuthnUtils;
@@ -0,0 +1,97 @@
+// tests/adminTokens.test.js
+const express = require('express');
+const request = require('supertest');
+const TokenController = require('../src/controllers/tokenController');
+const JWTUtils = require('../src/utils/jwt');
+const { requireAdmin } = require('../src/middleware/auth');
+
+const API_KEY = 'test-admin-api-key';
+
+describe('Admin token endpoints', () => {
+  let app;
+  let jwtUtils;
+  let store;
+  let auditLogger;
+
+  const tokenWith = (permissions) => jwtUtils.generateAccessToken({ userId: 1, roles: [], permissions });
+
+  beforeEach(() => {
+    jwtUtils = new JWTUtils('test-secret', 'test-refresh-secret');
+    store = { clearAllRefreshTokens: jest.fn(async () => true) };
+    auditLogger = { record: jest.fn() };
+
+    const controller = new TokenController(jwtUtils, store, { auditLogger, maxTokenExpiry: '1h' });
+
+    app = express();
+    app.use(express.json());
+    app.post('/token/revoke-all', requireAdmin(jwtUtils, ['tokens:revoke'], { apiKey: API_KEY }), controller.revokeAllTokens);
+    app.post('/token/generate', requireAdmin(jwtUtils, ['tokens:generate'], { apiKey: API_KEY }), controller.generateCustomToken);
+  });
+
+  test('should not let ordinary users revoke tokens or mint them', async () => {
+    const user = tokenWith([]);
+
+    const revoke = await request(app)
+      .post('/token/revoke-all')
+      .set('Authorization', `Bearer ${user}`)
+      .send({ userId: 2 });
+    const generate = await request(app)
+      .post('/token/generate')
+      .set('Authorization', `Bearer ${user}`)
+      .send({ payload: { userId: 2 } });
+
+    expect(revoke.status).toBe(403);
+    expect(generate.status).toBe(403);
+    expect(store.clearAllRefreshTokens).not.toHaveBeenCalled();
+  });
+
+  test('should let users with the permission revoke tokens and audit it', async () => {
+    const res = await request(app)
+      .post('/token/revoke-all')
+      .set('Authorization', `Bearer ${tokenWith(['tokens:*'])}`)
+      .send({ userId: 2 });
+
+    expect(res.status).toBe(200);
+    expect(store.clearAllRefreshTokens).toHaveBeenCalledWith(2);
+    expect(auditLogger.record).toHaveBeenCalledWith('admin.tokens_revoked', expect.objectContaining({
+      userId: 1,
+      metadata: { targetUserId: 2, via: 'user' }
+    }));
+  });
+
+  test('should accept the admin API key and reject a wrong one', async () => {
+    const ok = await request(app)
+      .post('/token/generate')
+      .set('X-Admin-Key', API_KEY)
+      .send({ payload: { userId: 2, email: 'user@example.com' }, expiresIn: '10m' });
+
+    expect(ok.status).toBe(200);
+    expect(jwtUtils.verifyAccessToken(ok.body.data.token)).toMatchObject({ userId: 2, email: 'user@example.com' });
+    expect(auditLogger.record).toHaveBeenCalledWith('admin.token_generated', expect.objectContaining({
+      userId: null,
+      metadata: expect.objectContaining({ claims: ['userId', 'email'], expiresIn: 600, via: 'api_key' })
+    }));
+
+    const wrong = await request(app)
+      .post('/token/generate')
+      .set('X-Admin-Key', 'not-the-key')
+      .send({ payload: { userId: 2 } });
+
+    expect(wrong.status).toBe(401);
+  });
+
+  test('should refuse to mint privileged claims or long-lived tokens', async () => {
+    const privileged = await request(app)
+      .post('/token/generate')
+      .set('X-Admin-Key', API_KEY)
+      .send({ payload: { userId: 2, permissions: ['*'] } });
+    const longLived = await request(app)
+      .post('/token/generate')
+      .set('X-Admin-Key', API_KEY)
+      .send({ payload: { userId: 2 }, expiresIn: '30d' });
+
+    expect(privileged.status).toBe(400);
+    expect(privileged.body.message).toContain('permissions');
+    expect(longLived.status).toBe(400);
+  });
+});
@@ -0,0 +1,228 @@
+// tests/adminUsers.test.js
+const path = require('path');
+const ejs = require('ejs');
+const express = require('express');
+const request = require('supertest');
+const JwtAuthExpress = require('../index');
+const AdminController = require('../src/controllers/adminController');
+const MemoryAdapter = require('../src/models/adapters/memory');
+const createAdminRoutes = require('../src/routes/adminRoutes');
+const JWTUtils = require('../src/utils/jwt');
+const TokenRevocationList = require('../src/utils/revocation');
+const LoginThrottle = require('../src/utils/loginThrottle');
+const { requireAdmin } = require('../src/middleware/auth');
+
+// Password hashing dominates these tests
+jest.setTimeout(20000);
+
+describe('Admin user API', () => {
+  let app;
+  let store;
+  let jwtUtils;
+  let emailUtils;
+  let auditLogger;
+  let admin;
+
+  const as = (method, path) => request(app)[method](path).set('Authorization', `Bearer ${admin}`);
+
+  // Admin (1), unverified and locked out Alice (2), inactive Bob (3)
+  const createUsers = async () => {
+    const create = (email, name) => store.create({ email, password: 'Str0ng-password!', name });
+
+    const adminUser = await create('admin@example.com', 'Admin');
+    await store.markEmailVerified(adminUser.id);
+    await create('alice@example.com', 'Alice');
+    const bob = await create('bob@example.com', 'Bob');
+    await store.markEmailVerified(bob.id);
+    await store.setActive(bob.id, false);
+
+    await store.lockAccount('alice@example.com', 60);
+  };
+
+  const findUser = (id) => store.findByIdIncludingInactive(id);
+
+  beforeEach(async () => {
+    store = new MemoryAdapter();
+    await createUsers();
+    jwtUtils = new JWTUtils('test-secret', 'test-refresh-secret');
+    emailUtils = { sendPasswordResetEmail: jest.fn(), sendVerificationEmail: jest.fn() };
+    auditLogger = { record: jest.fn() };
+
+    const revocationList = new TokenRevocationList(store, { syncInterval: 0 });
+    const loginThrottle = new LoginThrottle(store);
+    const controller = new AdminController(store, emailUtils, { revocationList, loginThrottle, auditLogger });
+    admin = jwtUtils.generateAccessToken({ userId: 1, roles: ['admin'], permissions: ['*'] });
+
+    app = express();
+    app.use(express.json());
+    app.use('/admin/api', createAdminRoutes(controller, requireAdmin(jwtUtils, ['users:manage'])));
+  });
+
+  test('should require the users:manage permission', async () => {
+    const user = jwtUtils.generateAccessToken({ userId: 2, roles: [], permissions: [] });
+    const res = await request(app).get('/admin/api/users').set('Authorization', `Bearer ${user}`);
+
+    expect(res.status).toBe(403);
+  });
+
+  test('should list, search and filter users without their passwords', async () => {
+    const all = await as('get', '/admin/api/users?limit=2');
+    expect(all.body.data.users).toHaveLength(2);
+    expect(all.body.data.users[0].password).toBeUndefined();
+    expect(all.body.data.pagination).toEqual({ page: 1, limit: 2, total: 3, pages: 2 });
+
+    const search = await as('get', '/admin/api/users?search=alice');
+    expect(search.body.data.users.map(user => user.id)).toEqual([2]);
+
+    const inactive = await as('get', '/admin/api/users?status=inactive');
+    expect(inactive.body.data.users.map(user => user.id)).toEqual([3]);
+  });
+
+  test('should answer errors in one format', async () => {
+    const missing = await as('get', '/admin/api/users/99');
+    expect(missing.status).toBe(404);
+    expect(missing.body).toEqual({ success: false, message: 'User not found', code: 'user_not_found' });
+
+    const invalid = await as('get', '/admin/api/users?limit=1000');
+    expect(invalid.status).toBe(400);
+    expect(invalid.body).toMatchObject({ success: false, code: 'validation_failed' });
+    expect(invalid.body.details[0].path).toBe('limit');
+
+    const unknown = await as('get', '/admin/api/nothing');
+    expect(unknown.body).toMatchObject({ success: false, code: 'not_found' });
+  });
+
+  test('should deactivate and reactivate a user and audit it', async () => {
+    await store.storeRefreshToken(2, 'alice-refresh-token');
+    const res = await as('post', '/admin/api/users/2/deactivate');
+
+    expect(res.status).toBe(200);
+    expect((await findUser(2)).isActive).toBe(false);
+    expect(await store.findRefreshTokenRecord(2, 'alice-refresh-token')).toBeNull();
+    expect(auditLogger.record).toHaveBeenCalledWith('admin.user_deactivated', expect.objectContaining({
+      userId: 1,
+      metadata: { targetUserId: 2, via: 'user' }
+    }));
+
+    await as('post', '/admin/api/users/2/reactivate');
+    expect((await findUser(2)).isActive).toBe(true);
+  });
+
+  test('should not let admins deactivate or delete themselves', async () => {
+    expect((await as('post', '/admin/api/users/1/deactivate')).body.code).toBe('cannot_modify_self');
+    expect((await as('delete', '/admin/api/users/1')).body.code).toBe('cannot_modify_self');
+  });
+
+  test('should unlock a locked out user', async () => {
+    expect((await as('get', '/admin/api/users/2')).body.data.lockedUntil).toBeTruthy();
+
+    expect((await as('post', '/admin/api/users/2/unlock')).status).toBe(200);
+    expect(auditLogger.record).toHaveBeenCalledWith('admin.user_unlocked', expect.objectContaining({
+      metadata: { targetUserId: 2, via: 'user' }
+    }));
+    expect((await as('get', '/admin/api/users/2')).body.data.lockedUntil).toBeNull();
+    expect((await as('post', '/admin/api/users/2/unlock')).body.code).toBe('not_locked');
+  });
+
+  test('should force a password reset and email a reset link', async () => {
+    const before = (await findUser(2)).password;
+    const res = await as('post', '/admin/api/users/2/password-reset');
+
+    expect(res.status).toBe(200);
+    expect((await findUser(2)).password).not.toBe(before);
+    expect(emailUtils.sendPasswordResetEmail).toHaveBeenCalledWith('alice@example.com', expect.any(String), 2);
+
+    const [, token] = emailUtils.sendPasswordResetEmail.mock.calls[0];
+    expect((await store.findValidPasswordResetToken(2, token)).id).toBe(2);
+  });
+
+  test('should verify emails and delete users', async () => {
+    expect((await as('post', '/admin/api/users/2/verify-email')).body.data.user.isVerified).toBe(true);
+    expect((await findUser(2)).isVerified).toBe(true);
+
+    expect((await as('delete', '/admin/api/users/3')).status).toBe(200);
+    expect(await findUser(3)).toBeNull();
+    expect((await findUser(2)).id).toBe(2);
+  });
+
+  test('should report sign up and sign in counts', async () => {
+    await store.recordAuditEvent({ userId: 2, event: 'user.signed_in' });
+    const res = await as('get', '/admin/api/stats');
+
+    expect(res.body.data.users).toEqual({ total: 3, active: 2, verified: 2 });
+    expect(res.body.data.signUps).toEqual({ day: 3, week: 3, month: 3 });
+    expect(res.body.data.signIns).toEqual({ day: 1, week: 1, month: 1 });
+  });
+
+  test('should show recent sign ins on the user detail', async () => {
+    await store.recordAuditEvent({
+      userId: 2, event: 'user.signed_in', ipAddress: '203.0.113.7', metadata: { deviceLabel: 'Chrome on macOS' }
+    });
+    await store.recordAuditEvent({ userId: 2, event: 'user.password_changed' });
+
+    const res = await as('get', '/admin/api/users/2');
+
+    expect(res.body.data.logins).toHaveLength(1);
+    expect(res.body.data.logins[0]).toMatchObject({ ipAddress: '203.0.113.7', deviceLabel: 'Chrome on macOS' });
+  });
+
+  test('should sign out a single session', async () => {
+    await store.storeRefreshToken(2, 'alice-refresh-token', { familyId: 'session-1' });
+
+    expect((await as('delete', '/admin/api/users/2/sessions/session-1')).status).toBe(200);
+    expect((await as('delete', '/admin/api/users/2/sessions/other')).body.code).toBe('session_not_found');
+  });
+
+  test('should resend verification emails to unverified users only', async () => {
+    expect((await as('post', '/admin/api/users/2/resend-verification')).status).toBe(200);
+    expect(emailUtils.sendVerificationEmail).toHaveBeenCalledWith('alice@example.com', expect.any(String), 2);
+
+    expect((await as('post', '/admin/api/users/1/resend-verification')).body.code).toBe('already_verified');
+  });
+});
+
+describe('Admin console views', () => {
+  const views = path.join(__dirname, '..', 'src', 'views', 'admin');
+
+  test('should render the dashboard and user pages', async () => {
+    const dashboard = await ejs.renderFile(path.join(views, 'dashboard.ejs'), { basePath: '/auth' });
+    const user = await ejs.renderFile(path.join(views, 'user.ejs'), { basePath: '/auth', userId: '2' });
+
+    expect(dashboard).toContain('id="admin-users"');
+    expect(dashboard).toContain('/auth/public/js/admin.js');
+    expect(user).toContain('data-user-id="2"');
+  });
+});
+
+describe('Admin console routes', () => {
+  let auth;
+  let app;
+
+  beforeAll(async () => {
+    auth = await JwtAuthExpress.create({
+      secret: 'test-secret',
+      refreshSecret: 'test-refresh-secret',
+      database: { adapter: 'memory' },
+      enableUI: true,
+      adminUI: true,
+      rateLimit: false
+    });
+    app = express();
+    app.use(express.json());
+    auth.setupApp(app);
+  });
+
+  afterAll(async () => {
+    await auth.close();
+  });
+
+  test('should serve the console pages with numeric user ids only', async () => {
+    expect((await request(app).get('/auth/admin')).status).toBe(200);
+
+    const user = await request(app).get('/auth/admin/users/2');
+    expect(user.status).toBe(200);
+    expect(user.text).toContain('data-user-id="2"');
+
+    expect((await request(app).get('/auth/admin/users/abc')).status).toBe(404);
+  });
+});
@@ -0,0 +1,147 @@
+// tests/csrf.test.js
+const path = require('path');
+const ejs = require('ejs');
+const express = require('express');
+const cookie = require('cookie');
+const request = require('supertest');
+const AuthController = require('../src/controllers/authController');
+const CsrfProtection = require('../src/utils/csrf');
+const SessionPolicy = require('../src/utils/sessionPolicy');
+const JWTUtils = require('../src/utils/jwt');
+const { authenticateToken, optionalAuth } = require('../src/middleware/auth');
+
+describe('CSRF protection', () => {
+  let app;
+  let csrf;
+  let accessToken;
+  let csrfToken;
+
+  // A browser request: the access token and CSRF token both travel as cookies
+  const withCookies = (req, token = csrfToken) => req.set('Cookie', `accessToken=${accessToken}; csrfToken=${token}`);
+
+  beforeEach(() => {
+    const jwtUtils = new JWTUtils('test-secret', 'test-refresh-secret');
+    csrf = new CsrfProtection('csrf-secret');
+    accessToken = jwtUtils.generateAccessToken({ userId: 1, sid: 'session-1' });
+    csrfToken = csrf.generateToken('session-1');
+
+    const store = { revokeSession: jest.fn(async () => true) };
+    const controller = new AuthController(jwtUtils, store, null, { csrf });
+
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.cookies = cookie.parse(req.headers.cookie || '');
+      next();
+    });
+    app.get('/page', (req, res) => res.json({ token: csrf.getToken(req, res) }));
+    app.get('/me', authenticateToken(jwtUtils, { csrf }), (req, res) => res.json({ userId: req.user.userId }));
+    app.post('/settings', authenticateToken(jwtUtils, { csrf }), (req, res) => res.json({ success: true }));
+    app.post('/optional', optionalAuth(jwtUtils, { csrf }), (req, res) => res.json({ signedIn: Boolean(req.user) }));
+    app.post('/signout', controller.signOut);
+  });
+
+  test('should refuse cookie-authenticated changes without the token', async () => {
+    const res = await withCookies(request(app).post('/settings'));
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('CSRF_TOKEN_INVALID');
+  });
+
+  test('should accept the token as a header or a form field', async () => {
+    const header = await withCookies(request(app).post('/settings')).set('X-CSRF-Token', csrfToken);
+    const field = await withCookies(request(app).post('/settings')).send({ _csrf: csrfToken });
+
+    expect(header.status).toBe(200);
+    expect(field.status).toBe(200);
+  });
+
+  test('should not require the token for reads or bearer tokens', async () => {
+    expect((await withCookies(request(app).get('/me'))).status).toBe(200);
+
+    const bearer = await request(app).post('/settings').set('Authorization', `Bearer ${accessToken}`);
+    expect(bearer.status).toBe(200);
+  });
+
+  test('should reject tokens the server did not sign', async () => {
+    const forged = 'attacker-nonce.attacker-signature';
+    const res = await withCookies(request(app).post('/settings'), forged).set('X-CSRF-Token', forged);
+
+    expect(res.status).toBe(403);
+  });
+
+  test('should reject tokens issued for another session or to a signed out visitor', async () => {
+    const planted = (await request(app).get('/page')).body.token;
+    const otherSession = csrf.generateToken('session-2');
+
+    for (const token of [planted, otherSession]) {
+      const res = await withCookies(request(app).post('/settings'), token).set('X-CSRF-Token', token);
+      expect(res.status).toBe(403);
+    }
+  });
+
+  test('should reissue the token cookie for the signed in session', async () => {
+    const anonymous = csrf.generateToken();
+    const res = await withCookies(request(app).get('/page'), anonymous);
+
+    expect(res.body.token).not.toBe(anonymous);
+    expect(csrf.isValid(res.body.token, 'session-1')).toBe(true);
+    expect(cookie.parse(res.headers['set-cookie'][0]).csrfToken).toBe(res.body.token);
+  });
+
+  test('should treat optional auth without the token as signed out', async () => {
+    expect((await withCookies(request(app).post('/optional'))).body.signedIn).toBe(false);
+    expect((await withCookies(request(app).post('/optional')).set('X-CSRF-Token', csrfToken)).body.signedIn).toBe(true);
+  });
+
+  test('should not let another site sign the user out', async () => {
+    expect((await withCookies(request(app).post('/signout'))).status).toBe(403);
+    expect((await withCookies(request(app).post('/signout')).set('X-CSRF-Token', csrfToken)).status).toBe(200);
+  });
+
+  test('should issue a token cookie once and reuse it', async () => {
+    const first = await request(app).get('/page');
+    const issued = cookie.parse(first.headers['set-cookie'][0]);
+    expect(issued.csrfToken).toBe(first.body.token);
+    expect(csrf.isValid(issued.csrfToken)).toBe(true);
+
+    const second = await request(app).get('/page').set('Cookie', `csrfToken=${issued.csrfToken}`);
+    expect(second.body.token).toBe(issued.csrfToken);
+    expect(second.headers['set-cookie']).toBeUndefined();
+  });
+
+  test('should give the token cookie the session policy\'s prefix and attributes', async () => {
+    const sessionPolicy = new SessionPolicy({
+      cookies: { prefix: '__Secure-', domain: 'example.com', path: '/app', sameSite: 'lax' }
+    });
+    csrf = new CsrfProtection('csrf-secret', { sessionPolicy });
+
+    const first = await request(app).get('/page');
+    const header = first.headers['set-cookie'][0];
+    const issued = cookie.parse(header);
+
+    expect(issued['__Secure-csrfToken']).toBe(first.body.token);
+    expect(issued.Domain).toBe('example.com');
+    expect(issued.Path).toBe('/app');
+    expect(header).toMatch(/SameSite=Lax/);
+    expect(header).toMatch(/Secure/);
+    expect(header).not.toMatch(/HttpOnly/);
+
+    const second = await request(app).get('/page').set('Cookie', `__Secure-csrfToken=${first.body.token}`);
+    expect(second.body.token).toBe(first.body.token);
+  });
+
+  test('should put the token in the auth forms', async () => {
+    const views = path.join(__dirname, '..', 'src', 'views', 'auth');
+    const page = await ejs.renderFile(path.join(views, 'signin.ejs'), {
+      basePath: '/auth',
+      passkeysEnabled: false,
+      oauthProviders: [],
+      error: null,
+      success: null,
+      csrfToken
+    });
+
+    expect(page).toContain(`name="_csrf" value="${csrfToken}"`);
+  });
+});
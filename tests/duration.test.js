@@ -0,0 +1,33 @@
+// tests/duration.test.js
+const { toSeconds } = require('../src/utils/duration');
+const SessionPolicy = require('../src/utils/sessionPolicy');
+
+describe('Durations', () => {
+  test('should take numbers and unitless strings as seconds', () => {
+    expect(toSeconds(900)).toBe(900);
+    expect(toSeconds('900')).toBe(900);
+    expect(toSeconds(' 60 ')).toBe(60);
+  });
+
+  test('should read the units jsonwebtoken accepts for expiresIn', () => {
+    expect(toSeconds('15m')).toBe(15 * 60);
+    expect(toSeconds('7d')).toBe(7 * 24 * 60 * 60);
+    expect(toSeconds('2w')).toBe(14 * 24 * 60 * 60);
+    expect(toSeconds('7 days')).toBe(7 * 24 * 60 * 60);
+    expect(toSeconds('30 minutes')).toBe(30 * 60);
+    expect(toSeconds('1.5h')).toBe(90 * 60);
+    expect(toSeconds('1y')).toBe(365.25 * 24 * 60 * 60);
+  });
+
+  test('should refuse what it cannot read', () => {
+    for (const value of ['', 'soon', '7 fortnights', '-1h', null, undefined, NaN]) {
+      expect(() => toSeconds(value)).toThrow('Invalid duration');
+    }
+  });
+
+  test('should accept long-form durations in the session policy', () => {
+    const policy = new SessionPolicy({ tokenExpiry: { access: '15 minutes', refresh: '30 days' } });
+    expect(policy.cookieOptions('accessToken').maxAge).toBe(15 * 60 * 1000);
+    expect(policy.cookieOptions('refreshToken').maxAge).toBe(30 * 24 * 60 * 60 * 1000);
+  });
+});
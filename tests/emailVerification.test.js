@@ -0,0 +1,100 @@
+// tests/emailVerification.test.js
+const express = require('express');
+const request = require('supertest');
+const JwtAuthExpress = require('../index');
+const { validateRequest } = require('../src/middleware/validation');
+
+// Password hashing dominates these tests
+jest.setTimeout(20000);
+
+const credentials = { email: 'verify@example.com', password: 'Str0ng-password!', name: 'Verify User' };
+
+describe('Email verification', () => {
+  let auth;
+  let app;
+  let sent;
+
+  const createApp = async (options = {}) => {
+    auth = await JwtAuthExpress.create({
+      secret: 'test-secret',
+      refreshSecret: 'test-refresh-secret',
+      database: { adapter: 'memory' },
+      tokenTransport: 'body',
+      enableUI: false,
+      rateLimit: false,
+      ...options
+    });
+    app = express();
+    app.use(express.json());
+    app.use('/auth', auth.getRoutes(validateRequest));
+
+    // Capture what would be emailed
+    sent = [];
+    jest.spyOn(auth.emailUtils, 'sendVerificationEmail').mockImplementation(async (email, token, userId) => {
+      sent.push({ email, token, userId });
+    });
+  };
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await auth.close();
+  });
+
+  const signIn = () => request(app).post('/auth/signin').send(credentials);
+  const verify = ({ token, userId }) => request(app).post('/auth/verify-email').send({ token, userId });
+
+  test('should verify the address with the emailed token, once', async () => {
+    await createApp();
+    await request(app).post('/auth/signup').send(credentials).expect(201);
+
+    const [email] = sent;
+    expect(email.email).toBe(credentials.email);
+
+    const res = await verify(email);
+    expect(res.status).toBe(200);
+    expect((await auth.userModel.findById(email.userId)).isVerified).toBe(true);
+
+    expect((await verify(email)).status).toBe(400);
+  });
+
+  test('should refuse wrong and superseded tokens', async () => {
+    await createApp();
+    await request(app).post('/auth/signup').send(credentials);
+
+    await request(app).post('/auth/resend-verification').send({ email: credentials.email }).expect(200);
+    const [first, second] = sent;
+
+    expect((await verify({ ...second, token: 'not-a-real-token' })).status).toBe(400);
+    expect((await verify(first)).status).toBe(400);
+    expect((await verify(second)).status).toBe(200);
+
+    // Verified accounts get no more emails
+    await request(app).post('/auth/resend-verification').send({ email: credentials.email }).expect(200);
+    expect(sent).toHaveLength(2);
+  });
+
+  test('should keep unverified accounts out when requireEmailVerification is on', async () => {
+    await createApp({ requireEmailVerification: true });
+
+    const signUp = await request(app).post('/auth/signup').send(credentials);
+    expect(signUp.status).toBe(201);
+    expect(signUp.body.data.accessToken).toBeUndefined();
+
+    const blocked = await signIn();
+    expect(blocked.status).toBe(403);
+    expect(blocked.body.code).toBe('EMAIL_NOT_VERIFIED');
+
+    await verify(sent[0]).expect(200);
+
+    const res = await signIn();
+    expect(res.status).toBe(200);
+    expect(res.body.data.accessToken).toBeDefined();
+  });
+
+  test('should let unverified accounts sign in by default', async () => {
+    await createApp();
+    await request(app).post('/auth/signup').send(credentials);
+
+    expect((await signIn()).status).toBe(200);
+  });
+});
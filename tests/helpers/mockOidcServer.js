@@ -0,0 +1,113 @@
+// tests/helpers/mockOidcServer.js
+// A local OpenID Connect provider for tests. It signs users in without a
+// login page: /authorize immediately redirects back with a code.
+const crypto = require('crypto');
+const http = require('http');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const createMockOidcServer = ({
+  clientId = 'test-client',
+  clientSecret = 'test-secret',
+  user = {
+    sub: 'mock-user-1',
+    email: 'oidc.user@example.com',
+    email_verified: true,
+    name: 'OIDC User'
+  }
+} = {}) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = crypto.randomBytes(8).toString('hex');
+  const codes = new Map();
+  const app = express();
+  const server = http.createServer(app);
+
+  const mock = {
+    issuer: null,
+    clientId,
+    clientSecret,
+    user,
+    // Overrides applied to the next ID token, e.g. { nonce: 'wrong' }
+    idTokenOverrides: {},
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+
+  app.use(express.urlencoded({ extended: false }));
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer: mock.issuer,
+      authorization_endpoint: `${mock.issuer}/authorize`,
+      token_endpoint: `${mock.issuer}/token`,
+      userinfo_endpoint: `${mock.issuer}/userinfo`,
+      jwks_uri: `${mock.issuer}/jwks`,
+      response_types_supported: ['code'],
+      code_challenge_methods_supported: ['S256'],
+      id_token_signing_alg_values_supported: ['RS256']
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }] });
+  });
+
+  app.get('/authorize', (req, res) => {
+    const { client_id: id, redirect_uri: redirectUri, state, nonce, code_challenge: codeChallenge } = req.query;
+    if (id !== clientId || req.query.code_challenge_method !== 'S256') {
+      return res.status(400).json({ error: 'invalid_request' });
+    }
+
+    const code = crypto.randomBytes(16).toString('hex');
+    codes.set(code, { redirectUri, nonce, codeChallenge });
+
+    const location = new URL(redirectUri);
+    location.searchParams.set('code', code);
+    location.searchParams.set('state', state);
+    res.redirect(location.toString());
+  });
+
+  app.post('/token', (req, res) => {
+    const { code, code_verifier: codeVerifier, redirect_uri: redirectUri } = req.body;
+    const grant = codes.get(code);
+    codes.delete(code);
+
+    if (req.body.client_id !== clientId || req.body.client_secret !== clientSecret) {
+      return res.status(401).json({ error: 'invalid_client' });
+    }
+
+    const challenge = codeVerifier
+      ? crypto.createHash('sha256').update(codeVerifier).digest('base64url')
+      : null;
+    if (!grant || grant.redirectUri !== redirectUri || grant.codeChallenge !== challenge) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    const idToken = jwt.sign(
+      { iss: mock.issuer, aud: clientId, ...mock.user, nonce: grant.nonce, ...mock.idTokenOverrides },
+      privateKey,
+      { algorithm: 'RS256', keyid: kid, expiresIn: '5m' }
+    );
+
+    res.json({
+      access_token: crypto.randomBytes(16).toString('hex'),
+      token_type: 'Bearer',
+      expires_in: 300,
+      id_token: idToken
+    });
+  });
+
+  app.get('/userinfo', (req, res) => {
+    res.json(mock.user);
+  });
+
+  mock.start = () => new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      mock.issuer = `http://127.0.0.1:${server.address().port}`;
+      resolve(mock);
+    });
+  });
+
+  return mock;
+};
+
+module.exports = createMockOidcServer;
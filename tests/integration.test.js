@@ -382,4 +382,82 @@ describe('JWT Auth Express - TiDB Cloud Integration Tests', () => {
       expect(response.body.success).toBe(true);
     });
   });
+
+  describe('Email Verification', () => {
+    let testUser = {
+      email: `verify-${Date.now()}@example.com`,
+      password: 'VerifyPass123!',
+      name: 'Verify Test User'
+    };
+
+    let userId;
+
+    beforeAll(async () => {
+      if (!auth) return;
+
+      const signupResponse = await request(app)
+        .post('/auth/signup')
+        .send(testUser);
+
+      userId = signupResponse.body.data.user.id;
+    });
+
+    test('should reject an invalid verification token', async () => {
+      if (!auth) {
+        console.log('⏭️  Skipping test - TiDB Cloud not configured');
+        return;
+      }
+
+      const response = await request(app)
+        .post('/auth/verify-email')
+        .send({ token: 'not-a-real-token', userId })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toContain('Invalid or expired');
+    });
+
+    test('should resend verification without revealing the account', async () => {
+      if (!auth) {
+        console.log('⏭️  Skipping test - TiDB Cloud not configured');
+        return;
+      }
+
+      const response = await request(app)
+        .post('/auth/resend-verification')
+        .send({ email: 'nobody-here@example.com' })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+    });
+  });
+
+  describe('Two-Factor Authentication', () => {
+    test('should reject MFA sign in with an invalid MFA token', async () => {
+      if (!auth) {
+        console.log('⏭️  Skipping test - TiDB Cloud not configured');
+        return;
+      }
+
+      const response = await request(app)
+        .post('/auth/signin/mfa')
+        .send({ mfaToken: 'invalid-token', code: '123456' })
+        .expect(401);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    test('should require authentication to enroll', async () => {
+      if (!auth) {
+        console.log('⏭️  Skipping test - TiDB Cloud not configured');
+        return;
+      }
+
+      const response = await request(app)
+        .post('/auth/mfa/enroll')
+        .expect(401);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,98 @@
+// tests/jwt.test.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const JWTUtils = require('../src/utils/jwt');
+const KeyUtils = require('../src/utils/keys');
+const { authenticateToken } = require('../src/middleware/auth');
+
+const SECRET = 'test-secret';
+const REFRESH_SECRET = 'test-refresh-secret';
+
+const createJwtUtils = (algorithm) => {
+  const { privateKey } = KeyUtils.generateKeyPair(algorithm);
+  return new JWTUtils(SECRET, REFRESH_SECRET, {
+    signingKey: KeyUtils.loadKey({ algorithm, privateKey })
+  });
+};
+
+describe('JWT signing', () => {
+  describe.each(['RS256', 'ES256', 'EdDSA'])('%s', (algorithm) => {
+    let jwtUtils;
+
+    beforeAll(() => {
+      jwtUtils = createJwtUtils(algorithm);
+    });
+
+    test('should sign access tokens with a kid header and verify them', () => {
+      const token = jwtUtils.generateAccessToken({ userId: 1, email: 'user@example.com' });
+      const { header } = jwt.decode(token, { complete: true });
+
+      expect(header).toMatchObject({ alg: algorithm, kid: jwtUtils.signingKey.kid });
+      expect(jwtUtils.verifyAccessToken(token)).toMatchObject({ userId: 1, email: 'user@example.com' });
+    });
+
+    test('should publish only the public key in the JWKS', () => {
+      const { keys } = jwtUtils.getJwks();
+
+      expect(keys).toHaveLength(1);
+      expect(keys[0]).toMatchObject({ kid: jwtUtils.signingKey.kid, alg: algorithm, use: 'sig' });
+      expect(keys[0].d).toBeUndefined();
+    });
+
+    test('should produce signatures other services can check with the JWK', () => {
+      const token = jwtUtils.generateAccessToken({ userId: 1 });
+      const [header, body, signature] = token.split('.');
+      const publicKey = crypto.createPublicKey({ key: jwtUtils.getJwks().keys[0], format: 'jwk' });
+
+      const digest = algorithm === 'EdDSA' ? null : 'sha256';
+      const options = algorithm === 'ES256' ? { key: publicKey, dsaEncoding: 'ieee-p1363' } : publicKey;
+
+      expect(crypto.verify(digest, Buffer.from(`${header}.${body}`), options, Buffer.from(signature, 'base64url'))).toBe(true);
+    });
+
+    test('should reject expired tokens', () => {
+      const token = jwtUtils.generateAccessToken({ userId: 1 }, -10);
+      expect(() => jwtUtils.verifyAccessToken(token)).toThrow('Invalid access token');
+    });
+
+    test('should reject tokens signed by another key with the same kid', () => {
+      const impostor = createJwtUtils(algorithm);
+      impostor.signingKey.kid = jwtUtils.signingKey.kid;
+
+      const token = impostor.generateAccessToken({ userId: 1 });
+      expect(() => jwtUtils.verifyAccessToken(token)).toThrow('Invalid access token');
+    });
+  });
+
+  test('should keep accepting HS256 tokens after switching to an asymmetric key', () => {
+    const legacy = new JWTUtils(SECRET, REFRESH_SECRET);
+    const token = legacy.generateAccessToken({ userId: 1 });
+
+    expect(legacy.getJwks()).toEqual({ keys: [] });
+    expect(createJwtUtils('ES256').verifyAccessToken(token)).toMatchObject({ userId: 1 });
+  });
+
+  test('should reject HS256 tokens forged with the public key as the secret', () => {
+    const jwtUtils = createJwtUtils('RS256');
+    const publicPem = jwtUtils.signingKey.publicKey.export({ type: 'spki', format: 'pem' });
+    const forged = jwt.sign({ userId: 1 }, publicPem, { algorithm: 'HS256', keyid: jwtUtils.signingKey.kid });
+
+    expect(() => jwtUtils.verifyAccessToken(forged)).toThrow('Invalid access token');
+  });
+
+  test('should reject keys that do not match the algorithm', () => {
+    const { privateKey } = KeyUtils.generateKeyPair('EdDSA');
+    expect(() => KeyUtils.loadKey({ algorithm: 'ES256', privateKey })).toThrow('ES256 requires a EC key');
+  });
+
+  test('should authenticate requests with asymmetric access tokens', () => {
+    const jwtUtils = createJwtUtils('EdDSA');
+    const req = { headers: { authorization: `Bearer ${jwtUtils.generateAccessToken({ userId: 42 })}` } };
+    const next = jest.fn();
+
+    authenticateToken(jwtUtils)(req, {}, next);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.user.userId).toBe(42);
+  });
+});
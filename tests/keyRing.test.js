@@ -0,0 +1,123 @@
+// tests/keyRing.test.js
+const jwt = require('jsonwebtoken');
+const JWTUtils = require('../src/utils/jwt');
+const KeyRing = require('../src/utils/keyRing');
+const MemoryAdapter = require('../src/models/adapters/memory');
+
+const SECRET = 'test-secret';
+const REFRESH_SECRET = 'test-refresh-secret';
+
+describe('Signing key ring', () => {
+  let store;
+
+  const createJwtUtils = async (options = {}) => {
+    const keyRing = new KeyRing(store, { encryptionKey: 'test-keys', reloadInterval: 0, ...options });
+    await keyRing.load();
+    return new JWTUtils(SECRET, REFRESH_SECRET, { keyRing });
+  };
+
+  beforeEach(() => {
+    store = new MemoryAdapter();
+  });
+
+  test('should create a current key per use on first load', async () => {
+    const jwtUtils = await createJwtUtils();
+
+    const access = jwt.decode(jwtUtils.generateAccessToken({ userId: 1 }), { complete: true });
+    const refresh = jwt.decode(jwtUtils.generateRefreshToken({ userId: 1 }), { complete: true });
+
+    expect(access.header.kid).toBe(jwtUtils.keyRing.getCurrent('access').kid);
+    expect(refresh.header.kid).toBe(jwtUtils.keyRing.getCurrent('refresh').kid);
+    expect(access.header.kid).not.toBe(refresh.header.kid);
+  });
+
+  test('should store secrets encrypted', async () => {
+    const jwtUtils = await createJwtUtils();
+    const [stored] = await store.findSigningKeys();
+
+    expect(stored.secret).toMatch(/^v1:/);
+    expect(stored.secret).not.toContain(jwtUtils.keyRing.getCurrent(stored.use).secret);
+  });
+
+  test('should keep verifying tokens signed before a rotation', async () => {
+    const jwtUtils = await createJwtUtils();
+    const accessToken = jwtUtils.generateAccessToken({ userId: 1 });
+    const refreshToken = jwtUtils.generateRefreshToken({ userId: 1 });
+
+    await jwtUtils.keyRing.rotate();
+
+    expect(jwt.decode(jwtUtils.generateAccessToken({ userId: 1 }), { complete: true }).header.kid)
+      .not.toBe(jwt.decode(accessToken, { complete: true }).header.kid);
+    expect(jwtUtils.verifyAccessToken(accessToken)).toMatchObject({ userId: 1 });
+    expect(jwtUtils.verifyRefreshToken(refreshToken)).toMatchObject({ userId: 1 });
+  });
+
+  test('should reject tokens once their key is retired', async () => {
+    const jwtUtils = await createJwtUtils();
+    const token = jwtUtils.generateAccessToken({ userId: 1 });
+    const { kid } = jwt.decode(token, { complete: true }).header;
+
+    await jwtUtils.keyRing.rotate({ use: 'access' });
+    await jwtUtils.keyRing.retire(kid);
+
+    expect(() => jwtUtils.verifyAccessToken(token)).toThrow('Invalid access token');
+    expect(jwtUtils.keyRing.list().map(key => key.kid)).not.toContain(kid);
+  });
+
+  test('should share keys between instances using the same database', async () => {
+    const first = await createJwtUtils();
+    const second = await createJwtUtils();
+
+    expect(second.verifyAccessToken(first.generateAccessToken({ userId: 1 }))).toMatchObject({ userId: 1 });
+  });
+
+  test('should keep signing with the old key until other instances can load the new one', async () => {
+    const jwtUtils = await createJwtUtils({ reloadInterval: '1m' });
+    const before = jwtUtils.keyRing.getCurrent('access').kid;
+
+    const { access } = await jwtUtils.keyRing.rotate({ use: 'access' });
+
+    expect(jwtUtils.keyRing.getCurrent('access').kid).toBe(before);
+    jwtUtils.keyRing.seenAt.set(access, Date.now() - 60 * 1000);
+    expect(jwtUtils.keyRing.getCurrent('access').kid).toBe(access);
+  });
+
+  test('should accept tokens signed with the secrets before the key ring was enabled', async () => {
+    const legacy = new JWTUtils(SECRET, REFRESH_SECRET);
+    const accessToken = legacy.generateAccessToken({ userId: 1 });
+    const refreshToken = legacy.generateRefreshToken({ userId: 1 });
+
+    const jwtUtils = await createJwtUtils();
+
+    expect(jwtUtils.verifyAccessToken(accessToken)).toMatchObject({ userId: 1 });
+    expect(jwtUtils.verifyRefreshToken(refreshToken)).toMatchObject({ userId: 1 });
+  });
+
+  test('should not accept an access token as a refresh token', async () => {
+    const jwtUtils = await createJwtUtils();
+    const token = jwtUtils.generateAccessToken({ userId: 1 });
+
+    expect(() => jwtUtils.verifyRefreshToken(token)).toThrow('Invalid refresh token');
+  });
+
+  test('should publish rotated asymmetric keys until they retire', async () => {
+    const jwtUtils = await createJwtUtils({ algorithm: 'ES256' });
+    const token = jwtUtils.generateAccessToken({ userId: 1 });
+
+    await jwtUtils.keyRing.rotate({ use: 'access' });
+
+    expect(jwtUtils.getJwks().keys).toHaveLength(2);
+    expect(jwtUtils.getJwks().keys.every(key => key.d === undefined)).toBe(true);
+    expect(jwtUtils.verifyAccessToken(token)).toMatchObject({ userId: 1 });
+  });
+
+  test('should rotate the access key to the algorithm asked for', async () => {
+    const jwtUtils = await createJwtUtils();
+
+    await jwtUtils.keyRing.rotate({ algorithm: 'EdDSA' });
+
+    expect(jwtUtils.keyRing.getCurrent('access').algorithm).toBe('EdDSA');
+    expect(jwtUtils.keyRing.getCurrent('refresh').algorithm).toBe('HS256');
+    await expect(jwtUtils.keyRing.rotate({ algorithm: 'none' })).rejects.toThrow('Unsupported signing algorithm');
+  });
+});
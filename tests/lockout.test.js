@@ -0,0 +1,101 @@
+// tests/lockout.test.js
+const express = require('express');
+const request = require('supertest');
+const AuthController = require('../src/controllers/authController');
+const JWTUtils = require('../src/utils/jwt');
+const LoginThrottle = require('../src/utils/loginThrottle');
+const MemoryAdapter = require('../src/models/adapters/memory');
+
+// Every attempt runs a full bcrypt comparison
+jest.setTimeout(20000);
+
+describe('Sign in lockout', () => {
+  let app;
+  let store;
+  let jwtUtils;
+  let emailUtils;
+  let auditLogger;
+
+  const signIn = (email, password) => request(app).post('/auth/signin').send({ email, password });
+
+  const failTimes = async (email, times) => {
+    let res;
+    for (let i = 0; i < times; i++) {
+      res = await signIn(email, 'wrong-password');
+    }
+    return res;
+  };
+
+  beforeEach(async () => {
+    store = new MemoryAdapter();
+    await store.create({ email: 'user@example.com', password: 'correct-password', name: 'Test User' });
+    jwtUtils = new JWTUtils('test-secret', 'test-refresh-secret');
+    emailUtils = { sendAccountLockedEmail: jest.fn() };
+    auditLogger = { record: jest.fn() };
+
+    const loginThrottle = new LoginThrottle(store, { maxAttempts: 3, maxIpAttempts: 6, baseDelay: 0 });
+    const controller = new AuthController(jwtUtils, store, emailUtils, { loginThrottle, auditLogger, basePath: '/auth' });
+
+    app = express();
+    app.use(express.json());
+    app.post('/auth/signin', controller.signIn);
+    app.get('/auth/unlock', controller.unlockAccountRedirect);
+    app.post('/auth/unlock', controller.unlockAccount);
+  });
+
+  test('should lock an account after repeated failures, even for the right password', async () => {
+    expect((await failTimes('user@example.com', 2)).status).toBe(401);
+
+    const locked = await signIn('user@example.com', 'wrong-password');
+    expect(locked.status).toBe(423);
+    expect(locked.body.code).toBe('ACCOUNT_LOCKED');
+    expect(Number(locked.headers['retry-after'])).toBeGreaterThan(0);
+
+    expect((await signIn('user@example.com', 'correct-password')).status).toBe(423);
+  });
+
+  test('should answer the same way for unknown emails', async () => {
+    const known = await failTimes('user@example.com', 3);
+    const unknown = await failTimes('nobody@example.com', 3);
+
+    expect(unknown.status).toBe(known.status);
+    expect(unknown.body).toEqual(known.body);
+    expect(emailUtils.sendAccountLockedEmail).toHaveBeenCalledTimes(1);
+  });
+
+  test('should reset the count after a successful sign in', async () => {
+    await failTimes('user@example.com', 2);
+    expect((await signIn('user@example.com', 'correct-password')).status).toBe(200);
+    expect((await failTimes('user@example.com', 2)).status).toBe(401);
+  });
+
+  test('should unlock with the emailed link only once', async () => {
+    await failTimes('user@example.com', 3);
+    const [, , unlockToken] = emailUtils.sendAccountLockedEmail.mock.calls[0];
+
+    const unlocked = await request(app).get('/auth/unlock').query({ token: unlockToken });
+    expect(unlocked.headers.location).toBe('/auth/signin?unlocked=1');
+    expect(auditLogger.record).toHaveBeenCalledWith('user.unlocked', expect.objectContaining({ userId: 1 }));
+    expect((await signIn('user@example.com', 'correct-password')).status).toBe(200);
+
+    // The link belonged to the lock that was lifted
+    await failTimes('user@example.com', 3);
+    expect((await request(app).post('/auth/unlock').send({ token: unlockToken })).status).toBe(400);
+  });
+
+  test('should block an address that fails across many accounts', async () => {
+    for (let i = 0; i < 6; i++) {
+      await signIn(`user${i}@example.com`, 'wrong-password');
+    }
+
+    const blocked = await signIn('user@example.com', 'correct-password');
+    expect(blocked.status).toBe(429);
+    expect(blocked.body.code).toBe('TOO_MANY_ATTEMPTS');
+  });
+
+  test('should double the delay after each failure up to the maximum', () => {
+    const throttle = new LoginThrottle(store, { baseDelay: 250, maxDelay: 1000 });
+
+    expect([0, 1, 2, 3, 4].map(failures => throttle.delayFor(failures))).toEqual([0, 250, 500, 1000, 1000]);
+  });
+});
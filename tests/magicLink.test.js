@@ -0,0 +1,154 @@
+// tests/magicLink.test.js
+const express = require('express');
+const request = require('supertest');
+const JwtAuthExpress = require('../index');
+const { validateRequest } = require('../src/middleware/validation');
+
+// Password hashing dominates these tests
+jest.setTimeout(20000);
+
+const credentials = { email: 'link@example.com', password: 'Str0ng-password!', name: 'Link User' };
+
+describe('Magic link sign in', () => {
+  let auth;
+  let app;
+  let sent;
+
+  beforeEach(async () => {
+    auth = await JwtAuthExpress.create({
+      secret: 'test-secret',
+      refreshSecret: 'test-refresh-secret',
+      database: { adapter: 'memory' },
+      tokenTransport: 'body',
+      enableUI: false,
+      rateLimit: false
+    });
+    app = express();
+    app.use(express.json());
+    app.use('/auth', auth.getRoutes(validateRequest));
+
+    // Capture what would be emailed
+    sent = [];
+    jest.spyOn(auth.emailUtils, 'sendMagicLinkEmail').mockImplementation(async (email, token, code, userId) => {
+      sent.push({ email, token, code, userId });
+    });
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await auth.close();
+  });
+
+  const requestLink = async (email = credentials.email) => {
+    await request(app).post('/auth/magic-link').send({ email }).expect(200);
+    return sent[sent.length - 1];
+  };
+
+  const verify = (body) => request(app).post('/auth/magic-link/verify').send(body);
+
+  test('should sign in with the emailed token and code', async () => {
+    await request(app).post('/auth/signup').send(credentials);
+
+    const byToken = await requestLink();
+    const res = await verify({ token: byToken.token, userId: byToken.userId });
+    expect(res.status).toBe(200);
+    expect(res.body.data.accessToken).toBeDefined();
+
+    const byCode = await requestLink();
+    expect(byCode.code).toMatch(/^\d{6}$/);
+    expect((await verify({ email: credentials.email, code: byCode.code })).status).toBe(200);
+  });
+
+  test('should not reveal whether an account exists', async () => {
+    const res = await request(app).post('/auth/magic-link').send({ email: 'nobody@example.com' });
+
+    expect(res.status).toBe(200);
+    expect(sent).toHaveLength(0);
+  });
+
+  test('should only accept a link once', async () => {
+    await request(app).post('/auth/signup').send(credentials);
+    const link = await requestLink();
+
+    expect((await verify({ token: link.token, userId: link.userId })).status).toBe(200);
+    expect((await verify({ token: link.token, userId: link.userId })).status).toBe(400);
+    expect((await verify({ email: credentials.email, code: link.code })).status).toBe(400);
+  });
+
+  test('should refuse expired and replaced links', async () => {
+    await request(app).post('/auth/signup').send(credentials);
+
+    const expired = await requestLink();
+    auth.userModel.magicLinks.forEach(link => { link.expiresAt = new Date(Date.now() - 1000); });
+    expect((await verify({ token: expired.token, userId: expired.userId })).status).toBe(400);
+
+    const replaced = await requestLink();
+    const latest = await requestLink();
+    expect((await verify({ token: replaced.token, userId: replaced.userId })).status).toBe(400);
+    expect((await verify({ token: latest.token, userId: latest.userId })).status).toBe(200);
+  });
+
+  test('should rate limit link and code guesses', async () => {
+    const limited = await JwtAuthExpress.create({
+      secret: 'test-secret',
+      refreshSecret: 'test-refresh-secret',
+      database: { adapter: 'memory' },
+      enableUI: false,
+      rateLimit: { 'magic-link/verify': { windowMs: 60000, max: 2 } }
+    });
+
+    try {
+      const limitedApp = express();
+      limitedApp.use(express.json());
+      limitedApp.use('/auth', limited.getRoutes(validateRequest));
+
+      const guess = () => request(limitedApp).post('/auth/magic-link/verify').send({ email: credentials.email, code: '000000' });
+      expect((await guess()).status).toBe(400);
+      expect((await guess()).status).toBe(400);
+      expect((await guess()).status).toBe(429);
+
+      const link = await request(limitedApp).get('/auth/magic-link/verify').query({ email: credentials.email, code: '000000' });
+      expect(link.status).toBe(429);
+    } finally {
+      await limited.close();
+    }
+  });
+
+  test('should sign out whoever signed up with the address when it is first verified', async () => {
+    // Someone else registered the address and signed in
+    const signUp = await request(app).post('/auth/signup').send(credentials);
+    const { accessToken, refreshToken } = signUp.body.data;
+
+    // The watermark has one second resolution
+    await new Promise(resolve => setTimeout(resolve, 1000));
+
+    const link = await requestLink();
+    const res = await verify({ token: link.token, userId: link.userId });
+    expect(res.status).toBe(200);
+    expect((await auth.userModel.findById(link.userId)).isVerified).toBe(true);
+
+    // Their password, sessions and access tokens no longer work
+    expect((await request(app).post('/auth/signin').send(credentials)).status).toBe(401);
+    expect((await request(app).post('/auth/refresh-token').send({ refreshToken })).status).toBe(403);
+    expect((await request(app).get('/auth/me').set('Authorization', `Bearer ${accessToken}`)).status).toBe(403);
+
+    // The owner's new session does
+    const me = await request(app).get('/auth/me').set('Authorization', `Bearer ${res.body.data.accessToken}`);
+    expect(me.status).toBe(200);
+
+    const claimed = auth.userModel.auditLog.filter(entry => entry.event === 'user.claimed_by_magic_link');
+    expect(claimed).toEqual([expect.objectContaining({ userId: link.userId, metadata: { passwordReset: true, sessionsRevoked: true } })]);
+  });
+
+  test('should leave a verified account\'s password and sessions alone', async () => {
+    const signUp = await request(app).post('/auth/signup').send(credentials);
+    await auth.userModel.markEmailVerified(signUp.body.data.user.id);
+
+    const link = await requestLink();
+    expect((await verify({ token: link.token, userId: link.userId })).status).toBe(200);
+
+    expect((await request(app).post('/auth/signin').send(credentials)).status).toBe(200);
+    expect((await request(app).post('/auth/refresh-token').send({ refreshToken: signUp.body.data.refreshToken })).status).toBe(200);
+    expect(auth.userModel.auditLog.map(entry => entry.event)).not.toContain('user.claimed_by_magic_link');
+  });
+});
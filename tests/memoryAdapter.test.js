@@ -0,0 +1,74 @@
+// tests/memoryAdapter.test.js
+const express = require('express');
+const request = require('supertest');
+const JwtAuthExpress = require('../index');
+const User = require('../src/models/User');
+const MemoryAdapter = require('../src/models/adapters/memory');
+const { assertStorageAdapter } = require('../src/models/adapters/contract');
+const { validateRequest } = require('../src/middleware/validation');
+
+// Password hashing dominates these tests
+jest.setTimeout(20000);
+
+describe('Storage adapters', () => {
+  test('should hold the TiDB model and the memory adapter to the same contract', () => {
+    expect(() => assertStorageAdapter(User.prototype)).not.toThrow();
+    expect(() => assertStorageAdapter(new MemoryAdapter())).not.toThrow();
+    expect(() => assertStorageAdapter({ findByEmail: async () => null })).toThrow(/missing .*findById.*storeRefreshToken/);
+  });
+
+  test('should pick the adapter from the database option', () => {
+    const options = { secret: 'test-secret', refreshSecret: 'test-refresh-secret' };
+
+    expect(() => new JwtAuthExpress(options)).toThrow('TiDB Cloud configuration requires');
+    expect(() => new JwtAuthExpress({ ...options, database: { adapter: 'memory' } })).not.toThrow();
+    expect(() => new JwtAuthExpress({ ...options, database: { adapter: 'sqlite', filename: 'auth.db' } })).not.toThrow();
+    expect(() => new JwtAuthExpress({ ...options, database: { adapter: 'sqlite' } })).toThrow('SQLite configuration requires filename');
+    expect(() => new JwtAuthExpress({ ...options, database: { adapter: 'postgres', connectionString: 'postgres://localhost/auth' } })).not.toThrow();
+    expect(() => new JwtAuthExpress({ ...options, database: { adapter: 'postgres', host: 'localhost' } })).toThrow('PostgreSQL configuration requires');
+    expect(() => new JwtAuthExpress({ ...options, database: { adapter: 'redis' } })).toThrow('database.adapter');
+    expect(() => new JwtAuthExpress({ ...options, database: { adapter: {} } })).toThrow('Storage adapter is missing');
+  });
+
+  describe('JwtAuthExpress without a database', () => {
+    let auth;
+    let app;
+
+    beforeAll(async () => {
+      auth = await JwtAuthExpress.create({
+        secret: 'test-secret',
+        refreshSecret: 'test-refresh-secret',
+        database: { adapter: 'memory' },
+        tokenTransport: 'body',
+        enableUI: false
+      });
+      app = express();
+      app.use(express.json());
+      app.use('/auth', auth.getRoutes(validateRequest));
+    });
+
+    afterAll(async () => {
+      await auth.close();
+    });
+
+    test('should sign up, sign in and refresh', async () => {
+      const credentials = { email: 'new@example.com', password: 'Str0ng-password!', name: 'New User' };
+
+      const signUp = await request(app).post('/auth/signup').send(credentials);
+      expect(signUp.status).toBe(201);
+
+      const signIn = await request(app).post('/auth/signin').send(credentials);
+      expect(signIn.status).toBe(200);
+      const { accessToken, refreshToken } = signIn.body.data;
+
+      const sessions = await request(app).get('/auth/sessions').set('Authorization', `Bearer ${accessToken}`);
+      expect(sessions.body.data.sessions).toHaveLength(2);
+
+      const refreshed = await request(app).post('/auth/refresh-token').send({ refreshToken });
+      expect(refreshed.status).toBe(200);
+
+      const replayed = await request(app).post('/auth/refresh-token').send({ refreshToken });
+      expect(replayed.status).toBe(403);
+    });
+  });
+});
@@ -0,0 +1,243 @@
+// tests/mfa.test.js
+const express = require('express');
+const cookie = require('cookie');
+const request = require('supertest');
+const JwtAuthExpress = require('../index');
+const TOTPUtils = require('../src/utils/totp');
+const { validateRequest } = require('../src/middleware/validation');
+
+// Password hashing dominates these tests
+jest.setTimeout(20000);
+
+const credentials = { email: 'mfa@example.com', password: 'Str0ng-password!', name: 'MFA User' };
+
+// Codes for the next time step; the current one is spent confirming MFA
+const nextCode = (secret) => TOTPUtils.generateCode(secret, Date.now() + 30 * 1000);
+
+const wrongCode = (secret) => {
+  const code = nextCode(secret);
+  return code === '000000' ? '111111' : '000000';
+};
+
+describe('Two-factor sign in', () => {
+  let auth;
+  let app;
+  let accessToken;
+  let recoveryCodes;
+
+  const createApp = async (options = {}) => {
+    auth = await JwtAuthExpress.create({
+      secret: 'test-secret',
+      refreshSecret: 'test-refresh-secret',
+      database: { adapter: 'memory' },
+      tokenTransport: 'body',
+      enableUI: false,
+      ...options
+    });
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.cookies = cookie.parse(req.headers.cookie || '');
+      next();
+    });
+    app.use('/auth', auth.getRoutes(validateRequest));
+  };
+
+  afterEach(async () => {
+    await auth.close();
+  });
+
+  const signIn = () => request(app).post('/auth/signin').send(credentials);
+
+  // Sign up and turn MFA on; returns the TOTP secret and keeps the access
+  // token and recovery codes
+  const enrollUser = async () => {
+    await request(app).post('/auth/signup').send(credentials);
+    accessToken = (await signIn()).body.data.accessToken;
+
+    const enroll = await request(app).post('/auth/mfa/enroll').set('Authorization', `Bearer ${accessToken}`);
+    const { secret } = enroll.body.data;
+
+    const confirm = await request(app)
+      .post('/auth/mfa/confirm')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ code: TOTPUtils.generateCode(secret) });
+    expect(confirm.status).toBe(200);
+    recoveryCodes = confirm.body.data.recoveryCodes;
+
+    return secret;
+  };
+
+  const mfaToken = async () => {
+    const res = await signIn();
+    expect(res.body.data.mfaRequired).toBe(true);
+    return res.body.data.mfaToken;
+  };
+
+  const submitCode = (token, code) => request(app).post('/auth/signin/mfa').send({ mfaToken: token, code });
+
+  const submitRecoveryCode = (token, recoveryCode) => request(app).post('/auth/signin/mfa').send({ mfaToken: token, recoveryCode });
+
+  const remainingRecoveryCodes = async () => {
+    const res = await request(app).get('/auth/mfa/recovery-codes').set('Authorization', `Bearer ${accessToken}`);
+    return res.body.data.remaining;
+  };
+
+  test('should sign in with a code from the authenticator', async () => {
+    await createApp();
+    const secret = await enrollUser();
+
+    const res = await submitCode(await mfaToken(), nextCode(secret));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.accessToken).toBeDefined();
+  });
+
+  test('should stop accepting codes for an MFA token after maxAttempts', async () => {
+    await createApp({ lockout: false, mfa: { maxAttempts: 3 } });
+    const secret = await enrollUser();
+    const token = await mfaToken();
+
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const res = await submitCode(token, wrongCode(secret));
+      expect(res.body.message).toBe('Invalid MFA code');
+    }
+
+    // Even the right code is refused now
+    const exhausted = await submitCode(token, nextCode(secret));
+    expect(exhausted.status).toBe(401);
+    expect(exhausted.body.code).toBe('MFA_ATTEMPTS_EXCEEDED');
+
+    const fresh = await submitCode(await mfaToken(), nextCode(secret));
+    expect(fresh.status).toBe(200);
+  });
+
+  test('should count wrong codes towards the account lockout across sign ins', async () => {
+    await createApp({ lockout: { maxAttempts: 3, baseDelay: 0 } });
+    const secret = await enrollUser();
+
+    // The correct password doesn't reset the count while MFA is pending
+    for (const token of [await mfaToken(), await mfaToken()]) {
+      const res = await submitCode(token, wrongCode(secret));
+      expect(res.status).toBe(401);
+    }
+
+    const token = await mfaToken();
+    const locked = await submitCode(token, wrongCode(secret));
+    expect(locked.status).toBe(423);
+    expect(locked.body.code).toBe('ACCOUNT_LOCKED');
+
+    expect((await submitCode(token, nextCode(secret))).status).toBe(423);
+    expect((await signIn()).status).toBe(423);
+  });
+
+  test('should hand out recovery codes that each sign in once', async () => {
+    await createApp();
+    await enrollUser();
+
+    expect(recoveryCodes).toHaveLength(10);
+    expect(new Set(recoveryCodes).size).toBe(10);
+    expect(auth.userModel.recoveryCodes.map(row => row.codeHash)).not.toContain(recoveryCodes[0]);
+
+    const res = await submitRecoveryCode(await mfaToken(), recoveryCodes[0]);
+    expect(res.status).toBe(200);
+    expect(res.body.data.accessToken).toBeDefined();
+
+    expect((await submitRecoveryCode(await mfaToken(), recoveryCodes[0])).status).toBe(401);
+    expect(await remainingRecoveryCodes()).toBe(9);
+  });
+
+  test('should invalidate the old recovery codes when they are regenerated', async () => {
+    await createApp();
+    const secret = await enrollUser();
+    const previous = recoveryCodes;
+
+    const regenerated = await request(app)
+      .post('/auth/mfa/recovery-codes')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ code: nextCode(secret) });
+    expect(regenerated.status).toBe(200);
+
+    const current = regenerated.body.data.recoveryCodes;
+    expect(current).toHaveLength(10);
+    expect(current).not.toContain(previous[0]);
+
+    expect((await submitRecoveryCode(await mfaToken(), previous[0])).status).toBe(401);
+    expect((await submitRecoveryCode(await mfaToken(), current[0])).status).toBe(200);
+    expect(await remainingRecoveryCodes()).toBe(9);
+  });
+
+  test('should only regenerate recovery codes with a current MFA code', async () => {
+    await createApp();
+    const secret = await enrollUser();
+
+    const res = await request(app)
+      .post('/auth/mfa/recovery-codes')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ code: wrongCode(secret) });
+
+    expect(res.status).toBe(400);
+    expect((await submitRecoveryCode(await mfaToken(), recoveryCodes[0])).status).toBe(200);
+  });
+
+  test('should pass the MFA token of a magic link sign in in a cookie, not the URL', async () => {
+    await createApp();
+    const secret = await enrollUser();
+
+    let link;
+    jest.spyOn(auth.emailUtils, 'sendMagicLinkEmail').mockImplementation(async (email, token, code, userId) => {
+      link = { token, userId };
+    });
+    await request(app).post('/auth/magic-link').send({ email: credentials.email });
+
+    const redirect = await request(app).get('/auth/magic-link/verify').query(link);
+    expect(redirect.status).toBe(302);
+    expect(redirect.headers.location).toBe('/auth/signin/mfa');
+
+    const header = redirect.headers['set-cookie'].find(value => value.startsWith('mfaToken='));
+    expect(header).toMatch(/HttpOnly/);
+
+    // A stale token from an earlier password sign in doesn't get in the way
+    const res = await request(app)
+      .post('/auth/signin/mfa')
+      .set('Cookie', `mfaToken=${cookie.parse(header).mfaToken}`)
+      .send({ mfaToken: 'stale', code: nextCode(secret) });
+    expect(res.status).toBe(200);
+    expect(res.headers['set-cookie'].some(value => value.startsWith('mfaToken=;'))).toBe(true);
+  });
+
+  test('should rate limit codes sent to the signed-in MFA routes', async () => {
+    // Confirming MFA during enrollment takes the first of the three
+    await createApp({ rateLimit: { mfa: { windowMs: 60000, max: 3 } } });
+    const secret = await enrollUser();
+
+    const disable = () => request(app)
+      .post('/auth/mfa/disable')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ code: wrongCode(secret) });
+    const regenerate = () => request(app)
+      .post('/auth/mfa/recovery-codes')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ code: wrongCode(secret) });
+
+    expect((await disable()).status).toBe(400);
+    expect((await regenerate()).status).toBe(400);
+    expect((await disable()).status).toBe(429);
+    expect((await regenerate()).status).toBe(429);
+  });
+
+  test('should only warn about a derived encryption key once MFA is used', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const mfaWarnings = () => warn.mock.calls.filter(([message]) => String(message).includes('mfa.encryptionKey'));
+
+    try {
+      await createApp();
+      expect(mfaWarnings()).toHaveLength(0);
+
+      await enrollUser();
+      expect(mfaWarnings()).toHaveLength(1);
+    } finally {
+      warn.mockRestore();
+    }
+  });
+});
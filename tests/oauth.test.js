@@ -0,0 +1,207 @@
+// tests/oauth.test.js
+const http = require('http');
+const express = require('express');
+const cookie = require('cookie');
+const request = require('supertest');
+const createMockOidcServer = require('./helpers/mockOidcServer');
+const { OAuthProvider, OAuthProviderRegistry } = require('../src/utils/oauth');
+const OAuthController = require('../src/controllers/oauthController');
+const AuthController = require('../src/controllers/authController');
+const MemoryAdapter = require('../src/models/adapters/memory');
+const JWTUtils = require('../src/utils/jwt');
+
+const REDIRECT_URI = 'http://localhost:3000/auth/oauth/mock/callback';
+
+// Follow the provider's /authorize redirect without a browser
+const authorize = (url) => new Promise((resolve, reject) => {
+  http.get(url, (res) => {
+    res.resume();
+    resolve(new URL(res.headers.location));
+  }).on('error', reject);
+});
+
+// Password hashing dominates these tests
+jest.setTimeout(20000);
+
+describe('OAuth / OpenID Connect', () => {
+  let mock;
+
+  beforeAll(async () => {
+    mock = await createMockOidcServer().start();
+  });
+
+  afterAll(async () => {
+    await mock.close();
+  });
+
+  afterEach(() => {
+    mock.idTokenOverrides = {};
+  });
+
+  describe('OAuthProvider', () => {
+    let provider;
+
+    beforeEach(() => {
+      provider = new OAuthProvider('mock', {
+        issuer: mock.issuer,
+        clientId: mock.clientId,
+        clientSecret: mock.clientSecret
+      });
+    });
+
+    const runFlow = async ({ verifier } = {}) => {
+      const { codeVerifier, codeChallenge } = OAuthProvider.generatePkce();
+      const url = await provider.getAuthorizationUrl({
+        redirectUri: REDIRECT_URI,
+        state: 'state-123',
+        nonce: 'nonce-123',
+        codeChallenge
+      });
+
+      const callback = await authorize(url);
+      expect(callback.searchParams.get('state')).toBe('state-123');
+
+      const tokens = await provider.exchangeCode({
+        code: callback.searchParams.get('code'),
+        redirectUri: REDIRECT_URI,
+        codeVerifier: verifier || codeVerifier
+      });
+
+      return provider.getProfile(tokens, { nonce: 'nonce-123' });
+    };
+
+    test('should discover endpoints and complete the code flow with PKCE', async () => {
+      const profile = await runFlow();
+
+      expect(provider.metadata.token_endpoint).toBe(`${mock.issuer}/token`);
+      expect(profile).toEqual({
+        subject: 'mock-user-1',
+        email: 'oidc.user@example.com',
+        emailVerified: true,
+        name: 'OIDC User'
+      });
+    });
+
+    test('should reject a code redeemed with the wrong PKCE verifier', async () => {
+      await expect(runFlow({ verifier: 'not-the-verifier' })).rejects.toThrow('invalid_grant');
+    });
+
+    test('should reject an ID token with the wrong nonce', async () => {
+      mock.idTokenOverrides = { nonce: 'replayed-nonce' };
+      await expect(runFlow()).rejects.toThrow('ID token nonce mismatch');
+    });
+
+    test('should reject an ID token for another audience', async () => {
+      mock.idTokenOverrides = { aud: 'someone-else' };
+      await expect(runFlow()).rejects.toThrow('jwt audience invalid');
+    });
+  });
+
+  describe('Sign in flow', () => {
+    let app;
+    let store;
+
+    beforeEach(() => {
+      const jwtUtils = new JWTUtils('test-secret', 'test-refresh-secret');
+      const registry = new OAuthProviderRegistry({
+        mock: { issuer: mock.issuer, clientId: mock.clientId, clientSecret: mock.clientSecret }
+      });
+      store = new MemoryAdapter();
+
+      const oauthController = new OAuthController(jwtUtils, store, registry, {
+        basePath: '/auth',
+        redirectBaseUrl: 'http://localhost:3000'
+      });
+      const authController = new AuthController(jwtUtils, store, null, {
+        basePath: '/auth',
+        signInRedirect: '/dashboard',
+        oauthController
+      });
+
+      app = express();
+      app.use((req, res, next) => {
+        req.cookies = cookie.parse(req.headers.cookie || '');
+        next();
+      });
+      app.get('/auth/oauth/:provider', oauthController.start);
+      app.get('/auth/oauth/:provider/callback', authController.signInOAuth);
+    });
+
+    const signIn = async ({ tamperState = false } = {}) => {
+      const start = await request(app).get('/auth/oauth/mock');
+      expect(start.status).toBe(302);
+
+      const stateCookie = start.headers['set-cookie'].find(value => value.startsWith('oauthState='));
+      expect(stateCookie).toMatch(/SameSite=Lax/);
+
+      const callback = await authorize(start.headers.location);
+      if (tamperState) {
+        callback.searchParams.set('state', 'forged');
+      }
+
+      return request(app)
+        .get(`${callback.pathname}${callback.search}`)
+        .set('Cookie', stateCookie.split(';')[0]);
+    };
+
+    test('should create a verified user and link the identity', async () => {
+      const res = await signIn();
+
+      expect(res.status).toBe(302);
+      expect(res.headers.location).toBe('/dashboard');
+      expect(res.headers['set-cookie'].some(value => value.startsWith('accessToken='))).toBe(true);
+      expect(store.users).toHaveLength(1);
+      expect(store.users[0]).toMatchObject({ email: 'oidc.user@example.com', isVerified: true });
+      expect(store.identities[0]).toMatchObject({ userId: 1, provider: 'mock', subject: 'mock-user-1' });
+    });
+
+    // A local account the provider's user already owns
+    const createLocalUser = async ({ verified }) => {
+      const user = await store.create({ email: 'oidc.user@example.com', password: 'Str0ng-password!', name: 'Existing' });
+      if (verified) {
+        await store.markEmailVerified(user.id);
+      }
+      return user;
+    };
+
+    test('should link to an existing user with the same verified email', async () => {
+      const existing = await createLocalUser({ verified: true });
+
+      const res = await signIn();
+
+      expect(res.headers.location).toBe('/dashboard');
+      expect(store.users).toHaveLength(1);
+      expect(store.identities[0]).toMatchObject({ userId: existing.id, provider: 'mock' });
+    });
+
+    test('should not link to an existing user whose email is not verified', async () => {
+      const existing = await createLocalUser({ verified: false });
+
+      const res = await signIn();
+
+      // Someone else may have registered the address: no session, no link,
+      // and the account stays unverified until its owner proves the address
+      expect(res.headers.location).toBe('/auth/signin?error=oauth_link');
+      expect(res.headers['set-cookie'].some(value => value.startsWith('accessToken='))).toBe(false);
+      expect(store.identities).toHaveLength(0);
+      expect((await store.findById(existing.id)).isVerified).toBe(false);
+    });
+
+    test('should not link by email when the provider has not verified it', async () => {
+      await createLocalUser({ verified: true });
+      mock.idTokenOverrides = { email_verified: false };
+
+      const res = await signIn();
+
+      expect(res.headers.location).toBe('/auth/signin?error=oauth');
+      expect(store.identities).toHaveLength(0);
+    });
+
+    test('should reject a callback with a forged state', async () => {
+      const res = await signIn({ tamperState: true });
+
+      expect(res.headers.location).toBe('/auth/signin?error=oauth');
+      expect(store.users).toHaveLength(0);
+    });
+  });
+});
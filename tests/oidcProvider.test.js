@@ -0,0 +1,316 @@
+// tests/oidcProvider.test.js
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+const expressLayouts = require('express-ejs-layouts');
+const cookie = require('cookie');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const JwtAuthExpress = require('../index');
+const OidcProviderController = require('../src/controllers/oidcProviderController');
+const MemoryAdapter = require('../src/models/adapters/memory');
+const createOidcRoutes = require('../src/routes/oidcRoutes');
+const { authenticateClientToken, optionalAuth } = require('../src/middleware/auth');
+const { validateRequest } = require('../src/middleware/validation');
+const JWTUtils = require('../src/utils/jwt');
+const KeyUtils = require('../src/utils/keys');
+
+const ISSUER = 'http://localhost:3000/auth';
+const REDIRECT_URI = 'https://app.example.com/callback';
+
+// Password hashing dominates these tests
+jest.setTimeout(20000);
+
+describe('OpenID Connect provider', () => {
+  let app;
+  let controller;
+  let jwtUtils;
+  let client;
+  let sessionCookie;
+
+  beforeEach(async () => {
+    const store = new MemoryAdapter();
+    const user = await store.create({ email: 'user@example.com', password: 'Str0ng-password!', name: 'Test User' });
+    await store.markEmailVerified(user.id);
+
+    jwtUtils = new JWTUtils('test-secret', 'test-refresh-secret');
+    controller = new OidcProviderController(jwtUtils, store, {
+      issuer: ISSUER,
+      basePath: '/auth'
+    });
+    client = await controller.registerClient({ name: 'Internal App', redirectUris: [REDIRECT_URI] });
+
+    const accessToken = jwtUtils.generateAccessToken({ userId: user.id, email: user.email, isVerified: true });
+    sessionCookie = `accessToken=${accessToken}`;
+
+    app = express();
+    app.set('view engine', 'ejs');
+    app.set('views', path.join(__dirname, '..', 'src', 'views'));
+    app.use(expressLayouts);
+    app.use((req, res, next) => {
+      req.cookies = cookie.parse(req.headers.cookie || '');
+      next();
+    });
+    app.use('/auth', createOidcRoutes(controller, authenticateClientToken(jwtUtils, { issuer: ISSUER }), optionalAuth(jwtUtils)));
+  });
+
+  const pkce = () => {
+    const codeVerifier = crypto.randomBytes(32).toString('base64url');
+    const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+    return { codeVerifier, codeChallenge };
+  };
+
+  const authorizeQuery = (overrides = {}) => ({
+    client_id: client.clientId,
+    redirect_uri: REDIRECT_URI,
+    response_type: 'code',
+    scope: 'openid email profile',
+    state: 'xyz',
+    nonce: 'n-123',
+    ...overrides
+  });
+
+  // Walk through /authorize and the consent screen; returns the callback URL
+  const authorizeWithConsent = async (query, decision = 'allow') => {
+    const consentPage = await request(app).get('/auth/authorize').query(query).set('Cookie', sessionCookie);
+    expect(consentPage.status).toBe(200);
+    expect(consentPage.text).toContain('Internal App');
+
+    const consentToken = consentPage.text.match(/name="consentToken" value="([^"]+)"/)[1];
+    const res = await request(app)
+      .post('/auth/authorize')
+      .set('Cookie', sessionCookie)
+      .type('form')
+      .send({ consentToken, decision });
+
+    expect(res.status).toBe(302);
+    return new URL(res.headers.location);
+  };
+
+  const exchange = (body) => request(app)
+    .post('/auth/token')
+    .auth(client.clientId, client.clientSecret)
+    .type('form')
+    .send(body);
+
+  test('should publish a discovery document', async () => {
+    const res = await request(app).get('/auth/.well-known/openid-configuration');
+
+    expect(res.body.issuer).toBe(ISSUER);
+    expect(res.body.token_endpoint).toBe(`${ISSUER}/token`);
+    expect(res.body.code_challenge_methods_supported).toEqual(['S256']);
+  });
+
+  test('should send signed-out users to the signin page and back', async () => {
+    const res = await request(app).get('/auth/authorize').query(authorizeQuery());
+
+    expect(res.status).toBe(302);
+    const location = new URL(res.headers.location, 'http://localhost');
+    expect(location.pathname).toBe('/auth/signin');
+    expect(location.searchParams.get('returnTo')).toMatch(/^\/auth\/authorize\?client_id=/);
+  });
+
+  test('should never redirect to an unregistered redirect URI', async () => {
+    const res = await request(app)
+      .get('/auth/authorize')
+      .query(authorizeQuery({ redirect_uri: 'https://evil.example/callback' }))
+      .set('Cookie', sessionCookie);
+
+    expect(res.status).toBe(400);
+    expect(res.headers.location).toBeUndefined();
+  });
+
+  test('should issue tokens for a code redeemed with the PKCE verifier', async () => {
+    const { codeVerifier, codeChallenge } = pkce();
+    const callback = await authorizeWithConsent(authorizeQuery({
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256'
+    }));
+
+    expect(callback.searchParams.get('state')).toBe('xyz');
+    expect(callback.searchParams.get('iss')).toBe(ISSUER);
+
+    const res = await exchange({
+      grant_type: 'authorization_code',
+      code: callback.searchParams.get('code'),
+      redirect_uri: REDIRECT_URI,
+      code_verifier: codeVerifier
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.headers['cache-control']).toBe('no-store');
+    expect(res.body.token_type).toBe('Bearer');
+
+    const idToken = jwt.verify(res.body.id_token, 'test-secret', { issuer: ISSUER, audience: client.clientId });
+    expect(idToken).toMatchObject({ sub: '1', nonce: 'n-123', email: 'user@example.com', name: 'Test User' });
+
+    const userinfo = await request(app).get('/auth/userinfo').set('Authorization', `Bearer ${res.body.access_token}`);
+    expect(userinfo.body).toEqual({ sub: '1', name: 'Test User', email: 'user@example.com', email_verified: true });
+  });
+
+  test('should only accept client access tokens on userinfo', async () => {
+    const sessionToken = sessionCookie.split('=')[1];
+    const firstParty = await request(app).get('/auth/userinfo').set('Authorization', `Bearer ${sessionToken}`);
+
+    expect(firstParty.status).toBe(401);
+    expect(firstParty.headers['www-authenticate']).toBe('Bearer error="invalid_token"');
+  });
+
+  test('should reject a wrong PKCE verifier and a reused code', async () => {
+    const { codeVerifier, codeChallenge } = pkce();
+    const callback = await authorizeWithConsent(authorizeQuery({
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256'
+    }));
+    const code = callback.searchParams.get('code');
+
+    const wrongVerifier = await exchange({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: REDIRECT_URI,
+      code_verifier: pkce().codeVerifier
+    });
+    expect(wrongVerifier.body.error).toBe('invalid_grant');
+
+    const reused = await exchange({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: REDIRECT_URI,
+      code_verifier: codeVerifier
+    });
+    expect(reused.body.error).toBe('invalid_grant');
+  });
+
+  test('should remember consent and rotate refresh tokens', async () => {
+    const first = await authorizeWithConsent(authorizeQuery());
+    const tokens = await exchange({
+      grant_type: 'authorization_code',
+      code: first.searchParams.get('code'),
+      redirect_uri: REDIRECT_URI
+    });
+
+    // Already granted: straight back to the client
+    const second = await request(app).get('/auth/authorize').query(authorizeQuery()).set('Cookie', sessionCookie);
+    expect(second.status).toBe(302);
+    expect(new URL(second.headers.location).searchParams.get('code')).toBeTruthy();
+
+    const refreshed = await exchange({ grant_type: 'refresh_token', refresh_token: tokens.body.refresh_token });
+    expect(refreshed.status).toBe(200);
+    expect(refreshed.body.refresh_token).not.toBe(tokens.body.refresh_token);
+
+    const replayed = await exchange({ grant_type: 'refresh_token', refresh_token: tokens.body.refresh_token });
+    expect(replayed.body.error).toBe('invalid_grant');
+
+    // The replay revoked the whole family, including the rotated token
+    const afterReplay = await exchange({ grant_type: 'refresh_token', refresh_token: refreshed.body.refresh_token });
+    expect(afterReplay.body.error).toBe('invalid_grant');
+  });
+
+  test('should reject a bad client secret', async () => {
+    const res = await request(app)
+      .post('/auth/token')
+      .auth(client.clientId, 'wrong-secret')
+      .type('form')
+      .send({ grant_type: 'authorization_code', code: 'x', redirect_uri: REDIRECT_URI });
+
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe('invalid_client');
+  });
+
+  test('should return access_denied when the user denies consent', async () => {
+    const callback = await authorizeWithConsent(authorizeQuery(), 'deny');
+
+    expect(callback.searchParams.get('error')).toBe('access_denied');
+    expect(callback.searchParams.get('state')).toBe('xyz');
+  });
+});
+
+describe('OpenID Connect client tokens on the first-party API', () => {
+  let auth;
+  let app;
+  let client;
+
+  beforeAll(async () => {
+    auth = await JwtAuthExpress.create({
+      secret: 'test-secret',
+      refreshSecret: 'test-refresh-secret',
+      database: { adapter: 'memory' },
+      tokenTransport: 'body',
+      signing: { algorithm: 'ES256', privateKey: KeyUtils.generateKeyPair('ES256').privateKey },
+      oidcProvider: { issuer: ISSUER },
+      enableUI: false
+    });
+    client = await auth.registerOidcClient({ name: 'Third Party', redirectUris: [REDIRECT_URI], skipConsent: true });
+
+    app = express();
+    app.use(express.json());
+    app.use('/auth', auth.getRoutes(validateRequest));
+    app.use('/auth', auth.getOidcProviderRoutes());
+  });
+
+  afterAll(async () => {
+    await auth.close();
+  });
+
+  // Sign in, authorize the client and redeem the code
+  const clientTokens = async () => {
+    const credentials = { email: 'owner@example.com', password: 'Str0ng-password!', name: 'Owner' };
+    await request(app).post('/auth/signup').send(credentials);
+    const signIn = await request(app).post('/auth/signin').send(credentials);
+
+    const authorized = await request(app)
+      .get('/auth/authorize')
+      .query({ client_id: client.clientId, redirect_uri: REDIRECT_URI, response_type: 'code', scope: 'openid' })
+      .set('Authorization', `Bearer ${signIn.body.data.accessToken}`);
+    expect(authorized.status).toBe(302);
+
+    const res = await request(app)
+      .post('/auth/token')
+      .auth(client.clientId, client.clientSecret)
+      .type('form')
+      .send({ grant_type: 'authorization_code', code: new URL(authorized.headers.location).searchParams.get('code'), redirect_uri: REDIRECT_URI });
+    expect(res.status).toBe(200);
+    return res.body;
+  };
+
+  test('should reject client access and ID tokens as first-party tokens', async () => {
+    const { access_token: accessToken, id_token: idToken } = await clientTokens();
+
+    const userinfo = await request(app).get('/auth/userinfo').set('Authorization', `Bearer ${accessToken}`);
+    expect(userinfo.status).toBe(200);
+    expect(userinfo.body.sub).toBeDefined();
+
+    for (const token of [accessToken, idToken]) {
+      const me = await request(app).get('/auth/me').set('Authorization', `Bearer ${token}`);
+      expect(me.status).toBe(401);
+      expect(me.body.code).toBe('CLIENT_TOKEN_NOT_ACCEPTED');
+
+      const enroll = await request(app).post('/auth/mfa/enroll').set('Authorization', `Bearer ${token}`);
+      expect(enroll.status).toBe(401);
+      expect(enroll.body.data).toBeUndefined();
+    }
+
+    const revoke = await request(app).post('/auth/sessions/revoke-others').set('Authorization', `Bearer ${accessToken}`);
+    expect(revoke.status).toBe(401);
+  });
+
+  test('should sign ID tokens with a key published in the JWKS', async () => {
+    const { id_token: idToken } = await clientTokens();
+    const { header } = jwt.decode(idToken, { complete: true });
+    const { keys } = (await request(app).get('/auth/.well-known/jwks.json')).body;
+
+    const jwk = keys.find(key => key.kid === header.kid);
+    expect(header.alg).toBe('ES256');
+    expect(jwt.verify(idToken, crypto.createPublicKey({ key: jwk, format: 'jwk' }), { audience: client.clientId }).iss).toBe(ISSUER);
+  });
+
+  test('should refuse to start the provider with HS256 signing', async () => {
+    await expect(JwtAuthExpress.create({
+      secret: 'test-secret',
+      refreshSecret: 'test-refresh-secret',
+      database: { adapter: 'memory' },
+      oidcProvider: { issuer: ISSUER },
+      enableUI: false
+    })).rejects.toThrow(/asymmetric signing/);
+  });
+});
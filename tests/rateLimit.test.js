@@ -0,0 +1,84 @@
+// tests/rateLimit.test.js
+const express = require('express');
+const request = require('supertest');
+const { resolveRateLimits, createRateLimiters } = require('../src/middleware/rateLimit');
+const { MemoryRateLimitStore, DatabaseRateLimitStore } = require('../src/utils/rateLimitStore');
+
+describe('Rate limiting', () => {
+  const createApp = (config, store = new MemoryRateLimitStore()) => {
+    const limiters = createRateLimiters(store, resolveRateLimits(config));
+    const app = express();
+    app.use(express.json());
+    app.post('/signin', limiters.signin, (req, res) => res.json({ success: true }));
+    app.post('/signup', limiters.signup, (req, res) => res.json({ success: true }));
+    return app;
+  };
+
+  const signIn = (app, email) => request(app).post('/signin').send({ email, password: 'password' });
+
+  test('should send RateLimit headers and refuse requests over the limit', async () => {
+    const app = createApp({ signin: { windowMs: 60000, max: 2 } });
+
+    const first = await signIn(app, 'user@example.com');
+    expect(first.headers['ratelimit-limit']).toBe('2');
+    expect(first.headers['ratelimit-remaining']).toBe('1');
+    expect(first.headers['ratelimit-policy']).toBe('2;w=60');
+    expect(Number(first.headers['ratelimit-reset'])).toBeGreaterThan(0);
+
+    await signIn(app, 'user@example.com');
+    const limited = await signIn(app, 'user@example.com');
+    expect(limited.status).toBe(429);
+    expect(limited.body).toMatchObject({ success: false, code: 'RATE_LIMITED' });
+    expect(limited.headers['ratelimit-remaining']).toBe('0');
+    expect(Number(limited.headers['retry-after'])).toBeGreaterThan(0);
+  });
+
+  test('should count emails separately from addresses', async () => {
+    const app = createApp({ signin: { windowMs: 60000, max: 2, keyBy: 'email' } });
+
+    await signIn(app, 'user@example.com');
+    await signIn(app, 'USER@example.com ');
+    expect((await signIn(app, 'user@example.com')).status).toBe(429);
+    expect((await signIn(app, 'other@example.com')).status).toBe(200);
+  });
+
+  test('should keep each route to its own limit', async () => {
+    const app = createApp({ signin: { windowMs: 60000, max: 1 } });
+
+    await signIn(app, 'user@example.com');
+    expect((await signIn(app, 'user@example.com')).status).toBe(429);
+    expect((await request(app).post('/signup').send({})).headers['ratelimit-limit']).toBe('10');
+  });
+
+  test('should start counting again once the window has passed', async () => {
+    const store = new MemoryRateLimitStore();
+    const app = createApp({ signin: { windowMs: 100, max: 1, keyBy: 'ip' } }, store);
+
+    await signIn(app, 'user@example.com');
+    expect((await signIn(app, 'user@example.com')).status).toBe(429);
+
+    await new Promise(resolve => setTimeout(resolve, 150));
+    expect((await signIn(app, 'user@example.com')).status).toBe(200);
+  });
+
+  test('should let requests through when the store fails', async () => {
+    const store = new DatabaseRateLimitStore({
+      hitRateLimit: async () => { throw new Error('connection lost'); }
+    });
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const app = createApp({ signin: { windowMs: 60000, max: 1 } }, store);
+
+    expect((await signIn(app, 'user@example.com')).status).toBe(200);
+    error.mockRestore();
+  });
+
+  test('should validate the configuration', () => {
+    expect(Object.keys(resolveRateLimits())).toEqual(['signup', 'signin', 'signin/mfa', 'magic-link/verify', 'mfa', 'forgot-password', 'refresh-token']);
+    expect(resolveRateLimits({ signup: false }).signup).toBeUndefined();
+    expect(resolveRateLimits({ 'magic-link': { windowMs: 60000, max: 3 } })['magic-link'].keyBy).toEqual(['ip']);
+
+    expect(() => resolveRateLimits({ signin: { windowMs: -1 } })).toThrow('windowMs must be a positive number');
+    expect(() => resolveRateLimits({ signin: { keyBy: 'cookie' } })).toThrow('keyBy "cookie"');
+    expect(() => resolveRateLimits({ login: { max: 5 } })).toThrow('Unknown rateLimit route "login"');
+  });
+});
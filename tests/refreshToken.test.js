@@ -0,0 +1,103 @@
+// tests/refreshToken.test.js
+const express = require('express');
+const request = require('supertest');
+const AuthController = require('../src/controllers/authController');
+const MemoryAdapter = require('../src/models/adapters/memory');
+const JWTUtils = require('../src/utils/jwt');
+
+// Password hashing dominates these tests
+jest.setTimeout(20000);
+
+describe('Refresh token rotation', () => {
+  let app;
+  let store;
+  let user;
+  let jwtUtils;
+  let auditLogger;
+  let emailUtils;
+
+  const signIn = async () => {
+    const refreshToken = jwtUtils.generateRefreshToken({ userId: user.id });
+    await store.storeRefreshToken(user.id, refreshToken);
+    return refreshToken;
+  };
+
+  const refresh = async (refreshToken) => {
+    const res = await request(app).post('/auth/refresh-token').send({ refreshToken });
+    const cookie = (res.headers['set-cookie'] || []).find(value => value.startsWith('refreshToken='));
+    return { res, refreshToken: cookie ? decodeURIComponent(cookie.split(';')[0].split('=')[1]) : null };
+  };
+
+  beforeEach(async () => {
+    store = new MemoryAdapter();
+    user = await store.create({ email: 'user@example.com', password: 'Str0ng-password!', name: 'Test User' });
+    jwtUtils = new JWTUtils('test-secret', 'test-refresh-secret');
+    auditLogger = { record: jest.fn() };
+    emailUtils = { sendTokenReuseAlertEmail: jest.fn() };
+
+    const controller = new AuthController(jwtUtils, store, emailUtils, {
+      auditLogger,
+      notifyOnTokenReuse: true
+    });
+
+    app = express();
+    app.use(express.json());
+    app.post('/auth/refresh-token', controller.refreshToken);
+  });
+
+  test('should rotate refresh tokens within one family', async () => {
+    const first = await signIn();
+    const { res, refreshToken: second } = await refresh(first);
+
+    expect(res.status).toBe(200);
+    expect(second).not.toBe(first);
+
+    const parent = await store.findRefreshTokenRecord(user.id, first);
+    const child = await store.findRefreshTokenRecord(user.id, second);
+    expect(parent.rotatedAt).toBeTruthy();
+    expect(child).toMatchObject({ familyId: parent.familyId, parentId: parent.id, rotatedAt: null });
+  });
+
+  test('should revoke the whole family when a rotated token is replayed', async () => {
+    const other = await signIn();
+    const stolen = await signIn();
+    const { refreshToken: current } = await refresh(stolen);
+
+    const replay = await refresh(stolen);
+    expect(replay.res.status).toBe(403);
+
+    // The legitimate holder of the newer token is signed out too
+    expect((await refresh(current)).res.status).toBe(403);
+
+    // Sessions from other sign ins are untouched
+    expect((await refresh(other)).res.status).toBe(200);
+  });
+
+  test('should record a security event and email the user', async () => {
+    const stolen = await signIn();
+    await refresh(stolen);
+    await refresh(stolen);
+
+    expect(auditLogger.record).toHaveBeenCalledWith('refresh_token.reuse_detected', expect.objectContaining({
+      userId: user.id,
+      metadata: expect.objectContaining({ revokedTokens: 2 })
+    }));
+    expect(emailUtils.sendTokenReuseAlertEmail).toHaveBeenCalledWith('user@example.com', 'Test User');
+  });
+
+  test('should give a token stored before families existed a family when it is rotated', async () => {
+    const legacy = await signIn();
+    store.refreshTokens[0].familyId = null;
+
+    const { res, refreshToken: current } = await refresh(legacy);
+    expect(res.status).toBe(200);
+
+    const [session] = await store.findSessionsByUserId(user.id);
+    expect(session.id).toEqual(expect.any(String));
+    expect((await store.findRefreshTokenRecord(user.id, legacy)).familyId).toBe(session.id);
+
+    // Replaying it revokes the token rotated from it
+    expect((await refresh(legacy)).res.status).toBe(403);
+    expect((await refresh(current)).res.status).toBe(403);
+  });
+});
@@ -0,0 +1,138 @@
+// tests/refreshTokenMigration.test.js
+require('dotenv').config();
+const User = require('../src/models/User');
+const DatabaseConfig = require('../src/config/database');
+const CryptoUtils = require('../src/utils/crypto');
+
+// Older releases kept refresh tokens as plaintext JWTs in a token column
+describe('Refresh token hash migration', () => {
+  describe('steps', () => {
+    // Answers the migration's queries for a table holding `legacy` unhashed rows
+    const createModel = (legacy) => {
+      const model = new User({});
+      let pending = Array.from({ length: legacy }, (_, index) => ({ id: index + 1, token: `token-${index + 1}` }));
+
+      model._executeQuery = jest.fn(async (query, params = []) => {
+        if (query.includes('information_schema.COLUMNS')) {
+          return [{ count: params[1] === 'token' ? 1 : 0 }];
+        }
+        if (query.includes('information_schema.STATISTICS')) {
+          return [{ count: 0 }];
+        }
+        if (query.startsWith('SELECT id, token')) {
+          return pending.slice(0, 500);
+        }
+        if (query.startsWith('UPDATE')) {
+          pending = pending.filter(row => row.id !== params[1]);
+        }
+        return { affectedRows: 1 };
+      });
+
+      return model;
+    };
+
+    const queries = (model) => model._executeQuery.mock.calls.map(([query]) => query.replace(/\s+/g, ' ').trim());
+
+    test('should hash tokens in batches of 500', async () => {
+      const model = createModel(1201);
+      await model._migrateRefreshTokenHashes();
+
+      const updates = model._executeQuery.mock.calls.filter(([query]) => query.startsWith('UPDATE'));
+      expect(queries(model).filter(query => query.startsWith('SELECT id, token'))).toHaveLength(4);
+      expect(updates).toHaveLength(1201);
+      expect(updates[0][1]).toEqual([CryptoUtils.hashResetToken('token-1'), 1]);
+    });
+
+    test('should drop duplicates, add the unique index and drop the token column last', async () => {
+      const model = createModel(3);
+      await model._migrateRefreshTokenHashes();
+
+      const steps = queries(model);
+      const position = (pattern) => steps.findIndex(query => pattern.test(query));
+
+      expect(position(/^DELETE duplicate/)).toBeGreaterThan(position(/^UPDATE/));
+      expect(position(/MODIFY token_hash CHAR\(64\) NOT NULL/)).toBeGreaterThan(position(/^DELETE duplicate/));
+      expect(position(/^CREATE UNIQUE INDEX idx_token_hash/)).toBeGreaterThan(position(/MODIFY token_hash/));
+      expect(steps[steps.length - 1]).toBe('ALTER TABLE refresh_tokens DROP COLUMN token');
+    });
+
+    test('should do nothing once the token column is gone', async () => {
+      const model = new User({});
+      model._executeQuery = jest.fn(async () => [{ count: 0 }]);
+
+      await model._migrateRefreshTokenHashes();
+      expect(model._executeQuery).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  // Runs the migration on a table in the old layout; needs the TIDB_* settings
+  describe('on TiDB', () => {
+    const table = `test_${Date.now().toString(36)}_refresh_tokens`;
+    let model;
+
+    beforeAll(async () => {
+      if (!process.env.TIDB_HOST) {
+        console.warn('⚠️  TiDB Cloud configuration not found. Skipping refresh token migration tests.');
+        return;
+      }
+
+      const db = await DatabaseConfig.createTiDBConnection({
+        host: process.env.TIDB_HOST,
+        port: process.env.TIDB_PORT || 4000,
+        database: process.env.TIDB_DATABASE,
+        username: process.env.TIDB_USERNAME,
+        password: process.env.TIDB_PASSWORD
+      });
+      model = new User(db, { refreshTokensTable: table });
+
+      await model._executeQuery(
+        `CREATE TABLE ${table} (
+          id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+          user_id BIGINT UNSIGNED NOT NULL,
+          token TEXT NOT NULL,
+          expires_at TIMESTAMP NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )`
+      );
+
+      // More rows than one batch, a duplicate and an expired token
+      const rows = Array.from({ length: 520 }, (_, index) => [1, `live-${index}`, 1]);
+      rows.push([1, 'live-0', 1], [1, 'expired', -1]);
+      await model._executeQuery(
+        `INSERT INTO ${table} (user_id, token, expires_at) VALUES
+         ${rows.map(() => '(?, ?, DATE_ADD(NOW(), INTERVAL ? DAY))').join(', ')}`,
+        rows.flat()
+      );
+    });
+
+    afterAll(async () => {
+      if (model) {
+        await model._executeQuery(`DROP TABLE IF EXISTS ${table}`);
+        await model.db.end();
+      }
+    });
+
+    const it = process.env.TIDB_HOST ? test : test.skip;
+
+    it('should hash live tokens, drop duplicates and expired ones, then the token column', async () => {
+      await model._migrateRefreshTokenHashes();
+
+      expect(await model._hasColumn(table, 'token')).toBe(false);
+
+      const rows = await model._executeQuery(`SELECT token_hash FROM ${table}`);
+      expect(rows).toHaveLength(520);
+      expect(rows.map(row => row.token_hash)).toContain(CryptoUtils.hashResetToken('live-519'));
+      expect(rows.map(row => row.token_hash)).not.toContain(CryptoUtils.hashResetToken('expired'));
+
+      const first = await model._executeQuery(`SELECT id FROM ${table} WHERE token_hash = ?`, [CryptoUtils.hashResetToken('live-0')]);
+      await expect(model._executeQuery(
+        `INSERT INTO ${table} (user_id, token_hash, expires_at) VALUES (1, ?, NOW())`,
+        [CryptoUtils.hashResetToken('live-0')]
+      )).rejects.toThrow(/Duplicate/i);
+      expect(first).toHaveLength(1);
+
+      // A second start finds nothing to do
+      await model._migrateRefreshTokenHashes();
+    });
+  });
+});
@@ -0,0 +1,119 @@
+// tests/revocation.test.js
+const JWTUtils = require('../src/utils/jwt');
+const TokenRevocationList = require('../src/utils/revocation');
+const JwtAuthExpress = require('../index');
+const MemoryAdapter = require('../src/models/adapters/memory');
+const { authenticateToken } = require('../src/middleware/auth');
+
+describe('Access token revocation', () => {
+  let store;
+  let revocationList;
+  let jwtUtils;
+
+  beforeEach(() => {
+    store = new MemoryAdapter();
+    revocationList = new TokenRevocationList(store, { syncInterval: 0 });
+    jwtUtils = new JWTUtils('test-secret', 'test-refresh-secret', { revocationList });
+  });
+
+  test('should give every access token a unique jti', () => {
+    const first = jwtUtils.verifyAccessToken(jwtUtils.generateAccessToken({ userId: 1 }));
+    const second = jwtUtils.verifyAccessToken(jwtUtils.generateAccessToken({ userId: 1 }));
+
+    expect(first.jti).toBeTruthy();
+    expect(first.jti).not.toBe(second.jti);
+  });
+
+  test('should reject a revoked token and keep others valid', async () => {
+    const revoked = jwtUtils.generateAccessToken({ userId: 1 });
+    const other = jwtUtils.generateAccessToken({ userId: 1 });
+
+    await revocationList.revokeToken(jwtUtils.verifyAccessToken(revoked));
+
+    expect(() => jwtUtils.verifyAccessToken(revoked)).toThrow('Access token has been revoked');
+    expect(jwtUtils.verifyAccessToken(other)).toMatchObject({ userId: 1 });
+  });
+
+  test('should reject tokens issued before a user watermark', async () => {
+    const payload = jwtUtils.verifyAccessToken(jwtUtils.generateAccessToken({ userId: 1 }));
+    await revocationList.revokeUser(1);
+
+    expect(revocationList.isRevoked({ ...payload, iat: payload.iat - 5 })).toBe(true);
+    expect(revocationList.isRevoked({ ...payload, iat: payload.iat + 5 })).toBe(false);
+    expect(revocationList.isRevoked({ ...payload, userId: 2, iat: payload.iat - 5 })).toBe(false);
+  });
+
+  test('should keep tokens issued right after the watermark valid', async () => {
+    await revocationList.revokeUser(1);
+    const token = jwtUtils.generateAccessToken({ userId: 1 });
+
+    expect(jwtUtils.verifyAccessToken(token)).toMatchObject({ userId: 1 });
+  });
+
+  test('should pick up revocations made by another instance', async () => {
+    const token = jwtUtils.generateAccessToken({ userId: 1 });
+    const other = new TokenRevocationList(store, { syncInterval: 0 });
+    await other.revokeToken(jwtUtils.verifyAccessToken(token));
+
+    expect(jwtUtils.verifyAccessToken(token)).toMatchObject({ userId: 1 });
+
+    await revocationList.load();
+    expect(() => jwtUtils.verifyAccessToken(token)).toThrow('Access token has been revoked');
+  });
+
+  test('should remember every revocation until its token expires', async () => {
+    const now = Math.floor(Date.now() / 1000);
+    await revocationList.revokeToken({ jti: 'first', exp: now + 60 });
+    for (let index = 0; index < 20000; index++) {
+      revocationList._remember({ jti: `other-${index}`, sessionId: null, userId: null, notBefore: null, expiresAt: now + 60 });
+    }
+
+    expect(revocationList.isRevoked({ jti: 'first' })).toBe(true);
+
+    // Expired ones go when the list is pruned
+    revocationList._prune(now + 61);
+    expect(revocationList.tokens.size).toBe(0);
+    expect(revocationList.isRevoked({ jti: 'first' })).toBe(false);
+  });
+
+  test('should make the middleware reject revoked tokens', async () => {
+    const token = jwtUtils.generateAccessToken({ userId: 1 });
+    await revocationList.revokeToken(jwtUtils.verifyAccessToken(token));
+
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+    authenticateToken(jwtUtils)({ headers: { authorization: `Bearer ${token}` } }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+
+  test('should keep revocations at least as long as the longest access token', async () => {
+    const twoDays = 2 * 24 * 60 * 60;
+    expect(new TokenRevocationList(store, { accessTokenExpiry: 900 }).retainFor).toBe(24 * 60 * 60);
+    expect(new TokenRevocationList(store, { accessTokenExpiry: twoDays }).retainFor).toBe(twoDays);
+    expect(() => new TokenRevocationList(store, { accessTokenExpiry: twoDays, retainFor: '1d' })).toThrow('revocation.retainFor');
+
+    const auth = await JwtAuthExpress.create({
+      secret: 'test-secret',
+      refreshSecret: 'test-refresh-secret',
+      database: { adapter: 'memory' },
+      tokenExpiry: { access: '3d' },
+      enableUI: false
+    });
+    try {
+      expect(auth.revocationList.retainFor).toBe(3 * 24 * 60 * 60);
+    } finally {
+      await auth.close();
+    }
+
+    await expect(JwtAuthExpress.create({
+      secret: 'test-secret',
+      refreshSecret: 'test-refresh-secret',
+      database: { adapter: 'memory' },
+      admin: { maxTokenExpiry: '2d' },
+      revocation: { retainFor: '1d' },
+      enableUI: false
+    })).rejects.toThrow('revocation.retainFor');
+  });
+});
@@ -0,0 +1,121 @@
+// tests/roles.test.js
+const express = require('express');
+const request = require('supertest');
+const AuthController = require('../src/controllers/authController');
+const RoleController = require('../src/controllers/roleController');
+const MemoryAdapter = require('../src/models/adapters/memory');
+const JWTUtils = require('../src/utils/jwt');
+const TokenRevocationList = require('../src/utils/revocation');
+const { authenticateToken, requireRole, requirePermission, hasPermission } = require('../src/middleware/auth');
+
+// Password hashing dominates these tests
+jest.setTimeout(20000);
+
+describe('Permission matching', () => {
+  test('should match exact permissions and wildcards', () => {
+    expect(hasPermission(['posts:write'], 'posts:write')).toBe(true);
+    expect(hasPermission(['posts:*'], 'posts:delete')).toBe(true);
+    expect(hasPermission(['*'], 'roles:manage')).toBe(true);
+    expect(hasPermission(['posts:*'], 'postsadmin:read')).toBe(false);
+    expect(hasPermission(['posts:read'], 'posts:write')).toBe(false);
+    expect(hasPermission(undefined, 'posts:read')).toBe(false);
+  });
+});
+
+describe('Roles', () => {
+  let app;
+  let store;
+  let admin;
+  let member;
+  let controller;
+
+  const tokenFor = async (userId) => {
+    const { accessToken } = await controller._generateTokens(await store.findById(userId), 'session-1');
+    return accessToken;
+  };
+
+  beforeEach(async () => {
+    store = new MemoryAdapter();
+    admin = await store.create({ email: 'admin@example.com', password: 'Str0ng-password!', name: 'Admin' });
+    member = await store.create({ email: 'user@example.com', password: 'Str0ng-password!', name: 'User' });
+    await store.createRole('admin');
+    await store.grantPermission('admin', '*');
+    await store.createRole('editor');
+    await store.grantPermission('editor', 'posts:*');
+    await store.assignRole(admin.id, 'admin');
+
+    const revocationList = new TokenRevocationList(store, { syncInterval: 0 });
+    const jwtUtils = new JWTUtils('test-secret', 'test-refresh-secret', { revocationList });
+    const roleController = new RoleController(store, { revocationList });
+    controller = new AuthController(jwtUtils, store, {}, { revocationList });
+
+    const manage = [authenticateToken(jwtUtils), requirePermission('roles:manage')];
+
+    app = express();
+    app.use(express.json());
+    app.get('/admin', authenticateToken(jwtUtils), requireRole('admin'), (req, res) => res.json({ success: true }));
+    app.post('/posts', authenticateToken(jwtUtils), requirePermission('posts:write'), (req, res) => res.json({ success: true }));
+    app.get('/roles', manage, roleController.listRoles);
+    app.post('/roles', manage, roleController.createRole);
+    app.post('/users/:id/roles', manage, roleController.assignRole);
+    app.delete('/users/:id/roles/:role', manage, roleController.removeRole);
+  });
+
+  test('should embed roles and permissions in access tokens', async () => {
+    await store.assignRole(member.id, 'editor');
+    const decoded = controller.jwtUtils.verifyAccessToken(await tokenFor(member.id));
+
+    expect(decoded.roles).toEqual(['editor']);
+    expect(decoded.permissions).toEqual(['posts:*']);
+  });
+
+  test('should guard routes by role and permission', async () => {
+    const adminToken = await tokenFor(admin.id);
+    const memberToken = await tokenFor(member.id);
+
+    expect((await request(app).get('/admin').set('Authorization', `Bearer ${adminToken}`)).status).toBe(200);
+    expect((await request(app).get('/admin').set('Authorization', `Bearer ${memberToken}`)).status).toBe(403);
+    expect((await request(app).post('/posts').set('Authorization', `Bearer ${adminToken}`)).status).toBe(200);
+    expect((await request(app).post('/posts').set('Authorization', `Bearer ${memberToken}`)).status).toBe(403);
+    expect((await request(app).get('/roles').set('Authorization', `Bearer ${memberToken}`)).status).toBe(403);
+  });
+
+  test('should create roles with permissions', async () => {
+    const res = await request(app)
+      .post('/roles')
+      .set('Authorization', `Bearer ${await tokenFor(admin.id)}`)
+      .send({ name: 'moderator', permissions: ['comments:delete'] });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.role.permissions).toEqual(['comments:delete']);
+  });
+
+  test('should revoke access tokens when a user is assigned a role', async () => {
+    const adminToken = await tokenFor(admin.id);
+    const stale = await tokenFor(member.id);
+
+    // The watermark has one second resolution
+    await new Promise(resolve => setTimeout(resolve, 1000));
+
+    const res = await request(app)
+      .post(`/users/${member.id}/roles`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ role: 'editor' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.permissions).toEqual(['posts:*']);
+    expect((await request(app).post('/posts').set('Authorization', `Bearer ${stale}`)).status).toBe(403);
+
+    // Tokens issued after the change carry the new claims
+    const fresh = await tokenFor(member.id);
+    expect((await request(app).post('/posts').set('Authorization', `Bearer ${fresh}`)).status).toBe(200);
+  });
+
+  test('should report roles a user does not have', async () => {
+    const res = await request(app)
+      .delete(`/users/${member.id}/roles/editor`)
+      .set('Authorization', `Bearer ${await tokenFor(admin.id)}`);
+
+    expect(res.status).toBe(404);
+  });
+});
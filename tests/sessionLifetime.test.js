@@ -0,0 +1,106 @@
+// tests/sessionLifetime.test.js
+const express = require('express');
+const cookie = require('cookie');
+const request = require('supertest');
+const AuthController = require('../src/controllers/authController');
+const SessionPolicy = require('../src/utils/sessionPolicy');
+const MemoryAdapter = require('../src/models/adapters/memory');
+const JWTUtils = require('../src/utils/jwt');
+
+const DAY = 24 * 60 * 60;
+
+// Password hashing dominates these tests
+jest.setTimeout(20000);
+
+describe('Session lifetimes', () => {
+  let policy;
+  let jwtUtils;
+  let store;
+  let app;
+
+  const signIn = (body = {}) => request(app)
+    .post('/auth/signin')
+    .send({ email: 'user@example.com', password: 'correct-password', ...body });
+
+  const refresh = (refreshToken) => request(app).post('/auth/refresh-token').send({ refreshToken });
+
+  const cookiesOf = (res) => Object.assign({}, ...(res.headers['set-cookie'] || []).map(value => cookie.parse(value)));
+
+  // Pretend the session started this many seconds ago
+  const ageSession = (seconds) => {
+    store.refreshTokens.forEach(stored => { stored.createdAt = new Date(Date.now() - seconds * 1000); });
+  };
+
+  beforeEach(async () => {
+    policy = new SessionPolicy({ session: { idleTimeout: '1d', absoluteTimeout: '2d' } });
+    jwtUtils = new JWTUtils('test-secret', 'test-refresh-secret', {
+      accessTokenExpiry: policy.accessTokenExpiry,
+      refreshTokenExpiry: policy.refreshTokenExpiry
+    });
+    store = new MemoryAdapter({
+      refreshTokenExpiry: policy.refreshTokenExpiry,
+      absoluteSessionTimeout: policy.absoluteTimeout
+    });
+    await store.create({ email: 'user@example.com', password: 'correct-password', name: 'Test User' });
+    const controller = new AuthController(jwtUtils, store, null, { sessionPolicy: policy });
+
+    app = express();
+    app.use(express.json());
+    app.post('/auth/signin', controller.signIn);
+    app.post('/auth/refresh-token', controller.refreshToken);
+  });
+
+  test('should only persist cookies when remembered', async () => {
+    const remembered = await signIn();
+    expect(remembered.headers['set-cookie'][1]).toContain(`Max-Age=${DAY}`);
+
+    const forgotten = await signIn({ rememberMe: false });
+    expect(forgotten.headers['set-cookie'].join('\n')).not.toMatch(/Max-Age|Expires/);
+    expect(store.refreshTokens[1].rememberMe).toBe(false);
+
+    const refreshed = await refresh(cookiesOf(forgotten).refreshToken);
+    expect(refreshed.status).toBe(200);
+    expect(refreshed.headers['set-cookie'].join('\n')).not.toMatch(/Max-Age|Expires/);
+  });
+
+  test('should slide the idle timeout up to the absolute deadline', async () => {
+    const { refreshToken } = cookiesOf(await signIn());
+    ageSession(1.5 * DAY);
+
+    const refreshed = await refresh(refreshToken);
+    expect(refreshed.status).toBe(200);
+
+    const { iat, exp } = jwtUtils.decodeToken(cookiesOf(refreshed).refreshToken);
+    expect(exp - iat).toBeLessThanOrEqual(DAY / 2);
+    expect(exp - iat).toBeGreaterThan(DAY / 2 - 5);
+    expect(Math.abs(store.refreshTokens[1].expiresAt.getTime() / 1000 - exp)).toBeLessThan(5);
+    expect(refreshed.headers['set-cookie'][1]).toContain(`Max-Age=${exp - iat}`);
+  });
+
+  test('should end the session at the absolute deadline', async () => {
+    const { refreshToken } = cookiesOf(await signIn());
+    ageSession(2 * DAY + 1);
+
+    const res = await refresh(refreshToken);
+
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('SESSION_EXPIRED');
+    expect(store.refreshTokens).toHaveLength(0);
+    expect(cookiesOf(res).refreshToken).toBe('');
+  });
+
+  test('should compute refresh lifetimes from the session start', () => {
+    expect(policy.refreshLifetime()).toBe(DAY);
+    expect(policy.refreshLifetime(new Date(Date.now() - 1.75 * DAY * 1000))).toBeGreaterThanOrEqual(DAY / 4 - 1);
+    expect(policy.refreshLifetime(new Date(Date.now() - 3 * DAY * 1000))).toBe(0);
+
+    const unlimited = new SessionPolicy({ session: { absoluteTimeout: null } });
+    expect(unlimited.refreshLifetime(new Date(0))).toBe(7 * DAY);
+  });
+
+  test('should not limit sessions unless absoluteTimeout is set', () => {
+    const defaults = new SessionPolicy();
+    expect(defaults.absoluteTimeout).toBeNull();
+    expect(defaults.refreshLifetime(new Date(0))).toBe(7 * DAY);
+  });
+});
@@ -0,0 +1,97 @@
+// tests/sessionPolicy.test.js
+const express = require('express');
+const cookie = require('cookie');
+const request = require('supertest');
+const AuthController = require('../src/controllers/authController');
+const SessionPolicy = require('../src/utils/sessionPolicy');
+const JWTUtils = require('../src/utils/jwt');
+const { authenticateToken } = require('../src/middleware/auth');
+
+describe('Session policy', () => {
+  test('should tie cookie lifetimes to tokenExpiry', () => {
+    const policy = new SessionPolicy({ tokenExpiry: { access: '5m', refresh: '30d' } });
+
+    expect(policy.names).toEqual({ accessToken: 'accessToken', refreshToken: 'refreshToken' });
+    expect(policy.cookieOptions('accessToken')).toMatchObject({ httpOnly: true, sameSite: 'strict', path: '/', maxAge: 300000 });
+    expect(policy.cookieOptions('refreshToken').maxAge).toBe(30 * 24 * 60 * 60 * 1000);
+  });
+
+  test('should prefix names and require what browsers require', () => {
+    const host = new SessionPolicy({ cookies: { prefix: '__Host-' } });
+    expect(host.names.accessToken).toBe('__Host-accessToken');
+    expect(host.attributes).toMatchObject({ secure: true, path: '/', domain: undefined });
+
+    expect(() => new SessionPolicy({ cookies: { prefix: '__Host-', domain: 'example.com' } })).toThrow('__Host-');
+    expect(() => new SessionPolicy({ cookies: { prefix: '__Other-' } })).toThrow('cookies.prefix');
+    expect(() => new SessionPolicy({ cookies: { partitioned: true, secure: false } })).toThrow('cookies.secure');
+    expect(() => new SessionPolicy({ cookies: { sameSite: 'none', secure: false } })).toThrow('cookies.secure');
+  });
+
+  describe('with the auth controller', () => {
+    let app;
+    let jwtUtils;
+    let policy;
+
+    beforeEach(() => {
+      policy = new SessionPolicy({
+        tokenExpiry: { access: '5m', refresh: '1d' },
+        cookies: { prefix: '__Secure-', domain: 'example.com', sameSite: 'lax', partitioned: true }
+      });
+      jwtUtils = new JWTUtils('test-secret', 'test-refresh-secret', {
+        accessTokenExpiry: policy.accessTokenExpiry,
+        refreshTokenExpiry: policy.refreshTokenExpiry
+      });
+
+      const user = { id: 1, email: 'user@example.com', name: 'Test User', isVerified: true };
+      const store = {
+        findUserAccess: async () => ({ roles: [], permissions: [] }),
+        storeRefreshToken: jest.fn(async () => true),
+        revokeSession: async () => true
+      };
+      const controller = new AuthController(jwtUtils, store, null, { sessionPolicy: policy });
+
+      app = express();
+      app.use((req, res, next) => {
+        req.cookies = cookie.parse(req.headers.cookie || '');
+        next();
+      });
+      app.post('/signin', async (req, res) => {
+        const tokens = await controller._startSession(res, user);
+        controller._setAuthCookies(res, tokens.accessToken, tokens.refreshToken);
+        res.json({ success: true });
+      });
+      app.get('/me', authenticateToken(jwtUtils, { cookieName: policy.names.accessToken }), (req, res) => {
+        res.json({ userId: req.user.userId });
+      });
+      app.post('/signout', controller.signOut);
+    });
+
+    test('should set cookies and token lifetimes from the policy', async () => {
+      const res = await request(app).post('/signin');
+      const [access, refresh] = res.headers['set-cookie'];
+
+      expect(access).toMatch(/^__Secure-accessToken=/);
+      expect(access).toContain('Max-Age=300');
+      expect(access).toContain('Domain=example.com');
+      expect(access).toContain('SameSite=Lax');
+      expect(access).toContain('Secure');
+      expect(access).toContain('Partitioned');
+      expect(refresh).toContain('Max-Age=86400');
+
+      const token = cookie.parse(access)['__Secure-accessToken'];
+      const { iat, exp } = jwtUtils.decodeToken(token);
+      expect(exp - iat).toBe(300);
+    });
+
+    test('should read and clear the configured cookies', async () => {
+      const res = await request(app).post('/signin');
+      const token = cookie.parse(res.headers['set-cookie'][0])['__Secure-accessToken'];
+
+      const me = await request(app).get('/me').set('Cookie', `__Secure-accessToken=${token}`);
+      expect(me.body.userId).toBe(1);
+
+      const signOut = await request(app).post('/signout').set('Cookie', `__Secure-accessToken=${token}`);
+      expect(signOut.headers['set-cookie'][0]).toMatch(/^__Secure-accessToken=;.*Domain=example.com/);
+    });
+  });
+});
@@ -0,0 +1,128 @@
+// tests/sessions.test.js
+const express = require('express');
+const request = require('supertest');
+const AuthController = require('../src/controllers/authController');
+const SessionController = require('../src/controllers/sessionController');
+const MemoryAdapter = require('../src/models/adapters/memory');
+const JWTUtils = require('../src/utils/jwt');
+const TokenRevocationList = require('../src/utils/revocation');
+const { authenticateToken } = require('../src/middleware/auth');
+const { describeDevice } = require('../src/utils/device');
+
+const CHROME_MAC = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+const SAFARI_IPHONE = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1';
+
+// Password hashing dominates these tests
+jest.setTimeout(20000);
+
+describe('Sessions', () => {
+  let app;
+  let store;
+  let user;
+  let controller;
+
+  beforeEach(async () => {
+    store = new MemoryAdapter();
+    user = await store.create({ email: 'user@example.com', password: 'Str0ng-password!', name: 'Test User' });
+    const revocationList = new TokenRevocationList(store, { syncInterval: 0 });
+    const jwtUtils = new JWTUtils('test-secret', 'test-refresh-secret', { revocationList });
+    const sessionController = new SessionController(store, { revocationList });
+    controller = new AuthController(jwtUtils, store, {}, { revocationList });
+
+    // Sign in without a password check; the session bookkeeping is under test
+    app = express();
+    app.use(express.json());
+    app.post('/auth/signin', async (req, res) => {
+      const { accessToken } = await controller._startSession(res, await store.findById(user.id));
+      res.json({ accessToken });
+    });
+    app.get('/auth/sessions', authenticateToken(jwtUtils), sessionController.listSessions);
+    app.post('/auth/sessions/revoke-others', authenticateToken(jwtUtils), sessionController.revokeOtherSessions);
+    app.delete('/auth/sessions/:id', authenticateToken(jwtUtils), sessionController.revokeSession);
+    app.post('/auth/signout', (req, res, next) => {
+      req.cookies = {};
+      next();
+    }, controller.signOut);
+  });
+
+  const signIn = async (userAgent) => {
+    const res = await request(app).post('/auth/signin').set('User-Agent', userAgent);
+    return res.body.accessToken;
+  };
+
+  const listSessions = (accessToken) => request(app)
+    .get('/auth/sessions')
+    .set('Authorization', `Bearer ${accessToken}`);
+
+  test('should list sessions with a device label and mark the current one', async () => {
+    const laptop = await signIn(CHROME_MAC);
+    await signIn(SAFARI_IPHONE);
+
+    const res = await listSessions(laptop);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.sessions).toHaveLength(2);
+    expect(res.body.data.sessions.find(session => session.current).deviceLabel).toBe('Chrome on macOS');
+    expect(res.body.data.sessions.find(session => !session.current).deviceLabel).toBe('Safari on iPhone');
+  });
+
+  test('should sign out another session and its access tokens', async () => {
+    const laptop = await signIn(CHROME_MAC);
+    const phone = await signIn(SAFARI_IPHONE);
+    const phoneSession = (await listSessions(laptop)).body.data.sessions.find(session => !session.current);
+
+    const res = await request(app)
+      .delete(`/auth/sessions/${phoneSession.id}`)
+      .set('Authorization', `Bearer ${laptop}`);
+
+    expect(res.status).toBe(200);
+    expect((await listSessions(phone)).status).toBe(403);
+    expect((await listSessions(laptop)).body.data.sessions).toHaveLength(1);
+  });
+
+  test('should not sign out sessions of other users', async () => {
+    const laptop = await signIn(CHROME_MAC);
+    const other = await store.create({ email: 'other@example.com', password: 'Str0ng-password!', name: 'Other User' });
+    await store.storeRefreshToken(other.id, 'other-refresh-token', { familyId: 'other-session' });
+
+    for (const id of ['not-a-session', 'other-session']) {
+      const res = await request(app)
+        .delete(`/auth/sessions/${id}`)
+        .set('Authorization', `Bearer ${laptop}`);
+      expect(res.status).toBe(404);
+    }
+    expect(await store.findSessionsByUserId(other.id)).toHaveLength(1);
+  });
+
+  test('should sign out every other session', async () => {
+    const laptop = await signIn(CHROME_MAC);
+    const phone = await signIn(SAFARI_IPHONE);
+    const tablet = await signIn(SAFARI_IPHONE);
+
+    const res = await request(app)
+      .post('/auth/sessions/revoke-others')
+      .set('Authorization', `Bearer ${laptop}`);
+
+    expect(res.body.data.revoked).toBe(2);
+    expect((await listSessions(phone)).status).toBe(403);
+    expect((await listSessions(tablet)).status).toBe(403);
+    expect((await listSessions(laptop)).body.data.sessions).toHaveLength(1);
+  });
+
+  test('should sign out the current session by id', async () => {
+    const laptop = await signIn(CHROME_MAC);
+    const phone = await signIn(SAFARI_IPHONE);
+
+    await request(app).post('/auth/signout').set('Authorization', `Bearer ${phone}`);
+
+    expect((await listSessions(phone)).status).toBe(403);
+    expect((await listSessions(laptop)).body.data.sessions).toHaveLength(1);
+  });
+
+  test('should describe common user agents', () => {
+    expect(describeDevice(CHROME_MAC)).toBe('Chrome on macOS');
+    expect(describeDevice(SAFARI_IPHONE)).toBe('Safari on iPhone');
+    expect(describeDevice('curl/8.4.0')).toBe('curl');
+    expect(describeDevice(null)).toBe('Unknown device');
+  });
+});
@@ -0,0 +1,457 @@
+// tests/storageAdapters.test.js
+require('dotenv').config();
+const User = require('../src/models/User');
+const MemoryAdapter = require('../src/models/adapters/memory');
+const SqliteAdapter = require('../src/models/adapters/sqlite');
+const PostgresAdapter = require('../src/models/adapters/postgres');
+const DatabaseConfig = require('../src/config/database');
+const CryptoUtils = require('../src/utils/crypto');
+const express = require('express');
+const request = require('supertest');
+const JwtAuthExpress = require('../index');
+const { validateRequest } = require('../src/middleware/validation');
+
+// Password hashing dominates these tests
+jest.setTimeout(20000);
+
+const installed = (name) => {
+  try {
+    require.resolve(name);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Tables get a prefix of their own, so a shared database is left as it was
+const prefix = `test_${Date.now().toString(36)}_`;
+const tables = Object.fromEntries(
+  Object.entries(new User({}).options)
+    .filter(([option]) => option === 'tableName' || option.endsWith('Table'))
+    .map(([option, table]) => [option, `${prefix}${table}`])
+);
+
+// Referenced tables go last
+const dropTables = async (store) => {
+  const { tableName, rolesTable, permissionsTable } = store.options;
+  const referenced = [rolesTable, permissionsTable, tableName];
+  const names = Object.keys(tables).map(option => store.options[option]);
+
+  for (const table of [...names.filter(name => !referenced.includes(name)), ...referenced]) {
+    await store._executeQuery(`DROP TABLE IF EXISTS ${table}`);
+  }
+  await store.db.end();
+};
+
+// Every adapter runs the same suite. SQLite needs better-sqlite3;
+// PostgreSQL needs pg and POSTGRES_URL; TiDB needs the TIDB_* settings.
+const adapters = [
+  {
+    name: 'memory',
+    available: true,
+    open: async (options) => new MemoryAdapter(options),
+    close: async () => {}
+  },
+  {
+    name: 'sqlite',
+    available: installed('better-sqlite3'),
+    open: async (options) => new SqliteAdapter(DatabaseConfig.createSQLiteConnection({ filename: ':memory:' }), options),
+    close: async (store) => store.db.close()
+  },
+  {
+    name: 'postgres',
+    available: installed('pg') && Boolean(process.env.POSTGRES_URL),
+    open: async (options) => new PostgresAdapter(
+      await DatabaseConfig.createPostgresConnection({ connectionString: process.env.POSTGRES_URL }),
+      { ...tables, ...options }
+    ),
+    close: dropTables
+  },
+  {
+    name: 'tidb',
+    available: Boolean(process.env.TIDB_HOST),
+    open: async (options) => new User(
+      await DatabaseConfig.createTiDBConnection({
+        host: process.env.TIDB_HOST,
+        port: process.env.TIDB_PORT || 4000,
+        database: process.env.TIDB_DATABASE,
+        username: process.env.TIDB_USERNAME,
+        password: process.env.TIDB_PASSWORD
+      }),
+      { ...tables, ...options }
+    ),
+    close: dropTables
+  }
+];
+
+describe.each(adapters)('$name storage adapter', ({ name, available, open, close }) => {
+  let store;
+  let user;
+  let users = 0;
+
+  const createUser = (fields = {}) => store.create({
+    email: `user${++users}@example.com`,
+    password: 'correct-password',
+    name: 'Test User',
+    ...fields
+  });
+
+  beforeAll(async () => {
+    if (!available) {
+      console.warn(`⚠️  ${name} is not available. Skipping its storage adapter tests.`);
+      return;
+    }
+
+    store = await open({ absoluteSessionTimeout: 60 });
+    await store.initDatabase();
+  });
+
+  afterAll(async () => {
+    if (store) {
+      await close(store);
+    }
+  });
+
+  beforeEach(async () => {
+    if (store) {
+      user = await createUser();
+    }
+  });
+
+  const it = available ? test : test.skip;
+
+  it('should store users and look them up by email or id', async () => {
+    expect(user).toMatchObject({ email: `user${users}@example.com`, isActive: true, isVerified: false });
+    expect(user.createdAt).toBeInstanceOf(Date);
+    expect(await CryptoUtils.comparePassword('correct-password', user.password)).toBe(true);
+    expect((await store.findByEmail(user.email.toUpperCase())).id).toBe(user.id);
+    expect((await store.findById(String(user.id))).id).toBe(user.id);
+    await expect(store.create({ email: user.email, password: 'x', name: 'Again' })).rejects.toThrow('already exists');
+
+    expect((await store.updateProfile(user.id, { name: 'Renamed' })).name).toBe('Renamed');
+    expect(await store.markEmailVerified(user.id)).toBe(true);
+    expect((await store.findById(user.id)).isVerified).toBe(true);
+
+    expect(await store.setActive(user.id, false)).toBe(true);
+    expect(await store.findById(user.id)).toBeNull();
+    expect((await store.findByIdIncludingInactive(user.id)).isActive).toBe(false);
+  });
+
+  it('should search users and count them', async () => {
+    const other = await createUser({ name: 'Discount 100%' });
+
+    const found = await store.findUsers({ search: '100%' });
+    expect(found.users.map(match => match.id)).toEqual([other.id]);
+    expect(found.total).toBe(1);
+    expect((await store.findUsers({ search: '1000' })).total).toBe(0);
+
+    const page = await store.findUsers({ limit: 1 });
+    expect(page.users[0].id).toBe(other.id);
+    expect(page.total).toBeGreaterThanOrEqual(2);
+
+    await store.recordAuditEvent({ userId: user.id, event: 'user.signed_in' });
+    const stats = await store.getUserStats();
+    expect(stats.users.total).toBeGreaterThanOrEqual(2);
+    expect(stats.signUps.day).toBeGreaterThanOrEqual(2);
+    expect(stats.signIns.day).toBeGreaterThanOrEqual(1);
+  });
+
+  it('should rotate refresh tokens within a family and keep rotated ones for reuse detection', async () => {
+    await store.storeRefreshToken(user.id, `${name}-refresh-1`, { deviceLabel: 'Chrome on macOS', rememberMe: false });
+    expect(await store.updateRefreshToken(user.id, `${name}-refresh-1`, `${name}-refresh-2`)).toBe(true);
+    expect(await store.updateRefreshToken(user.id, `${name}-refresh-1`, `${name}-refresh-3`)).toBe(false);
+
+    const old = await store.findRefreshTokenRecord(user.id, `${name}-refresh-1`);
+    const current = await store.findRefreshTokenRecord(user.id, `${name}-refresh-2`);
+    expect(old.rotatedAt).toBeInstanceOf(Date);
+    expect(current).toMatchObject({ familyId: old.familyId, parentId: old.id, rememberMe: false, deviceLabel: 'Chrome on macOS' });
+    expect(await store.findByRefreshToken(user.id, `${name}-refresh-1`)).toBeNull();
+    expect((await store.findByRefreshToken(user.id, `${name}-refresh-2`)).id).toBe(user.id);
+
+    const [session] = await store.findSessionsByUserId(user.id);
+    expect(session.id).toBe(old.familyId);
+    expect(await store.revokeSession(user.id, session.id)).toBe(true);
+    expect(await store.findByRefreshToken(user.id, `${name}-refresh-2`)).toBeNull();
+  });
+
+  // TiDB's transactions run on the shared pool
+  const withTransactions = available && ['sqlite', 'postgres'].includes(name) ? test : test.skip;
+
+  withTransactions('should keep other requests\' queries out of an open transaction', async () => {
+    // Started from outside the transaction, as another request would be
+    let outside;
+    setTimeout(() => {
+      outside = store.storeRefreshToken(user.id, `${name}-outside`);
+    }, 10);
+
+    await expect(store._transaction(async () => {
+      await store.storeRefreshToken(user.id, `${name}-inside`);
+      await new Promise(resolve => setTimeout(resolve, 50));
+      throw new Error('Rolled back');
+    })).rejects.toThrow('Rolled back');
+    await outside;
+
+    expect(await store.findRefreshTokenRecord(user.id, `${name}-inside`)).toBeNull();
+    expect(await store.findRefreshTokenRecord(user.id, `${name}-outside`)).not.toBeNull();
+  });
+
+  const sql = available && name !== 'memory' ? test : test.skip;
+
+  sql('should give tokens stored before families existed a family when rotated', async () => {
+    const table = store.options.refreshTokensTable;
+    await store.storeRefreshToken(user.id, `${name}-legacy-1`);
+    await store._executeQuery(`UPDATE ${table} SET family_id = NULL WHERE user_id = ?`, [user.id]);
+
+    expect(await store.updateRefreshToken(user.id, `${name}-legacy-1`, `${name}-legacy-2`, { familyId: `${name}-family-${user.id}` })).toBe(true);
+
+    const old = await store.findRefreshTokenRecord(user.id, `${name}-legacy-1`);
+    expect(old.familyId).toBe(`${name}-family-${user.id}`);
+    expect((await store.findRefreshTokenRecord(user.id, `${name}-legacy-2`)).familyId).toBe(old.familyId);
+  });
+
+  (available && name === 'tidb' ? test : test.skip)('should backfill a family for each token on start', async () => {
+    const table = store.options.refreshTokensTable;
+    await store.storeRefreshToken(user.id, `${name}-backfill-1`);
+    await store.storeRefreshToken(user.id, `${name}-backfill-2`);
+    await store._executeQuery(`UPDATE ${table} SET family_id = NULL WHERE user_id = ?`, [user.id]);
+
+    await store.initDatabase();
+
+    const sessions = await store.findSessionsByUserId(user.id);
+    expect(sessions).toHaveLength(2);
+    expect(sessions.every(session => session.id)).toBe(true);
+    expect(sessions[0].id).not.toBe(sessions[1].id);
+  });
+
+  it('should stop refresh tokens at the absolute session timeout', async () => {
+    await store.storeRefreshToken(user.id, `${name}-old-refresh`, { createdAt: new Date(Date.now() - 61 * 1000) });
+
+    expect(await store.findRefreshTokenRecord(user.id, `${name}-old-refresh`)).not.toBeNull();
+    expect(await store.findByRefreshToken(user.id, `${name}-old-refresh`)).toBeNull();
+  });
+
+  it('should keep only the latest reset token and clear it with the password', async () => {
+    await store.storePasswordResetToken(user.id, CryptoUtils.hashResetToken('reset-1'));
+    await store.storePasswordResetToken(user.id, CryptoUtils.hashResetToken('reset-2'));
+    await store.storeRefreshToken(user.id, `${name}-reset-refresh`);
+
+    expect(await store.findValidPasswordResetToken(user.id, 'reset-1')).toBeNull();
+    expect((await store.findValidPasswordResetToken(user.id, 'reset-2')).id).toBe(user.id);
+
+    await store.updatePassword(user.id, 'new-password');
+    expect(await store.findValidPasswordResetToken(user.id, 'reset-2')).toBeNull();
+    expect(await store.findByRefreshToken(user.id, `${name}-reset-refresh`)).toBeNull();
+  });
+
+  it('should invalidate magic links after too many wrong codes', async () => {
+    await store.storeMagicLink(user.id, CryptoUtils.hashResetToken('link-1'), CryptoUtils.hashResetToken('123456'));
+    expect((await store.consumeMagicLinkToken(user.id, 'link-1')).id).toBe(user.id);
+    expect(await store.consumeMagicLinkToken(user.id, 'link-1')).toBeNull();
+
+    await store.storeMagicLink(user.id, CryptoUtils.hashResetToken('link-2'), CryptoUtils.hashResetToken('654321'));
+    expect(await store.consumeMagicLinkCode(user.id, '000000', 2)).toBeNull();
+    expect(await store.consumeMagicLinkCode(user.id, '000000', 2)).toBeNull();
+    expect(await store.consumeMagicLinkCode(user.id, '654321', 2)).toBeNull();
+  });
+
+  it('should replace unconfirmed MFA secrets and refuse replayed steps', async () => {
+    await store.saveMfaSecret(user.id, 'secret-1');
+    await store.enableMfa(user.id);
+    await store.saveMfaSecret(user.id, 'secret-2');
+    expect(await store.findMfaByUserId(user.id)).toMatchObject({ secret: 'secret-2', isEnabled: false, lastUsedStep: null });
+
+    expect(await store.updateMfaLastUsedStep(user.id, 100)).toBe(true);
+    expect(await store.updateMfaLastUsedStep(user.id, 100)).toBe(false);
+    expect((await store.findMfaByUserId(user.id)).lastUsedStep).toBe(100);
+
+    await store.replaceRecoveryCodes(user.id, ['code-1', 'code-2']);
+    expect(await store.useRecoveryCode(user.id, 'code-1')).toBe(true);
+    expect(await store.useRecoveryCode(user.id, 'code-1')).toBe(false);
+    expect(await store.countRecoveryCodes(user.id)).toBe(1);
+
+    expect(await store.disableMfa(user.id)).toBe(true);
+    expect(await store.countRecoveryCodes(user.id)).toBe(0);
+  });
+
+  it('should return the ids of new identities and passkeys', async () => {
+    const identityId = await store.linkIdentity(user.id, { provider: 'github', subject: `${name}-${user.id}` });
+    expect((await store.findIdentity('github', `${name}-${user.id}`)).id).toBe(identityId);
+
+    const credentialId = await store.storeWebAuthnCredential(user.id, {
+      credentialId: `${name}-credential-${user.id}`,
+      publicKey: 'public-key',
+      transports: ['internal']
+    });
+    const [credential] = await store.findWebAuthnCredentialsByUserId(user.id);
+    expect(credential).toMatchObject({ id: credentialId, signCount: 0, transports: ['internal'], name: 'Passkey' });
+    expect(await store.removeWebAuthnCredential(user.id, credentialId)).toBe(true);
+  });
+
+  it('should hand out authorization codes once and update consents', async () => {
+    const clientId = `${name}-client-${user.id}`;
+    const client = await store.createOidcClient({
+      clientId,
+      name: 'Client',
+      redirectUris: ['https://app.example.com/callback'],
+      scopes: ['openid', 'email']
+    });
+    expect(client).toMatchObject({ redirectUris: ['https://app.example.com/callback'], skipConsent: false, isConfidential: false });
+
+    const code = CryptoUtils.hashResetToken(`${clientId}-code`);
+    await store.storeAuthorizationCode(code, {
+      clientId, userId: user.id, redirectUri: 'https://app.example.com/callback', scope: 'openid'
+    });
+    expect(await store.consumeAuthorizationCode(code)).toMatchObject({ clientId, userId: user.id, scope: 'openid' });
+    expect(await store.consumeAuthorizationCode(code)).toBeNull();
+
+    await store.saveOidcConsent(user.id, clientId, ['openid']);
+    await store.saveOidcConsent(user.id, clientId, ['openid', 'email']);
+    expect(await store.findOidcConsent(user.id, clientId)).toEqual(['openid', 'email']);
+  });
+
+  it('should grant roles and permissions without duplicates', async () => {
+    const role = `${name}-editor-${user.id}`;
+    await store.createRole(role, 'Edits posts');
+    expect((await store.createRole(role)).description).toBe('Edits posts');
+
+    expect(await store.grantPermission(role, 'posts:write')).toBe(true);
+    expect(await store.grantPermission(role, 'posts:write')).toBe(false);
+    expect(await store.grantPermission(role, 'posts:delete')).toBe(true);
+    expect(await store.revokePermission(role, 'posts:delete')).toBe(true);
+
+    expect(await store.assignRole(user.id, role)).toBe(true);
+    expect(await store.assignRole(user.id, role)).toBe(false);
+    expect(await store.assignRole(user.id + 1000, role)).toBe(false);
+    expect(await store.findUserAccess(user.id)).toEqual({ roles: [role], permissions: ['posts:write'] });
+
+    expect(await store.removeRole(user.id, role)).toBe(true);
+    expect(await store.findUserAccess(user.id)).toEqual({ roles: [], permissions: [] });
+  });
+
+  it('should count failed sign ins until they are reset, and rate limit keys', async () => {
+    await store.recordLoginAttempt(user.email, '203.0.113.9', false);
+    await store.recordLoginAttempt(user.email, '203.0.113.9', false);
+    expect(await store.countFailedLoginAttempts(user.email, '203.0.113.9', 60)).toEqual({ account: 2, ip: 2 });
+
+    const lockedUntil = await store.lockAccount(user.email, 60);
+    expect(new Date(lockedUntil).getTime()).toBeGreaterThan(Date.now() + 50 * 1000);
+    expect(await store.countFailedLoginAttempts(user.email, null, 60)).toEqual({ account: 0, ip: 0 });
+
+    expect(await store.resetLoginAttempts(user.email)).toBe(true);
+    expect(await store.findAccountLockout(user.email)).toBeNull();
+    expect(await store.resetLoginAttempts(user.email)).toBe(false);
+
+    const key = `${name}-signin-${user.id}`;
+    const first = await store.hitRateLimit(key, 60 * 1000);
+    const second = await store.hitRateLimit(key, 60 * 1000);
+    expect([first.count, second.count]).toEqual([1, 2]);
+    expect(second.resetAt).toBe(first.resetAt);
+    expect(first.resetAt).toBeGreaterThan(Date.now() + 50 * 1000);
+  });
+
+  it('should keep revocations and signing keys until they expire', async () => {
+    const since = Date.now() - 1000;
+    const expiresAt = Math.floor(Date.now() / 1000) + 3600;
+    await store.addTokenRevocation({ jti: `${name}-jti-${user.id}`, expiresAt });
+    await store.addTokenRevocation({ jti: `${name}-expired-${user.id}`, expiresAt: Math.floor(Date.now() / 1000) - 10 });
+
+    const revocations = (await store.findTokenRevocations(since)).filter(entry => String(entry.jti).endsWith(`-${user.id}`));
+    expect(revocations).toEqual([
+      expect.objectContaining({ jti: `${name}-jti-${user.id}`, sessionId: null, expiresAt })
+    ]);
+    expect(Math.abs(revocations[0].createdAt - Date.now() / 1000)).toBeLessThan(60);
+
+    const key = (kid) => ({ kid: `${name}-${kid}-${user.id}`, use: `sig-${user.id}`.slice(0, 10), algorithm: 'HS256', secret: 'encrypted' });
+    await store.rotateSigningKey(key('a'), 60);
+    await store.rotateSigningKey(key('b'), 60);
+    // Both keys may share a created_at second
+    const keys = (await store.findSigningKeys()).filter(found => found.use === key('a').use);
+    expect(keys.map(found => [found.kid, found.status]).sort()).toEqual([[key('a').kid, 'active'], [key('b').kid, 'current']]);
+
+    expect(await store.retireSigningKey(key('a').kid)).toBe(true);
+    expect((await store.findSigningKeys()).filter(found => found.use === key('a').use)).toHaveLength(1);
+  });
+
+  it('should remove what belongs to a deleted user but keep the audit log', async () => {
+    const role = `${name}-member-${user.id}`;
+    await store.createRole(role);
+    await store.assignRole(user.id, role);
+    await store.storeRefreshToken(user.id, `${name}-delete-refresh`);
+    await store.recordAuditEvent({ userId: user.id, event: 'user.signed_in', metadata: { method: 'password' } });
+
+    expect(await store.deleteUser(user.id)).toBe(true);
+
+    expect(await store.findByIdIncludingInactive(user.id)).toBeNull();
+    expect(await store.findUserAccess(user.id)).toEqual({ roles: [], permissions: [] });
+    expect(await store.findSessionsByUserId(user.id)).toEqual([]);
+    const [event] = await store.findAuditEvents(user.id);
+    expect(event.metadata).toEqual({ method: 'password' });
+  });
+});
+
+describe.each([
+  { name: 'memory', available: true, database: { adapter: 'memory' } },
+  { name: 'sqlite', available: installed('better-sqlite3'), database: { adapter: 'sqlite', filename: ':memory:' } }
+])('Concurrent refreshes on $name storage', ({ available, database }) => {
+  const it = available ? test : test.skip;
+
+  it('should end the session when two requests refresh the same token', async () => {
+    const auth = await JwtAuthExpress.create({
+      secret: 'test-secret',
+      refreshSecret: 'test-refresh-secret',
+      database,
+      tokenTransport: 'body',
+      enableUI: false,
+      lockout: false
+    });
+    const app = express();
+    app.use(express.json());
+    app.use('/auth', auth.getRoutes(validateRequest));
+
+    try {
+      const credentials = { email: 'race@example.com', password: 'Str0ng-password!', name: 'Race' };
+      await request(app).post('/auth/signup').send(credentials);
+      const { refreshToken } = (await request(app).post('/auth/signin').send(credentials)).body.data;
+
+      const refreshes = await Promise.all([1, 2].map(() => request(app).post('/auth/refresh-token').send({ refreshToken })));
+      expect(refreshes.map(res => res.status).sort()).toEqual([200, 403]);
+
+      // The winner's token went with the rest of the family
+      const winner = refreshes.find(res => res.status === 200);
+      const next = await request(app).post('/auth/refresh-token').send({ refreshToken: winner.body.data.refreshToken });
+      expect(next.status).toBe(403);
+    } finally {
+      await auth.close();
+    }
+  });
+});
+
+describe('PostgreSQL connection options', () => {
+  let connect;
+
+  beforeEach(() => {
+    connect = jest.spyOn(DatabaseConfig, 'createPostgresConnection').mockRejectedValue(new Error('Not connecting'));
+  });
+
+  afterEach(() => {
+    connect.mockRestore();
+  });
+
+  const open = (database) => expect(JwtAuthExpress.create({
+    secret: 'test-secret',
+    refreshSecret: 'test-refresh-secret',
+    database: { adapter: 'postgres', connectionString: 'postgres://localhost/auth', ...database },
+    enableUI: false
+  })).rejects.toThrow('Not connecting');
+
+  test('should leave ssl to the driver unless it is configured', async () => {
+    await open();
+    expect(connect.mock.calls[0][0].ssl).toBeUndefined();
+  });
+
+  test('should pass the configured ssl options as they are', async () => {
+    const ssl = { ca: 'certificate' };
+    await open({ ssl });
+    expect(connect.mock.calls[0][0].ssl).toBe(ssl);
+  });
+});
@@ -0,0 +1,97 @@
+// tests/tokenTransport.test.js
+const express = require('express');
+const cookie = require('cookie');
+const request = require('supertest');
+const AuthController = require('../src/controllers/authController');
+const CsrfProtection = require('../src/utils/csrf');
+const MemoryAdapter = require('../src/models/adapters/memory');
+const JWTUtils = require('../src/utils/jwt');
+
+describe('Token transport', () => {
+  let store;
+  let jwtUtils;
+  let csrf;
+
+  const createApp = (tokenTransport) => {
+    const controller = new AuthController(jwtUtils, store, null, { tokenTransport, csrf });
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.cookies = cookie.parse(req.headers.cookie || '');
+      next();
+    });
+    app.post('/auth/signin', controller.signIn);
+    app.post('/auth/refresh-token', controller.refreshToken);
+    return app;
+  };
+
+  const signIn = (app) => request(app)
+    .post('/auth/signin')
+    .send({ email: 'user@example.com', password: 'correct-password' });
+
+  const cookiesOf = (res) => Object.assign({}, ...(res.headers['set-cookie'] || []).map(value => cookie.parse(value)));
+
+  beforeAll(async () => {
+    store = new MemoryAdapter();
+    await store.create({ email: 'user@example.com', password: 'correct-password', name: 'Test User' });
+  });
+
+  beforeEach(() => {
+    jwtUtils = new JWTUtils('test-secret', 'test-refresh-secret');
+    csrf = new CsrfProtection('csrf-secret');
+  });
+
+  test('should only set cookies by default', async () => {
+    const res = await signIn(createApp('cookie'));
+
+    expect(cookiesOf(res).accessToken).toBeTruthy();
+    expect(res.body.data.accessToken).toBeUndefined();
+  });
+
+  test('should return tokens in the body without cookies', async () => {
+    const app = createApp('body');
+    const res = await signIn(app);
+
+    expect(res.headers['set-cookie']).toBeUndefined();
+    expect(res.body.data).toMatchObject({ tokenType: 'Bearer', user: { id: 1 } });
+    expect(res.body.data.expiresIn).toBeGreaterThan(890);
+    expect(res.body.data.expiresIn).toBeLessThanOrEqual(900);
+
+    const refreshed = await request(app)
+      .post('/auth/refresh-token')
+      .send({ refreshToken: res.body.data.refreshToken });
+    expect(refreshed.status).toBe(200);
+    expect(refreshed.body.data.refreshToken).not.toBe(res.body.data.refreshToken);
+    expect(refreshed.headers['set-cookie']).toBeUndefined();
+  });
+
+  test('should do both when asked', async () => {
+    const res = await signIn(createApp('both'));
+
+    expect(cookiesOf(res).accessToken).toBe(res.body.data.accessToken);
+  });
+
+  test('should refresh from the cookie with the CSRF token', async () => {
+    const app = createApp('cookie');
+    // Sign in issues a CSRF token for the new session
+    const { refreshToken, csrfToken } = cookiesOf(await signIn(app));
+    const cookies = `refreshToken=${refreshToken}; csrfToken=${csrfToken}`;
+
+    const forged = await request(app).post('/auth/refresh-token').set('Cookie', cookies);
+    expect(forged.status).toBe(403);
+
+    const anonymous = csrf.generateToken();
+    const planted = await request(app)
+      .post('/auth/refresh-token')
+      .set('Cookie', `refreshToken=${refreshToken}; csrfToken=${anonymous}`)
+      .set('X-CSRF-Token', anonymous);
+    expect(planted.status).toBe(403);
+
+    const refreshed = await request(app)
+      .post('/auth/refresh-token')
+      .set('Cookie', cookies)
+      .set('X-CSRF-Token', csrfToken);
+    expect(refreshed.status).toBe(200);
+    expect(cookiesOf(refreshed).refreshToken).toBeTruthy();
+  });
+});
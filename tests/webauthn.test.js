@@ -0,0 +1,216 @@
+// tests/webauthn.test.js
+const crypto = require('crypto');
+const WebAuthnUtils = require('../src/utils/webauthn');
+
+// Minimal CBOR encoder so the tests can play the role of an authenticator
+const encodeCbor = (value) => {
+  const header = (majorType, length) => {
+    if (length < 24) return Buffer.from([(majorType << 5) | length]);
+    if (length < 256) return Buffer.from([(majorType << 5) | 24, length]);
+    const buffer = Buffer.alloc(3);
+    buffer[0] = (majorType << 5) | 25;
+    buffer.writeUInt16BE(length, 1);
+    return buffer;
+  };
+
+  if (Number.isInteger(value)) {
+    return value >= 0 ? header(0, value) : header(1, -1 - value);
+  }
+  if (Buffer.isBuffer(value)) {
+    return Buffer.concat([header(2, value.length), value]);
+  }
+  if (typeof value === 'string') {
+    const bytes = Buffer.from(value, 'utf8');
+    return Buffer.concat([header(3, bytes.length), bytes]);
+  }
+  if (value instanceof Map) {
+    const parts = [header(5, value.size)];
+    value.forEach((item, key) => {
+      parts.push(encodeCbor(key), encodeCbor(item));
+    });
+    return Buffer.concat(parts);
+  }
+  throw new Error('Unsupported test value');
+};
+
+const RP_ID = 'localhost';
+const ORIGIN = 'http://localhost:3000';
+
+// A software authenticator holding one key pair
+const createAuthenticator = (type) => {
+  const { privateKey, publicKey } = type === 'ES256'
+    ? crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' })
+    : crypto.generateKeyPairSync('ed25519');
+  const jwk = publicKey.export({ format: 'jwk' });
+
+  const coseKey = type === 'ES256'
+    ? new Map([[1, 2], [3, -7], [-1, 1], [-2, Buffer.from(jwk.x, 'base64url')], [-3, Buffer.from(jwk.y, 'base64url')]])
+    : new Map([[1, 1], [3, -8], [-1, 6], [-2, Buffer.from(jwk.x, 'base64url')]]);
+
+  return {
+    type,
+    privateKey,
+    credentialId: crypto.randomBytes(16),
+    coseKey: encodeCbor(coseKey),
+    signCount: 0
+  };
+};
+
+const authenticatorData = (authenticator, { flags = 0x05, attestedCredential = false } = {}) => {
+  const rpIdHash = crypto.createHash('sha256').update(RP_ID).digest();
+  const counter = Buffer.alloc(4);
+  counter.writeUInt32BE(authenticator.signCount);
+  const parts = [rpIdHash, Buffer.from([attestedCredential ? flags | 0x40 : flags]), counter];
+
+  if (attestedCredential) {
+    const idLength = Buffer.alloc(2);
+    idLength.writeUInt16BE(authenticator.credentialId.length);
+    parts.push(Buffer.alloc(16), idLength, authenticator.credentialId, authenticator.coseKey);
+  }
+
+  return Buffer.concat(parts);
+};
+
+const clientData = (type, challenge, origin = ORIGIN) =>
+  Buffer.from(JSON.stringify({ type, challenge, origin, crossOrigin: false }));
+
+const register = (authenticator, challenge, overrides = {}) => {
+  const attestationObject = encodeCbor(new Map([
+    ['fmt', overrides.fmt || 'none'],
+    ['attStmt', new Map()],
+    ['authData', authenticatorData(authenticator, { attestedCredential: true })]
+  ]));
+
+  return {
+    id: WebAuthnUtils.toBase64Url(authenticator.credentialId),
+    type: 'public-key',
+    response: {
+      clientDataJSON: WebAuthnUtils.toBase64Url(clientData('webauthn.create', challenge, overrides.origin)),
+      attestationObject: WebAuthnUtils.toBase64Url(attestationObject)
+    }
+  };
+};
+
+const assert = (authenticator, challenge) => {
+  authenticator.signCount += 1;
+  const authData = authenticatorData(authenticator);
+  const clientDataJSON = clientData('webauthn.get', challenge);
+  const signedData = Buffer.concat([authData, crypto.createHash('sha256').update(clientDataJSON).digest()]);
+  const signature = authenticator.type === 'ES256'
+    ? crypto.sign('sha256', signedData, authenticator.privateKey)
+    : crypto.sign(null, signedData, authenticator.privateKey);
+
+  return {
+    id: WebAuthnUtils.toBase64Url(authenticator.credentialId),
+    type: 'public-key',
+    response: {
+      clientDataJSON: WebAuthnUtils.toBase64Url(clientDataJSON),
+      authenticatorData: WebAuthnUtils.toBase64Url(authData),
+      signature: WebAuthnUtils.toBase64Url(signature)
+    }
+  };
+};
+
+describe('WebAuthn ceremonies', () => {
+  describe.each(['ES256', 'EdDSA'])('%s authenticator', (type) => {
+    let authenticator;
+    let registration;
+
+    beforeAll(() => {
+      authenticator = createAuthenticator(type);
+      const challenge = WebAuthnUtils.generateChallenge();
+
+      registration = WebAuthnUtils.verifyRegistration({
+        credential: register(authenticator, challenge),
+        expectedChallenge: challenge,
+        expectedOrigin: ORIGIN,
+        expectedRpId: RP_ID
+      });
+    });
+
+    test('should register a credential with "none" attestation', () => {
+      expect(registration.credentialId).toBe(WebAuthnUtils.toBase64Url(authenticator.credentialId));
+      expect(registration.publicKey).toBe(WebAuthnUtils.toBase64Url(authenticator.coseKey));
+      expect(registration.signCount).toBe(0);
+    });
+
+    test('should verify an assertion and return the new counter', () => {
+      const challenge = WebAuthnUtils.generateChallenge();
+
+      const result = WebAuthnUtils.verifyAuthentication({
+        credential: assert(authenticator, challenge),
+        expectedChallenge: challenge,
+        expectedOrigin: ORIGIN,
+        expectedRpId: RP_ID,
+        publicKey: registration.publicKey,
+        storedSignCount: 0
+      });
+
+      expect(result.signCount).toBe(authenticator.signCount);
+    });
+
+    test('should reject an assertion whose counter did not increase', () => {
+      const challenge = WebAuthnUtils.generateChallenge();
+      const credential = assert(authenticator, challenge);
+
+      expect(() => WebAuthnUtils.verifyAuthentication({
+        credential,
+        expectedChallenge: challenge,
+        expectedOrigin: ORIGIN,
+        expectedRpId: RP_ID,
+        publicKey: registration.publicKey,
+        storedSignCount: authenticator.signCount
+      })).toThrow('Signature counter did not increase');
+    });
+
+    test('should reject an assertion signed by another key', () => {
+      const challenge = WebAuthnUtils.generateChallenge();
+      const impostor = createAuthenticator(type);
+      impostor.credentialId = authenticator.credentialId;
+
+      expect(() => WebAuthnUtils.verifyAuthentication({
+        credential: assert(impostor, challenge),
+        expectedChallenge: challenge,
+        expectedOrigin: ORIGIN,
+        expectedRpId: RP_ID,
+        publicKey: registration.publicKey,
+        storedSignCount: 0
+      })).toThrow('Invalid signature');
+    });
+  });
+
+  test('should reject a registration for another challenge', () => {
+    const authenticator = createAuthenticator('ES256');
+
+    expect(() => WebAuthnUtils.verifyRegistration({
+      credential: register(authenticator, WebAuthnUtils.generateChallenge()),
+      expectedChallenge: WebAuthnUtils.generateChallenge(),
+      expectedOrigin: ORIGIN,
+      expectedRpId: RP_ID
+    })).toThrow('Challenge mismatch');
+  });
+
+  test('should reject a registration from an unexpected origin', () => {
+    const authenticator = createAuthenticator('ES256');
+    const challenge = WebAuthnUtils.generateChallenge();
+
+    expect(() => WebAuthnUtils.verifyRegistration({
+      credential: register(authenticator, challenge, { origin: 'https://evil.example' }),
+      expectedChallenge: challenge,
+      expectedOrigin: ORIGIN,
+      expectedRpId: RP_ID
+    })).toThrow('Unexpected origin');
+  });
+
+  test('should reject attestation formats other than "none"', () => {
+    const authenticator = createAuthenticator('ES256');
+    const challenge = WebAuthnUtils.generateChallenge();
+
+    expect(() => WebAuthnUtils.verifyRegistration({
+      credential: register(authenticator, challenge, { fmt: 'packed' }),
+      expectedChallenge: challenge,
+      expectedOrigin: ORIGIN,
+      expectedRpId: RP_ID
+    })).toThrow('Unsupported attestation format');
+  });
+});